@@ -5,18 +5,70 @@
 // CONSTANTS & CONFIG
 // ============================================
 
-const BOARD_ROWS = 8;
 const TOTAL_BATTLES = 10;
-const HAND_SIZE = 5;
-const MAX_CARDS_PER_BATTLE = 3;
-
-const PIECES = {
-    KING: 'king',
-    QUEEN: 'queen',
-    ROOK: 'rook',
-    BISHOP: 'bishop',
-    KNIGHT: 'knight',
-    PAWN: 'pawn'
+const HAND_SIZE = 5;        // Opening hand, picked on the card select screen
+const MAX_HAND_SIZE = 7;    // Draws stop once the hand is this full
+const CARDS_DRAWN_PER_TURN = 1;
+
+// Card pacing: every play costs energy (getCardCost in js/cards.js, which a
+// formation's specialRules can reprice, up to MAX_ENERGY). Each battle
+// starts with STARTING_ENERGY and each player turn refills ENERGY_PER_TURN, up
+// to MAX_ENERGY. MAX_CARDS_PER_BATTLE is an optional hard cap on top (0 = off).
+const STARTING_ENERGY = 2;
+const ENERGY_PER_TURN = 1;
+const MAX_ENERGY = 6;
+const MAX_CARDS_PER_BATTLE = 0;
+
+// XP economy: earned by winning battles, spent in the between-battle shop.
+// Cards cost their rarity's xpCost (CARD_RARITIES in js/cards.js).
+const XP_REWARDS = {
+    VICTORY: 15,        // Flat amount for any win
+    PER_PIECE_KEPT: 2,
+    PER_CAPTURE: 2,
+    PAR_TURNS: 25,      // Wins faster than this earn PER_TURN_SAVED for each turn under par
+    PER_TURN_SAVED: 1
+};
+const SHOP_OFFER_SIZE = 3;
+const SHOP_REMOVE_COST = 30;
+const SHOP_CURSE_REMOVE_COST = 45;
+const REWARD_REROLL_COST = 15;
+
+// Run save (localStorage). Bump SAVE_VERSION when the snapshot shape changes;
+// older saves are discarded rather than half-loaded.
+const SAVE_KEY = 'chessRoguelike.save';
+const SAVE_VERSION = 5;
+
+// Formations saved from the editor (localStorage, id -> formation JSON)
+const CUSTOM_FORMATIONS_KEY = 'chessRoguelike.formations';
+const EDITOR_BRUSHES = ['king', 'queen', 'rook', 'bishop', 'knight', 'pawn', 'erase'];
+
+// Recent battle replays kept in localStorage (newest first)
+const REPLAY_KEY = 'chessRoguelike.replays';
+const MAX_STORED_REPLAYS = 5;
+
+// What each kind of draw does to the run: 'loss' retries the battle like a defeat,
+// 'card' destroys a random deck card and moves on to the next battle without a reward
+const DRAW_OUTCOMES = {
+    stalemate: {
+        title: 'STALEMATE',
+        outcome: 'loss',
+        reason: () => 'No legal moves left.'
+    },
+    repetition: {
+        title: 'REPETITION',
+        outcome: 'card',
+        reason: (rules) => `The same position came up ${rules.repetition} times.`
+    },
+    moveLimit: {
+        title: 'STALLED',
+        outcome: 'loss',
+        reason: (rules) => `${rules.moveLimit} moves without a capture or pawn move.`
+    },
+    insufficientMaterial: {
+        title: 'DEAD POSITION',
+        outcome: 'card',
+        reason: () => 'Neither side has the pieces left to checkmate.'
+    }
 };
 
 const PIECE_SYMBOLS = {
@@ -28,29 +80,25 @@ const PIECE_SYMBOLS = {
     pawn: { player: '♙', enemy: '♟' }
 };
 
-const PIECE_VALUES = {
-    king: 10000,
-    queen: 900,
-    rook: 500,
-    bishop: 330,
-    knight: 320,
-    pawn: 100
-};
-
 // ============================================
 // GAME CLASS
 // ============================================
 
 class ChessRoguelike {
     constructor() {
-        // Board state
-        this.board = [];
-        this.playerPieces = [];
-        this.enemyPieces = [];
+        // Battle state + rules (js/rules-engine.js)
+        this.state = new GameState();
+        this.rules = new RulesEngine(this.state, {
+            onMessage: (text) => this.showCardInstructions(text),
+            onCapture: (piece) => this.onPieceCaptured(piece),
+            onGameEnd: (result) => this.onBattleEnd(result),
+            onBossPhase: (phase, number) => this.onBossPhase(phase, number)
+        }, FORMATION_RULES);
+        this.bindStateFields();
+
+        // Selection
         this.selectedPiece = null;
         this.validMoves = [];
-        this.isPlayerTurn = true;
-        this.gameOver = false;
 
         // Loadout
         this.playerLoadout = ['queen', 'rook', 'knight'];
@@ -59,68 +107,36 @@ class ChessRoguelike {
         this.currentBattle = 1;
         this.totalBattles = TOTAL_BATTLES;
         this.runActive = false;
+        this.runSeed = null; // Seed text as typed; this.rng is built from it
+        this.classicalRules = false; // Real check, checkmate and stalemate for the whole run
 
         // Deck & Hand
         this.deck = [];
         this.hand = [];
+        // Battle piles: the rest of the deck waits in drawPile; played cards go
+        // to discardPile (shuffled back in when drawPile runs out), burned ones to exhaustPile
+        this.drawPile = [];
+        this.discardPile = [];
+        this.exhaustPile = [];
         this.selectedCard = null;
+        this.selectedCardCost = 0; // Energy the selected card costs, fixed when it was picked
         this.cardState = null;
         this.cardsPlayedThisBattle = 0;
+        this.cardsPlayedThisTurn = []; // Card ids in play order, for CARD_COMBOS
         this.selectedBattleCards = []; // Cards selected for upcoming battle
         this.maxBattleCards = HAND_SIZE; // Max cards player can select
+        this.rewardOptions = []; // Cards offered on the reward screen
+        this.showingUpgrades = false; // Reward screen is listing deck cards to upgrade
 
         // Current formation
         this.currentFormation = null;
 
-        // Status effects
-        this.frozenPieces = new Map();
-        this.traitorPieces = new Map();
-        this.invulnerablePieces = new Map();
-        this.shieldedPieces = new Map();
-        this.bracedPieces = new Map();
-        this.phantomPieces = new Map();
-        this.controlledEnemies = new Map();
-        this.traps = new Map();
-        this.decoys = new Set();
-        this.traitorMarked = new Set();
-
-        // Turn modifiers
-        this.knightJumpActive = false;
-        this.snipeActive = false;
-        this.rallyActive = false;
-        this.chainReactionActive = false;
-        this.loadedDiceActive = false;
-        this.checkmateDeniedActive = false;
-        this.zugzwangActive = false;
-        this.bluffActive = false;
-        this.parallelPlayActive = false;
-        this.showAllEnemyMoves = false;
-
-        // Card state
-        this.dashPiece = null;
-        this.ghostWalkPiece = null;
-        this.ricochetPiece = null;
-        this.ricochetActive = false;
-        this.ricochetPieceForSecond = null;
-        this.extraMoves = null;
-        this.kingQueenMoves = 0;
-        this.extendedIntentTurns = 0;
-        this.pocketedPiece = null;
-        this.lastPlayerMove = null;
-        this.movesThisTurn = 0;
-
-        // Tracking
-        this.capturedPlayerPieces = [];
-        this.capturedEnemyPieces = [];
-        this.boardHistory = [];
-
-        // Debug move log
-        this.moveLog = [];
-        this.turnNumber = 0;
-
         // AI
         this.enemyIntent = null;
-        this.skipEnemyTurn = false;
+        this.enemyCardIntent = null; // Enemy card announced for next turn (planEnemyCard)
+        this.enemyDecoy = null; // Fake intent a bluffing boss is showing (formation.bluffChance)
+        this.enemyForecast = null; // Scout: the enemy's next moves, in order
+        this.pendingBossPhases = []; // Replay actions for phases reached mid-action
         this.aiDifficulty = 'EASY';
         this.aiArchetype = 'PASSIVE';
 
@@ -129,8 +145,23 @@ class ChessRoguelike {
             battlesWon: 0,
             totalEnemiesKilled: 0,
             totalCardsPlayed: 0,
-            piecesLost: 0
+            piecesLost: 0,
+            xp: 0,          // Current balance
+            xpEarned: 0,
+            xpSpent: 0,
+            bossPhases: [], // { battle, formation, phase, name, turn } for each phase reached
+            curses: []      // { battle, formation, curses } for each formation that cursed the deck
         };
+        this.lastXpAward = null; // Breakdown shown on the reward screen
+        this.shopOffer = []; // Cards for sale before the next battle
+
+        // Replays
+        this.replayRecorder = new ReplayRecorder();
+        this.cardTargets = []; // Board clicks / overlay picks for the card being played
+        this.pendingPromotion = null; // Pawn move waiting on the promotion pick
+        this.replayView = null; // Set while the replay viewer is open
+        this.editorFormation = null; // Formation being drawn in the editor
+        this.editorBrush = 'pawn';
 
         this.init();
     }
@@ -143,11 +174,22 @@ class ChessRoguelike {
         this.bindLoadoutEvents();
         this.updateLoadoutDisplay();
         this.renderStarterDeckPreview();
+        this.rollSeed();
+        this.loadCustomFormations();
+        this.updateContinueButton();
+        this.updateReplaysButton();
 
         // Expose debug log to console
         window.getGameLog = () => this.printMoveLog();
         window.copyGameLog = () => this.copyMoveLog();
+        window.copyReplay = () => this.copyReplay(this.replayRecorder.replay);
+        window.loadReplay = (json) => this.openReplay(typeof json === 'string' ? JSON.parse(json) : json);
         console.log('%c[Debug] Game log available: getGameLog() or copyGameLog()', 'color: #888');
+        window.getFEN = () => this.rules.toFEN();
+        window.getPGN = () => this.getPGN();
+        window.loadFEN = (fen) => this.loadFEN(fen);
+        console.log('%c[Debug] Replays: copyReplay() or loadReplay(json)', 'color: #888');
+        console.log('%c[Debug] Positions: getFEN(), getPGN() or loadFEN(fen)', 'color: #888');
     }
 
     // ============================================
@@ -155,46 +197,24 @@ class ChessRoguelike {
     // ============================================
 
     logMove(piece, fromRow, fromCol, toRow, toCol, captured, extra = {}) {
-        const entry = {
-            turn: this.turnNumber,
-            owner: piece.owner,
-            piece: piece.type,
-            pieceId: piece.id,
-            from: this.toChessNotation(fromRow, fromCol),
-            to: this.toChessNotation(toRow, toCol),
-            captured: captured ? { type: captured.type, owner: captured.owner } : null,
-            timestamp: Date.now(),
-            playerPieces: this.playerPieces.length,
-            enemyPieces: this.enemyPieces.length,
-            ...extra
-        };
-        this.moveLog.push(entry);
-        console.log(`%c[Turn ${entry.turn}] ${entry.owner.toUpperCase()} ${entry.piece} ${entry.from}→${entry.to}${captured ? ' captures ' + captured.type : ''}`,
-            entry.owner === 'player' ? 'color: #4CAF50' : 'color: #f44336');
+        this.rules.logMove(piece, fromRow, fromCol, toRow, toCol, captured, extra);
     }
 
     logEvent(eventType, details = {}) {
-        const entry = {
-            turn: this.turnNumber,
-            event: eventType,
-            timestamp: Date.now(),
-            playerPieces: this.playerPieces.length,
-            enemyPieces: this.enemyPieces.length,
-            ...details
-        };
-        this.moveLog.push(entry);
-        console.log(`%c[Turn ${entry.turn}] EVENT: ${eventType}`, 'color: #FF9800', details);
+        this.rules.logEvent(eventType, details);
     }
 
     toChessNotation(row, col) {
-        const files = 'abcdefgh';
-        const rank = 8 - row;
-        return files[col] + rank;
+        return this.rules.toChessNotation(row, col);
+    }
+
+    isOnBoard(row, col) {
+        return this.rules.isOnBoard(row, col);
     }
 
     printMoveLog() {
         console.log('%c=== GAME MOVE LOG ===', 'font-size: 14px; font-weight: bold; color: #2196F3');
-        console.log(`Battle: ${this.currentBattle}, Difficulty: ${this.aiDifficulty}`);
+        console.log(`Seed: ${this.runSeed}, Battle: ${this.currentBattle}, Difficulty: ${this.aiDifficulty}`);
         console.log(`Player pieces: ${this.playerPieces.map(p => p.type).join(', ')}`);
         console.log(`Enemy pieces: ${this.enemyPieces.map(p => p.type).join(', ')}`);
         console.log('---');
@@ -211,6 +231,7 @@ class ChessRoguelike {
 
     copyMoveLog() {
         const logText = JSON.stringify({
+            seed: this.runSeed,
             battle: this.currentBattle,
             difficulty: this.aiDifficulty,
             archetype: this.aiArchetype,
@@ -239,6 +260,23 @@ class ChessRoguelike {
             }
         });
 
+        // Seed reroll
+        document.getElementById('new-seed-btn')?.addEventListener('click', () => this.rollSeed());
+
+        // Continue saved run
+        document.getElementById('continue-run-btn')?.addEventListener('click', () => this.continueRun());
+
+        // Formation editor
+        document.getElementById('formation-editor-btn')?.addEventListener('click', () => this.showFormationEditor());
+        document.getElementById('close-editor')?.addEventListener('click', () => this.hideFormationEditor());
+        document.getElementById('editor-export-btn')?.addEventListener('click', () => this.exportEditorFormation());
+        document.getElementById('editor-import-btn')?.addEventListener('click', () => this.importEditorFormation());
+        document.getElementById('editor-save-btn')?.addEventListener('click', () => this.saveEditorFormation());
+        document.getElementById('editor-playtest-btn')?.addEventListener('click', () => this.playtestEditorFormation());
+        ['editor-name', 'editor-desc', 'editor-difficulty', 'editor-archetype', 'editor-rows', 'editor-cols'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.readEditorFields());
+        });
+
         // Start run button
         const startRunBtn = document.getElementById('start-run-btn');
         if (startRunBtn) {
@@ -272,13 +310,53 @@ class ChessRoguelike {
         document.getElementById('deck-btn')?.addEventListener('click', () => this.showDeckView());
         document.getElementById('close-deck')?.addEventListener('click', () => this.hideDeckView());
 
+        // Battle piles
+        ['draw', 'discard', 'exhaust'].forEach(pile => {
+            document.getElementById(`${pile}-pile-btn`)?.addEventListener('click', () => this.showPileView(pile));
+        });
+        document.getElementById('close-pile')?.addEventListener('click', () => this.hidePileView());
+
         // Game over buttons
         document.getElementById('restart-btn')?.addEventListener('click', () => this.retryBattle());
         document.getElementById('new-run-btn')?.addEventListener('click', () => this.returnToLoadout());
+        document.getElementById('draw-continue-btn')?.addEventListener('click', () => this.continueAfterDraw());
         document.getElementById('new-run-from-complete-btn')?.addEventListener('click', () => this.returnToLoadout());
 
+        // Replays
+        document.getElementById('view-replays-btn')?.addEventListener('click', () => this.showReplayList());
+        document.getElementById('close-replays')?.addEventListener('click', () => this.hideReplayList());
+        document.getElementById('replay-first')?.addEventListener('click', () => this.showReplayFrame(0));
+        document.getElementById('replay-prev')?.addEventListener('click', () => this.stepReplay(-1));
+        document.getElementById('replay-next')?.addEventListener('click', () => this.stepReplay(1));
+        document.getElementById('replay-last')?.addEventListener('click', () => this.showReplayFrame(Infinity));
+        document.getElementById('replay-copy')?.addEventListener('click', () => this.copyReplay(this.replayView?.replay));
+        document.getElementById('replay-exit')?.addEventListener('click', () => this.closeReplay());
+
+        // FEN / PGN
+        document.getElementById('copy-fen-btn')?.addEventListener('click', () => this.copyFEN());
+        document.getElementById('copy-pgn-btn')?.addEventListener('click', () => this.copyPGN());
+        document.getElementById('load-fen-btn')?.addEventListener('click', () => this.showFENInput());
+        document.getElementById('close-fen')?.addEventListener('click', () => this.hideFENInput());
+        document.getElementById('fen-load-confirm')?.addEventListener('click', () => {
+            const input = document.getElementById('fen-input');
+            if (this.loadFEN(input?.value || '')) this.hideFENInput();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (!this.replayView) return;
+            if (e.key === 'ArrowLeft') this.stepReplay(-1);
+            if (e.key === 'ArrowRight') this.stepReplay(1);
+            if (e.key === 'Escape') this.closeReplay();
+        });
+
         // Card reward
         document.getElementById('skip-reward-btn')?.addEventListener('click', () => this.skipCardReward());
+        document.getElementById('upgrade-reward-btn')?.addEventListener('click', () => this.toggleUpgradeChoices());
+        document.getElementById('reroll-reward-btn')?.addEventListener('click', () => this.rerollCardReward());
+
+        // Card shop
+        document.getElementById('shop-btn')?.addEventListener('click', () => this.showShop());
+        document.getElementById('close-shop')?.addEventListener('click', () => this.hideShop());
 
         // Help overlay close on outside click
         document.getElementById('help-overlay')?.addEventListener('click', (e) => {
@@ -304,7 +382,7 @@ class ChessRoguelike {
 
         // Resurrect cancel button
         document.getElementById('cancel-resurrect')?.addEventListener('click', () => {
-            this.hideResurrectOverlay();
+            this.cancelResurrect();
         });
     }
 
@@ -336,7 +414,24 @@ class ChessRoguelike {
     // RUN MANAGEMENT
     // ============================================
 
-    startNewRun() {
+    rollSeed() {
+        const seedInput = document.getElementById('seed-input');
+        if (seedInput) seedInput.value = SeededRNG.randomSeed();
+    }
+
+    /**
+     * @param {Object} [formation] - Battle 1's formation (the editor's playtest);
+     *   rolled as usual when omitted
+     */
+    startNewRun(formation = null) {
+        // Seed the run (typed seed, or a fresh one if the box is empty)
+        const seedInput = document.getElementById('seed-input');
+        this.runSeed = seedInput?.value.trim() || String(SeededRNG.randomSeed());
+        if (seedInput) seedInput.value = this.runSeed;
+        this.rng = new SeededRNG(this.runSeed);
+        this.classicalRules = !!document.getElementById('classical-rules-input')?.checked;
+        console.log(`%c[Run] Seed: ${this.runSeed}${this.classicalRules ? ' (classical rules)' : ''}`, 'color: #2196F3');
+
         // Initialize run state
         this.currentBattle = 1;
         this.runActive = true;
@@ -345,27 +440,77 @@ class ChessRoguelike {
             battlesWon: 0,
             totalEnemiesKilled: 0,
             totalCardsPlayed: 0,
-            piecesLost: 0
+            piecesLost: 0,
+            xp: 0,
+            xpEarned: 0,
+            xpSpent: 0,
+            bossPhases: [],
+            curses: []
         };
 
         // Hide loadout, show pre-battle
         document.getElementById('loadout-screen').style.display = 'none';
+        if (formation) {
+            this.prepareBattle(formation, getFormationAiDifficulty(formation));
+        } else {
+            this.prepareNextBattle();
+        }
         this.showPreBattleScreen();
     }
 
-    showPreBattleScreen() {
+    prepareNextBattle() {
         // Get formation for this battle
         const battleInfo = this.getBattleInfo(this.currentBattle);
-        this.currentFormation = battleInfo.formation;
-        this.aiDifficulty = battleInfo.difficulty;
-        this.aiArchetype = this.currentFormation.archetype;
+        this.prepareBattle(battleInfo.formation, battleInfo.difficulty);
+    }
+
+    prepareBattle(formation, difficulty) {
+        this.currentFormation = formation;
+        this.aiDifficulty = difficulty;
+        this.aiArchetype = formation.archetype;
+        this.shopOffer = this.getRandomCardsFromPool(this.getRewardPool(), SHOP_OFFER_SIZE);
+
+        // Elite and boss formations curse the deck as soon as they come up. The
+        // move log is cleared at setup, so the CURSED event is logged from runStats then
+        const curses = this.currentFormation.curses || [];
+        if (curses.length > 0) {
+            this.deck.push(...curses);
+            this.runStats.curses.push({ battle: this.currentBattle, formation: this.currentFormation.id, curses });
+        }
+    }
 
+    showPreBattleScreen() {
         // Update pre-battle UI
         document.getElementById('pre-battle-num').textContent = this.currentBattle;
         document.getElementById('formation-name').textContent = this.currentFormation.name;
         document.getElementById('formation-desc').textContent = this.currentFormation.description;
         document.getElementById('formation-diff').textContent = this.currentFormation.difficulty;
         document.getElementById('formation-arch').textContent = this.aiArchetype;
+        this.updateXpDisplays();
+
+        // Enemy cards, if this formation carries any
+        const enemyCards = this.currentFormation.enemyCards || [];
+        const cardsBadge = document.getElementById('formation-cards');
+        if (cardsBadge) {
+            cardsBadge.style.display = enemyCards.length > 0 ? '' : 'none';
+            document.getElementById('formation-cards-list').textContent =
+                enemyCards.map(id => getEnemyCard(id)?.name || id).join(', ');
+        }
+
+        const curses = this.currentFormation.curses || [];
+        const cursesBadge = document.getElementById('formation-curses');
+        if (cursesBadge) {
+            cursesBadge.style.display = curses.length > 0 ? '' : 'none';
+            document.getElementById('formation-curses-list').textContent =
+                curses.map(id => CARD_DEFINITIONS[id]?.name || id).join(', ');
+        }
+
+        const rules = describeFormationRules(this.currentFormation);
+        const rulesBadge = document.getElementById('formation-rules');
+        if (rulesBadge) {
+            rulesBadge.style.display = rules.length > 0 ? '' : 'none';
+            document.getElementById('formation-rules-list').textContent = rules.join(' · ');
+        }
 
         // Show formation preview
         this.renderFormationPreview();
@@ -374,6 +519,7 @@ class ChessRoguelike {
         this.renderDeckPreview();
 
         document.getElementById('pre-battle-screen').style.display = 'flex';
+        this.saveRun('preBattle');
     }
 
     // ============================================
@@ -391,9 +537,11 @@ class ChessRoguelike {
         const handSizeEl = document.getElementById('hand-size');
         if (handSizeEl) handSizeEl.textContent = this.maxBattleCards;
 
-        // Reset selection
-        this.selectedBattleCards = [];
+        // Reset selection; curses can't be left out
+        this.selectedBattleCards = [...new Set(this.deck.filter(id => CARD_DEFINITIONS[id]?.curse))]
+            .slice(0, this.maxBattleCards);
         this.updateCardSelectUI();
+        this.saveRun('cardSelect');
     }
 
     updateCardSelectUI() {
@@ -425,7 +573,7 @@ class ChessRoguelike {
             if (!card) return;
 
             const cardEl = document.createElement('div');
-            cardEl.className = `select-card ${card.rarity.toLowerCase()}`;
+            cardEl.className = `select-card ${card.rarity.toLowerCase()}${card.upgraded ? ' upgraded' : ''}`;
             cardEl.dataset.card = cardId;
 
             cardEl.innerHTML = `
@@ -445,7 +593,7 @@ class ChessRoguelike {
             if (!card) return;
 
             const cardEl = document.createElement('div');
-            cardEl.className = `select-card selected ${card.rarity.toLowerCase()}`;
+            cardEl.className = `select-card selected ${card.rarity.toLowerCase()}${card.upgraded ? ' upgraded' : ''}${card.curse ? ' locked' : ''}`;
             cardEl.dataset.card = cardId;
 
             cardEl.innerHTML = `
@@ -468,6 +616,7 @@ class ChessRoguelike {
     }
 
     deselectCardForBattle(cardId) {
+        if (CARD_DEFINITIONS[cardId]?.curse) return;
         this.selectedBattleCards = this.selectedBattleCards.filter(id => id !== cardId);
         this.updateCardSelectUI();
     }
@@ -488,12 +637,13 @@ class ChessRoguelike {
 
         // Hand is already set from card selection
         // Setup the battle
-        this.createBoard();
-        this.setupPlayerPieces();
-        this.setupEnemyFormation();
-        this.resetBattleState();
-
-        this.saveBoardState();
+        this.setupBattle();
+        const cursed = this.runStats.curses.find(entry => entry.battle === this.currentBattle);
+        if (cursed) this.logEvent('CURSED', cursed);
+        this.dealPiles();
+        this.triggerDrawEffects();
+        this.startReplayRecording();
+        this.saveRun('battle');
         this.render();
         this.bindBattleEvents();
 
@@ -502,38 +652,13 @@ class ChessRoguelike {
     }
 
     getBattleInfo(battleNum) {
-        // Determine formation pool based on battle number
-        let pool, difficulty;
-
-        if (battleNum <= 2) {
-            pool = 'TUTORIAL';
-            difficulty = 'BRUTAL';
-        } else if (battleNum <= 4) {
-            pool = 'EASY';
-            difficulty = 'BRUTAL';
-        } else if (battleNum <= 6) {
-            pool = 'MEDIUM';
-            difficulty = 'BRUTAL';
-        } else if (battleNum <= 8) {
-            pool = 'HARD';
-            difficulty = 'BRUTAL';
-        } else {
-            pool = 'EXPERT';
-            difficulty = 'BRUTAL';
-        }
-
-        // Battle 10 is always a boss
-        if (battleNum === 10) {
-            pool = 'BOSS';
-            difficulty = 'BRUTAL';
-        }
-
-        // Get random formation from pool
-        const formationIds = FORMATION_POOLS[pool] || FORMATION_POOLS.MEDIUM;
-        const randomId = formationIds[Math.floor(Math.random() * formationIds.length)];
-        const formation = FORMATIONS[randomId];
+        // Handcrafted or generated, per BATTLE_PROGRESSION; both follow the run seed
+        return getFormationForBattle(battleNum, this.rng, this.getFormationContext());
+    }
 
-        return { formation, difficulty };
+    // What FORMATION_BUILDERS see of the run
+    getFormationContext() {
+        return { playerLoadout: this.playerLoadout, deck: this.deck };
     }
 
     renderFormationPreview() {
@@ -544,13 +669,20 @@ class ChessRoguelike {
         container.innerHTML = '';
         const miniBoard = document.createElement('div');
         miniBoard.className = 'mini-board';
+        const cols = this.currentFormation.size?.cols || BOARD_COLS;
+        miniBoard.style.setProperty('--board-cols', cols);
 
-        // Only show top 4 rows for preview
-        for (let row = 0; row < 4; row++) {
-            for (let col = 0; col < 8; col++) {
+        // Only show the enemy's half (top 4 rows of a standard board) for preview
+        const previewRows = Math.ceil((this.currentFormation.size?.rows || BOARD_ROWS) / 2);
+        for (let row = 0; row < previewRows; row++) {
+            for (let col = 0; col < cols; col++) {
                 const cell = document.createElement('div');
                 cell.className = `mini-cell ${(row + col) % 2 === 0 ? 'light' : 'dark'}`;
 
+                if ((this.currentFormation.portals || []).some(p => p.row === row && p.col === col)) {
+                    cell.classList.add('portal');
+                }
+
                 // Check if there's a piece here
                 const piece = this.currentFormation.pieces.find(p => p.row === row && p.col === col);
                 if (piece) {
@@ -565,6 +697,15 @@ class ChessRoguelike {
         }
 
         container.appendChild(miniBoard);
+
+        // Reinforcement waves still to come
+        const waves = this.currentFormation.waves || [];
+        if (waves.length > 0) {
+            const list = document.createElement('div');
+            list.className = 'wave-list';
+            list.innerHTML = waves.map(wave => `<div class="wave-item">WAVE - ${describeWave(wave)}</div>`).join('');
+            container.appendChild(list);
+        }
     }
 
     renderDeckPreview() {
@@ -594,16 +735,9 @@ class ChessRoguelike {
         document.getElementById('pre-battle-screen').style.display = 'none';
         document.getElementById('game-container').style.display = 'flex';
 
-        // Draw hand from deck
+        // Setup the battle, then draw (draw effects need the board)
+        this.setupBattle();
         this.drawHand();
-
-        // Setup the battle
-        this.createBoard();
-        this.setupPlayerPieces();
-        this.setupEnemyFormation();
-        this.resetBattleState();
-
-        this.saveBoardState();
         this.render();
         this.bindBattleEvents();
 
@@ -613,115 +747,156 @@ class ChessRoguelike {
 
     drawHand() {
         // Shuffle deck and draw HAND_SIZE cards
-        const shuffled = [...this.deck].sort(() => Math.random() - 0.5);
+        const shuffled = this.rng.shuffle(this.deck);
         this.hand = shuffled.slice(0, Math.min(HAND_SIZE, shuffled.length));
+        this.dealPiles();
+        this.triggerDrawEffects();
     }
 
-    createBoard() {
-        this.board = [];
-        for (let row = 0; row < BOARD_ROWS; row++) {
-            this.board[row] = [];
-            for (let col = 0; col < 8; col++) {
-                this.board[row][col] = null;
+    // ============================================
+    // BATTLE PILES (draw, discard, exhaust)
+    // ============================================
+
+    // Everything in the deck that isn't in the opening hand, shuffled
+    dealPiles() {
+        const rest = [...this.deck];
+        this.hand.forEach(cardId => {
+            const index = rest.indexOf(cardId);
+            if (index !== -1) rest.splice(index, 1);
+        });
+        this.drawPile = this.rng.shuffle(rest);
+        this.discardPile = [];
+        this.exhaustPile = [];
+    }
+
+    /**
+     * Draw up to `count` cards, reshuffling the discard pile when the draw pile
+     * is empty. Stops early at MAX_HAND_SIZE or when both piles are empty.
+     * @returns {string[]} The cards drawn
+     */
+    drawCards(count) {
+        const drawn = [];
+        for (let i = 0; i < count && this.hand.length + drawn.length < MAX_HAND_SIZE; i++) {
+            if (this.drawPile.length === 0) {
+                if (this.discardPile.length === 0) break;
+                this.drawPile = this.rng.shuffle(this.discardPile);
+                this.discardPile = [];
+                this.logEvent('DISCARD_RESHUFFLED', { cards: this.drawPile.length });
             }
+            drawn.push(this.drawPile.pop());
         }
+
+        this.hand.push(...drawn);
+        if (drawn.length > 0) this.logEvent('CARDS_DRAWN', { cards: drawn });
+        this.triggerDrawEffects(drawn);
+        return drawn;
     }
 
-    setupPlayerPieces() {
-        this.playerPieces = [];
+    /**
+     * Discard the hand, keeping one copy of `keepId` (the card being played).
+     * @returns {number} How many cards were discarded
+     */
+    discardHand(keepId = null) {
+        const kept = keepId && this.hand.includes(keepId) ? [keepId] : [];
+        const discarded = [...this.hand];
+        if (kept.length > 0) discarded.splice(discarded.indexOf(keepId), 1);
+
+        this.hand = kept;
+        this.discardPile.push(...discarded);
+        if (discarded.length > 0) this.logEvent('HAND_DISCARDED', { cards: discarded });
+        return discarded.length;
+    }
 
-        // King at e1
-        this.placePiece(7, 4, PIECES.KING, 'player');
+    // A played card leaves the hand for the exhaust pile (BURN), the discard pile,
+    // or nowhere if it retains
+    discardPlayedCard(cardId) {
+        const card = CARD_DEFINITIONS[cardId];
+        const index = this.hand.indexOf(cardId);
+        if (card?.retain || index === -1) return;
 
-        // 3 chosen pieces
-        this.placePiece(7, 3, this.playerLoadout[0], 'player');
-        this.placePiece(7, 5, this.playerLoadout[1], 'player');
-        this.placePiece(6, 4, this.playerLoadout[2], 'player');
+        this.hand.splice(index, 1);
+        (card?.isBurn ? this.exhaustPile : this.discardPile).push(cardId);
     }
 
-    setupEnemyFormation() {
-        this.enemyPieces = [];
+    showPileView(pile) {
+        const titles = { draw: 'DRAW PILE', discard: 'DISCARD PILE', exhaust: 'EXHAUST PILE' };
+        const cards = { draw: this.drawPile, discard: this.discardPile, exhaust: this.exhaustPile }[pile];
+        const container = document.getElementById('pile-view');
+        if (!cards || !container) return;
 
-        if (!this.currentFormation) return;
+        document.getElementById('pile-title').textContent = titles[pile];
+        container.innerHTML = '';
 
-        for (const pieceData of this.currentFormation.pieces) {
-            this.placePiece(pieceData.row, pieceData.col, pieceData.type, 'enemy');
-        }
+        // The draw pile is listed by name so its order stays hidden
+        const listed = pile === 'draw'
+            ? [...cards].sort((a, b) => CARD_DEFINITIONS[a].name.localeCompare(CARD_DEFINITIONS[b].name))
+            : cards;
+        listed.forEach(cardId => {
+            const card = CARD_DEFINITIONS[cardId];
+            if (!card) return;
 
-        // Update UI with formation name
-        const nameEl = document.getElementById('enemy-formation-name');
-        if (nameEl) nameEl.textContent = this.currentFormation.name;
+            const cardEl = document.createElement('div');
+            cardEl.className = `deck-card ${card.rarity.toLowerCase()}${card.upgraded ? ' upgraded' : ''}`;
+            cardEl.innerHTML = `
+                <div class="deck-card-name">${card.name}</div>
+                <div class="deck-card-desc">${card.description}</div>
+                <div class="deck-card-rarity ${card.rarity.toLowerCase()}"></div>
+            `;
+            container.appendChild(cardEl);
+        });
+        if (listed.length === 0) container.innerHTML = '<p class="shop-empty">Empty.</p>';
+
+        document.getElementById('pile-overlay').style.display = 'flex';
     }
 
-    placePiece(row, col, type, owner) {
-        const piece = {
-            type,
-            owner,
-            row,
-            col,
-            id: `${owner}-${type}-${Date.now()}-${Math.random()}`
-        };
-        this.board[row][col] = piece;
-        if (owner === 'player') {
-            this.playerPieces.push(piece);
-        } else {
-            this.enemyPieces.push(piece);
+    hidePileView() {
+        document.getElementById('pile-overlay').style.display = 'none';
+    }
+
+    // Curses act once the board is set up (e.g. Frostbite), whether they're in
+    // the opening hand or drawn later
+    triggerDrawEffects(cardIds = this.hand) {
+        for (const cardId of cardIds) {
+            const card = CARD_DEFINITIONS[cardId];
+            if (!card?.onDraw) continue;
+            applyCardSteps(this, { id: cardId, effects: card.onDraw }, {});
+            this.logEvent('CURSE_TRIGGERED', { card: cardId });
         }
-        return piece;
     }
 
+    setupBattle() {
+        // Built formations are rebuilt so they see the deck after the shop
+        const builder = FORMATION_BUILDERS[this.currentFormation?.id];
+        if (builder) this.currentFormation = builder(this.getFormationContext());
+
+        this.rules.setupBattle(this.playerLoadout, this.currentFormation, { classical: this.classicalRules });
+        // A boss phase may have switched it last time (retries set up again)
+        this.aiArchetype = this.currentFormation.archetype;
+        this.energy = STARTING_ENERGY;
+        this.resetBattleState();
+        this.renderFormationName();
+    }
+
+    renderFormationName() {
+        const nameEl = document.getElementById('enemy-formation-name');
+        if (nameEl && this.currentFormation) nameEl.textContent = this.currentFormation.name;
+    }
+
+    // Battle rules state is reset by RulesEngine.setupBattle; this clears the view side
     resetBattleState() {
         this.selectedPiece = null;
         this.validMoves = [];
-        this.isPlayerTurn = true;
-        this.gameOver = false;
         this.selectedCard = null;
         this.cardState = null;
         this.cardsPlayedThisBattle = 0;
-
-        // Clear status effects
-        this.frozenPieces.clear();
-        this.traitorPieces.clear();
-        this.invulnerablePieces.clear();
-        this.shieldedPieces.clear();
-        this.bracedPieces.clear();
-        this.phantomPieces.clear();
-        this.controlledEnemies.clear();
-        this.traps.clear();
-        this.decoys.clear();
-        this.traitorMarked.clear();
-
-        // Reset modifiers
-        this.knightJumpActive = false;
-        this.snipeActive = false;
-        this.rallyActive = false;
-        this.chainReactionActive = false;
-        this.loadedDiceActive = false;
-        this.checkmateDeniedActive = false;
-        this.zugzwangActive = false;
-        this.bluffActive = false;
-        this.parallelPlayActive = false;
-        this.showAllEnemyMoves = false;
-
-        this.dashPiece = null;
-        this.ghostWalkPiece = null;
-        this.ricochetPiece = null;
-        this.extraMoves = null;
-        this.kingQueenMoves = 0;
-        this.extendedIntentTurns = 0;
-        this.pocketedPiece = null;
-        this.lastPlayerMove = null;
-        this.movesThisTurn = 0;
-
-        this.capturedPlayerPieces = [];
-        this.capturedEnemyPieces = [];
-        this.boardHistory = [];
-        this.skipEnemyTurn = false;
+        this.cardsPlayedThisTurn = [];
         this.enemyIntent = null;
+        this.enemyCardIntent = null;
+        this.enemyDecoy = null;
+        this.enemyForecast = null;
+        this.pendingBossPhases = [];
+        this.pendingPromotion = null;
 
-        // Reset move log for new battle
-        this.moveLog = [];
-        this.turnNumber = 0;
         console.log(`%c=== BATTLE ${this.currentBattle} STARTED ===`, 'font-size: 12px; font-weight: bold; color: #2196F3');
         console.log(`Difficulty: ${this.aiDifficulty}, Archetype: ${this.aiArchetype}`);
         console.log(`Formation: ${this.currentFormation?.name || 'Unknown'}`);
@@ -740,7 +915,7 @@ class ChessRoguelike {
 
         // Board clicks
         document.getElementById('board').addEventListener('click', (e) => {
-            if (this.gameOver) return;
+            if (this.gameOver || this.replayView) return;
 
             const cell = e.target.closest('.cell');
             if (!cell) return;
@@ -752,7 +927,7 @@ class ChessRoguelike {
 
         // Card clicks
         document.getElementById('card-hand').addEventListener('click', (e) => {
-            if (this.gameOver || !this.isPlayerTurn) return;
+            if (this.gameOver || !this.isPlayerTurn || this.replayView) return;
 
             const card = e.target.closest('.card');
             if (!card || card.classList.contains('disabled')) return;
@@ -780,6 +955,8 @@ class ChessRoguelike {
         console.log(`%c=== BATTLE ${this.currentBattle} WON in ${this.turnNumber} turns ===`, 'font-size: 12px; font-weight: bold; color: #4CAF50');
         console.log('%cUse copyGameLog() to copy the full log', 'color: #888');
 
+        this.lastXpAward = this.awardBattleXp();
+
         if (this.currentBattle >= this.totalBattles) {
             // Run complete!
             this.showRunComplete();
@@ -789,34 +966,96 @@ class ChessRoguelike {
         }
     }
 
-    showCardReward() {
+    showCardReward(savedRewards = null) {
         const container = document.getElementById('reward-cards');
         if (!container) return;
 
-        // Generate 3 reward cards based on battle difficulty
+        // Generate 3 reward cards based on battle difficulty (a resumed run re-shows its saved offer)
         const rewardPool = this.getRewardPool();
-        const rewards = this.getRandomCardsFromPool(rewardPool, 3);
+        const rewards = savedRewards || this.getRandomCardsFromPool(rewardPool, 3);
+        this.rewardOptions = rewards;
 
         container.innerHTML = '';
         rewards.forEach(cardId => {
             const card = CARD_DEFINITIONS[cardId];
             if (!card) return;
 
-            const cardEl = document.createElement('div');
-            cardEl.className = `reward-card ${card.rarity.toLowerCase()}`;
-            cardEl.dataset.card = cardId;
-
-            cardEl.innerHTML = `
-                <div class="reward-card-name">${card.name}</div>
-                <div class="reward-card-desc">${card.description}</div>
-                <div class="reward-card-rarity ${card.rarity.toLowerCase()}">${card.isBurn ? 'BURN' : ''}</div>
-            `;
-
+            const cardEl = this.createRewardCard(card);
             cardEl.addEventListener('click', () => this.selectCardReward(cardId));
             container.appendChild(cardEl);
         });
 
+        const subtitle = document.getElementById('reward-subtitle');
+        if (subtitle) subtitle.textContent = 'Choose a card to add to your deck';
+        const xpEl = document.getElementById('reward-xp');
+        if (xpEl) {
+            const award = this.lastXpAward;
+            xpEl.textContent = award
+                ? `+${award.total} XP (win ${award.victory}, pieces kept ${award.kept}, captures ${award.captures}, speed ${award.speed}) · ${this.runStats.xp} XP total`
+                : `${this.runStats.xp} XP`;
+        }
+        const rerollBtn = document.getElementById('reroll-reward-btn');
+        if (rerollBtn) {
+            rerollBtn.textContent = `REROLL (${REWARD_REROLL_COST} XP)`;
+            rerollBtn.disabled = this.runStats.xp < REWARD_REROLL_COST;
+        }
+        const upgradeBtn = document.getElementById('upgrade-reward-btn');
+        if (upgradeBtn) {
+            upgradeBtn.textContent = 'UPGRADE A CARD';
+            upgradeBtn.style.display = this.getUpgradableCards().length > 0 ? '' : 'none';
+        }
+
         document.getElementById('reward-overlay').style.display = 'flex';
+        this.saveRun('reward');
+    }
+
+    createRewardCard(card) {
+        const cardEl = document.createElement('div');
+        cardEl.className = `reward-card ${card.rarity.toLowerCase()}${card.upgraded ? ' upgraded' : ''}`;
+        cardEl.dataset.card = card.id;
+
+        cardEl.innerHTML = `
+            <div class="reward-card-name">${card.name}</div>
+            <div class="reward-card-desc">${card.description}</div>
+            <div class="reward-card-rarity ${card.rarity.toLowerCase()}">${card.isBurn ? 'BURN' : ''}</div>
+        `;
+        return cardEl;
+    }
+
+    rerollCardReward() {
+        if (this.showingUpgrades || !this.spendXp(REWARD_REROLL_COST)) return;
+        this.logEvent('REWARD_REROLL', { cost: REWARD_REROLL_COST, previous: this.rewardOptions });
+        this.showCardReward();
+    }
+
+    // Deck cards (one per id) that still have a Card+ variant to earn
+    getUpgradableCards() {
+        return [...new Set(this.deck)].filter(cardId => getUpgradedCardId(cardId));
+    }
+
+    // The reward screen's other option: upgrade a deck card instead of taking a new one
+    toggleUpgradeChoices() {
+        if (this.showingUpgrades) {
+            this.showingUpgrades = false;
+            this.showCardReward(this.rewardOptions);
+            return;
+        }
+
+        const container = document.getElementById('reward-cards');
+        if (!container) return;
+
+        this.showingUpgrades = true;
+        container.innerHTML = '';
+        this.getUpgradableCards().forEach(cardId => {
+            const cardEl = this.createRewardCard(CARD_DEFINITIONS[getUpgradedCardId(cardId)]);
+            cardEl.addEventListener('click', () => this.selectCardUpgrade(cardId));
+            container.appendChild(cardEl);
+        });
+
+        const subtitle = document.getElementById('reward-subtitle');
+        if (subtitle) subtitle.textContent = 'Choose a card in your deck to upgrade';
+        const upgradeBtn = document.getElementById('upgrade-reward-btn');
+        if (upgradeBtn) upgradeBtn.textContent = 'BACK TO NEW CARDS';
     }
 
     getRewardPool() {
@@ -832,9 +1071,9 @@ class ChessRoguelike {
     }
 
     getRandomCardsFromPool(pool, count) {
-        const shuffled = [...pool].sort(() => Math.random() - 0.5);
-        // Filter out cards already in deck
-        const available = shuffled.filter(id => !this.deck.includes(id));
+        const shuffled = this.rng.shuffle(pool);
+        // Filter out cards already in deck (upgraded or not)
+        const available = shuffled.filter(id => !this.deck.some(owned => getBaseCardId(owned) === id));
         return available.slice(0, count);
     }
 
@@ -849,18 +1088,31 @@ class ChessRoguelike {
         this.proceedToNextBattle();
     }
 
+    selectCardUpgrade(cardId) {
+        const upgradedId = getUpgradedCardId(cardId);
+        this.deck[this.deck.indexOf(cardId)] = upgradedId;
+
+        console.log(`Upgraded ${CARD_DEFINITIONS[cardId].name} to ${CARD_DEFINITIONS[upgradedId].name}!`);
+
+        this.hideCardReward();
+        this.proceedToNextBattle();
+    }
+
     skipCardReward() {
         this.hideCardReward();
         this.proceedToNextBattle();
     }
 
     hideCardReward() {
+        this.showingUpgrades = false;
+        this.lastXpAward = null;
         document.getElementById('reward-overlay').style.display = 'none';
     }
 
     proceedToNextBattle() {
         this.currentBattle++;
         document.getElementById('game-container').style.display = 'none';
+        this.prepareNextBattle();
         this.showPreBattleScreen();
     }
 
@@ -871,23 +1123,155 @@ class ChessRoguelike {
                 <div class="stat-row">Battles Won: ${this.runStats.battlesWon}/${this.totalBattles}</div>
                 <div class="stat-row">Enemies Defeated: ${this.runStats.totalEnemiesKilled}</div>
                 <div class="stat-row">Cards Played: ${this.runStats.totalCardsPlayed}</div>
+                <div class="stat-row">XP Earned: ${this.runStats.xpEarned} (${this.runStats.xpSpent} spent)</div>
+                <div class="stat-row">Boss Phases Reached: ${this.runStats.bossPhases.map(p => p.name).join(', ') || 'none'}</div>
+                <div class="stat-row">Curses Taken: ${this.runStats.curses.reduce((total, entry) => total + entry.curses.length, 0)}</div>
                 <div class="stat-row">Final Deck Size: ${this.deck.length}</div>
+                <div class="stat-row">Seed: ${this.runSeed}</div>
             `;
         }
 
         document.getElementById('game-container').style.display = 'none';
         document.getElementById('run-complete-overlay').style.display = 'flex';
+        this.clearSave();
+    }
+
+    // ============================================
+    // XP & CARD SHOP
+    // ============================================
+
+    /**
+     * Pay out XP for the battle just won.
+     * @returns {{total: number, victory: number, kept: number, captures: number, speed: number}}
+     */
+    awardBattleXp() {
+        const award = {
+            victory: XP_REWARDS.VICTORY,
+            kept: this.playerPieces.length * XP_REWARDS.PER_PIECE_KEPT,
+            captures: this.capturedEnemyPieces.length * XP_REWARDS.PER_CAPTURE,
+            speed: Math.max(0, XP_REWARDS.PAR_TURNS - this.turnNumber) * XP_REWARDS.PER_TURN_SAVED
+        };
+        award.total = award.victory + award.kept + award.captures + award.speed;
+
+        this.runStats.xp += award.total;
+        this.runStats.xpEarned += award.total;
+        this.logEvent('XP_EARNED', { ...award, balance: this.runStats.xp });
+        return award;
+    }
+
+    spendXp(amount) {
+        if (this.runStats.xp < amount) return false;
+        this.runStats.xp -= amount;
+        this.runStats.xpSpent += amount;
+        return true;
+    }
+
+    getCardPrice(cardId) {
+        return CARD_RARITIES[CARD_DEFINITIONS[cardId].rarity].xpCost;
+    }
+
+    getRemovalCost(cardId) {
+        return CARD_DEFINITIONS[cardId]?.curse ? SHOP_CURSE_REMOVE_COST : SHOP_REMOVE_COST;
+    }
+
+    updateXpDisplays() {
+        ['pre-battle-xp', 'shop-xp'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = this.runStats.xp;
+        });
+    }
+
+    showShop() {
+        const offerEl = document.getElementById('shop-offer');
+        const deckEl = document.getElementById('shop-deck');
+        if (!offerEl || !deckEl) return;
+
+        this.updateXpDisplays();
+
+        offerEl.innerHTML = '';
+        this.shopOffer.forEach(cardId => {
+            const price = this.getCardPrice(cardId);
+            const cardEl = this.createRewardCard(CARD_DEFINITIONS[cardId]);
+            if (price > this.runStats.xp) cardEl.classList.add('unaffordable');
+            cardEl.insertAdjacentHTML('beforeend', `<div class="shop-price">${price} XP</div>`);
+            cardEl.addEventListener('click', () => this.buyCard(cardId));
+            offerEl.appendChild(cardEl);
+        });
+        if (this.shopOffer.length === 0) {
+            offerEl.innerHTML = '<p class="shop-empty">Sold out until the next battle.</p>';
+        }
+
+        // A deck can't be thinned below one card; curses cost more to lift
+        const removeCost = document.getElementById('shop-remove-cost');
+        if (removeCost) removeCost.textContent = SHOP_REMOVE_COST;
+
+        deckEl.innerHTML = '';
+        this.deck.forEach((cardId, index) => {
+            const card = CARD_DEFINITIONS[cardId];
+            if (!card) return;
+
+            const cost = this.getRemovalCost(cardId);
+            const canRemove = this.deck.length > 1 && this.runStats.xp >= cost;
+            const cardEl = document.createElement('div');
+            cardEl.className = `deck-card ${card.rarity.toLowerCase()}${card.upgraded ? ' upgraded' : ''}${canRemove ? ' removable' : ' unaffordable'}`;
+            cardEl.innerHTML = `
+                <div class="deck-card-name">${card.name}</div>
+                <div class="deck-card-desc">${card.description}</div>
+                ${card.curse ? `<div class="shop-price">${cost} XP</div>` : ''}
+                <div class="deck-card-rarity ${card.rarity.toLowerCase()}"></div>
+            `;
+            cardEl.addEventListener('click', () => this.removeDeckCard(index));
+            deckEl.appendChild(cardEl);
+        });
+
+        document.getElementById('shop-overlay').style.display = 'flex';
+    }
+
+    hideShop() {
+        document.getElementById('shop-overlay').style.display = 'none';
+        this.updateXpDisplays();
+    }
+
+    buyCard(cardId) {
+        const price = this.getCardPrice(cardId);
+        if (!this.shopOffer.includes(cardId) || !this.spendXp(price)) return;
+
+        this.shopOffer = this.shopOffer.filter(id => id !== cardId);
+        this.deck.push(cardId);
+        this.logEvent('CARD_BOUGHT', { card: cardId, price, balance: this.runStats.xp });
+        console.log(`Bought ${CARD_DEFINITIONS[cardId].name} for ${price} XP`);
+
+        this.saveRun('preBattle');
+        this.showShop();
+    }
+
+    removeDeckCard(index) {
+        const cardId = this.deck[index];
+        if (!cardId || this.deck.length <= 1) return;
+        const price = this.getRemovalCost(cardId);
+        if (!this.spendXp(price)) return;
+
+        this.deck.splice(index, 1);
+        this.logEvent('CARD_REMOVED', { card: cardId, price, balance: this.runStats.xp });
+        console.log(`Removed ${CARD_DEFINITIONS[cardId].name} for ${price} XP`);
+
+        this.saveRun('preBattle');
+        this.showShop();
     }
 
     // ============================================
     // DEFEAT
     // ============================================
 
-    onBattleDefeat() {
+    /**
+     * @param {Object|null} draw - DRAW_OUTCOMES entry when a draw is being counted as a loss
+     */
+    onBattleDefeat(draw = null) {
         this.gameOver = true;
 
         // Log defeat
-        this.logEvent('BATTLE_DEFEAT', {
+        this.logEvent(draw ? 'BATTLE_DRAW' : 'BATTLE_DEFEAT', {
+            reason: this.drawReason,
             turns: this.turnNumber,
             playerPiecesRemaining: this.playerPieces.length,
             enemiesRemaining: this.enemyPieces.length
@@ -899,14 +1283,20 @@ class ChessRoguelike {
         const text = document.getElementById('game-over-text');
         const subtext = document.getElementById('game-over-subtext');
 
-        text.textContent = this.getDefeatTitle();
+        text.textContent = draw ? draw.title : this.getDefeatTitle();
         subtext.innerHTML = `
             Battle ${this.currentBattle}/${this.totalBattles}<br>
-            Your King has fallen.<br><br>
-            Enemies remaining: ${this.enemyPieces.length}
+            ${draw ? `${draw.reason(this.chessRules)} This draw counts as a loss.` : 'Your King has fallen.'}<br><br>
+            Enemies remaining: ${this.enemyPieces.length}<br>
+            Seed: ${this.runSeed}
         `;
 
+        document.getElementById('restart-btn').style.display = '';
+        document.getElementById('draw-continue-btn').style.display = 'none';
         overlay.classList.add('active');
+
+        // Continuing a lost run goes back to card selection, same as TRY AGAIN
+        this.saveRun('cardSelect');
     }
 
     getDefeatTitle() {
@@ -919,6 +1309,59 @@ class ChessRoguelike {
         return 'SO CLOSE...';
     }
 
+    // ============================================
+    // DRAWS
+    // ============================================
+
+    onBattleDraw() {
+        const draw = DRAW_OUTCOMES[this.drawReason] || DRAW_OUTCOMES.stalemate;
+
+        // The final battle has to be won, and a deck can't pay with its last card.
+        // Curses aren't payment: losing one would be a free removal
+        const payable = this.deck.filter(id => !CARD_DEFINITIONS[id]?.curse);
+        if (draw.outcome !== 'card' || this.currentBattle >= this.totalBattles || payable.length <= 1) {
+            this.onBattleDefeat(draw);
+            return;
+        }
+
+        this.gameOver = true;
+        const battle = this.currentBattle;
+        const lostCard = this.rng.pick(payable);
+        this.deck.splice(this.deck.indexOf(lostCard), 1);
+        this.runStats.totalCardsPlayed += this.cardsPlayedThisBattle;
+
+        this.logEvent('BATTLE_DRAW', {
+            reason: this.drawReason,
+            lostCard,
+            turns: this.turnNumber,
+            playerPiecesRemaining: this.playerPieces.length,
+            enemiesRemaining: this.enemyPieces.length
+        });
+        console.log(`%c=== BATTLE ${battle} DRAWN on turn ${this.turnNumber}, lost ${CARD_DEFINITIONS[lostCard].name} ===`, 'font-size: 12px; font-weight: bold; color: #FF9800');
+
+        document.getElementById('game-over-text').textContent = draw.title;
+        document.getElementById('game-over-subtext').innerHTML = `
+            Battle ${battle}/${this.totalBattles}<br>
+            ${draw.reason(this.chessRules)} The draw cost you ${CARD_DEFINITIONS[lostCard].name}.<br><br>
+            Deck size: ${this.deck.length}<br>
+            Seed: ${this.runSeed}
+        `;
+        document.getElementById('restart-btn').style.display = 'none';
+        document.getElementById('draw-continue-btn').style.display = '';
+        document.getElementById('game-over-overlay').classList.add('active');
+
+        // Move on now so continuing a saved run starts the next battle, not this one again
+        this.currentBattle++;
+        this.prepareNextBattle();
+        this.saveRun('preBattle');
+    }
+
+    continueAfterDraw() {
+        document.getElementById('game-over-overlay').classList.remove('active');
+        document.getElementById('game-container').style.display = 'none';
+        this.showPreBattleScreen();
+    }
+
     retryBattle() {
         document.getElementById('game-over-overlay').classList.remove('active');
         document.getElementById('game-container').style.display = 'none';
@@ -932,6 +1375,9 @@ class ChessRoguelike {
         document.getElementById('pre-battle-screen').style.display = 'none';
         document.getElementById('loadout-screen').style.display = 'flex';
         this.runActive = false;
+        this.clearSave();
+        this.updateContinueButton();
+        this.updateReplaysButton();
     }
 
     // ============================================
@@ -944,9 +1390,28 @@ class ChessRoguelike {
 
         container.innerHTML = '';
 
+        // Curses get their own section below the rest
+        const curseContainer = document.getElementById('deck-curses-view');
+        const curses = this.deck.filter(id => CARD_DEFINITIONS[id]?.curse);
+        if (curseContainer) {
+            curseContainer.innerHTML = '';
+            curses.forEach(cardId => {
+                const card = CARD_DEFINITIONS[cardId];
+                const cardEl = document.createElement('div');
+                cardEl.className = 'deck-card curse';
+                cardEl.innerHTML = `
+                    <div class="deck-card-name">${card.name}</div>
+                    <div class="deck-card-desc">${card.description}</div>
+                    <div class="deck-card-rarity curse"></div>
+                `;
+                curseContainer.appendChild(cardEl);
+            });
+            document.getElementById('deck-curses-heading').style.display = curses.length > 0 ? '' : 'none';
+        }
+
         // Sort by rarity
         const rarityOrder = { COMMON: 0, UNCOMMON: 1, RARE: 2, LEGENDARY: 3 };
-        const sorted = [...this.deck].sort((a, b) => {
+        const sorted = this.deck.filter(id => !CARD_DEFINITIONS[id]?.curse).sort((a, b) => {
             const cardA = CARD_DEFINITIONS[a];
             const cardB = CARD_DEFINITIONS[b];
             return (rarityOrder[cardA?.rarity] || 0) - (rarityOrder[cardB?.rarity] || 0);
@@ -956,11 +1421,19 @@ class ChessRoguelike {
             const card = CARD_DEFINITIONS[cardId];
             if (!card) return;
 
+            // Combos it makes with another card in the deck
+            const others = [...this.deck];
+            others.splice(others.indexOf(cardId), 1);
+            const combos = getAvailableCombos(cardId, others);
+
             const cardEl = document.createElement('div');
-            cardEl.className = `deck-card ${card.rarity.toLowerCase()}`;
+            cardEl.className = `deck-card ${card.rarity.toLowerCase()}${card.upgraded ? ' upgraded' : ''}`;
+            cardEl.title = combos.map(c => `${c.name}: ${c.description}`).join('\n');
             cardEl.innerHTML = `
                 <div class="deck-card-name">${card.name}</div>
                 <div class="deck-card-desc">${card.description}</div>
+                ${card.upgraded ? '<div class="deck-card-upgraded">UPGRADED</div>' : ''}
+                ${combos.length > 0 ? `<div class="deck-card-combo">COMBO: ${combos.map(c => c.name).join(', ')}</div>` : ''}
                 <div class="deck-card-rarity ${card.rarity.toLowerCase()}"></div>
             `;
             container.appendChild(cardEl);
@@ -987,9 +1460,25 @@ class ChessRoguelike {
     renderBoard() {
         const boardEl = document.getElementById('board');
         boardEl.innerHTML = '';
+        boardEl.style.setProperty('--board-rows', this.rows);
+        boardEl.style.setProperty('--board-cols', this.cols);
+
+        // Classical rules: mark a King that is in check
+        const kingsInCheck = this.state.chessRules.classical
+            ? ['player', 'enemy'].filter(owner => this.rules.isKingInCheck(owner))
+            : [];
+
+        // Paparazzi - every square an enemy piece could move to
+        const enemyThreats = new Set();
+        if (this.showAllEnemyMoves) {
+            for (const enemy of this.enemyPieces) {
+                if (this.frozenPieces.has(enemy.id)) continue;
+                this.getValidMoves(enemy, true).forEach(m => enemyThreats.add(`${m.row},${m.col}`));
+            }
+        }
 
-        for (let row = 0; row < BOARD_ROWS; row++) {
-            for (let col = 0; col < 8; col++) {
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
                 const cell = document.createElement('div');
                 cell.className = `cell ${(row + col) % 2 === 0 ? 'light' : 'dark'}`;
                 cell.dataset.row = row;
@@ -1003,6 +1492,7 @@ class ChessRoguelike {
 
                     // Status indicators
                     if (this.frozenPieces.has(piece.id)) pieceEl.classList.add('frozen');
+                    if (this.shieldedPieces.has(piece.id)) pieceEl.classList.add('shielded');
                     if (this.invulnerablePieces.has(piece.id)) {
                         pieceEl.classList.add('diamond-form');
                         cell.classList.add('diamond-highlight');
@@ -1010,10 +1500,15 @@ class ChessRoguelike {
                     if (this.knightJumpActive && piece.owner === 'player') {
                         pieceEl.classList.add('knight-jump-active');
                     }
+                    if (piece.type === 'king' && kingsInCheck.includes(piece.owner)) {
+                        cell.classList.add('in-check');
+                    }
 
                     cell.appendChild(pieceEl);
                 }
 
+                if (this.portals.some(p => p.row === row && p.col === col)) cell.classList.add('portal');
+
                 // Traps
                 if (this.traps.has(`${row},${col}`)) {
                     const trapEl = document.createElement('span');
@@ -1038,26 +1533,57 @@ class ChessRoguelike {
                     }
                 }
 
-                // Enemy intent
-                if (this.enemyIntent?.to.row === row && this.enemyIntent?.to.col === col) {
+                // Enemy intent (an announced card replaces the move)
+                if (this.enemyCardIntent) {
+                    if (this.getEnemyCardTargets(this.enemyCardIntent).some(t => t.row === row && t.col === col)) {
+                        cell.classList.add('enemy-card-target');
+                    }
+                } else if (this.enemyIntent?.to.row === row && this.enemyIntent?.to.col === col) {
                     cell.classList.add('enemy-intent');
                 }
 
+                // Replay - highlight the step being viewed
+                const step = this.replayView?.action;
+                if (step) {
+                    if (step.from?.row === row && step.from?.col === col) cell.classList.add('replay-from');
+                    if (step.to?.row === row && step.to?.col === col) cell.classList.add('replay-to');
+                    if (step.targets?.some(t => t.row === row && t.col === col)) cell.classList.add('replay-target');
+                }
+
                 // Paparazzi - show all enemy attack ranges
-                if (this.showAllEnemyMoves) {
-                    for (const enemy of this.enemyPieces) {
-                        if (this.frozenPieces.has(enemy.id)) continue;
-                        const enemyMoves = this.getValidMoves(enemy, true);
-                        if (enemyMoves.some(m => m.row === row && m.col === col)) {
-                            cell.classList.add('enemy-threat-range');
-                            break;
-                        }
-                    }
+                if (enemyThreats.has(`${row},${col}`)) {
+                    cell.classList.add('enemy-threat-range');
                 }
 
                 boardEl.appendChild(cell);
             }
         }
+
+        this.renderIntentForecast(boardEl);
+    }
+
+    // Scout - numbered arrows for each forecast enemy move, drawn in board squares
+    renderIntentForecast(boardEl) {
+        const forecast = this.enemyForecast;
+        if (!forecast || forecast.length < 2) return;
+
+        const arrows = forecast.map((move, i) => {
+            const [x1, y1, x2, y2] = [move.from.col, move.from.row, move.to.col, move.to.row].map(v => v + 0.5);
+            return `
+                <line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" marker-end="url(#forecast-head)"></line>
+                <circle cx="${(x1 + x2) / 2}" cy="${(y1 + y2) / 2}" r="0.2"></circle>
+                <text x="${(x1 + x2) / 2}" y="${(y1 + y2) / 2}">${i + 1}</text>`;
+        }).join('');
+
+        boardEl.insertAdjacentHTML('beforeend', `
+            <svg class="intent-forecast" viewBox="0 0 ${this.cols} ${this.rows}">
+                <defs>
+                    <marker id="forecast-head" viewBox="0 0 4 4" refX="3" refY="2" markerWidth="4" markerHeight="4" orient="auto">
+                        <path d="M0,0 L4,2 L0,4 z"></path>
+                    </marker>
+                </defs>
+                ${arrows}
+            </svg>`);
     }
 
     renderCards() {
@@ -1069,16 +1595,22 @@ class ChessRoguelike {
             if (!card) return;
 
             const cardEl = document.createElement('div');
-            cardEl.className = 'card';
+            cardEl.className = card.curse ? 'card curse' : (card.upgraded ? 'card upgraded' : 'card');
             cardEl.dataset.card = cardId;
 
             if (this.selectedCard === cardId) cardEl.classList.add('selected');
-            if (this.cardsPlayedThisBattle >= MAX_CARDS_PER_BATTLE || !this.isPlayerTurn) {
+            if (!this.canPlayCard(cardId) || !this.isPlayerTurn) {
                 cardEl.classList.add('disabled');
             }
 
+            // Tooltip points out combos this card makes with the rest of the hand
+            const combos = getAvailableCombos(cardId, this.hand.filter(id => id !== cardId));
+            cardEl.title = [card.description, ...combos.map(c => `Combo - ${c.name}: ${c.description}`)].join('\n');
+            if (combos.length > 0) cardEl.classList.add('has-combo');
+
             const rarityClass = card.rarity.toLowerCase();
             cardEl.innerHTML = `
+                ${card.curse ? '' : `<div class="card-cost${this.getPlayCost(cardId) > this.energy ? ' unaffordable' : ''}">${this.getPlayCost(cardId)}</div>`}
                 <div class="card-name">${card.name}</div>
                 <div class="card-effect">${card.description}</div>
                 <div class="card-rarity ${rarityClass}"></div>
@@ -1098,8 +1630,28 @@ class ChessRoguelike {
         const enemyCount = document.getElementById('enemy-piece-count');
         if (enemyCount) enemyCount.textContent = `${this.enemyPieces.length} pieces`;
 
+        const bossHealth = document.getElementById('boss-health');
+        if (bossHealth) {
+            bossHealth.style.display = this.bossPhases.length > 0 ? '' : 'none';
+            document.getElementById('boss-health-fill').style.width = `${Math.round(this.rules.getBossHealth() * 100)}%`;
+            document.getElementById('boss-phase-label').textContent = `PHASE ${this.bossPhase + 1}/${this.bossPhases.length + 1}`;
+        }
+
+        const energyEl = document.getElementById('energy-count');
+        if (energyEl) energyEl.textContent = `${this.energy}/${MAX_ENERGY}`;
+
+        [['draw-pile-count', this.drawPile], ['discard-pile-count', this.discardPile], ['exhaust-pile-count', this.exhaustPile]]
+            .forEach(([id, pile]) => {
+                const el = document.getElementById(id);
+                if (el) el.textContent = pile.length;
+            });
+
         const cardsPlayed = document.getElementById('cards-played');
-        if (cardsPlayed) cardsPlayed.textContent = this.cardsPlayedThisBattle;
+        if (cardsPlayed) {
+            cardsPlayed.textContent = MAX_CARDS_PER_BATTLE
+                ? `${this.cardsPlayedThisBattle}/${MAX_CARDS_PER_BATTLE} PLAYED`
+                : `${this.cardsPlayedThisBattle} PLAYED`;
+        }
 
         const turnIndicator = document.getElementById('turn-indicator');
         if (turnIndicator) {
@@ -1112,20 +1664,34 @@ class ChessRoguelike {
         const intentText = document.getElementById('intent-text');
         if (!intentText) return;
 
-        if (this.enemyIntent) {
+        // Waves landing when the player's next turn starts
+        const waveWarning = document.getElementById('wave-warning');
+        if (waveWarning) {
+            const pieces = this.rules.getDueWaves().flatMap(wave => wave.pieces);
+            waveWarning.style.display = pieces.length > 0 ? '' : 'none';
+            waveWarning.textContent = `REINFORCEMENTS NEXT TURN: ${pieces.join(', ')}`;
+        }
+
+        if (this.enemyCardIntent) {
+            const card = getEnemyCard(this.enemyCardIntent.card);
+            const [target] = this.getEnemyCardTargets(this.enemyCardIntent);
+            intentText.textContent = `plays ${card.name}${target ? ' → ' + this.toChessNotation(target.row, target.col) : ''}`;
+            intentText.title = card.description;
+        } else if (this.enemyForecast?.length > 1) {
+            intentText.textContent = this.enemyForecast.map((move, i) => `${i + 1}. ${this.describeEnemyMove(move)}`).join('  ');
+            intentText.title = 'Scout forecast: assumes you take the best capture on offer, or pass';
+        } else if (this.enemyIntent) {
             const piece = this.enemyIntent.piece;
             const to = this.toChessNotation(this.enemyIntent.to.row, this.enemyIntent.to.col);
             const isCapture = this.board[this.enemyIntent.to.row]?.[this.enemyIntent.to.col] !== null;
-            intentText.textContent = `${piece.type} ${isCapture ? 'captures' : '→'} ${to}`;
+            intentText.textContent = `${piece.type} ${isCapture ? 'captures' : '→'} ${to}${this.bluffActive ? ' (locked by The Bluff)' : ''}`;
+            intentText.title = '';
         } else {
             intentText.textContent = '-';
+            intentText.title = '';
         }
     }
 
-    toChessNotation(row, col) {
-        return 'abcdefgh'[col] + '87654321'[row];
-    }
-
     showCardInstructions(text) {
         const el = document.getElementById('card-instructions');
         if (el) el.textContent = text;
@@ -1187,50 +1753,13 @@ class ChessRoguelike {
         }
 
         if (this.selectedPiece && validMove) {
-            if (this.cardState?.type === 'instant') {
-                this.cardsPlayedThisBattle++;
-                this.selectedCard = null;
-                this.cardState = null;
-                this.clearCardInstructions();
-            }
-
-            // Clear Dash and Ghost Walk after the move
-            const wasDash = this.dashPiece && this.dashPiece.id === this.selectedPiece.id;
-            const wasGhostWalk = this.ghostWalkPiece === this.selectedPiece.id;
-
-            this.movePiece(this.selectedPiece, row, col, validMove.piercing || false);
-
-            if (wasDash) {
-                this.dashPiece = null;
-                this.finishCardPlay(false);
-            }
-            if (wasGhostWalk) {
-                this.ghostWalkPiece = null;
-                this.finishCardPlay(false);
-            }
-
-            this.selectedPiece = null;
-            this.validMoves = [];
-
-            // Check for Ricochet (movePiece sets ricochetActive)
-            if (this.ricochetActive) {
-                this.render();
-                return; // Don't end turn, wait for second capture
-            }
-
-            // Handle Parallel Play - allow two moves
-            if (this.parallelPlayActive) {
-                this.movesThisTurn++;
-                if (this.movesThisTurn < 2) {
-                    this.showCardInstructions(`Parallel Play: ${2 - this.movesThisTurn} move(s) remaining!`);
-                    this.render();
-                    return; // Don't end turn yet
-                }
-                this.parallelPlayActive = false;
-                this.movesThisTurn = 0;
+            // A pawn reaching the last rank waits for the player's pick
+            if (this.rules.isPromotionMove(this.selectedPiece, row)) {
+                this.pendingPromotion = { row, col, move: validMove };
+                this.showPromoteOverlay(PROMOTION_PIECES);
+                return;
             }
-
-            this.endPlayerTurn();
+            this.completePlayerMove(row, col, validMove);
             return;
         }
 
@@ -1250,12 +1779,90 @@ class ChessRoguelike {
         this.render();
     }
 
-    handleCardClick(cardId) {
-        if (this.cardsPlayedThisBattle >= MAX_CARDS_PER_BATTLE) return;
+    completePlayerMove(row, col, validMove, promotion = null) {
+        if (this.cardState?.type === 'instant') {
+            this.recordAction({ type: 'card', card: this.cardState.card, targets: [] });
+            this.payForCard(this.cardState.card, this.selectedCardCost);
+            this.discardPlayedCard(this.cardState.card);
+            this.selectedCard = null;
+            this.cardState = null;
+            this.clearCardInstructions();
+        }
+
+        // Clear Dash and Ghost Walk after the move
+        const wasDash = this.dashPiece && this.dashPiece.id === this.selectedPiece.id;
+        const wasGhostWalk = this.ghostWalkPiece === this.selectedPiece.id;
+
+        this.movePiece(this.selectedPiece, row, col, validMove.piercing || false, promotion);
+
+        if (wasDash) {
+            this.dashPiece = null;
+            this.finishCardPlay(false);
+        }
+        if (wasGhostWalk) {
+            this.ghostWalkPiece = null;
+            this.finishCardPlay(false);
+        }
+
+        this.selectedPiece = null;
+        this.validMoves = [];
+
+        // Check for Ricochet (movePiece sets ricochetActive)
+        if (this.ricochetActive) {
+            this.render();
+            return; // Don't end turn, wait for second capture
+        }
+
+        // Handle Parallel Play - allow two moves
+        if (this.parallelPlayActive) {
+            this.movesThisTurn++;
+            if (this.movesThisTurn < 2) {
+                this.showCardInstructions(`Parallel Play: ${2 - this.movesThisTurn} move(s) remaining!`);
+                this.render();
+                return; // Don't end turn yet
+            }
+            this.parallelPlayActive = false;
+            this.movesThisTurn = 0;
+        }
+
+        this.endPlayerTurn();
+    }
+
+    // ============================================
+    // CARD COSTS (energy, optional per-battle cap)
+    // ============================================
+
+    // Capped at MAX_ENERGY so a repriced card can still be saved up for
+    getPlayCost(cardId) {
+        const cost = this.rules.applyFormationRules('cardCost', getCardCost(CARD_DEFINITIONS[cardId]));
+        return Math.min(MAX_ENERGY, cost);
+    }
+
+    canPlayCard(cardId) {
+        if (CARD_DEFINITIONS[cardId]?.curse) return false;
+        if (MAX_CARDS_PER_BATTLE && this.cardsPlayedThisBattle >= MAX_CARDS_PER_BATTLE) return false;
+        return this.getPlayCost(cardId) <= this.energy;
+    }
+
+    // `cost` is the price when the card was picked: a boss phase the card itself
+    // sets off (say, adding Card Tax) doesn't reprice it
+    payForCard(cardId, cost = this.getPlayCost(cardId)) {
+        this.energy -= cost;
+        this.cardsPlayedThisBattle++;
+    }
+
+    // Per-turn refill, and cards that grant extra energy
+    gainEnergy(amount) {
+        this.energy = Math.min(MAX_ENERGY, this.energy + amount);
+    }
 
+    handleCardClick(cardId) {
         const card = CARD_DEFINITIONS[cardId];
         if (!card) return;
 
+        // Deselecting is always allowed; a new pick has to be affordable
+        if (this.selectedCard !== cardId && !this.canPlayCard(cardId)) return;
+
         if (this.selectedCard === cardId) {
             this.deactivateCardEffects();
             this.selectedCard = null;
@@ -1267,13 +1874,15 @@ class ChessRoguelike {
 
         this.deactivateCardEffects();
         this.selectedCard = cardId;
+        this.selectedCardCost = this.getPlayCost(cardId);
         this.selectedPiece = null;
         this.validMoves = [];
+        this.cardTargets = [];
 
         switch (card.targeting) {
             case 'none':
                 this.cardState = { type: 'instant', card: cardId };
-                if (card.execute) card.execute(this);
+                runCardEffects(this, card);
                 break;
             case 'own_piece':
                 this.cardState = { type: 'selectPlayerPiece', card: cardId, filter: card.pieceFilter };
@@ -1301,7 +1910,7 @@ class ChessRoguelike {
                 break;
             default:
                 this.cardState = { type: 'instant', card: cardId };
-                if (card.execute) card.execute(this);
+                runCardEffects(this, card);
         }
 
         this.render();
@@ -1320,37 +1929,32 @@ class ChessRoguelike {
     handleCardAction(row, col) {
         const piece = this.board[row][col];
         const card = CARD_DEFINITIONS[this.cardState?.card];
+        this.cardTargets.push({ row, col });
 
         switch (this.cardState?.type) {
             case 'selectEnemy':
                 if (piece?.owner === 'enemy') {
-                    if (this.cardState.filter && !this.cardState.filter(piece)) {
+                    if (!matchesPieceFilter(this.cardState.filter, piece)) {
                         this.showCardInstructions('Invalid target.');
                         return;
                     }
-                    if (card?.execute) card.execute(this, piece);
+                    runCardEffects(this, card, { target: piece });
                 }
                 break;
             case 'selectPlayerPiece':
                 if (piece?.owner === 'player') {
-                    if (this.cardState.filter && !this.cardState.filter(piece)) {
+                    if (!matchesPieceFilter(this.cardState.filter, piece)) {
                         this.showCardInstructions('Invalid target.');
                         return;
                     }
-                    if (card?.execute) card.execute(this, piece);
+                    runCardEffects(this, card, { target: piece });
                 }
                 break;
             case 'selectAny':
-                if (piece && card?.execute) card.execute(this, piece);
+                if (piece) runCardEffects(this, card, { target: piece });
                 break;
             case 'selectEmpty':
-                if (!piece) {
-                    if (card?.execute) {
-                        card.execute(this, row, col);
-                    } else if (this.cardState.piece) {
-                        this.executeEmptySquareAction(row, col);
-                    }
-                }
+                if (!piece) this.executeEmptySquareAction(row, col);
                 break;
             case 'selectTwoPieces':
                 if (piece) {
@@ -1373,7 +1977,7 @@ class ChessRoguelike {
                                 return;
                             }
                         }
-                        if (card?.execute) card.execute(this, this.cardState.firstPiece, piece);
+                        runCardEffects(this, card, { target: this.cardState.firstPiece, second: piece });
                     }
                 }
                 break;
@@ -1384,7 +1988,7 @@ class ChessRoguelike {
                         this.showCardInstructions('Must be adjacent to your piece!');
                         return;
                     }
-                    if (card?.execute) card.execute(this, piece);
+                    runCardEffects(this, card, { target: piece });
                 }
                 break;
             case 'selectDirection':
@@ -1401,65 +2005,42 @@ class ChessRoguelike {
         this.render();
     }
 
+    // A card's target square, or the answer to a card waiting on one
     executeEmptySquareAction(row, col) {
-        const cardId = this.cardState.card;
-        const target = this.cardState.piece;
-
-        switch (cardId) {
-            case 'teleport':
-                this.board[target.row][target.col] = null;
-                target.row = row;
-                target.col = col;
-                this.board[row][col] = target;
-                this.showCardInstructions(`${target.type} teleported!`);
-                this.finishCardPlay();
-                break;
-            case 'clone':
-                const dist = Math.max(Math.abs(row - target.row), Math.abs(col - target.col));
-                if (dist > 1) {
-                    this.showCardInstructions('Must be adjacent!');
-                    return;
-                }
-                const clone = { type: target.type, owner: 'player', row, col, id: `clone-${Date.now()}`, isClone: true };
-                this.board[row][col] = clone;
-                this.playerPieces.push(clone);
-                this.showCardInstructions(`${target.type} cloned!`);
-                this.finishCardPlay();
-                break;
-            case 'kidnap':
-                this.board[target.row][target.col] = null;
-                target.row = row;
-                target.col = col;
-                this.board[row][col] = target;
-                this.showCardInstructions(`${target.type} kidnapped!`);
-                this.finishCardPlay();
-                break;
-            case 'deployPocket':
-                // Deploy pocketed piece from Pocket Dimension
-                const pocketed = this.pocketedPiece;
-                pocketed.row = row;
-                pocketed.col = col;
-                pocketed.id = `deployed-${Date.now()}`;
-                this.board[row][col] = pocketed;
-                this.playerPieces.push(pocketed);
-                this.pocketedPiece = null;
-                this.showCardInstructions(`${pocketed.type} deployed from pocket dimension!`);
-                this.cardState = null;
-                this.clearCardInstructions();
-                this.render();
-                break;
-            case 'resurrectPlace':
-                // Place resurrected piece
-                const resurrected = this.cardState.piece;
-                resurrected.row = row;
-                resurrected.col = col;
-                resurrected.id = `resurrected-${Date.now()}`;
-                this.board[row][col] = resurrected;
-                this.playerPieces.push(resurrected);
-                this.showCardInstructions(`${resurrected.type} resurrected!`);
-                this.finishCardPlay();
-                break;
+        if (this.cardState.card === 'deployPocket') {
+            this.deployPocketedPiece(row, col);
+            return;
+        }
+
+        const square = { row, col, name: this.toChessNotation(row, col) };
+        if (!this.cardState.resume) {
+            runCardEffects(this, CARD_DEFINITIONS[this.cardState.card], { square });
+            return;
         }
+
+        const anchor = this.cardState.piece;
+        if (this.cardState.adjacent && Math.max(Math.abs(row - anchor.row), Math.abs(col - anchor.col)) > 1) {
+            this.showCardInstructions('Must be adjacent!');
+            return;
+        }
+        resumeCardEffects(this, { square });
+    }
+
+    // Deploy pocketed piece from Pocket Dimension
+    deployPocketedPiece(row, col) {
+        const pocketed = this.pocketedPiece;
+        pocketed.row = row;
+        pocketed.col = col;
+        pocketed.id = `deployed-${this.rng.id()}`;
+        this.board[row][col] = pocketed;
+        this.playerPieces.push(pocketed);
+        this.pocketedPiece = null;
+        this.recordAction({ type: 'deployPocket', piece: pocketed.type, to: { row, col } });
+        this.showCardInstructions(`${pocketed.type} deployed from pocket dimension!`);
+        this.cardState = null;
+        this.clearCardInstructions();
+        this.render();
+        this.calculateEnemyIntent();
     }
 
     executeDirectionAction(row, col) {
@@ -1468,16 +2049,11 @@ class ChessRoguelike {
 
         for (const [dr, dc] of dirs) {
             if (piece.row + dr === row && piece.col + dc === col) {
-                if (row < 0 || row >= BOARD_ROWS || col < 0 || col >= 8 || this.board[row][col]) {
+                if (!this.isOnBoard(row, col) || this.board[row][col]) {
                     this.showCardInstructions('Cannot move there!');
                     return;
                 }
-                this.board[piece.row][piece.col] = null;
-                piece.row = row;
-                piece.col = col;
-                this.board[row][col] = piece;
-                this.showCardInstructions(`${piece.type} moved!`);
-                this.finishCardPlay();
+                resumeCardEffects(this, { square: { row, col, name: this.toChessNotation(row, col) } });
                 return;
             }
         }
@@ -1491,12 +2067,24 @@ class ChessRoguelike {
         // Log card play
         this.logEvent('CARD_PLAYED', { card: cardId, name: card?.name, isBurn: card?.isBurn });
 
-        this.cardsPlayedThisBattle++;
+        // Combos: this card may finish a tag sequence started earlier this turn
+        this.cardsPlayedThisTurn.push(cardId);
+        const combo = findCardCombo(this.cardsPlayedThisTurn);
+        if (combo) {
+            this.cardsPlayedThisTurn = [];
+            applyCardSteps(this, combo, {});
+            this.logEvent('COMBO', { combo: combo.id, name: combo.name, finisher: cardId });
+        }
+
+        // A combo's finishing card is refunded: its energy and its slot
+        if (!combo) this.payForCard(cardId, this.selectedCardCost);
         this.runStats.totalCardsPlayed++;
+        this.recordAction({ type: 'card', card: cardId, targets: this.cardTargets, combo: combo?.id || null });
+        this.cardTargets = [];
 
-        // Handle BURN cards
+        // BURN cards are exhausted and leave the deck for good
+        this.discardPlayedCard(cardId);
         if (card?.isBurn) {
-            this.hand = this.hand.filter(c => c !== cardId);
             this.deck = this.deck.filter(c => c !== cardId);
         }
 
@@ -1517,7 +2105,12 @@ class ChessRoguelike {
     // CARD MODAL HANDLERS (Promote, Resurrect)
     // ============================================
 
-    showPromoteOverlay() {
+    // Only the listed piece types are offered (the Promote card limits them; a pawn move gets all four)
+    showPromoteOverlay(options = this.cardState?.options || PROMOTION_PIECES) {
+        document.querySelectorAll('.promote-btn').forEach(btn => {
+            btn.style.display = options.includes(btn.dataset.type) ? '' : 'none';
+        });
+
         const overlay = document.getElementById('promote-overlay');
         if (overlay) {
             overlay.style.display = 'flex';
@@ -1534,16 +2127,19 @@ class ChessRoguelike {
     }
 
     handlePromoteSelection(pieceType) {
-        if (!this.cardState || this.cardState.card !== 'promote') return;
-
-        const pawn = this.cardState.piece;
-        if (pawn) {
-            pawn.type = pieceType;
-            this.showCardInstructions(`Pawn promoted to ${pieceType}!`);
+        if (this.pendingPromotion) {
+            const { row, col, move } = this.pendingPromotion;
+            this.pendingPromotion = null;
+            this.hidePromoteOverlay();
+            this.completePlayerMove(row, col, move, pieceType);
+            return;
         }
 
+        if (this.cardState?.type !== 'selectPromotion') return;
+
+        this.cardTargets.push({ choice: pieceType });
         this.hidePromoteOverlay();
-        this.finishCardPlay();
+        resumeCardEffects(this, { choice: pieceType });
     }
 
     showResurrectOverlay() {
@@ -1585,8 +2181,13 @@ class ChessRoguelike {
             overlay.style.display = 'none';
             overlay.classList.remove('active');
         }
+    }
+
+    cancelResurrect() {
+        this.hideResurrectOverlay();
         this.cardState = null;
         this.selectedCard = null;
+        this.clearCardInstructions();
         this.render();
     }
 
@@ -1596,342 +2197,98 @@ class ChessRoguelike {
 
         // Remove from captured list
         this.capturedPlayerPieces.splice(index, 1);
-
-        // Store for placement
-        this.cardState = {
-            type: 'selectEmpty',
-            card: 'resurrectPlace',
-            piece: piece
-        };
+        this.cardTargets.push({ choice: piece.type });
 
         this.hideResurrectOverlay();
-        this.showCardInstructions(`Select an empty square to place the ${piece.type}.`);
+        resumeCardEffects(this, { captured: piece });
         this.render();
     }
 
     // ============================================
-    // MOVEMENT
+    // RULES (js/rules-engine.js)
     // ============================================
 
-    getValidMoves(piece, forAI = false) {
-        if (this.frozenPieces.has(piece.id) || this.invulnerablePieces.has(piece.id)) {
-            return [];
-        }
-
-        const moves = [];
-
-        // Calculate extra range from Dash and Rally
-        let extraRange = 0;
-        if (piece.owner === 'player') {
-            if (this.dashPiece && this.dashPiece.id === piece.id) extraRange += 2;
-            if (this.rallyActive) extraRange += 1;
-        }
-
-        // Check for Ghost Walk
-        const canGhostWalk = piece.owner === 'player' && this.ghostWalkPiece === piece.id;
-
-        // Army of One: King moves like Queen
-        if (piece.type === PIECES.KING && piece.owner === 'player' && this.kingQueenMoves > 0) {
-            this.addQueenMoves(piece, moves, forAI, extraRange, canGhostWalk);
-        } else {
-            switch (piece.type) {
-                case PIECES.KING: this.addKingMoves(piece, moves, forAI); break;
-                case PIECES.QUEEN: this.addQueenMoves(piece, moves, forAI, extraRange, canGhostWalk); break;
-                case PIECES.ROOK: this.addRookMoves(piece, moves, forAI, extraRange, canGhostWalk); break;
-                case PIECES.BISHOP: this.addBishopMoves(piece, moves, forAI, extraRange, canGhostWalk); break;
-                case PIECES.KNIGHT: this.addKnightMoves(piece, moves, forAI); break;
-                case PIECES.PAWN: this.addPawnMoves(piece, moves, forAI); break;
-            }
-        }
-
-        if (this.knightJumpActive && piece.owner === 'player' && piece.type !== PIECES.KNIGHT) {
-            this.addKnightMoves(piece, moves, forAI);
-        }
-
-        if (this.snipeActive && piece.owner === 'player' && ['rook', 'bishop', 'queen'].includes(piece.type)) {
-            this.addPiercingMoves(piece, moves);
-        }
-
-        return moves;
-    }
-
-    addKingMoves(piece, moves, forAI) {
-        for (const [dr, dc] of [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]]) {
-            this.addMoveIfValid(piece, piece.row + dr, piece.col + dc, moves, forAI);
+    // Expose GameState fields as game.board, game.frozenPieces, ... so cards and
+    // rendering keep reading battle state off the game object
+    bindStateFields() {
+        for (const key of Object.keys(this.state)) {
+            Object.defineProperty(this, key, {
+                get: () => this.state[key],
+                set: (value) => { this.state[key] = value; }
+            });
         }
     }
 
-    addQueenMoves(piece, moves, forAI, extraRange = 0, canGhostWalk = false) {
-        this.addRookMoves(piece, moves, forAI, extraRange, canGhostWalk);
-        this.addBishopMoves(piece, moves, forAI, extraRange, canGhostWalk);
-    }
-
-    addRookMoves(piece, moves, forAI, extraRange = 0, canGhostWalk = false) {
-        const maxRange = 7 + extraRange;
-        for (const [dr, dc] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
-            for (let i = 1; i <= maxRange; i++) {
-                const row = piece.row + dr * i;
-                const col = piece.col + dc * i;
-                if (row < 0 || row >= BOARD_ROWS || col < 0 || col >= 8) break;
-
-                const target = this.board[row]?.[col];
-                if (!target) {
-                    moves.push({ row, col });
-                } else if (target.owner !== piece.owner) {
-                    // Can capture enemy
-                    moves.push({ row, col });
-                    if (!canGhostWalk) break; // Stop unless ghost walking
-                } else {
-                    // Own piece blocks
-                    break;
-                }
-            }
-        }
+    onPieceCaptured(piece) {
+        this.spawnCaptureParticles(piece.row, piece.col, piece.owner);
+        this.triggerScreenShake();
+        if (piece.owner === 'player') this.runStats.piecesLost++;
     }
 
-    addBishopMoves(piece, moves, forAI, extraRange = 0, canGhostWalk = false) {
-        const maxRange = 7 + extraRange;
-        for (const [dr, dc] of [[-1, -1], [-1, 1], [1, -1], [1, 1]]) {
-            for (let i = 1; i <= maxRange; i++) {
-                const row = piece.row + dr * i;
-                const col = piece.col + dc * i;
-                if (row < 0 || row >= BOARD_ROWS || col < 0 || col >= 8) break;
-
-                const target = this.board[row]?.[col];
-                if (!target) {
-                    moves.push({ row, col });
-                } else if (target.owner !== piece.owner) {
-                    // Can capture enemy
-                    moves.push({ row, col });
-                    if (!canGhostWalk) break; // Stop unless ghost walking
-                } else {
-                    // Own piece blocks
-                    break;
-                }
-            }
-        }
+    onBossPhase(phase, number) {
+        if (phase.archetype) this.aiArchetype = phase.archetype;
+        this.runStats.bossPhases.push({
+            battle: this.currentBattle,
+            formation: this.currentFormation?.id,
+            phase: number,
+            name: phase.name,
+            turn: this.turnNumber
+        });
+        this.pendingBossPhases.push({ type: 'bossPhase', phase: number, name: phase.name, archetype: phase.archetype || null });
+        this.showCardInstructions(`Phase ${number}: ${phase.name}!`);
+        this.showPhaseBanner(`PHASE ${number}: ${phase.name}`);
     }
 
-    addKnightMoves(piece, moves, forAI) {
-        for (const [dr, dc] of [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]]) {
-            this.addMoveIfValid(piece, piece.row + dr, piece.col + dc, moves, forAI);
-        }
+    showPhaseBanner(text) {
+        const banner = document.getElementById('phase-banner');
+        if (!banner) return;
+        banner.textContent = text;
+        banner.classList.remove('show');
+        void banner.offsetWidth; // Restart the animation
+        banner.classList.add('show');
     }
 
-    // Check if a piece is protected (Shield or Brace)
-    isProtected(piece) {
-        if (this.shieldedPieces.has(piece.id)) return true;
-        if (this.bracedPieces.has(piece.id)) return true;
-        return false;
+    getValidMoves(piece, forAI = false) {
+        return this.rules.getValidMoves(piece, forAI);
     }
 
-    addPawnMoves(piece, moves, forAI) {
-        const dir = piece.owner === 'player' ? -1 : 1;
-        const startRow = piece.owner === 'player' ? 6 : 1;
-        const newRow = piece.row + dir;
+    movePiece(piece, toRow, toCol, isPiercing = false, promotion = null) {
+        const owner = piece.owner;
+        const type = piece.type;
+        const from = { row: piece.row, col: piece.col };
+        const target = this.rules.isEnPassantCapture(piece, toRow, toCol)
+            ? this.board[from.row][toCol]
+            : this.board[toRow][toCol];
+        const promoting = this.rules.isPromotionMove(piece, toRow);
 
-        if (newRow >= 0 && newRow < BOARD_ROWS && !this.board[newRow][piece.col]) {
-            moves.push({ row: newRow, col: piece.col });
-            const doubleRow = piece.row + dir * 2;
-            if (piece.row === startRow && !this.board[doubleRow]?.[piece.col]) {
-                moves.push({ row: doubleRow, col: piece.col });
-            }
-        }
+        this.rules.movePiece(piece, toRow, toCol, isPiercing, promotion);
 
-        for (const dc of [-1, 1]) {
-            const captureCol = piece.col + dc;
-            if (captureCol >= 0 && captureCol < 8) {
-                const target = this.board[newRow]?.[captureCol];
-                if (target && target.owner !== piece.owner) {
-                    moves.push({ row: newRow, col: captureCol });
-                }
-            }
-        }
+        const moved = this.board[toRow][toCol] === piece;
+        const captured = target && moved ? target.type : null;
+        this.recordAction({
+            type: 'move', owner, piece: type, from, to: { row: toRow, col: toCol }, captured, isPiercing,
+            promotion: promoting && moved ? piece.type : null
+        });
     }
 
-    addPiercingMoves(piece, moves) {
-        const dirs = piece.type === 'rook' ? [[-1, 0], [1, 0], [0, -1], [0, 1]] :
-            piece.type === 'bishop' ? [[-1, -1], [-1, 1], [1, -1], [1, 1]] :
-                [[-1, 0], [1, 0], [0, -1], [0, 1], [-1, -1], [-1, 1], [1, -1], [1, 1]];
-
-        for (const [dr, dc] of dirs) {
-            let obstacles = 0;
-            for (let i = 1; i < 8; i++) {
-                const row = piece.row + dr * i;
-                const col = piece.col + dc * i;
-                if (row < 0 || row >= BOARD_ROWS || col < 0 || col >= 8) break;
-
-                const target = this.board[row][col];
-                if (target) {
-                    obstacles++;
-                    if (obstacles === 2 && target.owner !== piece.owner && target.type !== 'king') {
-                        if (!moves.some(m => m.row === row && m.col === col)) {
-                            moves.push({ row, col, piercing: true });
-                        }
-                        break;
-                    }
-                    if (obstacles >= 2) break;
-                }
-            }
-        }
+    capturePiece(piece, capturer = null) {
+        this.rules.capturePiece(piece, capturer);
     }
 
-    addMoveIfValid(piece, row, col, moves, forAI) {
-        if (row < 0 || row >= BOARD_ROWS || col < 0 || col >= 8) return false;
-
-        const target = this.board[row][col];
-        if (!target) {
-            moves.push({ row, col });
-            return true;
-        }
-        if (target.owner !== piece.owner) {
-            moves.push({ row, col });
-            return true;
-        }
-        return false;
+    updateStatusEffects() {
+        this.rules.updateStatusEffects();
     }
 
-    movePiece(piece, toRow, toCol, isPiercing = false) {
-        // Enforce Freeze: If frozen, cannot move
-        if (this.frozenPieces.has(piece.id)) {
-            this.showCardInstructions(`${piece.type} is frozen and cannot move!`);
-            // Decrement freeze duration if it's the piece trying to move (optional, already handled in updateStatusEffects)
-            return;
-        }
-
-        const trapKey = `${toRow},${toCol}`;
-        const fromRow = piece.row;
-        const fromCol = piece.col;
-
-        if (this.traps.has(trapKey)) {
-            this.traps.delete(trapKey);
-            this.board[piece.row][piece.col] = null;
-            this.capturePiece(piece, null); // No capturer for trap
-            this.checkGameEnd();
-            return;
-        }
-
-        const captured = this.board[toRow][toCol];
-        let captureOccurred = false;
-
-        if (captured) {
-            // Check Protections: Invulnerable, Shielded, Braced
-            // If the pieces are protected, the attack fails and the turn is lost
-            if (this.invulnerablePieces.has(captured.id) ||
-                this.shieldedPieces.has(captured.id) ||
-                this.bracedPieces.has(captured.id)) {
-                this.showCardInstructions(`Attack failed! ${captured.type} is protected.`);
-                return;
-            }
-
-            // Check for Checkmate Denied
-            if (captured.type === PIECES.KING && captured.owner === 'player' && this.checkmateDeniedActive) {
-                this.checkmateDeniedActive = false;
-                this.showCardInstructions('Checkmate Denied! Your King survives!');
-                // King survives - don't capture, just move attacker nearby
-                // Find adjacent empty square for attacker
-                const adjSquares = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
-                for (const [dr, dc] of adjSquares) {
-                    const r = toRow + dr;
-                    const c = toCol + dc;
-                    if (r >= 0 && r < BOARD_ROWS && c >= 0 && c < 8 && !this.board[r][c]) {
-                        this.board[piece.row][piece.col] = null;
-                        piece.row = r;
-                        piece.col = c;
-                        this.board[r][c] = piece;
-                        return;
-                    }
-                }
-                // No adjacent square, attacker stays in place
-                return;
-            }
-
-            captureOccurred = true;
-            this.capturePiece(captured, piece);
-        }
-
-        // Track last player move for "I Didn't See That"
-        if (piece.owner === 'player') {
-            this.lastPlayerMove = {
-                piece,
-                from: { row: fromRow, col: fromCol },
-                to: { row: toRow, col: toCol },
-                wasCapture: captureOccurred
-            };
-        }
-
-        this.board[piece.row][piece.col] = null;
-        piece.row = toRow;
-        piece.col = toCol;
-        this.board[toRow][toCol] = piece;
-
-        // Pawn promotion
-        if (piece.type === PIECES.PAWN) {
-            const promoRow = piece.owner === 'player' ? 0 : 7;
-            if (toRow === promoRow) piece.type = PIECES.QUEEN;
-        }
-
-        // Handle Ricochet - allow second capture
-        if (captureOccurred && piece.owner === 'player' && this.ricochetPiece === piece.id) {
-            this.ricochetPiece = null;
-            this.ricochetActive = true;
-            this.ricochetPieceForSecond = piece;
-            this.showCardInstructions('Ricochet! Make another capture if possible.');
-        }
-
-        // Log the move
-        this.logMove(piece, fromRow, fromCol, toRow, toCol, captured, { isPiercing });
-
-        this.checkGameEnd();
+    checkGameEnd() {
+        return this.rules.checkGameEnd();
     }
 
-    capturePiece(piece, capturer = null) {
-        this.spawnCaptureParticles(piece.row, piece.col, piece.owner);
-        this.triggerScreenShake();
-
-        // Handle Traitor's Mark - if marked enemy captures, it converts
-        if (capturer && capturer.owner === 'enemy' && this.traitorMarked.has(capturer.id)) {
-            this.traitorMarked.delete(capturer.id);
-            // Convert enemy to player's side
-            this.enemyPieces = this.enemyPieces.filter(p => p !== capturer);
-            capturer.owner = 'player';
-            capturer.id = `traitor-${Date.now()}`;
-            this.playerPieces.push(capturer);
-            this.showCardInstructions(`Traitor! ${capturer.type} joins your side!`);
-        }
-
-        if (piece.owner === 'player') {
-            this.playerPieces = this.playerPieces.filter(p => p !== piece);
-            this.capturedPlayerPieces.push({ ...piece });
-            this.runStats.piecesLost++;
-        } else {
-            this.enemyPieces = this.enemyPieces.filter(p => p !== piece);
-            this.capturedEnemyPieces.push({ ...piece });
-        }
-
-        // Clean up status effects
-        [this.frozenPieces, this.invulnerablePieces, this.shieldedPieces, this.bracedPieces, this.phantomPieces].forEach(m => m.delete(piece.id));
-
-        if (this.chainReactionActive && piece.owner === 'enemy') {
-            this.chainReactionActive = false;
-            this.triggerChainReaction(piece.row, piece.col);
-        }
+    saveBoardState() {
+        this.rules.saveBoardState();
     }
 
-    triggerChainReaction(row, col) {
-        let damaged = 0;
-        for (const [dr, dc] of [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]]) {
-            const r = row + dr, c = col + dc;
-            if (r >= 0 && r < BOARD_ROWS && c >= 0 && c < 8) {
-                const adj = this.board[r][c];
-                if (adj?.owner === 'enemy' && adj.type !== 'king') {
-                    this.board[r][c] = null;
-                    this.capturePiece(adj);
-                    damaged++;
-                }
-            }
-        }
-        if (damaged) this.showCardInstructions(`Chain Reaction! ${damaged} enemies destroyed!`);
+    restoreBoardState() {
+        return this.rules.restoreBoardState();
     }
 
     // ============================================
@@ -1939,55 +2296,51 @@ class ChessRoguelike {
     // ============================================
 
     endPlayerTurn() {
-        this.isPlayerTurn = false;
-        this.knightJumpActive = false;
-        this.snipeActive = false;
+        this.rules.endPlayerTurn();
         this.render();
 
         if (this.gameOver) return;
 
+        this.saveRun('battle');
         setTimeout(() => this.doEnemyTurn(), 600);
     }
 
     async doEnemyTurn() {
-        if (this.skipEnemyTurn) {
-            this.skipEnemyTurn = false;
-            this.startPlayerTurn();
+        // Skip, Loaded Dice and Zugzwang resolve before the AI gets a say
+        const modifiers = this.rules.resolveEnemyTurnModifiers();
+        if (modifiers.skipped) {
+            this.recordAction({ type: 'enemySkip' });
+            if (!this.gameOver) this.startPlayerTurn();
             return;
         }
 
-        // Handle Loaded Dice - 50% chance enemy move fails
-        if (this.loadedDiceActive) {
-            this.loadedDiceActive = false;
-            if (Math.random() < 0.5) {
-                this.showCardInstructions('Loaded Dice! Enemy move failed!');
-                this.updateStatusEffects();
-                if (!this.gameOver) this.startPlayerTurn();
-                return;
-            }
+        this.enemyForecast = null;
+
+        // A card announced in the intent panel is played instead of a move,
+        // as long as it still has a target after the player's turn
+        const announced = this.enemyCardIntent;
+        this.enemyCardIntent = null;
+        const cardPlan = announced && !modifiers.forcedMove ? this.getEnemyCardPlan(null, announced.card) : null;
+
+        // The Bluff hides the player's move from the enemy; it's spent on the
+        // first enemy turn that follows a move
+        const bluffed = this.bluffActive && this.lastPlayerMove?.turn === this.turnNumber;
+        if (bluffed) this.bluffActive = false;
+
+        if (cardPlan) {
+            this.enemyDecoy = null;
+            this.playEnemyCard(cardPlan);
+            return;
         }
 
         const gameState = this.getGameState();
         const playerCards = this.hand;
 
-        let bestMove = null;
-
-        // Handle Zugzwang - force enemy to move their King
-        if (this.zugzwangActive) {
-            this.zugzwangActive = false;
-            const enemyKing = this.enemyPieces.find(p => p.type === PIECES.KING);
-            if (enemyKing && !this.frozenPieces.has(enemyKing.id)) {
-                const kingMoves = this.getValidMoves(enemyKing, true);
-                if (kingMoves.length > 0) {
-                    const move = kingMoves[Math.floor(Math.random() * kingMoves.length)];
-                    bestMove = {
-                        piece: enemyKing,
-                        from: { row: enemyKing.row, col: enemyKing.col },
-                        to: move
-                    };
-                    this.showCardInstructions('Zugzwang! Enemy King must move!');
-                }
-            }
+        let bestMove = modifiers.forcedMove || null;
+
+        if (!bestMove && bluffed) {
+            bestMove = this.getBluffedMove();
+            this.enemyDecoy = null;
         }
 
         // If no Zugzwang move, use the comprehensive ChessAI system
@@ -2009,38 +2362,59 @@ class ChessRoguelike {
             }
         }
 
+        // Classical rules: the AI may not leave its King in check (Stockfish knows this,
+        // the fallback AIs only filter when told, so re-check whatever came back)
+        if (this.state.chessRules.classical && bestMove && !this.rules.isLegalMove(bestMove.piece, bestMove.to)) {
+            console.warn('[AI] Move leaves King in check, choosing a legal one:', bestMove);
+            bestMove = typeof EnemyAI !== 'undefined'
+                ? EnemyAI.calculateBestMoveFallback(gameState, playerCards, this.aiDifficulty, this.aiArchetype)
+                : null;
+        }
+
         // Check if AI's best move has a very low score (indicates checkmate)
         // Score of -99900 means mate in 1, -99800 means mate in 2, etc.
-        if (bestMove && bestMove.score !== undefined && bestMove.score <= -99000) {
+        // Classical rules detect real checkmate instead.
+        if (!this.state.chessRules.classical && bestMove && bestMove.score !== undefined && bestMove.score <= -99000) {
             this.logEvent('CHECKMATE_BY_SCORE', { score: bestMove.score, bestMove: bestMove.uci });
-            this.onBattleVictory();
+            this.recordAction({ type: 'checkmate', score: bestMove.score });
+            this.rules.endBattle('victory');
             return;
         }
 
+        // A bluffing boss showed a decoy; own up to it once the real move is made
+        const decoy = this.enemyDecoy;
+        this.enemyDecoy = null;
+        if (decoy && bestMove && !this.isSameMove(decoy, bestMove)) {
+            const shown = this.describeEnemyMove(decoy);
+            const played = this.describeEnemyMove(bestMove);
+            this.logEvent('BLUFF', { by: 'enemy', shown, played });
+            this.showCardInstructions(`The enemy was bluffing! It showed ${shown} but played ${played}.`);
+        }
+
         if (bestMove) {
             this.enemyIntent = bestMove;
-            this.movePiece(bestMove.piece, bestMove.to.row, bestMove.to.col);
+            this.movePiece(bestMove.piece, bestMove.to.row, bestMove.to.col, false, bestMove.promotion || null);
         }
 
         this.updateStatusEffects();
+        // Status effects tick at the end of the enemy turn; show that on the enemy's step
+        if (bestMove) this.replayRecorder.updateLastFrame(this.state);
 
         if (!this.gameOver) this.startPlayerTurn();
     }
 
     startPlayerTurn() {
-        this.isPlayerTurn = true;
-        this.turnNumber++;
-        this.saveBoardState();
-
-        // Handle Pocket Dimension - deploy pocketed piece
-        if (this.pocketedPiece) {
-            this.cardState = {
-                type: 'selectEmpty',
-                card: 'deployPocket',
-                piece: this.pocketedPiece
-            };
-            this.showCardInstructions(`Deploy ${this.pocketedPiece.type} from pocket dimension! Click an empty square.`);
+        this.rules.startPlayerTurn();
+        this.cardsPlayedThisTurn = [];
+        this.gainEnergy(ENERGY_PER_TURN);
+        this.drawCards(CARDS_DRAWN_PER_TURN);
+        // Classical rules may have just found the player mated or stalemated
+        if (this.gameOver) {
+            this.render();
+            return;
         }
+        this.saveRun('battle');
+        this.promptPocketDeploy();
 
         this.render();
 
@@ -2048,55 +2422,16 @@ class ChessRoguelike {
         this.calculateEnemyIntent();
     }
 
-    updateStatusEffects() {
-        const decrement = (map) => {
-            for (const [id, turns] of map) {
-                if (turns <= 1) map.delete(id);
-                else map.set(id, turns - 1);
-            }
-        };
-
-        decrement(this.frozenPieces);
-        decrement(this.invulnerablePieces);
-        decrement(this.shieldedPieces);
-        decrement(this.bracedPieces);
-
-        // Phantom pieces
-        for (const [id, turns] of this.phantomPieces) {
-            if (turns <= 1) {
-                this.phantomPieces.delete(id);
-                const phantom = this.playerPieces.find(p => p.id === id);
-                if (phantom) {
-                    this.board[phantom.row][phantom.col] = null;
-                    this.playerPieces = this.playerPieces.filter(p => p.id !== id);
-                }
-            } else {
-                this.phantomPieces.set(id, turns - 1);
-            }
-        }
+    // Handle Pocket Dimension - deploy pocketed piece
+    promptPocketDeploy() {
+        if (!this.pocketedPiece) return;
 
-        // Controlled enemies
-        for (const [id, data] of this.controlledEnemies) {
-            if (data.turnsLeft <= 1) {
-                this.controlledEnemies.delete(id);
-                const piece = this.playerPieces.find(p => p.id === id);
-                if (piece) {
-                    piece.owner = 'enemy';
-                    this.playerPieces = this.playerPieces.filter(p => p.id !== id);
-                    this.enemyPieces.push(piece);
-                }
-            } else {
-                data.turnsLeft--;
-            }
-        }
-
-        if (this.kingQueenMoves > 0) this.kingQueenMoves--;
-        if (this.extendedIntentTurns > 0) this.extendedIntentTurns--;
-
-        this.rallyActive = false;
-        this.showAllEnemyMoves = false;
-        this.loadedDiceActive = false;
-        this.zugzwangActive = false;
+        this.cardState = {
+            type: 'selectEmpty',
+            card: 'deployPocket',
+            piece: this.pocketedPiece
+        };
+        this.showCardInstructions(`Deploy ${this.pocketedPiece.type} from pocket dimension! Click an empty square.`);
     }
 
     // ============================================
@@ -2104,19 +2439,15 @@ class ChessRoguelike {
     // ============================================
 
     getGameState() {
-        return {
-            board: this.board,
-            playerPieces: this.playerPieces,
-            enemyPieces: this.enemyPieces,
-            frozenPieces: this.frozenPieces,
-            invulnerablePieces: this.invulnerablePieces,
-            traps: this.traps
-        };
+        // An Exposed curse in hand shows the AI the rest of it
+        const handRevealed = this.hand.some(id => CARD_DEFINITIONS[id]?.revealsHand);
+        return { ...this.rules.getGameState(), handRevealed };
     }
 
     async calculateEnemyIntent() {
         if (typeof EnemyAI === 'undefined') return;
-        const gameState = this.getGameState();
+        // Preview on a copy of the RNG so it doesn't consume the enemy's real rolls
+        const gameState = { ...this.getGameState(), rng: this.rng.clone() };
 
         try {
             // Use async Stockfish-powered intent preview
@@ -2126,249 +2457,809 @@ class ChessRoguelike {
             this.enemyIntent = EnemyAI.previewEnemyIntent(gameState, this.hand, this.aiDifficulty, this.aiArchetype);
         }
 
+        // The AI may prefer one of its cards to that move; announce it now so
+        // the player can react before it resolves
+        this.enemyCardIntent = this.getEnemyCardPlan(this.enemyIntent);
+
+        // Bluffing bosses sometimes show a decoy instead: what a careless AI would
+        // play. Rolled once per turn from the seed, so replanning can't reroll it.
+        this.enemyDecoy = null;
+        const bluffChance = this.currentFormation?.bluffChance || 0;
+        if (bluffChance > 0 && !this.enemyCardIntent && this.enemyIntent) {
+            const bluffRng = new SeededRNG(`${this.runSeed}:bluff:${this.currentBattle}:${this.turnNumber}`);
+            if (bluffRng.chance(bluffChance)) {
+                const decoy = EnemyAI.previewEnemyIntent({ ...gameState, rng: bluffRng }, this.hand, 'EASY', this.aiArchetype);
+                if (decoy && !this.isSameMove(decoy, this.enemyIntent)) {
+                    this.enemyDecoy = decoy;
+                    this.enemyIntent = decoy;
+                }
+            }
+        }
+
+        // Scout: extend the intent into a forecast of the next few enemy moves
+        this.enemyForecast = null;
+        if (this.extendedIntentTurns > 0 && this.enemyIntent && !this.enemyCardIntent) {
+            this.enemyForecast = EnemyAI.forecastEnemyMoves(
+                { ...gameState, rng: this.rng.clone() }, this.hand, this.aiDifficulty, this.aiArchetype,
+                this.extendedIntentTurns, this.enemyIntent
+            );
+        }
+
         // Re-render to show updated intent
         this.renderEnemyIntent();
         this.renderBoard();
     }
 
+    /**
+     * The Bluff: the player's move was hidden, so the enemy plays the intent it
+     * showed before that move.
+     * @returns {Object|null} The shown move, or null if it's no longer possible
+     */
+    getBluffedMove() {
+        const shown = this.enemyIntent;
+        const piece = shown && this.enemyPieces.find(p => p.id === shown.piece.id);
+        const possible = !!piece && this.getValidMoves(piece, true)
+            .some(m => m.row === shown.to.row && m.col === shown.to.col);
+
+        this.logEvent('BLUFF', { by: 'player', shown: shown ? this.describeEnemyMove(shown) : null, committed: possible });
+        if (!possible) {
+            this.showCardInstructions('The Bluff: the enemy\'s plan fell apart, it has to think again.');
+            return null;
+        }
+        this.showCardInstructions(`The Bluff: the enemy fell for it and played ${this.describeEnemyMove(shown)}.`);
+        return { ...shown, piece };
+    }
+
+    isSameMove(a, b) {
+        return a.piece.id === b.piece.id && a.to.row === b.to.row && a.to.col === b.to.col;
+    }
+
+    describeEnemyMove(move) {
+        return `${move.piece.type} → ${this.toChessNotation(move.to.row, move.to.col)}`;
+    }
+
+    /**
+     * @param {Object|null} plannedMove - The move the card would replace
+     * @param {string} [onlyCard] - Re-aim just this card
+     */
+    getEnemyCardPlan(plannedMove, onlyCard = null) {
+        if (this.enemyHand.length === 0) return null;
+        // Classical rules: a King in check has to be answered with a move
+        if (this.state.chessRules.classical && this.rules.isKingInCheck('enemy')) return null;
+        return planEnemyCard(this, plannedMove, onlyCard);
+    }
+
+    // Squares a card plan touches, for the board highlight and the replay
+    getEnemyCardTargets(plan) {
+        return ['target', 'second', 'square']
+            .map(key => plan.ctx[key])
+            .filter(Boolean)
+            .map(({ row, col }) => ({ row, col }));
+    }
+
+    playEnemyCard(plan) {
+        const card = getEnemyCard(plan.card);
+        const targets = this.getEnemyCardTargets(plan);
+
+        resolveEnemyCard(this, plan);
+        this.logEvent('ENEMY_CARD_PLAYED', { card: plan.card, name: card.name, worth: plan.worth });
+        console.log(`%c[Enemy] plays ${card.name}`, 'color: #f44336');
+        this.recordAction({ type: 'enemyCard', card: plan.card, targets });
+
+        this.enemyIntent = null;
+        this.updateStatusEffects();
+        this.replayRecorder.updateLastFrame(this.state);
+
+        if (!this.gameOver) this.startPlayerTurn();
+    }
+
     // ============================================
-    // WIN/LOSE
+    // SAVE / RESUME
     // ============================================
 
-    checkGameEnd() {
-        const playerKing = this.playerPieces.find(p => p.type === PIECES.KING);
-        if (!playerKing) {
-            this.logEvent('KING_CAPTURED', { owner: 'player' });
-            this.onBattleDefeat();
-            return;
+    /**
+     * Snapshot the run to localStorage.
+     * @param {string} screen - Where to resume: 'preBattle', 'cardSelect', 'reward' or 'battle'
+     */
+    saveRun(screen) {
+        if (!this.runActive) return;
+
+        const snapshot = {
+            version: SAVE_VERSION,
+            savedAt: Date.now(),
+            screen,
+            run: {
+                runSeed: this.runSeed,
+                classicalRules: this.classicalRules,
+                currentBattle: this.currentBattle,
+                playerLoadout: this.playerLoadout,
+                deck: this.deck,
+                hand: this.hand,
+                drawPile: this.drawPile,
+                discardPile: this.discardPile,
+                exhaustPile: this.exhaustPile,
+                selectedBattleCards: this.selectedBattleCards,
+                cardsPlayedThisBattle: this.cardsPlayedThisBattle,
+                rewardOptions: this.rewardOptions,
+                shopOffer: this.shopOffer,
+                runStats: this.runStats,
+                formation: this.currentFormation,
+                aiDifficulty: this.aiDifficulty,
+                aiArchetype: this.aiArchetype
+            },
+            battle: this.state.toJSON()
+        };
+
+        try {
+            this.writeStorage(SAVE_KEY, JSON.stringify(snapshot));
+        } catch (err) {
+            console.warn('[Save] Could not save run:', err);
         }
+    }
 
-        const enemyKing = this.enemyPieces.find(p => p.type === PIECES.KING);
-        if (!enemyKing || this.enemyPieces.length === 0) {
-            this.logEvent('ENEMY_KING_CAPTURED');
-            this.onBattleVictory();
-            return;
+    /**
+     * localStorage.setItem that makes room when the store is full. Stored
+     * replays are the only thing safe to lose, so the oldest go first.
+     */
+    writeStorage(key, json) {
+        let replays = this.loadReplays();
+        for (;;) {
+            try {
+                localStorage.setItem(key, json);
+                return;
+            } catch (err) {
+                if (replays.length === 0) throw err;
+                replays = replays.slice(0, -1);
+                localStorage.setItem(REPLAY_KEY, JSON.stringify(replays));
+                console.warn(`[Save] Storage full, dropped an old replay (${replays.length} left)`);
+            }
         }
+    }
 
-        // Check for checkmate (enemy king in check with no escape)
-        if (this.isCheckmate('enemy')) {
-            this.logEvent('CHECKMATE_DETECTED');
-            this.onBattleVictory();
-            return;
+    loadSave() {
+        try {
+            const raw = localStorage.getItem(SAVE_KEY);
+            if (!raw) return null;
+
+            const save = JSON.parse(raw);
+            if (save.version !== SAVE_VERSION) {
+                console.warn(`[Save] Discarding save version ${save.version} (expected ${SAVE_VERSION})`);
+                this.clearSave();
+                return null;
+            }
+            return save;
+        } catch (err) {
+            console.warn('[Save] Could not read save:', err);
+            return null;
         }
     }
 
-    // Check if a square is attacked by pieces of a given owner
-    isSquareAttackedBy(row, col, attackerOwner) {
-        const pieces = attackerOwner === 'player' ? this.playerPieces : this.enemyPieces;
+    clearSave() {
+        try {
+            localStorage.removeItem(SAVE_KEY);
+        } catch (err) {
+            console.warn('[Save] Could not clear save:', err);
+        }
+    }
 
-        for (const piece of pieces) {
-            if (this.frozenPieces.has(piece.id)) continue;
+    updateContinueButton() {
+        const btn = document.getElementById('continue-run-btn');
+        if (!btn) return;
 
-            const validMoves = this.getBasicAttacks(piece);
-            if (validMoves.some(m => m.row === row && m.col === col)) {
-                return true;
-            }
-        }
-        return false;
+        const save = this.loadSave();
+        btn.style.display = save ? '' : 'none';
+        if (save) btn.textContent = `CONTINUE RUN (BATTLE ${save.run.currentBattle}/${this.totalBattles})`;
     }
 
-    // Get basic attack squares for a piece (without card modifiers)
-    getBasicAttacks(piece) {
-        const attacks = [];
+    continueRun() {
+        const save = this.loadSave();
+        if (!save) return;
 
-        switch (piece.type) {
-            case PIECES.PAWN: {
-                const dir = piece.owner === 'enemy' ? 1 : -1;
-                // Pawns attack diagonally
-                const leftAttack = { row: piece.row + dir, col: piece.col - 1 };
-                const rightAttack = { row: piece.row + dir, col: piece.col + 1 };
-                if (leftAttack.col >= 0 && leftAttack.row >= 0 && leftAttack.row < BOARD_ROWS) {
-                    attacks.push(leftAttack);
-                }
-                if (rightAttack.col < 8 && rightAttack.row >= 0 && rightAttack.row < BOARD_ROWS) {
-                    attacks.push(rightAttack);
-                }
-                break;
-            }
-            case PIECES.KNIGHT: {
-                const offsets = [[-2,-1],[-2,1],[-1,-2],[-1,2],[1,-2],[1,2],[2,-1],[2,1]];
-                for (const [dr, dc] of offsets) {
-                    const r = piece.row + dr, c = piece.col + dc;
-                    if (r >= 0 && r < BOARD_ROWS && c >= 0 && c < 8) {
-                        attacks.push({ row: r, col: c });
-                    }
-                }
-                break;
-            }
-            case PIECES.KING: {
-                for (let dr = -1; dr <= 1; dr++) {
-                    for (let dc = -1; dc <= 1; dc++) {
-                        if (dr === 0 && dc === 0) continue;
-                        const r = piece.row + dr, c = piece.col + dc;
-                        if (r >= 0 && r < BOARD_ROWS && c >= 0 && c < 8) {
-                            attacks.push({ row: r, col: c });
-                        }
-                    }
-                }
-                break;
-            }
-            case PIECES.ROOK: {
-                this.addSlidingAttacks(piece, attacks, [[0,1],[0,-1],[1,0],[-1,0]]);
+        const run = save.run;
+        this.runActive = true;
+        this.runSeed = run.runSeed;
+        this.classicalRules = !!run.classicalRules;
+        this.currentBattle = run.currentBattle;
+        this.playerLoadout = run.playerLoadout;
+        this.deck = run.deck;
+        this.hand = run.hand;
+        this.drawPile = run.drawPile;
+        this.discardPile = run.discardPile;
+        this.exhaustPile = run.exhaustPile;
+        this.selectedBattleCards = run.selectedBattleCards;
+        this.cardsPlayedThisBattle = run.cardsPlayedThisBattle;
+        this.rewardOptions = run.rewardOptions;
+        this.shopOffer = run.shopOffer;
+        this.runStats = run.runStats;
+        this.currentFormation = run.formation;
+        this.aiDifficulty = run.aiDifficulty;
+        this.aiArchetype = run.aiArchetype;
+
+        // Battle state carries the run RNG, so it is restored even between battles
+        this.state = GameState.fromJSON(save.battle);
+        this.rules.state = this.state;
+
+        // Keep the loadout screen in sync for when the run ends
+        this.playerLoadout.forEach((type, i) => {
+            const select = document.getElementById(`slot${i + 1}-select`);
+            if (select) select.value = type;
+        });
+        this.updateLoadoutDisplay();
+        const seedInput = document.getElementById('seed-input');
+        if (seedInput) seedInput.value = this.runSeed;
+        const classicalInput = document.getElementById('classical-rules-input');
+        if (classicalInput) classicalInput.checked = this.classicalRules;
+
+        console.log(`%c[Save] Continuing run ${this.runSeed} at battle ${this.currentBattle} (${save.screen})`, 'color: #2196F3');
+        document.getElementById('loadout-screen').style.display = 'none';
+
+        switch (save.screen) {
+            case 'cardSelect':
+                this.showCardSelectScreen();
                 break;
-            }
-            case PIECES.BISHOP: {
-                this.addSlidingAttacks(piece, attacks, [[1,1],[1,-1],[-1,1],[-1,-1]]);
+            case 'reward':
+                this.showCardReward(this.rewardOptions);
                 break;
-            }
-            case PIECES.QUEEN: {
-                this.addSlidingAttacks(piece, attacks, [[0,1],[0,-1],[1,0],[-1,0],[1,1],[1,-1],[-1,1],[-1,-1]]);
+            case 'battle':
+                this.resumeBattle();
                 break;
-            }
+            default:
+                this.showPreBattleScreen();
         }
-
-        return attacks;
     }
 
-    addSlidingAttacks(piece, attacks, directions) {
-        for (const [dr, dc] of directions) {
-            for (let i = 1; i <= 7; i++) {
-                const r = piece.row + dr * i;
-                const c = piece.col + dc * i;
-                if (r < 0 || r >= BOARD_ROWS || c < 0 || c >= 8) break;
+    resumeBattle() {
+        document.getElementById('game-container').style.display = 'flex';
+        this.startReplayRecording({ resumed: true });
 
-                attacks.push({ row: r, col: c });
+        this.selectedPiece = null;
+        this.validMoves = [];
+        this.selectedCard = null;
+        this.cardState = null;
+        this.enemyIntent = null;
+        this.enemyCardIntent = null;
+        this.enemyDecoy = null;
+        this.enemyForecast = null;
 
-                // Stop if there's a piece (can attack it but not beyond)
-                if (this.board[r]?.[c]) break;
-            }
+        this.renderFormationName();
+        this.render();
+        this.bindBattleEvents();
+
+        if (this.gameOver) return;
+
+        if (this.isPlayerTurn) {
+            this.promptPocketDeploy();
+            this.render();
+            this.calculateEnemyIntent();
+        } else {
+            // Saved right after the player's move; let the enemy answer it
+            setTimeout(() => this.doEnemyTurn(), 600);
         }
     }
 
-    // Check if a king is in check
-    isKingInCheck(kingOwner) {
-        const king = kingOwner === 'player'
-            ? this.playerPieces.find(p => p.type === PIECES.KING)
-            : this.enemyPieces.find(p => p.type === PIECES.KING);
+    // ============================================
+    // FEN / PGN
+    // ============================================
+
+    getPGN() {
+        return this.rules.toPGN({
+            Date: new Date().toISOString().slice(0, 10).replace(/-/g, '.'),
+            Round: String(this.currentBattle),
+            Seed: this.runSeed || '?',
+            Formation: this.currentFormation?.name || '?',
+            Difficulty: this.aiDifficulty || '?'
+        });
+    }
+
+    copyFEN() {
+        this.copyNotation(this.rules.toFEN(), 'FEN');
+    }
+
+    copyPGN() {
+        this.copyNotation(this.getPGN(), 'PGN');
+    }
+
+    copyNotation(text, label) {
+        navigator.clipboard.writeText(text).then(() => {
+            console.log(`%c[${label}] Copied to clipboard!`, 'color: #4CAF50');
+            this.showCardInstructions(`${label} copied to clipboard.`);
+        }).catch(() => {
+            console.log(text);
+            console.log(`%c[${label}] Could not copy, printed above`, 'color: #FF9800');
+        });
+        return text;
+    }
 
-        if (!king) return false;
+    showFENInput() {
+        const input = document.getElementById('fen-input');
+        if (input) input.value = this.rules.toFEN();
+        const errorEl = document.getElementById('fen-error');
+        if (errorEl) errorEl.textContent = '';
+        document.getElementById('fen-overlay').style.display = 'flex';
+    }
 
-        const attackerOwner = kingOwner === 'player' ? 'enemy' : 'player';
-        return this.isSquareAttackedBy(king.row, king.col, attackerOwner);
+    hideFENInput() {
+        document.getElementById('fen-overlay').style.display = 'none';
     }
 
-    // Check if it's checkmate (king in check + no legal moves escape check)
-    isCheckmate(kingOwner) {
-        // First check if king is in check
-        if (!this.isKingInCheck(kingOwner)) {
+    /**
+     * Start a battle from a FEN position (sidebar button or loadFEN() in the console).
+     * Works from any screen, so puzzles and bug reports can be set up straight away.
+     * @returns {boolean} false if the FEN was rejected
+     */
+    loadFEN(fen) {
+        if (this.replayView) this.closeReplay();
+
+        try {
+            this.rules.loadFEN(fen, { classical: this.classicalRules });
+        } catch (err) {
+            console.log(`%c[FEN] ${err.message}`, 'color: #f44336');
+            const errorEl = document.getElementById('fen-error');
+            if (errorEl) errorEl.textContent = err.message;
             return false;
         }
 
-        const pieces = kingOwner === 'player' ? this.playerPieces : this.enemyPieces;
-        const attackerOwner = kingOwner === 'player' ? 'enemy' : 'player';
+        // Keep the formation's pieces so a retry still plays the real battle
+        this.currentFormation = { id: 'custom', pieces: [], ...this.currentFormation, name: 'CUSTOM POSITION' };
+
+        ['loadout-screen', 'pre-battle-screen', 'card-select-screen', 'reward-overlay', 'run-complete-overlay'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.style.display = 'none';
+        });
+        document.getElementById('game-over-overlay').classList.remove('active');
+        document.getElementById('game-container').style.display = 'flex';
 
-        // Check if any piece has a move that gets out of check
-        for (const piece of pieces) {
-            if (this.frozenPieces.has(piece.id)) continue;
+        this.energy = STARTING_ENERGY;
+        this.resetBattleState();
+        this.renderFormationName();
+        this.startReplayRecording({ fen: this.state.startFEN });
+        this.saveRun('battle');
+        this.render();
+        this.bindBattleEvents();
+        console.log(`%c[FEN] Loaded ${this.state.startFEN}`, 'color: #4CAF50');
+
+        if (this.isPlayerTurn) {
+            this.calculateEnemyIntent();
+        } else {
+            setTimeout(() => this.doEnemyTurn(), 600);
+        }
+        return true;
+    }
 
-            const moves = this.getValidMoves(piece, true);
+    // ============================================
+    // FORMATION EDITOR
+    // ============================================
 
-            for (const move of moves) {
-                // Simulate the move
-                const originalBoard = this.board.map(row => [...row]);
-                const originalPieces = kingOwner === 'player'
-                    ? this.playerPieces.map(p => ({ ...p }))
-                    : this.enemyPieces.map(p => ({ ...p }));
-                const originalEnemyPieces = kingOwner === 'player'
-                    ? this.enemyPieces.map(p => ({ ...p }))
-                    : this.playerPieces.map(p => ({ ...p }));
+    loadCustomFormations() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(CUSTOM_FORMATIONS_KEY) || '{}');
+        } catch (err) {
+            console.warn('[Editor] Could not read saved formations:', err);
+        }
 
-                // Make the move
-                const capturedPiece = this.board[move.row]?.[move.col];
-                this.board[piece.row][piece.col] = null;
-                this.board[move.row][move.col] = piece;
+        for (const json of Object.values(saved)) {
+            try {
+                registerFormation(parseFormationJSON(json));
+            } catch (err) {
+                console.warn('[Editor] Skipping saved formation:', err.message);
+            }
+        }
+    }
 
-                const oldRow = piece.row, oldCol = piece.col;
-                piece.row = move.row;
-                piece.col = move.col;
+    showFormationEditor() {
+        if (!this.editorFormation) {
+            this.editorFormation = {
+                name: 'New Formation',
+                description: '',
+                difficulty: 5,
+                archetype: 'HUNTER',
+                size: { rows: BOARD_ROWS, cols: BOARD_COLS },
+                pieces: [{ type: 'king', row: 0, col: Math.floor(BOARD_COLS / 2) }],
+                pools: []
+            };
+        }
 
-                // Remove captured piece from enemy list temporarily
-                if (capturedPiece) {
-                    if (kingOwner === 'player') {
-                        this.enemyPieces = this.enemyPieces.filter(p => p.id !== capturedPiece.id);
-                    } else {
-                        this.playerPieces = this.playerPieces.filter(p => p.id !== capturedPiece.id);
-                    }
-                }
+        // Brushes, archetypes and pools come from the game data
+        const brushes = document.getElementById('editor-brushes');
+        if (brushes) {
+            brushes.innerHTML = '';
+            EDITOR_BRUSHES.forEach(type => {
+                const btn = document.createElement('button');
+                btn.className = `editor-brush${type === this.editorBrush ? ' active' : ''}`;
+                btn.textContent = type === 'erase' ? 'ERASE' : PIECE_SYMBOLS[type].enemy;
+                btn.title = type;
+                btn.addEventListener('click', () => {
+                    this.editorBrush = type;
+                    brushes.querySelectorAll('.editor-brush').forEach(el => el.classList.toggle('active', el === btn));
+                });
+                brushes.appendChild(btn);
+            });
+        }
+        const archetypeSelect = document.getElementById('editor-archetype');
+        if (archetypeSelect) {
+            archetypeSelect.innerHTML = Object.entries(AI_ARCHETYPE_EXTENSIONS)
+                .map(([id, arch]) => `<option value="${id}">${arch.name}</option>`).join('');
+        }
+        const poolsEl = document.getElementById('editor-pools');
+        if (poolsEl) {
+            poolsEl.innerHTML = Object.keys(FORMATION_POOLS)
+                .map(pool => `<label><input type="checkbox" value="${pool}"> ${pool}</label>`).join('');
+            poolsEl.querySelectorAll('input').forEach(input => {
+                input.addEventListener('change', () => this.readEditorFields());
+            });
+        }
 
-                // Check if still in check
-                const stillInCheck = this.isKingInCheck(kingOwner);
+        this.fillEditorFields();
+        document.getElementById('loadout-screen').style.display = 'none';
+        document.getElementById('editor-overlay').style.display = 'flex';
+    }
 
-                // Restore board state
-                this.board = originalBoard;
-                piece.row = oldRow;
-                piece.col = oldCol;
-                if (kingOwner === 'player') {
-                    this.playerPieces = originalPieces;
-                    this.enemyPieces = originalEnemyPieces;
-                } else {
-                    this.enemyPieces = originalPieces;
-                    this.playerPieces = originalEnemyPieces;
-                }
+    hideFormationEditor() {
+        document.getElementById('editor-overlay').style.display = 'none';
+        document.getElementById('loadout-screen').style.display = 'flex';
+    }
 
-                // If this move gets out of check, not checkmate
-                if (!stillInCheck) {
-                    return false;
+    fillEditorFields() {
+        const f = this.editorFormation;
+        const values = {
+            'editor-name': f.name,
+            'editor-desc': f.description,
+            'editor-difficulty': f.difficulty,
+            'editor-archetype': f.archetype,
+            'editor-rows': f.size?.rows || BOARD_ROWS,
+            'editor-cols': f.size?.cols || BOARD_COLS
+        };
+        for (const [id, value] of Object.entries(values)) {
+            const el = document.getElementById(id);
+            if (el) el.value = value;
+        }
+        document.querySelectorAll('#editor-pools input').forEach(input => {
+            input.checked = f.pools.includes(input.value);
+        });
+        this.renderEditorBoard();
+    }
+
+    // Pull the form into editorFormation; pieces a smaller board can't hold are dropped
+    readEditorFields() {
+        const f = this.editorFormation;
+        const value = (id) => document.getElementById(id)?.value;
+        const clampSize = (n, min) => Math.max(min, Math.min(MAX_BOARD_SIZE, parseInt(n, 10) || BOARD_ROWS));
+
+        f.name = value('editor-name')?.trim() || 'New Formation';
+        f.description = value('editor-desc')?.trim() || '';
+        f.difficulty = Math.max(1, Math.min(10, parseInt(value('editor-difficulty'), 10) || 1));
+        f.archetype = value('editor-archetype') || 'HUNTER';
+        f.size = { rows: clampSize(value('editor-rows'), 4), cols: clampSize(value('editor-cols'), 3) };
+        f.pieces = f.pieces.filter(p => p.row < f.size.rows && p.col < f.size.cols);
+        f.pools = [...document.querySelectorAll('#editor-pools input')].filter(i => i.checked).map(i => i.value);
+
+        this.renderEditorBoard();
+    }
+
+    renderEditorBoard() {
+        const container = document.getElementById('editor-board');
+        if (!container) return;
+
+        const { rows, cols } = this.editorFormation.size;
+        const kingCol = Math.floor(cols / 2);
+        const playerStart = {
+            [`${rows - 1},${kingCol}`]: 'king',
+            [`${rows - 1},${kingCol - 1}`]: this.playerLoadout[0],
+            [`${rows - 1},${kingCol + 1}`]: this.playerLoadout[1],
+            [`${rows - 2},${kingCol}`]: this.playerLoadout[2]
+        };
+
+        container.innerHTML = '';
+        const board = document.createElement('div');
+        board.className = 'mini-board editor-board';
+        board.style.setProperty('--board-cols', cols);
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const cell = document.createElement('div');
+                cell.className = `mini-cell ${(row + col) % 2 === 0 ? 'light' : 'dark'}`;
+
+                const player = playerStart[`${row},${col}`];
+                const piece = this.editorFormation.pieces.find(p => p.row === row && p.col === col);
+                if (player) {
+                    cell.classList.add('player-start');
+                    cell.innerHTML = `<span class="mini-piece player">${PIECE_SYMBOLS[player].player}</span>`;
+                } else {
+                    if (piece) cell.innerHTML = `<span class="mini-piece enemy">${PIECE_SYMBOLS[piece.type].enemy}</span>`;
+                    cell.addEventListener('click', () => this.handleEditorCellClick(row, col));
                 }
+                board.appendChild(cell);
             }
         }
 
-        // No move escapes check - it's checkmate!
-        return true;
+        container.appendChild(board);
+    }
+
+    // Paint with the brush; painting a piece onto itself (or erasing) clears the square
+    handleEditorCellClick(row, col) {
+        const pieces = this.editorFormation.pieces;
+        const existing = pieces.find(p => p.row === row && p.col === col);
+        const type = this.editorBrush;
+
+        this.editorFormation.pieces = pieces.filter(p => p !== existing && !(type === 'king' && p.type === 'king'));
+        if (type !== 'erase' && existing?.type !== type) {
+            this.editorFormation.pieces.push({ type, row, col });
+        }
+        this.renderEditorBoard();
+    }
+
+    // The editor's formation as it would load, or null after showing why it can't
+    validateEditorFormation() {
+        const errorEl = document.getElementById('editor-error');
+        try {
+            const formation = parseFormationJSON(JSON.stringify(this.editorFormation));
+            if (errorEl) errorEl.textContent = '';
+            return formation;
+        } catch (err) {
+            if (errorEl) errorEl.textContent = err.message;
+            return null;
+        }
+    }
+
+    exportEditorFormation() {
+        const formation = this.validateEditorFormation();
+        if (!formation) return;
+
+        const json = formationToJSON(formation);
+        const jsonEl = document.getElementById('editor-json');
+        if (jsonEl) jsonEl.value = json;
+        this.copyNotation(json, 'Formation');
+    }
+
+    importEditorFormation() {
+        const errorEl = document.getElementById('editor-error');
+        try {
+            this.editorFormation = parseFormationJSON(document.getElementById('editor-json')?.value || '');
+        } catch (err) {
+            if (errorEl) errorEl.textContent = err.message;
+            return;
+        }
+
+        if (errorEl) errorEl.textContent = '';
+        this.editorFormation.size = this.editorFormation.size || { rows: BOARD_ROWS, cols: BOARD_COLS };
+        this.fillEditorFields();
+    }
+
+    // Register the formation in its pools for future runs, and keep it across reloads
+    saveEditorFormation() {
+        const formation = this.validateEditorFormation();
+        if (!formation) return;
+
+        registerFormation(formation);
+        try {
+            const saved = JSON.parse(localStorage.getItem(CUSTOM_FORMATIONS_KEY) || '{}');
+            saved[formation.id] = formationToJSON(formation);
+            this.writeStorage(CUSTOM_FORMATIONS_KEY, JSON.stringify(saved));
+        } catch (err) {
+            console.warn('[Editor] Could not save formation:', err);
+        }
+
+        const errorEl = document.getElementById('editor-error');
+        if (errorEl) {
+            errorEl.textContent = formation.pools.length > 0
+                ? `Saved. Offered in: ${formation.pools.join(', ')}`
+                : 'Saved. Tick a pool to see it in runs.';
+        }
+        console.log(`%c[Editor] Saved ${formation.name} (${formation.id})`, 'color: #4CAF50');
+    }
+
+    // A fresh run whose first battle is this formation, at its own difficulty
+    playtestEditorFormation() {
+        const formation = this.validateEditorFormation();
+        if (!formation) return;
+
+        document.getElementById('editor-overlay').style.display = 'none';
+        this.startNewRun(formation);
     }
 
     // ============================================
-    // BOARD HISTORY
+    // REPLAYS
     // ============================================
 
-    saveBoardState() {
-        const state = {
-            board: this.board.map(row => row.map(cell => cell ? { ...cell } : null)),
-            playerPieces: this.playerPieces.map(p => ({ ...p })),
-            enemyPieces: this.enemyPieces.map(p => ({ ...p })),
-            frozenPieces: new Map(this.frozenPieces),
-            invulnerablePieces: new Map(this.invulnerablePieces),
-            traps: new Map(this.traps)
-        };
-        this.boardHistory.push(state);
-        if (this.boardHistory.length > 5) this.boardHistory.shift();
+    startReplayRecording(extra = {}) {
+        const replay = this.replayRecorder.start({
+            seed: this.runSeed,
+            battle: this.currentBattle,
+            loadout: this.playerLoadout,
+            cards: this.hand,
+            formation: this.currentFormation,
+            difficulty: this.aiDifficulty
+        }, this.state);
+        Object.assign(replay, extra);
     }
 
-    restoreBoardState() {
-        if (this.boardHistory.length < 2) return false;
+    recordAction(action) {
+        if (this.replayView) return;
 
-        this.boardHistory.pop();
-        const state = this.boardHistory.pop();
+        this.replayRecorder.record(action, this.state);
+        // A boss phase starts inside the move or card that triggered it; log it after
+        for (const phase of this.pendingBossPhases.splice(0)) this.replayRecorder.record(phase, this.state);
 
-        this.board = state.board.map(row => row.map(cell => cell ? { ...cell } : null));
-        this.playerPieces = [];
-        this.enemyPieces = [];
+        // The battle-ending move is recorded after the end hook fired; store it again
+        if (this.replayRecorder.replay?.result) this.storeReplay(this.replayRecorder.replay);
+    }
 
-        for (let row = 0; row < BOARD_ROWS; row++) {
-            for (let col = 0; col < 8; col++) {
-                const piece = this.board[row][col];
-                if (piece) {
-                    (piece.owner === 'player' ? this.playerPieces : this.enemyPieces).push(piece);
+    onBattleEnd(result) {
+        this.storeReplay(this.replayRecorder.finish(result));
+
+        if (result === 'victory') {
+            this.onBattleVictory();
+        } else if (result === 'draw') {
+            this.onBattleDraw();
+        } else {
+            this.onBattleDefeat();
+        }
+    }
+
+    loadReplays() {
+        try {
+            const replays = JSON.parse(localStorage.getItem(REPLAY_KEY) || '[]');
+            return replays.filter(r => r.version === REPLAY_VERSION);
+        } catch (err) {
+            console.warn('[Replay] Could not read replays:', err);
+            return [];
+        }
+    }
+
+    // Newest first; when storage is full the oldest are dropped to make room
+    storeReplay(replay) {
+        if (!replay) return;
+
+        let replays = this.loadReplays().filter(r => r.recordedAt !== replay.recordedAt);
+        replays.unshift(packReplay(replay));
+        replays = replays.slice(0, MAX_STORED_REPLAYS);
+
+        while (replays.length > 0) {
+            try {
+                localStorage.setItem(REPLAY_KEY, JSON.stringify(replays));
+                return;
+            } catch (err) {
+                if (replays.length === 1) {
+                    console.warn('[Replay] Could not store replay:', err);
+                    return;
                 }
+                replays = replays.slice(0, -1);
             }
         }
+    }
+
+    copyReplay(replay) {
+        if (!replay) {
+            console.log('%c[Replay] Nothing recorded yet', 'color: #FF9800');
+            return null;
+        }
+
+        const json = JSON.stringify(packReplay(replay));
+        navigator.clipboard.writeText(json).then(() => {
+            console.log('%c[Replay] Replay copied to clipboard!', 'color: #4CAF50');
+            this.showCardInstructions('Replay copied to clipboard.');
+        }).catch(() => {
+            console.log(json);
+            console.log('%c[Replay] Could not copy, replay printed above', 'color: #FF9800');
+        });
+        return json;
+    }
+
+    updateReplaysButton() {
+        const btn = document.getElementById('view-replays-btn');
+        if (btn) btn.style.display = this.loadReplays().length > 0 ? '' : 'none';
+    }
 
-        this.frozenPieces = new Map(state.frozenPieces);
-        this.invulnerablePieces = new Map(state.invulnerablePieces);
-        this.traps = new Map(state.traps);
+    showReplayList() {
+        const list = document.getElementById('replay-list');
+        if (!list) return;
 
-        this.saveBoardState();
-        return true;
+        list.innerHTML = '';
+        this.loadReplays().forEach(replay => {
+            const entry = document.createElement('button');
+            entry.className = 'replay-entry';
+            const result = replay.result || 'unfinished';
+            entry.innerHTML = `
+                <span class="replay-result ${result}">${result.toUpperCase()}</span>
+                Battle ${replay.battle} - ${replay.formation?.name || 'Unknown'}<br>
+                ${replay.actions.length} actions · Seed ${replay.seed} · ${new Date(replay.recordedAt).toLocaleString()}
+            `;
+            entry.addEventListener('click', () => this.openReplay(replay));
+            list.appendChild(entry);
+        });
+
+        document.getElementById('replays-overlay').style.display = 'flex';
+    }
+
+    hideReplayList() {
+        document.getElementById('replays-overlay').style.display = 'none';
+    }
+
+    openReplay(replay) {
+        if (!replay) return;
+        replay = unpackReplay(replay);
+        if (!replay.frames?.length) return;
+
+        // Park the live battle; the viewer borrows the real board renderer
+        this.replayView = {
+            replay,
+            index: 0,
+            action: null,
+            live: {
+                state: this.state,
+                hand: this.hand,
+                currentBattle: this.currentBattle,
+                cardsPlayedThisBattle: this.cardsPlayedThisBattle,
+                enemyIntent: this.enemyIntent,
+                enemyCardIntent: this.enemyCardIntent,
+                enemyForecast: this.enemyForecast
+            }
+        };
+        this.selectedPiece = null;
+        this.validMoves = [];
+        this.selectedCard = null;
+        this.cardState = null;
+        this.enemyIntent = null;
+        this.enemyCardIntent = null;
+        this.enemyDecoy = null;
+        this.enemyForecast = null;
+        this.hand = replay.cards;
+        this.currentBattle = replay.battle;
+
+        this.hideReplayList();
+        document.getElementById('loadout-screen').style.display = 'none';
+        document.getElementById('game-container').style.display = 'flex';
+        document.getElementById('replay-controls').style.display = '';
+        const nameEl = document.getElementById('enemy-formation-name');
+        if (nameEl) nameEl.textContent = replay.formation?.name || 'ENEMY';
+
+        this.bindBattleEvents();
+        this.clearCardInstructions();
+        this.showReplayFrame(0);
+    }
+
+    showReplayFrame(index) {
+        if (!this.replayView) return;
+
+        const { replay } = this.replayView;
+        const last = replay.frames.length - 1;
+        index = Math.max(0, Math.min(last, index));
+
+        this.replayView.index = index;
+        this.replayView.action = replay.actions[index - 1] || null;
+        this.state = GameState.fromJSON(replay.frames[index]);
+        this.rules.state = this.state;
+        this.cardsPlayedThisBattle = replay.actions.slice(0, index).filter(a => a.type === 'card' && !a.combo).length;
+
+        const stepEl = document.getElementById('replay-step');
+        if (stepEl) stepEl.textContent = `${index}/${last} · ${describeReplayAction(this.replayView.action, this.rows)}`;
+
+        this.render();
+    }
+
+    stepReplay(delta) {
+        if (this.replayView) this.showReplayFrame(this.replayView.index + delta);
+    }
+
+    closeReplay() {
+        if (!this.replayView) return;
+
+        const { live } = this.replayView;
+        this.state = live.state;
+        this.rules.state = this.state;
+        this.hand = live.hand;
+        this.currentBattle = live.currentBattle;
+        this.cardsPlayedThisBattle = live.cardsPlayedThisBattle;
+        this.enemyIntent = live.enemyIntent;
+        this.enemyCardIntent = live.enemyCardIntent;
+        this.enemyForecast = live.enemyForecast;
+        this.replayView = null;
+
+        document.getElementById('replay-controls').style.display = 'none';
+        document.getElementById('game-container').style.display = 'none';
+        document.getElementById('loadout-screen').style.display = 'flex';
+        this.clearCardInstructions();
     }
 
     // ============================================
@@ -2380,7 +3271,7 @@ class ChessRoguelike {
         if (!board) return;
 
         const rect = board.getBoundingClientRect();
-        const cellSize = rect.width / 8;
+        const cellSize = rect.width / this.cols;
         const centerX = rect.left + col * cellSize + cellSize / 2;
         const centerY = rect.top + row * cellSize + cellSize / 2;
 
@@ -199,6 +199,10 @@ const DIFFICULTY_SETTINGS = {
     }
 };
 
+// With the hand revealed (the Exposed curse), every difficulty weighs the
+// player's cards beyond even HARD's full penalty
+const REVEALED_HAND_CARD_PENALTY = 1.5;
+
 // ============================================
 // BASE PRIORITY SCORES
 // ============================================
@@ -228,270 +232,14 @@ const SAFETY_PENALTIES = {
 };
 
 // ============================================
-// CARD DANGER PENALTIES - All 45 Cards
+// CARD DANGER PENALTIES
 // ============================================
-const CARD_DANGERS = {
-    // ============================================
-    // COMMON CARDS
-    // ============================================
-    nudge: {
-        condition: 'anyPosition',
-        penalty: -10,
-        description: 'Piece can be nudged 1 square'
-    },
-    stall: {
-        condition: 'anyPiece',
-        penalty: -15,
-        description: 'Can be frozen for 1 turn'
-    },
-    scout: {
-        condition: 'none',
-        penalty: 0,
-        description: 'No direct danger'
-    },
-    shield: {
-        condition: 'nearHighValueTarget',
-        penalty: -20,
-        description: 'Target may become shielded'
-    },
-    dash: {
-        condition: 'inExtendedRange',
-        penalty: -15,
-        description: 'Player pieces have extended range'
-    },
-    backstep: {
-        condition: 'none',
-        penalty: -5,
-        description: 'Player can retreat'
-    },
-    stumble: {
-        condition: 'nearEdge',
-        penalty: -20,
-        description: 'Can be randomly moved'
-    },
-    feint: {
-        condition: 'none',
-        penalty: -5,
-        description: 'Friendly pieces can swap'
-    },
-    brace: {
-        condition: 'nearKing',
-        penalty: -25,
-        description: 'King gets defensive bonus'
-    },
-    sidestep: {
-        condition: 'none',
-        penalty: -5,
-        description: 'Can dodge sideways'
-    },
-    iDidntSeeThat: {
-        condition: 'none',
-        penalty: -10,
-        description: 'Move can be undone'
-    },
-
-    // ============================================
-    // UNCOMMON CARDS
-    // ============================================
-    freeze: {
-        condition: 'anyPiece',
-        penalty: -30,
-        description: 'Can be frozen for 2 turns'
-    },
-    teleport: {
-        condition: 'anyPosition',
-        penalty: -25,
-        description: 'Player can teleport anywhere'
-    },
-    swap: {
-        condition: 'anyPosition',
-        penalty: -20,
-        description: 'Positions can be swapped'
-    },
-    promote: {
-        condition: 'none',
-        penalty: -15,
-        description: 'Pawns can promote early'
-    },
-    rally: {
-        condition: 'inExtendedRange',
-        penalty: -25,
-        description: 'All pieces have extended range'
-    },
-    illegalCastle: {
-        condition: 'nearKing',
-        penalty: -30,
-        description: 'King can castle anywhere'
-    },
-    ghostWalk: {
-        condition: 'blocking',
-        penalty: -35,
-        description: 'Can pass through pieces'
-    },
-    knightsTour: {
-        condition: 'inKnightRange',
-        penalty: -40,
-        description: 'All pieces move like knights'
-    },
-    decoy: {
-        condition: 'nearEmptySquares',
-        penalty: -15,
-        description: 'Fake pieces can appear'
-    },
-    ricochet: {
-        condition: 'inRangedLine',
-        penalty: -30,
-        description: 'Captures can chain'
-    },
-    loadedDice: {
-        condition: 'anyMove',
-        penalty: -20,
-        description: 'Move may fail'
-    },
-    paparazzi: {
-        condition: 'none',
-        penalty: 0,
-        description: 'Moves revealed (no danger)'
-    },
-    caltrops: {
-        condition: 'nearEmptySquares',
-        penalty: -25,
-        description: 'Traps can be placed'
-    },
-
-    // ============================================
-    // RARE CARDS
-    // ============================================
-    clone: {
-        condition: 'nearHighValueTarget',
-        penalty: -35,
-        description: 'Pieces can be duplicated'
-    },
-    kidnap: {
-        condition: 'anyPiece',
-        penalty: -40,
-        description: 'Can be teleported away'
-    },
-    resurrect: {
-        condition: 'none',
-        penalty: -30,
-        description: 'Captured pieces return'
-    },
-    queensGambit: {
-        condition: 'nearHighValueTarget',
-        penalty: -35,
-        description: 'Sacrifice enables multi-move'
-    },
-    sabotage: {
-        condition: 'nearSamePiece',
-        penalty: -45,
-        description: 'All same-type pieces freeze'
-    },
-    zugzwang: {
-        condition: 'kingExposed',
-        penalty: -50,
-        description: 'King must move'
-    },
-    phantomQueen: {
-        condition: 'anyPosition',
-        penalty: -40,
-        description: 'Temporary queen appears'
-    },
-    doubleAgent: {
-        condition: 'pawnNearby',
-        penalty: -30,
-        description: 'Pawns can be converted'
-    },
-    chainReaction: {
-        condition: 'clustered',
-        penalty: -45,
-        description: 'Captures explode'
-    },
-    traitorsMark: {
-        condition: 'anyPiece',
-        penalty: -35,
-        description: 'Capturing causes betrayal'
-    },
-    unionStrike: {
-        condition: 'multipleThreats',
-        penalty: -40,
-        description: 'Multi-piece attack'
-    },
-    divineShield: {
-        condition: 'nearHighValueTarget',
-        penalty: -40,
-        description: 'Target becomes invulnerable'
-    },
-    snipe: {
-        condition: 'behindObstacle',
-        penalty: -45,
-        description: 'Can shoot through pieces'
-    },
-    shieldBash: {
-        condition: 'adjacentToPlayer',
-        penalty: -35,
-        description: 'Can be pushed into walls'
-    },
-
-    // ============================================
-    // LEGENDARY CARDS
-    // ============================================
-    mindControl: {
-        condition: 'anyPiece',
-        penalty: -60,
-        description: 'Can be controlled by enemy'
-    },
-    checkmateDenied: {
-        condition: 'nearKing',
-        penalty: -30,
-        description: 'King survives one hit'
-    },
-    demotion: {
-        condition: 'isQueen',
-        penalty: -70,
-        description: 'Queen becomes pawn'
-    },
-    armyOfOne: {
-        condition: 'nearKing',
-        penalty: -50,
-        description: 'King moves like queen'
-    },
-    rewind: {
-        condition: 'none',
-        penalty: -40,
-        description: 'Turns can be undone'
-    },
-    parallelPlay: {
-        condition: 'anyPosition',
-        penalty: -55,
-        description: 'Two moves in one turn'
-    },
-    exile: {
-        condition: 'anyPiece',
-        penalty: -70,
-        description: 'Permanent removal'
-    },
-    usurper: {
-        condition: 'none',
-        penalty: -30,
-        description: 'King role changes'
-    },
-    pocketDimension: {
-        condition: 'none',
-        penalty: -25,
-        description: 'Pieces can be stored'
-    },
-    theBluff: {
-        condition: 'none',
-        penalty: -20,
-        description: 'Intent is hidden'
-    },
-    actuallyImTheKing: {
-        condition: 'kingExposed',
-        penalty: -80,
-        description: 'Kings can swap'
-    }
-};
+// Read off each card's `danger` entry in js/cards.js: { condition, penalty, description }
+const CARD_DANGERS = typeof CARD_DEFINITIONS === 'undefined' ? {} : Object.fromEntries(
+    Object.values(CARD_DEFINITIONS)
+        .filter(card => card.danger)
+        .map(card => [card.id, card.danger])
+);
 
 // ============================================
 // ENEMY AI CLASS
@@ -511,11 +259,11 @@ class EnemyAI {
      * @returns {Object} { piece, from, to, score, reasoning }
      */
     static async calculateBestMoveAsync(gameState, playerCards, difficulty = 'MEDIUM', archetype = 'HUNTER') {
-        const diffSettings = DIFFICULTY_SETTINGS[difficulty] || DIFFICULTY_SETTINGS.MEDIUM;
+        const diffSettings = this.getDifficultySettings(difficulty, gameState);
         const archetypeData = AI_ARCHETYPES[archetype] || AI_ARCHETYPES.HUNTER;
 
-        // Try Stockfish first
-        if (stockfishEngine.isReady && stockfishEngine.useStockfish) {
+        // Try Stockfish first (it only plays on a standard 8x8 board)
+        if (stockfishEngine.isReady && stockfishEngine.useStockfish && this.isStandardBoard(gameState.board)) {
             const stockfishMove = await this.getStockfishMoveWithCardPenalties(gameState, playerCards, diffSettings, archetypeData);
             if (stockfishMove) {
                 return stockfishMove;
@@ -567,11 +315,15 @@ class EnemyAI {
                 return null;
             }
 
-            // Create the move object
+            // Create the move object (a fifth letter is Stockfish's promotion pick, e.g. "e2e1n")
+            const promotionChar = stockfishMoveStr[4];
             const move = {
                 piece,
                 from: { row: from.row, col: from.col },
-                to: { row: to.row, col: to.col }
+                to: { row: to.row, col: to.col },
+                promotion: promotionChar
+                    ? PROMOTION_PIECES.find(type => this.pieceToFENChar(type) === promotionChar) || null
+                    : null
             };
 
             // Calculate card danger for this move
@@ -631,12 +383,13 @@ class EnemyAI {
      */
     static gameStateToFEN(gameState) {
         const board = gameState.board;
+        const rows = board.length;
         let fen = '';
 
-        // Board position
-        for (let row = 0; row < 8; row++) {
+        // Board position (any size; ranks wider than 9 squares use two-digit gaps)
+        for (let row = 0; row < rows; row++) {
             let empty = 0;
-            for (let col = 0; col < 8; col++) {
+            for (let col = 0; col < board[row].length; col++) {
                 const piece = board[row]?.[col];
                 if (!piece) {
                     empty++;
@@ -651,17 +404,20 @@ class EnemyAI {
                 }
             }
             if (empty > 0) fen += empty;
-            if (row < 7) fen += '/';
+            if (row < rows - 1) fen += '/';
         }
 
         // It's black's turn (enemy)
         fen += ' b';
 
-        // No castling (simplified)
-        fen += ' -';
+        // Castling rights, as the rules engine allows them
+        fen += ` ${gameState.castlingRights || '-'}`;
 
-        // No en passant
-        fen += ' -';
+        // En passant (only a square a player pawn just skipped can be taken by black)
+        const enPassant = gameState.enPassantSquare;
+        fen += enPassant && enPassant.owner === 'player'
+            ? ` ${this.coordsToAlgebraic(enPassant.row, enPassant.col, rows)}`
+            : ' -';
 
         // Halfmove clock and fullmove number
         fen += ' 0 1';
@@ -681,24 +437,36 @@ class EnemyAI {
         return map[type] || 'p';
     }
 
-    static algebraicToCoords(algebraic) {
+    static algebraicToCoords(algebraic, rows = BOARD_ROWS, cols = BOARD_COLS) {
         if (!algebraic || algebraic.length < 2) return null;
         const col = algebraic.charCodeAt(0) - 'a'.charCodeAt(0);
-        const row = 8 - parseInt(algebraic[1]);
-        if (col < 0 || col > 7 || row < 0 || row > 7) return null;
+        const row = rows - parseInt(algebraic.slice(1));
+        if (col < 0 || col >= cols || row < 0 || row >= rows) return null;
         return { row, col };
     }
 
-    static coordsToAlgebraic(row, col) {
-        return String.fromCharCode('a'.charCodeAt(0) + col) + (8 - row);
+    static coordsToAlgebraic(row, col, rows = BOARD_ROWS) {
+        return String.fromCharCode('a'.charCodeAt(0) + col) + (rows - row);
+    }
+
+    static isStandardBoard(board) {
+        return board.length === BOARD_ROWS && board[0]?.length === BOARD_COLS;
     }
 
     /**
      * Enhanced fallback AI with minimax look-ahead
      */
+    // DIFFICULTY_SETTINGS entry, with card dangers weighed up when the hand is revealed
+    static getDifficultySettings(difficulty, gameState) {
+        const settings = DIFFICULTY_SETTINGS[difficulty] || DIFFICULTY_SETTINGS.MEDIUM;
+        if (!gameState?.handRevealed) return settings;
+        return { ...settings, cardPenaltyMultiplier: REVEALED_HAND_CARD_PENALTY };
+    }
+
     static calculateBestMoveFallback(gameState, playerCards, difficulty = 'MEDIUM', archetype = 'HUNTER') {
-        const diffSettings = DIFFICULTY_SETTINGS[difficulty] || DIFFICULTY_SETTINGS.MEDIUM;
+        const diffSettings = this.getDifficultySettings(difficulty, gameState);
         const archetypeData = AI_ARCHETYPES[archetype] || AI_ARCHETYPES.HUNTER;
+        const rng = gameState.rng || new SeededRNG();
 
         // Get all possible moves
         const allMoves = this.getAllLegalMoves(gameState);
@@ -731,7 +499,7 @@ class EnemyAI {
             }
 
             // Apply difficulty-based safety penalty reduction
-            if (diffSettings.ignoreSafetyChance > 0 && Math.random() < diffSettings.ignoreSafetyChance) {
+            if (diffSettings.ignoreSafetyChance > 0 && rng.chance(diffSettings.ignoreSafetyChance)) {
                 const baseScore = this.calculateBaseScore(move, gameState);
                 const cardDanger = this.calculateCardDanger(move, gameState, playerCards) * diffSettings.cardPenaltyMultiplier;
                 score = this.applyArchetypeModifiers(baseScore - cardDanger, move, gameState, archetypeData);
@@ -754,7 +522,7 @@ class EnemyAI {
         const candidates = scoredMoves.slice(0, topN);
 
         // Random selection from candidates
-        const selected = this.weightedRandomSelect(candidates);
+        const selected = this.weightedRandomSelect(candidates, rng);
         selected.reasoning = this.generateReasoning(selected, gameState);
 
         return selected;
@@ -830,10 +598,13 @@ class EnemyAI {
             }
         }
 
+        this.applySpecialMove(move, piece, newBoard, newEnemyPieces, newPlayerPieces);
+
         // Move the piece
         newBoard[move.from.row][move.from.col] = null;
         piece.row = move.to.row;
         piece.col = move.to.col;
+        if (move.promotion) piece.type = move.promotion;
         newBoard[move.to.row][move.to.col] = piece;
 
         return {
@@ -846,6 +617,68 @@ class EnemyAI {
         };
     }
 
+    /**
+     * Castling and en passant touch a second square; mirror that on a simulated board.
+     * Call before the moving piece itself is placed.
+     */
+    static applySpecialMove(move, piece, board, ownPieces, opponentPieces) {
+        // Castling: the king moves two files and the rook lands on the square it crossed
+        if (piece.type === 'king' && move.from.row === move.to.row && Math.abs(move.to.col - move.from.col) === 2) {
+            const rookCol = move.to.col > move.from.col ? 7 : 0;
+            const rook = ownPieces.find(p => p.type === 'rook' && p.row === move.from.row && p.col === rookCol);
+            if (rook) {
+                board[rook.row][rookCol] = null;
+                rook.col = (move.from.col + move.to.col) / 2;
+                board[rook.row][rook.col] = rook;
+            }
+        }
+
+        // En passant: a pawn steps diagonally onto an empty square and takes the pawn beside it
+        if (piece.type === 'pawn' && move.from.col !== move.to.col && !board[move.to.row]?.[move.to.col]) {
+            const victim = board[move.from.row]?.[move.to.col];
+            if (victim && victim.owner !== piece.owner) {
+                board[move.from.row][move.to.col] = null;
+                const victimIndex = opponentPieces.findIndex(p => p.id === victim.id);
+                if (victimIndex !== -1) opponentPieces.splice(victimIndex, 1);
+            }
+        }
+    }
+
+    static addCastlingMoves(piece, board, moves, gameState) {
+        const isPlayer = piece.owner === 'player';
+
+        for (const right of gameState.castlingRights || '-') {
+            if (right === '-' || (right === right.toUpperCase()) !== isPlayer) continue;
+
+            const rookCol = right.toLowerCase() === 'k' ? 7 : 0;
+            const step = rookCol > piece.col ? 1 : -1;
+            let pathClear = true;
+            for (let col = piece.col + step; col !== rookCol; col += step) {
+                if (board[piece.row][col]) pathClear = false;
+            }
+            if (!pathClear) continue;
+
+            // King may not start, pass or land in check
+            const kingPath = [piece.col, piece.col + step, piece.col + step * 2];
+            const attacked = kingPath.some(col => isPlayer
+                ? this.isSquareAttackedByEnemy(piece.row, col, gameState)
+                : this.isSquareAttackedByPlayer(piece.row, col, gameState));
+            if (attacked) continue;
+
+            moves.push({ row: piece.row, col: piece.col + step * 2, castling: right });
+        }
+    }
+
+    static addEnPassantMoves(piece, moves, gameState) {
+        const square = gameState.enPassantSquare;
+        if (!square || square.owner === piece.owner) return;
+
+        const direction = piece.owner === 'player' ? -1 : 1;
+        if (square.row === piece.row + direction && Math.abs(square.col - piece.col) === 1) {
+            moves.push({ row: square.row, col: square.col, enPassant: true });
+        }
+    }
+
     /**
      * Get all legal moves for player pieces
      */
@@ -875,6 +708,7 @@ class EnemyAI {
                 for (const [dr, dc] of [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]]) {
                     this.addPlayerMoveIfValid(piece, piece.row + dr, piece.col + dc, board, moves, gameState);
                 }
+                this.addCastlingMoves(piece, board, moves, gameState);
                 break;
             case 'queen':
                 this.addPlayerSlidingMoves(piece, [[-1, 0], [1, 0], [0, -1], [0, 1], [-1, -1], [-1, 1], [1, -1], [1, 1]], board, moves, gameState);
@@ -895,26 +729,27 @@ class EnemyAI {
                 const newRow = piece.row - 1;
                 if (newRow >= 0 && !board[newRow][piece.col]) {
                     moves.push({ row: newRow, col: piece.col });
-                    if (piece.row === 6 && !board[piece.row - 2]?.[piece.col]) {
+                    if (piece.row === board.length - 2 && !board[piece.row - 2]?.[piece.col]) {
                         moves.push({ row: piece.row - 2, col: piece.col });
                     }
                 }
                 for (const dc of [-1, 1]) {
                     const captureCol = piece.col + dc;
-                    if (captureCol >= 0 && captureCol < 8 && newRow >= 0) {
+                    if (this.isOnBoard(board, newRow, captureCol)) {
                         const target = board[newRow]?.[captureCol];
                         if (target && target.owner === 'enemy') {
                             moves.push({ row: newRow, col: captureCol });
                         }
                     }
                 }
+                this.addEnPassantMoves(piece, moves, gameState);
                 break;
         }
         return moves;
     }
 
     static addPlayerMoveIfValid(piece, row, col, board, moves, gameState) {
-        if (row < 0 || row >= 8 || col < 0 || col >= 8) return;
+        if (!this.isOnBoard(board, row, col)) return;
         const target = board[row]?.[col];
         if (!target || target.owner === 'enemy') {
             if (!gameState.invulnerablePieces?.has(target?.id)) {
@@ -925,10 +760,10 @@ class EnemyAI {
 
     static addPlayerSlidingMoves(piece, directions, board, moves, gameState) {
         for (const [dr, dc] of directions) {
-            for (let i = 1; i < 8; i++) {
+            for (let i = 1; i < this.boardSpan(board); i++) {
                 const row = piece.row + dr * i;
                 const col = piece.col + dc * i;
-                if (row < 0 || row >= 8 || col < 0 || col >= 8) break;
+                if (!this.isOnBoard(board, row, col)) break;
                 const target = board[row]?.[col];
                 if (!target) {
                     moves.push({ row, col });
@@ -964,6 +799,8 @@ class EnemyAI {
             }
         }
 
+        this.applySpecialMove(move, piece, newBoard, newPlayerPieces, newEnemyPieces);
+
         // Move the piece
         newBoard[move.from.row][move.from.col] = null;
         piece.row = move.to.row;
@@ -1027,8 +864,10 @@ class EnemyAI {
         // Piece activity (center control, advanced pieces)
         for (const piece of gameState.enemyPieces) {
             // Center control bonus
-            const centerDist = Math.abs(piece.col - 3.5) + Math.abs(piece.row - 3.5);
-            score += (7 - centerDist) * 5;
+            const centerRow = (gameState.board.length - 1) / 2;
+            const centerCol = (gameState.board[0].length - 1) / 2;
+            const centerDist = Math.abs(piece.col - centerCol) + Math.abs(piece.row - centerRow);
+            score += (centerRow + centerCol - centerDist) * 5;
 
             // Advanced piece bonus (pawns especially)
             if (piece.type === 'pawn') {
@@ -1076,6 +915,55 @@ class EnemyAI {
         return this.calculateBestMoveFallback(gameState, playerCards, difficulty, archetype);
     }
 
+    /**
+     * Forecast the enemy's next moves (Scout): a short principal variation where
+     * the player answers each enemy move with its expected reply, the most
+     * valuable capture on offer, or passes when there is none.
+     * @param {number} plies - Enemy moves to forecast
+     * @param {Object} firstMove - Intent already chosen for the first move (optional)
+     * @returns {Array<Object>} Enemy moves in order; shorter if a King falls
+     */
+    static forecastEnemyMoves(gameState, playerCards, difficulty = 'MEDIUM', archetype = 'HUNTER', plies = 2, firstMove = null) {
+        const forecast = [];
+        let state = gameState;
+
+        for (let i = 0; i < plies; i++) {
+            const move = i === 0 && firstMove
+                ? firstMove
+                : this.calculateBestMoveFallback(state, playerCards, difficulty, archetype);
+            if (!move) break;
+            forecast.push(move);
+
+            // simulateMove drops the run-wide fields; carry them through the line
+            state = { ...gameState, ...this.simulateMove(move, state) };
+            if (!state.playerPieces.some(p => p.type === 'king')) break;
+
+            const reply = this.getExpectedPlayerMove(state);
+            if (reply) state = { ...gameState, ...this.simulatePlayerMove(reply, state) };
+            if (!state.enemyPieces.some(p => p.type === 'king')) break;
+        }
+
+        return forecast;
+    }
+
+    /**
+     * The player's most valuable capture, or null (a pass) when none is on offer
+     */
+    static getExpectedPlayerMove(gameState) {
+        let best = null;
+        let bestValue = 0;
+        for (const move of this.getPlayerLegalMoves(gameState)) {
+            const target = gameState.board[move.to.row]?.[move.to.col];
+            if (target?.owner !== 'enemy') continue;
+            const value = this.getPieceValue(target.type);
+            if (value > bestValue) {
+                best = move;
+                bestValue = value;
+            }
+        }
+        return best;
+    }
+
     // ============================================
     // MOVE GENERATION
     // ============================================
@@ -1092,17 +980,34 @@ class EnemyAI {
             const validMoves = this.getValidMovesForPiece(piece, gameState);
 
             for (const to of validMoves) {
-                moves.push({
+                const move = {
                     piece,
                     from: { row: piece.row, col: piece.col },
                     to: { row: to.row, col: to.col }
-                });
+                };
+
+                // One candidate per promotion piece; scoring decides which is best
+                if (piece.type === 'pawn' && to.row === gameState.board.length - 1) {
+                    for (const promotion of PROMOTION_PIECES) moves.push({ ...move, promotion });
+                } else {
+                    moves.push(move);
+                }
             }
         }
 
+        // Classical rules: never leave our own King in check
+        if (gameState.classical) {
+            return moves.filter(move => !this.leavesEnemyKingInCheck(move, gameState));
+        }
         return moves;
     }
 
+    static leavesEnemyKingInCheck(move, gameState) {
+        const simState = this.simulateMove(move, gameState);
+        const king = simState.enemyPieces.find(p => p.type === 'king');
+        return !!king && this.isSquareAttackedByPlayer(king.row, king.col, simState);
+    }
+
     static getValidMovesForPiece(piece, gameState) {
         const moves = [];
         const board = gameState.board;
@@ -1136,6 +1041,7 @@ class EnemyAI {
         for (const [dr, dc] of directions) {
             this.addMoveIfValid(piece, piece.row + dr, piece.col + dc, board, moves, gameState);
         }
+        this.addCastlingMoves(piece, board, moves, gameState);
     }
 
     static addQueenMoves(piece, board, moves, gameState) {
@@ -1146,7 +1052,7 @@ class EnemyAI {
     static addRookMoves(piece, board, moves, gameState) {
         const directions = [[-1, 0], [1, 0], [0, -1], [0, 1]];
         for (const [dr, dc] of directions) {
-            for (let i = 1; i < 8; i++) {
+            for (let i = 1; i < this.boardSpan(board); i++) {
                 const row = piece.row + dr * i;
                 const col = piece.col + dc * i;
                 if (!this.addMoveIfValid(piece, row, col, board, moves, gameState)) break;
@@ -1158,7 +1064,7 @@ class EnemyAI {
     static addBishopMoves(piece, board, moves, gameState) {
         const directions = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
         for (const [dr, dc] of directions) {
-            for (let i = 1; i < 8; i++) {
+            for (let i = 1; i < this.boardSpan(board); i++) {
                 const row = piece.row + dr * i;
                 const col = piece.col + dc * i;
                 if (!this.addMoveIfValid(piece, row, col, board, moves, gameState)) break;
@@ -1180,7 +1086,7 @@ class EnemyAI {
 
         // Forward move
         const newRow = piece.row + direction;
-        if (newRow >= 0 && newRow < 8 && !board[newRow][piece.col]) {
+        if (newRow >= 0 && newRow < board.length && !board[newRow][piece.col]) {
             // Check for traps
             const trapKey = `${newRow},${piece.col}`;
             if (!gameState.traps || !gameState.traps.has(trapKey)) {
@@ -1190,7 +1096,7 @@ class EnemyAI {
             // Double move from start
             if (piece.row === startRow) {
                 const doubleRow = piece.row + direction * 2;
-                if (doubleRow < 8 && !board[doubleRow][piece.col]) {
+                if (doubleRow < board.length && !board[doubleRow][piece.col]) {
                     const doubleTrapKey = `${doubleRow},${piece.col}`;
                     if (!gameState.traps || !gameState.traps.has(doubleTrapKey)) {
                         moves.push({ row: doubleRow, col: piece.col });
@@ -1202,7 +1108,7 @@ class EnemyAI {
         // Captures
         for (const dc of [-1, 1]) {
             const captureCol = piece.col + dc;
-            if (captureCol >= 0 && captureCol < 8 && newRow >= 0 && newRow < 8) {
+            if (this.isOnBoard(board, newRow, captureCol)) {
                 const target = board[newRow][captureCol];
                 if (target && target.owner === 'player') {
                     // Check for invulnerable
@@ -1216,10 +1122,12 @@ class EnemyAI {
                 }
             }
         }
+
+        this.addEnPassantMoves(piece, moves, gameState);
     }
 
     static addMoveIfValid(piece, row, col, board, moves, gameState) {
-        if (row < 0 || row >= 8 || col < 0 || col >= 8) return false;
+        if (!this.isOnBoard(board, row, col)) return false;
 
         // Check for traps
         const trapKey = `${row},${col}`;
@@ -1299,6 +1207,11 @@ class EnemyAI {
             }
         }
 
+        // Promotion is worth the material it gains
+        if (move.promotion) {
+            score += this.getPieceValue(move.promotion) - this.getPieceValue('pawn');
+        }
+
         // *** ESCAPE DANGER BONUS ***
         // If piece is currently under attack, bonus for escaping
         const currentlyInDanger = this.isSquareAttackedByPlayer(move.from.row, move.from.col, gameState);
@@ -1455,7 +1368,7 @@ class EnemyAI {
                 case 'adjacentToPlayer':
                     if (this.isAdjacentToPlayerPiece(move.to, gameState)) {
                         danger += Math.abs(cardDanger.penalty);
-                        if (this.isNearWall(move.to)) {
+                        if (this.isNearWall(move.to, gameState.board)) {
                             danger += 20;
                         }
                     }
@@ -1474,7 +1387,7 @@ class EnemyAI {
                     break;
 
                 case 'nearEdge':
-                    if (this.isNearEdge(move.to)) {
+                    if (this.isNearEdge(move.to, gameState.board)) {
                         danger += Math.abs(cardDanger.penalty);
                     }
                     break;
@@ -1657,11 +1570,11 @@ class EnemyAI {
             let firstPiece = null;
             let secondPiece = null;
 
-            for (let i = 1; i < 8; i++) {
+            for (let i = 1; i < this.boardSpan(simBoard); i++) {
                 const row = move.to.row + dr * i;
                 const col = move.to.col + dc * i;
 
-                if (row < 0 || row >= 8 || col < 0 || col >= 8) break;
+                if (!this.isOnBoard(simBoard, row, col)) break;
 
                 const piece = simBoard[row][col];
                 if (piece) {
@@ -1724,21 +1637,28 @@ class EnemyAI {
         if (!playerKing) return false;
 
         // Simulate the move
+        const piece = this.getMovedPiece(move);
         const simBoard = this.cloneBoard(gameState.board);
         simBoard[move.from.row][move.from.col] = null;
-        simBoard[move.to.row][move.to.col] = move.piece;
+        simBoard[move.to.row][move.to.col] = piece;
 
         // Check if the moved piece can now attack the king
-        const attackingMoves = this.getAttackSquares(move.piece, move.to, simBoard);
+        const attackingMoves = this.getAttackSquares(piece, move.to, simBoard);
         return attackingMoves.some(sq => sq.row === playerKing.row && sq.col === playerKing.col);
     }
 
+    // The piece as it stands after the move (a promoting pawn attacks as its new type)
+    static getMovedPiece(move) {
+        return move.promotion ? { ...move.piece, type: move.promotion } : move.piece;
+    }
+
     static getThreatenedPiecesAfterMove(move, gameState) {
+        const piece = this.getMovedPiece(move);
         const simBoard = this.cloneBoard(gameState.board);
         simBoard[move.from.row][move.from.col] = null;
-        simBoard[move.to.row][move.to.col] = move.piece;
+        simBoard[move.to.row][move.to.col] = piece;
 
-        const attackSquares = this.getAttackSquares(move.piece, move.to, simBoard);
+        const attackSquares = this.getAttackSquares(piece, move.to, simBoard);
         const threatened = [];
 
         for (const sq of attackSquares) {
@@ -1759,7 +1679,7 @@ class EnemyAI {
                 for (const [dr, dc] of [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]]) {
                     const r = position.row + dr;
                     const c = position.col + dc;
-                    if (r >= 0 && r < 8 && c >= 0 && c < 8) squares.push({ row: r, col: c });
+                    if (this.isOnBoard(board, r, c)) squares.push({ row: r, col: c });
                 }
                 break;
             case 'queen':
@@ -1775,7 +1695,7 @@ class EnemyAI {
                 for (const [dr, dc] of [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]]) {
                     const r = position.row + dr;
                     const c = position.col + dc;
-                    if (r >= 0 && r < 8 && c >= 0 && c < 8) squares.push({ row: r, col: c });
+                    if (this.isOnBoard(board, r, c)) squares.push({ row: r, col: c });
                 }
                 break;
             case 'pawn':
@@ -1783,7 +1703,7 @@ class EnemyAI {
                 for (const dc of [-1, 1]) {
                     const r = position.row + 1; // Enemy pawns attack downward
                     const c = position.col + dc;
-                    if (r >= 0 && r < 8 && c >= 0 && c < 8) squares.push({ row: r, col: c });
+                    if (this.isOnBoard(board, r, c)) squares.push({ row: r, col: c });
                 }
                 break;
         }
@@ -1793,10 +1713,10 @@ class EnemyAI {
 
     static addSlidingAttacks(position, directions, board, squares) {
         for (const [dr, dc] of directions) {
-            for (let i = 1; i < 8; i++) {
+            for (let i = 1; i < this.boardSpan(board); i++) {
                 const r = position.row + dr * i;
                 const c = position.col + dc * i;
-                if (r < 0 || r >= 8 || c < 0 || c >= 8) break;
+                if (!this.isOnBoard(board, r, c)) break;
                 squares.push({ row: r, col: c });
                 if (board[r][c]) break; // Stop at first piece
             }
@@ -1822,7 +1742,7 @@ class EnemyAI {
                 for (const [dr, dc] of [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]]) {
                     const r = position.row + dr;
                     const c = position.col + dc;
-                    if (r >= 0 && r < 8 && c >= 0 && c < 8) squares.push({ row: r, col: c });
+                    if (this.isOnBoard(board, r, c)) squares.push({ row: r, col: c });
                 }
                 break;
             case 'queen':
@@ -1838,7 +1758,7 @@ class EnemyAI {
                 for (const [dr, dc] of [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]]) {
                     const r = position.row + dr;
                     const c = position.col + dc;
-                    if (r >= 0 && r < 8 && c >= 0 && c < 8) squares.push({ row: r, col: c });
+                    if (this.isOnBoard(board, r, c)) squares.push({ row: r, col: c });
                 }
                 break;
             case 'pawn':
@@ -1846,7 +1766,7 @@ class EnemyAI {
                 for (const dc of [-1, 1]) {
                     const r = position.row - 1;
                     const c = position.col + dc;
-                    if (r >= 0 && r < 8 && c >= 0 && c < 8) squares.push({ row: r, col: c });
+                    if (this.isOnBoard(board, r, c)) squares.push({ row: r, col: c });
                 }
                 break;
         }
@@ -1950,7 +1870,7 @@ class EnemyAI {
             let c = piece.col + dc;
 
             while (r !== position.row || c !== position.col) {
-                if (r < 0 || r >= 8 || c < 0 || c >= 8) break;
+                if (!this.isOnBoard(gameState.board, r, c)) break;
                 if (gameState.board[r][c]) obstacles++;
                 r += dr;
                 c += dc;
@@ -1969,8 +1889,9 @@ class EnemyAI {
         return false;
     }
 
-    static isNearWall(position) {
-        return position.row === 0 || position.row === 7 || position.col === 0 || position.col === 7;
+    static isNearWall(position, board) {
+        return position.row === 0 || position.row === board.length - 1 ||
+            position.col === 0 || position.col === board[0].length - 1;
     }
 
     // New card danger helpers
@@ -1980,7 +1901,7 @@ class EnemyAI {
                 if (dr === 0 && dc === 0) continue;
                 const r = position.row + dr;
                 const c = position.col + dc;
-                if (r >= 0 && r < 8 && c >= 0 && c < 8 && !gameState.board[r][c]) {
+                if (this.isOnBoard(gameState.board, r, c) && !gameState.board[r][c]) {
                     return true;
                 }
             }
@@ -2003,8 +1924,9 @@ class EnemyAI {
         return false;
     }
 
-    static isNearEdge(position) {
-        return position.row <= 1 || position.row >= 6 || position.col <= 1 || position.col >= 6;
+    static isNearEdge(position, board) {
+        return position.row <= 1 || position.row >= board.length - 2 ||
+            position.col <= 1 || position.col >= board[0].length - 2;
     }
 
     static isBlockingPlayerPiece(position, gameState) {
@@ -2014,7 +1936,7 @@ class EnemyAI {
                 // Check if we're in line between player piece and a target
                 let r = piece.row + dr;
                 let c = piece.col + dc;
-                while (r >= 0 && r < 8 && c >= 0 && c < 8) {
+                while (this.isOnBoard(gameState.board, r, c)) {
                     if (r === position.row && c === position.col) {
                         return true;
                     }
@@ -2038,7 +1960,7 @@ class EnemyAI {
             if (piece.type === 'bishop' && !isDiagonal) continue;
             let r = piece.row + dr;
             let c = piece.col + dc;
-            while (r >= 0 && r < 8 && c >= 0 && c < 8) {
+            while (this.isOnBoard(gameState.board, r, c)) {
                 if (r === position.row && c === position.col) return true;
                 if (gameState.board[r][c]) break;
                 r += dr;
@@ -2093,16 +2015,25 @@ class EnemyAI {
         return threats >= 2;
     }
 
+    static isOnBoard(board, row, col) {
+        return row >= 0 && row < board.length && col >= 0 && col < board[0].length;
+    }
+
+    // Longest straight line on the board, the furthest a slider can travel
+    static boardSpan(board) {
+        return Math.max(board.length, board[0].length);
+    }
+
     static cloneBoard(board) {
         return board.map(row => row ? [...row] : null);
     }
 
-    static weightedRandomSelect(candidates) {
+    static weightedRandomSelect(candidates, rng = new SeededRNG()) {
         if (candidates.length === 1) return candidates[0];
 
         // Weight towards higher scores
         const totalScore = candidates.reduce((sum, c) => sum + Math.max(c.score, 1), 0);
-        let random = Math.random() * totalScore;
+        let random = rng.next() * totalScore;
 
         for (const candidate of candidates) {
             random -= Math.max(candidate.score, 1);
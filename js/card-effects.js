@@ -0,0 +1,716 @@
+// ============================================
+// CARD EFFECTS - Chess Roguelike
+// Interpreter for the declarative card effects in js/cards.js
+// ============================================
+//
+// A card's `effects` is a list of steps run in order. Each step names an op
+// from CARD_EFFECT_OPS; the ops share a context that starts with the picked
+// targets ({ target, second } for pieces, { square } for an empty square).
+//
+// Steps refer to pieces by name: a context key ('target', 'second', or
+// anything an earlier step stored with `as`) or a CARD_SELECTORS entry
+// ('playerKing', 'sameTypeEnemies', ...). Plain step values are literals;
+// { ref: name } reads a piece or context value and { idOf: name } its id.
+// Message text fills {path} slots from the context, e.g. '{target.type}'.
+//
+// An op returns nothing to carry on, or a signal:
+//   'wait' - paused for player input; cardState holds the resume point
+//   'stop' - abort; the card stays selected and is not spent
+//   'done' - skip the remaining steps but still spend the card
+//
+// Card-level switches: `endsTurn: false` keeps the player's turn going,
+// `awaitsMove: true` leaves the card to be spent by the move it enables,
+// `retain: true` keeps it in hand after it's played instead of discarding it.
+//
+// Enemy cards (ENEMY_CARD_DEFINITIONS) use the same ops with targets chosen
+// by their `aim` instead of by the player; see ENEMY CARDS below. The Mirror
+// boss plays player cards that way too (MIRRORED CARDS).
+
+// ============================================
+// SELECTORS & CHECKS
+// ============================================
+
+// Named pieces a step can target besides the context keys
+const CARD_SELECTORS = {
+    playerKing: (game) => game.playerPieces.find(p => p.type === 'king') || null,
+    enemyKing: (game) => game.enemyPieces.find(p => p.type === 'king') || null,
+    // Highest-value piece that isn't the King
+    strongestOwn: (game) => game.playerPieces
+        .filter(p => p.type !== 'king')
+        .reduce((best, p) => (!best || PIECE_VALUES[p.type] > PIECE_VALUES[best.type] ? p : best), null),
+    sameTypeEnemies: (game, ctx) => game.enemyPieces.filter(p => p.type === ctx.target?.type),
+    adjacentOwn: (game, ctx) => game.playerPieces.find(p => squareDistance(p, ctx.target) === 1) || null,
+    // The enemy side's counterparts, for mirrored cards (see MIRRORED_REFS)
+    strongestEnemy: (game) => game.enemyPieces
+        .filter(p => p.type !== 'king')
+        .reduce((best, p) => (!best || PIECE_VALUES[p.type] > PIECE_VALUES[best.type] ? p : best), null),
+    sameTypeOwn: (game, ctx) => game.playerPieces.filter(p => p.type === ctx.target?.type),
+    adjacentEnemy: (game, ctx) => game.enemyPieces.find(p => squareDistance(p, ctx.target) === 1) || null
+};
+
+// Preconditions for the 'require' op
+const CARD_CHECKS = {
+    hasCaptured: (game) => game.capturedPlayerPieces.length > 0,
+    canUndoMove: (game) => {
+        const move = game.lastPlayerMove;
+        return !!move && !move.wasCapture && !move.wasCastling;
+    },
+    historyAtLeast: (game, ctx, step) => game.boardHistory.length >= step.min,
+    notKing: (game, ctx, step) => selectCardPieces(game, ctx, step.piece)?.type !== 'king',
+    // Leaves the count in ctx.attackers for the message
+    attackersAtLeast: (game, ctx, step) => {
+        const { row, col } = ctx.target;
+        ctx.attackers = game.playerPieces
+            .filter(p => game.getValidMoves(p).some(m => m.row === row && m.col === col))
+            .length;
+        return ctx.attackers >= step.min;
+    },
+    enemyAttackersAtLeast: (game, ctx, step) => {
+        const { row, col } = ctx.target;
+        ctx.attackers = game.enemyPieces
+            .filter(p => game.getValidMoves(p).some(m => m.row === row && m.col === col))
+            .length;
+        return ctx.attackers >= step.min;
+    }
+};
+
+// Whether a 'require' step holds (a check, or a piece existing, stored as `as`)
+function meetsCardRequirement(game, step, ctx) {
+    if (step.check) return CARD_CHECKS[step.check](game, ctx, step);
+    const found = selectCardPieces(game, ctx, step.piece);
+    if (step.as) ctx[step.as] = found;
+    return Array.isArray(found) ? found.length > 0 : !!found;
+}
+
+// ============================================
+// EFFECT OPS
+// ============================================
+const CARD_EFFECT_OPS = {
+    message(game, step, ctx) {
+        game.showCardInstructions(formatCardText(step.text, ctx));
+    },
+
+    // Guard the rest of the card on a check or on a piece existing (stored as `as`)
+    require(game, step, ctx) {
+        if (!meetsCardRequirement(game, step, ctx)) return failStep(game, step, ctx);
+    },
+
+    // Ask the player for a direction, square, piece type or captured piece
+    choose(game, step, ctx, card) {
+        const piece = step.piece ? selectCardPieces(game, ctx, step.piece) : null;
+        switch (step.choice) {
+            case 'direction':
+                game.cardState = { type: 'selectDirection', card: card.id, piece, directions: step.directions };
+                break;
+            case 'square':
+                game.cardState = { type: 'selectEmpty', card: card.id, piece, adjacent: !!step.adjacent };
+                break;
+            case 'pieceType':
+                game.cardState = { type: 'selectPromotion', card: card.id, piece, options: step.options };
+                game.showPromoteOverlay(step.options);
+                break;
+            case 'captured':
+                game.cardState = { type: 'selectCaptured', card: card.id };
+                game.showResurrectOverlay();
+                break;
+            default:
+                console.warn(`[Cards] Unknown choice "${step.choice}" on ${card.id}`);
+                return 'stop';
+        }
+        if (step.prompt) game.showCardInstructions(formatCardText(step.prompt, ctx));
+        return 'wait';
+    },
+
+    // Move to a context square, by a fixed offset, or to a random free neighbour
+    move(game, step, ctx) {
+        const piece = selectCardPieces(game, ctx, step.piece);
+        const to = piece ? cardDestination(game, step, ctx, piece) : null;
+        if (!to || !game.isOnBoard(to.row, to.col) || game.board[to.row][to.col]) {
+            return failStep(game, step, ctx);
+        }
+        placeCardPiece(game, piece, to.row, to.col);
+    },
+
+    swap(game, step, ctx) {
+        const [a, b] = step.pieces.map(ref => selectCardPieces(game, ctx, ref));
+        if (!a || !b) return failStep(game, step, ctx);
+        const from = { row: a.row, col: a.col };
+        game.board[b.row][b.col] = a;
+        game.board[from.row][from.col] = b;
+        a.row = b.row;
+        a.col = b.col;
+        b.row = from.row;
+        b.col = from.col;
+    },
+
+    // Timed piece status: frozen, shielded, braced, invulnerable, phantom
+    status(game, step, ctx) {
+        const field = `${step.status}Pieces`;
+        for (const piece of asPieceList(selectCardPieces(game, ctx, step.piece))) {
+            game[field].set(piece.id, step.turns);
+        }
+    },
+
+    // Extra energy for this battle's card plays
+    energy(game, step) {
+        game.gainEnergy(step.amount);
+    },
+
+    // Draw from the draw pile; the count may come from the context
+    draw(game, step, ctx) {
+        ctx.drawn = game.drawCards(resolveCardValue(game, ctx, step.count)).length;
+    },
+
+    // Discard the rest of the hand, leaving the count in ctx.discarded
+    discard(game, step, ctx, card) {
+        ctx.discarded = game.discardHand(card.id);
+    },
+
+    // Set a battle flag or counter (rallyActive, kingQueenMoves, dashPiece, ...)
+    set(game, step, ctx) {
+        game[step.field] = resolveCardValue(game, ctx, step.value);
+    },
+
+    // Add pieces to a battle id set (traitorMarked, decoys)
+    mark(game, step, ctx) {
+        for (const piece of asPieceList(selectCardPieces(game, ctx, step.piece))) {
+            game[step.set].add(piece.id);
+        }
+    },
+
+    // Place a new piece (or an off-board one such as a captured piece) on a square
+    spawn(game, step, ctx) {
+        const at = ctx[step.at];
+        let piece;
+        if (step.piece) {
+            piece = selectCardPieces(game, ctx, step.piece);
+        } else {
+            const type = step.copyOf ? selectCardPieces(game, ctx, step.copyOf)?.type : step.type;
+            piece = type ? { type, owner: step.owner || 'player' } : null;
+        }
+        if (!piece || !at) return failStep(game, step, ctx);
+
+        Object.assign(piece, step.props, {
+            row: at.row,
+            col: at.col,
+            id: `${step.idPrefix || 'spawned'}-${game.rng.id()}`
+        });
+        game.board[at.row][at.col] = piece;
+        pieceList(game, piece.owner).push(piece);
+        if (step.as) ctx[step.as] = piece;
+    },
+
+    transform(game, step, ctx) {
+        const type = resolveCardValue(game, ctx, step.into);
+        for (const piece of asPieceList(selectCardPieces(game, ctx, step.piece))) {
+            piece.type = type;
+        }
+    },
+
+    // Take pieces off the board as captures (they count and can be resurrected)
+    capture(game, step, ctx) {
+        for (const piece of asPieceList(selectCardPieces(game, ctx, step.piece))) {
+            game.board[piece.row][piece.col] = null;
+            game.capturePiece(piece);
+        }
+    },
+
+    // Take pieces out of the game without counting a capture
+    remove(game, step, ctx) {
+        for (const piece of asPieceList(selectCardPieces(game, ctx, step.piece))) {
+            game.board[piece.row][piece.col] = null;
+            const list = piece.owner === 'player' ? 'playerPieces' : 'enemyPieces';
+            game[list] = game[list].filter(p => p !== piece);
+        }
+    },
+
+    // Capture every piece of one side within `radius` of a piece or square
+    areaDamage(game, step, ctx) {
+        const center = selectCardPieces(game, ctx, step.around);
+        if (!center) return failStep(game, step, ctx);
+        const radius = step.radius ?? 1;
+        const owner = step.owner || 'enemy';
+        ctx.hits = 0;
+
+        for (let dr = -radius; dr <= radius; dr++) {
+            for (let dc = -radius; dc <= radius; dc++) {
+                const row = center.row + dr;
+                const col = center.col + dc;
+                if ((dr === 0 && dc === 0) || !game.isOnBoard(row, col)) continue;
+                const piece = game.board[row][col];
+                if (!piece || piece.owner !== owner) continue;
+                if (piece.type === 'king' && step.spareKing !== false) continue;
+                game.board[row][col] = null;
+                game.capturePiece(piece);
+                ctx.hits++;
+            }
+        }
+    },
+
+    // Enemy changes sides: for `turns` turns (Mind Control) or for good
+    convert(game, step, ctx) {
+        for (const piece of asPieceList(selectCardPieces(game, ctx, step.piece))) {
+            if (step.turns) {
+                game.controlledEnemies.set(piece.id, { originalOwner: 'enemy', turnsLeft: step.turns });
+            } else {
+                piece.id = `converted-${game.rng.id()}`;
+            }
+            piece.owner = 'player';
+            game.enemyPieces = game.enemyPieces.filter(p => p !== piece);
+            game.playerPieces.push(piece);
+        }
+    },
+
+    // Push a piece one square away from `from`; walls, pieces and traps crush it.
+    // Leaves ctx.outcome ('crushed' / 'pushed into trap' / 'pushed back')
+    push(game, step, ctx) {
+        const piece = selectCardPieces(game, ctx, step.piece);
+        const from = selectCardPieces(game, ctx, step.from);
+        if (!piece || !from) return failStep(game, step, ctx);
+
+        const row = piece.row + Math.sign(piece.row - from.row);
+        const col = piece.col + Math.sign(piece.col - from.col);
+        game.board[piece.row][piece.col] = null;
+
+        if (!game.isOnBoard(row, col) || game.board[row][col]) {
+            game.capturePiece(piece);
+            ctx.outcome = 'crushed';
+            return;
+        }
+
+        piece.row = row;
+        piece.col = col;
+        game.board[row][col] = piece;
+
+        const trapKey = `${row},${col}`;
+        if (game.traps.has(trapKey)) {
+            game.traps.delete(trapKey);
+            game.board[row][col] = null;
+            game.capturePiece(piece);
+            ctx.outcome = 'pushed into trap';
+        } else {
+            ctx.outcome = 'pushed back';
+        }
+    },
+
+    trap(game, step, ctx) {
+        const at = ctx[step.at];
+        game.traps.set(`${at.row},${at.col}`, true);
+    },
+
+    // Store a piece off the board; the game offers to redeploy it next turn
+    pocket(game, step, ctx) {
+        const piece = selectCardPieces(game, ctx, step.piece);
+        game.board[piece.row][piece.col] = null;
+        game.pocketedPiece = { ...piece };
+        game.playerPieces = game.playerPieces.filter(p => p !== piece);
+    },
+
+    undoMove(game) {
+        const move = game.lastPlayerMove;
+        game.board[move.to.row][move.to.col] = null;
+        move.piece.row = move.from.row;
+        move.piece.col = move.from.col;
+        game.board[move.from.row][move.from.col] = move.piece;
+        game.lastPlayerMove = null;
+    },
+
+    rewind(game, step) {
+        for (let i = 0; i < step.turns; i++) game.boardHistory.pop();
+        game.restoreBoardState();
+    },
+
+    refreshIntent(game) {
+        game.calculateEnemyIntent();
+    }
+};
+
+// ============================================
+// RUNNER
+// ============================================
+
+/**
+ * Run a card's effects from `start`, then spend the card unless an op stopped
+ * or paused it.
+ * @returns {'done'|'wait'|'stop'}
+ */
+function runCardEffects(game, card, ctx = {}, start = 0) {
+    const { signal, index } = applyCardSteps(game, card, ctx, start);
+    if (signal === 'wait') {
+        game.cardState.resume = { index: index + 1, ctx };
+        return 'wait';
+    }
+    if (signal === 'stop') return 'stop';
+
+    if (card.awaitsMove) {
+        // The enhanced move spends the card (see completePlayerMove)
+        game.cardState = null;
+        return 'wait';
+    }
+
+    game.finishCardPlay(card.endsTurn !== false);
+    return 'done';
+}
+
+// Run steps until one signals; returns the signal and the step that gave it
+function applyCardSteps(game, card, ctx, start = 0) {
+    const effects = card.effects || [];
+
+    for (let i = start; i < effects.length; i++) {
+        const step = effects[i];
+        const op = CARD_EFFECT_OPS[step.op];
+        if (!op) {
+            console.warn(`[Cards] Unknown effect op "${step.op}" on ${card.id}`);
+            continue;
+        }
+
+        const signal = op(game, step, ctx, card);
+        if (signal) return { signal, index: i };
+    }
+    return { signal: null, index: effects.length };
+}
+
+// Continue a card paused on a 'choose' step with the player's answer
+function resumeCardEffects(game, input) {
+    const resume = game.cardState?.resume;
+    const card = CARD_DEFINITIONS[game.cardState?.card];
+    if (!resume || !card) return null;
+    return runCardEffects(game, card, { ...resume.ctx, ...input }, resume.index);
+}
+
+// pieceFilter is { types: [...] } (only these) or { exclude: [...] } (all but these)
+function matchesPieceFilter(filter, piece) {
+    if (!filter) return true;
+    if (filter.types && !filter.types.includes(piece.type)) return false;
+    if (filter.exclude && filter.exclude.includes(piece.type)) return false;
+    return true;
+}
+
+// ============================================
+// ENEMY CARDS
+// ============================================
+// An aim finds an enemy card's targets and rates the play in PIECE_VALUES
+// material: { ctx, worth }, or null when the card has no use right now.
+// Aims get the card too, for the targeting limits of mirrored player cards.
+const ENEMY_CARD_AIMS = {
+    // The player piece threatening the most valuable enemy piece
+    strongestAttacker(game, card = {}) {
+        return strongestAttackerOf(game, game.playerPieces.filter(p => matchesPieceFilter(card.pieceFilter, p)));
+    },
+
+    // Move the most valuable threatened piece onto the cheapest safe piece's square
+    rescueSwap(game, card = {}) {
+        const reach = playerReach(game);
+        const safe = (p) => p.type !== 'king' && !reach.has(`${p.row},${p.col}`);
+        const byValue = (a, b) => PIECE_VALUES[a.type] - PIECE_VALUES[b.type];
+
+        const threatened = game.enemyPieces.filter(p => p.type !== 'king' && !safe(p)).sort(byValue).pop();
+        if (!threatened) return null;
+        const decoy = game.enemyPieces
+            .filter(p => safe(p) && PIECE_VALUES[p.type] < PIECE_VALUES[threatened.type])
+            .filter(p => !card.requiresAdjacent || squareDistance(p, threatened) === 1)
+            .sort(byValue)[0];
+        if (!decoy) return null;
+
+        return {
+            ctx: { target: threatened, second: decoy },
+            worth: PIECE_VALUES[threatened.type] - PIECE_VALUES[decoy.type]
+        };
+    },
+
+    // When behind on material: the free square nearest the player's King
+    // (but not next to it) that no player piece can reach
+    reinforce(game) {
+        const material = (pieces) => pieces
+            .filter(p => p.type !== 'king')
+            .reduce((sum, p) => sum + PIECE_VALUES[p.type], 0);
+        const deficit = material(game.playerPieces) - material(game.enemyPieces);
+        const king = CARD_SELECTORS.playerKing(game);
+        if (deficit <= 0 || !king) return null;
+
+        const reach = playerReach(game);
+        let square = null;
+        for (let row = 0; row < game.rows; row++) {
+            for (let col = 0; col < game.cols; col++) {
+                if (game.board[row][col] || reach.has(`${row},${col}`)) continue;
+                const distance = squareDistance({ row, col }, king);
+                if (distance < 2) continue;
+                if (!square || distance < squareDistance(square, king)) square = { row, col };
+            }
+        }
+        return square ? { ctx: { square }, worth: deficit } : null;
+    }
+};
+
+/**
+ * Pick the enemy card worth playing instead of `plannedMove`: the best-rated
+ * aim that reaches the card's minWorth and beats what the move would capture.
+ * @param {string} [onlyCard] - Re-aim just this card (one already announced)
+ * @returns {{card: string, ctx: Object, worth: number}|null}
+ */
+function planEnemyCard(game, plannedMove = null, onlyCard = null) {
+    const captured = plannedMove ? game.board[plannedMove.to.row]?.[plannedMove.to.col] : null;
+    const moveWorth = captured ? PIECE_VALUES[captured.type] : 0;
+
+    let best = null;
+    for (const cardId of new Set(game.enemyHand)) {
+        if (onlyCard && cardId !== onlyCard) continue;
+        const card = getEnemyCard(cardId);
+        const aims = card?.mirrorOf ? MIRROR_CARD_AIMS : ENEMY_CARD_AIMS;
+        const aim = card && aims[card.aim]?.(game, card);
+        if (!aim || aim.worth < (card.minWorth || 0) || aim.worth <= moveWorth) continue;
+        if (card.mirrorOf && !meetsCardRequirements(game, card, aim.ctx)) continue;
+        if (!best || aim.worth > best.worth) {
+            best = { card: cardId, ...aim };
+        }
+    }
+    return best;
+}
+
+// Play a planned enemy card and take it out of the enemy's hand
+function resolveEnemyCard(game, plan) {
+    const card = getEnemyCard(plan.card);
+    applyCardSteps(game, card, plan.ctx);
+
+    const index = game.enemyHand.indexOf(plan.card);
+    if (index !== -1) game.enemyHand.splice(index, 1);
+}
+
+// A stock enemy card, or a player card as the Mirror plays it
+function getEnemyCard(cardId) {
+    return ENEMY_CARD_DEFINITIONS[cardId] || getMirrorCard(cardId);
+}
+
+// ============================================
+// MIRRORED CARDS
+// ============================================
+// The Mirror boss plays the player's own cards back at them, under enemy card
+// ids MIRROR_CARD_PREFIX + the player card's id. A mirrored card runs the
+// player card's steps with the sides swapped: selectors and checks trade
+// places (MIRRORED_REFS), spawns change owner, fixed offsets point the other
+// way, and statuses get one more turn, since they tick at the end of the
+// enemy turn they're played on. MIRROR_CARD_AIMS picks its targets by the
+// card's targeting, the way the player would click them.
+//
+// Cards that wait on the player (choose), change the player's hand, energy or
+// turn flags, or read the player's history have no mirror: they stay out of
+// the Mirror's hand.
+
+const MIRROR_CARD_PREFIX = 'mirror:';
+
+// The least a mirrored card's play must be worth (a minor piece)
+const MIRROR_CARD_MIN_WORTH = 300;
+
+// Ops that work for either side once their references are swapped
+const MIRROR_OPS = new Set(['message', 'require', 'move', 'swap', 'status', 'spawn', 'transform', 'capture', 'remove', 'push']);
+
+// Player-side selectors and checks and their enemy-side counterparts
+const MIRRORED_REFS = {
+    playerKing: 'enemyKing',
+    enemyKing: 'playerKing',
+    strongestOwn: 'strongestEnemy',
+    sameTypeEnemies: 'sameTypeOwn',
+    adjacentOwn: 'adjacentEnemy',
+    attackersAtLeast: 'enemyAttackersAtLeast',
+    notKing: 'notKing'
+};
+
+// Step fields holding a piece reference
+const MIRROR_PIECE_FIELDS = ['piece', 'around', 'from', 'copyOf'];
+
+// Targets from the Mirror's side of the board: its "own" pieces are enemy
+// pieces and its "enemies" the player's
+const MIRROR_CARD_AIMS = {
+    // Played to get the King out of reach
+    [TARGETING.NONE](game) {
+        const king = CARD_SELECTORS.enemyKing(game);
+        return king && playerReach(game).has(`${king.row},${king.col}`)
+            ? { ctx: {}, worth: PIECE_VALUES.king }
+            : null;
+    },
+
+    // The most valuable enemy piece the player could take next turn
+    [TARGETING.OWN_PIECE](game, card) {
+        const reach = playerReach(game);
+        const threatened = game.enemyPieces
+            .filter(p => p.type !== 'king' && matchesPieceFilter(card.pieceFilter, p))
+            .filter(p => !isCardProtected(game, p) && reach.has(`${p.row},${p.col}`))
+            .sort((a, b) => PIECE_VALUES[b.type] - PIECE_VALUES[a.type])[0];
+        return threatened ? { ctx: { target: threatened }, worth: PIECE_VALUES[threatened.type] } : null;
+    },
+
+    [TARGETING.ENEMY_PIECE]: ENEMY_CARD_AIMS.strongestAttacker,
+
+    // The strongest attacker standing next to an enemy piece
+    [TARGETING.ADJACENT_ENEMY](game, card) {
+        return strongestAttackerOf(game, game.playerPieces.filter(p =>
+            matchesPieceFilter(card.pieceFilter, p) && game.enemyPieces.some(e => squareDistance(e, p) === 1)));
+    },
+
+    [TARGETING.EMPTY_SQUARE]: ENEMY_CARD_AIMS.reinforce,
+    [TARGETING.TWO_PIECES]: ENEMY_CARD_AIMS.rescueSwap
+};
+
+function canMirrorCard(card) {
+    if (!card || card.curse || card.awaitsMove || !MIRROR_CARD_AIMS[card.targeting]) return false;
+    return (card.effects || []).every(step => {
+        const refs = [...MIRROR_PIECE_FIELDS.map(field => step[field]), ...(step.pieces || [])];
+        return MIRROR_OPS.has(step.op) &&
+            refs.every(ref => !CARD_SELECTORS[ref] || MIRRORED_REFS[ref]) &&
+            (!step.check || MIRRORED_REFS[step.check]);
+    });
+}
+
+function mirrorCardStep(step) {
+    const mirrored = { ...step };
+    for (const field of MIRROR_PIECE_FIELDS) {
+        if (MIRRORED_REFS[step[field]]) mirrored[field] = MIRRORED_REFS[step[field]];
+    }
+    if (step.pieces) mirrored.pieces = step.pieces.map(ref => MIRRORED_REFS[ref] || ref);
+    if (step.check) mirrored.check = MIRRORED_REFS[step.check];
+    if (step.op === 'spawn') mirrored.owner = step.owner === 'enemy' ? 'player' : 'enemy';
+    if (step.idPrefix) mirrored.idPrefix = `enemy-${step.idPrefix}`;
+    if (step.offset) mirrored.offset = [-step.offset[0], step.offset[1]];
+    if (step.turns) mirrored.turns = step.turns + 1;
+    // The player card's own wording speaks to the player about their move
+    delete mirrored.fail;
+    return mirrored;
+}
+
+// The enemy card for a 'mirror:<card id>' id, or null if that card has no mirror
+function getMirrorCard(cardId) {
+    if (typeof cardId !== 'string' || !cardId.startsWith(MIRROR_CARD_PREFIX)) return null;
+    const card = CARD_DEFINITIONS[cardId.slice(MIRROR_CARD_PREFIX.length)];
+    if (!canMirrorCard(card)) return null;
+
+    return {
+        ...card,
+        id: cardId,
+        mirrorOf: card.id,
+        description: `Your own card, played back at you: ${card.description}`,
+        aim: card.targeting,
+        minWorth: MIRROR_CARD_MIN_WORTH,
+        effects: [
+            ...card.effects.filter(step => step.op !== 'message').map(mirrorCardStep),
+            { op: 'message', text: `The Mirror played your ${card.name}!` }
+        ]
+    };
+}
+
+// Whether a card's 'require' steps would pass for `ctx`, without playing it
+function meetsCardRequirements(game, card, ctx) {
+    const probe = { ...ctx };
+    return card.effects.every(step => step.op !== 'require' || meetsCardRequirement(game, step, probe));
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function selectCardPieces(game, ctx, ref) {
+    if (!ref) return null;
+    if (ref in ctx) return ctx[ref];
+    const selector = CARD_SELECTORS[ref];
+    return selector ? selector(game, ctx) : null;
+}
+
+function resolveCardValue(game, ctx, value) {
+    if (Array.isArray(value)) return value.map(v => resolveCardValue(game, ctx, v));
+    if (!value || typeof value !== 'object') return value;
+    if ('ref' in value) return selectCardPieces(game, ctx, value.ref);
+    if ('idOf' in value) return selectCardPieces(game, ctx, value.idOf)?.id ?? null;
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolveCardValue(game, ctx, v)]));
+}
+
+function formatCardText(text, ctx) {
+    return text.replace(/\{([\w.]+)\}/g, (_, path) =>
+        path.split('.').reduce((value, key) => value?.[key], ctx) ?? '');
+}
+
+function failStep(game, step, ctx) {
+    if (step.fail) game.showCardInstructions(formatCardText(step.fail, ctx));
+    return step.onFail || 'done';
+}
+
+function cardDestination(game, step, ctx, piece) {
+    if (step.offset) {
+        return { row: piece.row + step.offset[0], col: piece.col + step.offset[1] };
+    }
+    if (step.to === 'randomAdjacent') {
+        const open = ALL_DIRECTIONS
+            .map(([dr, dc]) => ({ row: piece.row + dr, col: piece.col + dc }))
+            .filter(sq => game.isOnBoard(sq.row, sq.col) && !game.board[sq.row][sq.col]);
+        return open.length > 0 ? game.rng.pick(open) : null;
+    }
+    return ctx[step.to] || null;
+}
+
+function placeCardPiece(game, piece, row, col) {
+    game.board[piece.row][piece.col] = null;
+    piece.row = row;
+    piece.col = col;
+    game.board[row][col] = piece;
+}
+
+function pieceList(game, owner) {
+    return owner === 'player' ? game.playerPieces : game.enemyPieces;
+}
+
+function asPieceList(value) {
+    return (Array.isArray(value) ? value : [value]).filter(Boolean);
+}
+
+// Of `attackers` (the King aside), the one threatening the most valuable enemy piece
+function strongestAttackerOf(game, attackers) {
+    let best = null;
+    for (const attacker of attackers) {
+        if (attacker.type === 'king') continue;
+        for (const move of game.getValidMoves(attacker)) {
+            const victim = game.board[move.row][move.col];
+            if (victim?.owner !== 'enemy') continue;
+            const worth = PIECE_VALUES[victim.type];
+            if (!best || worth > best.worth) best = { ctx: { target: attacker, threatened: victim }, worth };
+        }
+    }
+    return best;
+}
+
+// Shielded, braced or invulnerable: captures on it fail
+function isCardProtected(game, piece) {
+    return [game.shieldedPieces, game.bracedPieces, game.invulnerablePieces].some(pieces => pieces.has(piece.id));
+}
+
+// Squares any player piece could move to next turn, as 'row,col' keys
+function playerReach(game) {
+    const reach = new Set();
+    for (const piece of game.playerPieces) {
+        for (const move of game.getValidMoves(piece)) reach.add(`${move.row},${move.col}`);
+    }
+    return reach;
+}
+
+function squareDistance(a, b) {
+    return Math.max(Math.abs(a.row - b.row), Math.abs(a.col - b.col));
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CARD_SELECTORS,
+        CARD_CHECKS,
+        CARD_EFFECT_OPS,
+        ENEMY_CARD_AIMS,
+        runCardEffects,
+        resumeCardEffects,
+        applyCardSteps,
+        matchesPieceFilter,
+        planEnemyCard,
+        resolveEnemyCard,
+        getEnemyCard,
+        MIRROR_CARD_PREFIX,
+        MIRROR_CARD_AIMS,
+        MIRRORED_REFS,
+        canMirrorCard,
+        getMirrorCard
+    };
+}
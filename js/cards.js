@@ -6,11 +6,13 @@
 // ============================================
 // CARD RARITIES & XP COSTS
 // ============================================
+// energyCost is what a play costs in battle unless the card sets its own `cost`
 const CARD_RARITIES = {
-    COMMON: { name: 'Common', xpCost: 25, color: '#888888' },
-    UNCOMMON: { name: 'Uncommon', xpCost: 40, color: '#1eff00' },
-    RARE: { name: 'Rare', xpCost: 60, color: '#0070dd' },
-    LEGENDARY: { name: 'Legendary', xpCost: 100, color: '#ff8000' }
+    COMMON: { name: 'Common', xpCost: 25, energyCost: 1, color: '#888888' },
+    UNCOMMON: { name: 'Uncommon', xpCost: 40, energyCost: 2, color: '#1eff00' },
+    RARE: { name: 'Rare', xpCost: 60, energyCost: 3, color: '#0070dd' },
+    LEGENDARY: { name: 'Legendary', xpCost: 100, energyCost: 4, color: '#ff8000' },
+    CURSE: { name: 'Curse', xpCost: 0, energyCost: 0, color: '#99cc33' } // Never offered
 };
 
 // ============================================
@@ -44,9 +46,19 @@ const EFFECT_TYPES = {
     VISION: 'vision'
 };
 
+// ============================================
+// DIRECTIONS
+// ============================================
+const ALL_DIRECTIONS = [[-1,-1],[-1,0],[-1,1],[0,-1],[0,1],[1,-1],[1,0],[1,1]];
+
 // ============================================
 // CARD DEFINITIONS - ALL 45 CARDS
 // ============================================
+// Cards are data: `effects` is run by js/card-effects.js, so a new card only
+// needs an entry here. `tags` (EFFECT_TYPES, default [effectType]) drive
+// CARD_COMBOS, `pieceFilter` limits targets ({ types } or { exclude }),
+// `danger` is what the enemy AI fears from the card (CARD_DANGERS), and
+// `upgrade` lists what changes in the card's Card+ variant.
 const CARD_DEFINITIONS = {
     // ============================================
     // COMMON CARDS (11 cards - 25 XP each)
@@ -59,14 +71,15 @@ const CARD_DEFINITIONS = {
         rarity: 'COMMON',
         targeting: TARGETING.ANY_PIECE,
         effectType: EFFECT_TYPES.MOVEMENT,
-        execute: function(game, target) {
-            game.cardState = {
-                type: 'selectDirection',
-                card: 'nudge',
-                piece: target,
-                directions: [[-1,-1],[-1,0],[-1,1],[0,-1],[0,1],[1,-1],[1,0],[1,1]]
-            };
-            game.showCardInstructions('Select a direction to nudge the piece.');
+        danger: { condition: 'anyPosition', penalty: -10, description: 'Piece can be nudged 1 square' },
+        effects: [
+            { op: 'choose', choice: 'direction', piece: 'target', directions: ALL_DIRECTIONS, prompt: 'Select a direction to nudge the piece.' },
+            { op: 'move', piece: 'target', to: 'square' },
+            { op: 'message', text: '{target.type} moved!' }
+        ],
+        upgrade: {
+            description: 'Move any piece 1 square in any direction. Does not end your turn.',
+            endsTurn: false
         }
     },
 
@@ -77,10 +90,17 @@ const CARD_DEFINITIONS = {
         rarity: 'COMMON',
         targeting: TARGETING.ENEMY_PIECE,
         effectType: EFFECT_TYPES.DEBUFF,
-        execute: function(game, target) {
-            game.frozenPieces.set(target.id, 2);
-            game.showCardInstructions(`${target.type} frozen for 1 turn!`);
-            game.finishCardPlay();
+        danger: { condition: 'anyPiece', penalty: -15, description: 'Can be frozen for 1 turn' },
+        effects: [
+            { op: 'status', status: 'frozen', piece: 'target', turns: 2 },
+            { op: 'message', text: '{target.type} frozen for 1 turn!' }
+        ],
+        upgrade: {
+            description: 'Freeze an enemy piece for 2 turns.',
+            effects: [
+                { op: 'status', status: 'frozen', piece: 'target', turns: 3 },
+                { op: 'message', text: '{target.type} frozen for 2 turns!' }
+            ]
         }
     },
 
@@ -91,11 +111,19 @@ const CARD_DEFINITIONS = {
         rarity: 'COMMON',
         targeting: TARGETING.NONE,
         effectType: EFFECT_TYPES.VISION,
-        execute: function(game) {
-            game.extendedIntentTurns = 2;
-            game.showCardInstructions('Enemy intent revealed for 2 turns!');
-            game.calculateEnemyIntent();
-            game.finishCardPlay();
+        danger: { condition: 'none', penalty: 0, description: 'No direct danger' },
+        effects: [
+            { op: 'set', field: 'extendedIntentTurns', value: 2 },
+            { op: 'message', text: 'Enemy intent revealed for 2 turns!' },
+            { op: 'refreshIntent' }
+        ],
+        upgrade: {
+            description: 'Reveal enemy intent for next 3 moves.',
+            effects: [
+                { op: 'set', field: 'extendedIntentTurns', value: 3 },
+                { op: 'message', text: 'Enemy intent revealed for 3 turns!' },
+                { op: 'refreshIntent' }
+            ]
         }
     },
 
@@ -106,10 +134,17 @@ const CARD_DEFINITIONS = {
         rarity: 'COMMON',
         targeting: TARGETING.OWN_PIECE,
         effectType: EFFECT_TYPES.PROTECTION,
-        execute: function(game, target) {
-            game.shieldedPieces.set(target.id, 1);
-            game.showCardInstructions(`${target.type} shielded for this turn!`);
-            game.finishCardPlay();
+        danger: { condition: 'nearHighValueTarget', penalty: -20, description: 'Target may become shielded' },
+        effects: [
+            { op: 'status', status: 'shielded', piece: 'target', turns: 1 },
+            { op: 'message', text: '{target.type} shielded for this turn!' }
+        ],
+        upgrade: {
+            description: 'Target piece cannot be captured for 2 turns.',
+            effects: [
+                { op: 'status', status: 'shielded', piece: 'target', turns: 2 },
+                { op: 'message', text: '{target.type} shielded for 2 turns!' }
+            ]
         }
     },
 
@@ -120,10 +155,19 @@ const CARD_DEFINITIONS = {
         rarity: 'COMMON',
         targeting: TARGETING.OWN_PIECE,
         effectType: EFFECT_TYPES.MOVEMENT,
-        execute: function(game, target) {
-            game.dashPiece = target;
-            game.showCardInstructions(`${target.type} can dash! Make a move with extended range.`);
-            // Don't finish - let player make the enhanced move
+        awaitsMove: true,
+        danger: { condition: 'inExtendedRange', penalty: -15, description: 'Player pieces have extended range' },
+        effects: [
+            { op: 'set', field: 'dashPiece', value: { ref: 'target' } },
+            { op: 'message', text: '{target.type} can dash! Make a move with extended range.' }
+        ],
+        upgrade: {
+            description: 'Your piece moves 2 extra squares in its direction and is shielded this turn.',
+            effects: [
+                { op: 'set', field: 'dashPiece', value: { ref: 'target' } },
+                { op: 'status', status: 'shielded', piece: 'target', turns: 1 },
+                { op: 'message', text: '{target.type} can dash, shielded! Make a move with extended range.' }
+            ]
         }
     },
 
@@ -134,18 +178,14 @@ const CARD_DEFINITIONS = {
         rarity: 'COMMON',
         targeting: TARGETING.OWN_PIECE,
         effectType: EFFECT_TYPES.MOVEMENT,
-        execute: function(game, target) {
-            const direction = 1; // Backward for player
-            const newRow = target.row + direction;
-            if (newRow >= 0 && newRow < game.board.length && !game.board[newRow][target.col]) {
-                game.board[target.row][target.col] = null;
-                target.row = newRow;
-                game.board[newRow][target.col] = target;
-                game.showCardInstructions(`${target.type} stepped back!`);
-            } else {
-                game.showCardInstructions('Cannot move there!');
-            }
-            game.finishCardPlay();
+        danger: { condition: 'none', penalty: -5, description: 'Player can retreat' },
+        effects: [
+            { op: 'move', piece: 'target', offset: [1, 0], fail: 'Cannot move there!' },
+            { op: 'message', text: '{target.type} stepped back!' }
+        ],
+        upgrade: {
+            description: 'Move one of your pieces 1 square backward. Does not end your turn.',
+            endsTurn: false
         }
     },
 
@@ -156,24 +196,18 @@ const CARD_DEFINITIONS = {
         rarity: 'COMMON',
         targeting: TARGETING.ENEMY_PIECE,
         effectType: EFFECT_TYPES.CONTROL,
-        execute: function(game, target) {
-            const directions = [[-1,-1],[-1,0],[-1,1],[0,-1],[0,1],[1,-1],[1,0],[1,1]];
-            const validDirs = directions.filter(([dr, dc]) => {
-                const r = target.row + dr;
-                const c = target.col + dc;
-                return r >= 0 && r < game.board.length && c >= 0 && c < 8 && !game.board[r][c];
-            });
-            if (validDirs.length > 0) {
-                const [dr, dc] = validDirs[Math.floor(Math.random() * validDirs.length)];
-                game.board[target.row][target.col] = null;
-                target.row += dr;
-                target.col += dc;
-                game.board[target.row][target.col] = target;
-                game.showCardInstructions(`${target.type} stumbled!`);
-            } else {
-                game.showCardInstructions('Enemy cannot stumble anywhere!');
-            }
-            game.finishCardPlay();
+        danger: { condition: 'nearEdge', penalty: -20, description: 'Can be randomly moved' },
+        effects: [
+            { op: 'move', piece: 'target', to: 'randomAdjacent', fail: 'Enemy cannot stumble anywhere!' },
+            { op: 'message', text: '{target.type} stumbled!' }
+        ],
+        upgrade: {
+            description: 'Enemy piece moves 1 random square, then is frozen for 1 turn.',
+            effects: [
+                { op: 'move', piece: 'target', to: 'randomAdjacent', fail: 'Enemy cannot stumble anywhere!' },
+                { op: 'status', status: 'frozen', piece: 'target', turns: 2 },
+                { op: 'message', text: '{target.type} stumbled and is dazed!' }
+            ]
         }
     },
 
@@ -186,17 +220,14 @@ const CARD_DEFINITIONS = {
         effectType: EFFECT_TYPES.MOVEMENT,
         requiresAdjacent: true,
         requiresFriendly: true,
-        execute: function(game, piece1, piece2) {
-            const tempRow = piece1.row;
-            const tempCol = piece1.col;
-            game.board[piece1.row][piece1.col] = piece2;
-            game.board[piece2.row][piece2.col] = piece1;
-            piece1.row = piece2.row;
-            piece1.col = piece2.col;
-            piece2.row = tempRow;
-            piece2.col = tempCol;
-            game.showCardInstructions('Pieces swapped positions!');
-            game.finishCardPlay();
+        danger: { condition: 'none', penalty: -5, description: 'Friendly pieces can swap' },
+        effects: [
+            { op: 'swap', pieces: ['target', 'second'] },
+            { op: 'message', text: 'Pieces swapped positions!' }
+        ],
+        upgrade: {
+            description: 'Swap positions of any two friendly pieces.',
+            requiresAdjacent: false
         }
     },
 
@@ -207,14 +238,21 @@ const CARD_DEFINITIONS = {
         rarity: 'COMMON',
         targeting: TARGETING.NONE,
         effectType: EFFECT_TYPES.PROTECTION,
-        execute: function(game) {
-            const king = game.playerPieces.find(p => p.type === 'king');
-            if (king) {
-                game.bracedPieces.set(king.id, 2);
-                game.frozenPieces.set(king.id, 2);
-                game.showCardInstructions('King is braced and cannot be easily attacked!');
-            }
-            game.finishCardPlay();
+        danger: { condition: 'nearKing', penalty: -25, description: 'King gets defensive bonus' },
+        effects: [
+            { op: 'require', piece: 'playerKing', as: 'king' },
+            { op: 'status', status: 'braced', piece: 'king', turns: 2 },
+            { op: 'status', status: 'frozen', piece: 'king', turns: 2 },
+            { op: 'message', text: 'King is braced and cannot be easily attacked!' }
+        ],
+        upgrade: {
+            description: 'Your King cannot move but gains +1 defense for 2 turns.',
+            effects: [
+                { op: 'require', piece: 'playerKing', as: 'king' },
+                { op: 'status', status: 'braced', piece: 'king', turns: 3 },
+                { op: 'status', status: 'frozen', piece: 'king', turns: 3 },
+                { op: 'message', text: 'King is braced for 2 turns!' }
+            ]
         }
     },
 
@@ -225,37 +263,34 @@ const CARD_DEFINITIONS = {
         rarity: 'COMMON',
         targeting: TARGETING.OWN_PIECE,
         effectType: EFFECT_TYPES.MOVEMENT,
-        execute: function(game, target) {
-            game.cardState = {
-                type: 'selectDirection',
-                card: 'sidestep',
-                piece: target,
-                directions: [[0,-1],[0,1]]
-            };
-            game.showCardInstructions('Select left or right to sidestep.');
+        danger: { condition: 'none', penalty: -5, description: 'Can dodge sideways' },
+        effects: [
+            { op: 'choose', choice: 'direction', piece: 'target', directions: [[0,-1],[0,1]], prompt: 'Select left or right to sidestep.' },
+            { op: 'move', piece: 'target', to: 'square' },
+            { op: 'message', text: '{target.type} moved!' }
+        ],
+        upgrade: {
+            description: 'Move your piece 1 square left or right. Does not end your turn.',
+            endsTurn: false
         }
     },
 
     iDidntSeeThat: {
         id: 'iDidntSeeThat',
         name: "I Didn't See That",
-        description: 'Undo your last move (cannot undo captures).',
+        description: 'Undo your last move (cannot undo captures or castling).',
         rarity: 'COMMON',
         targeting: TARGETING.NONE,
         effectType: EFFECT_TYPES.TIME_MANIPULATION,
-        execute: function(game) {
-            if (game.lastPlayerMove && !game.lastPlayerMove.wasCapture) {
-                const move = game.lastPlayerMove;
-                game.board[move.to.row][move.to.col] = null;
-                move.piece.row = move.from.row;
-                move.piece.col = move.from.col;
-                game.board[move.from.row][move.from.col] = move.piece;
-                game.lastPlayerMove = null;
-                game.showCardInstructions('Move undone!');
-            } else {
-                game.showCardInstructions('Cannot undo this move!');
-            }
-            game.finishCardPlay();
+        danger: { condition: 'none', penalty: -10, description: 'Move can be undone' },
+        effects: [
+            { op: 'require', check: 'canUndoMove', fail: 'Cannot undo this move!' },
+            { op: 'undoMove' },
+            { op: 'message', text: 'Move undone!' }
+        ],
+        upgrade: {
+            description: 'Undo your last move (cannot undo captures or castling), then move again.',
+            endsTurn: false
         }
     },
 
@@ -270,10 +305,17 @@ const CARD_DEFINITIONS = {
         rarity: 'UNCOMMON',
         targeting: TARGETING.ENEMY_PIECE,
         effectType: EFFECT_TYPES.DEBUFF,
-        execute: function(game, target) {
-            game.frozenPieces.set(target.id, 3);
-            game.showCardInstructions(`${target.type} frozen for 2 turns!`);
-            game.finishCardPlay();
+        danger: { condition: 'anyPiece', penalty: -30, description: 'Can be frozen for 2 turns' },
+        effects: [
+            { op: 'status', status: 'frozen', piece: 'target', turns: 3 },
+            { op: 'message', text: '{target.type} frozen for 2 turns!' }
+        ],
+        upgrade: {
+            description: 'Freeze an enemy piece for 3 turns.',
+            effects: [
+                { op: 'status', status: 'frozen', piece: 'target', turns: 4 },
+                { op: 'message', text: '{target.type} frozen for 3 turns!' }
+            ]
         }
     },
 
@@ -284,13 +326,15 @@ const CARD_DEFINITIONS = {
         rarity: 'UNCOMMON',
         targeting: TARGETING.OWN_PIECE,
         effectType: EFFECT_TYPES.MOVEMENT,
-        execute: function(game, target) {
-            game.cardState = {
-                type: 'selectEmpty',
-                card: 'teleport',
-                piece: target
-            };
-            game.showCardInstructions('Select an empty square to teleport to.');
+        danger: { condition: 'anyPosition', penalty: -25, description: 'Player can teleport anywhere' },
+        effects: [
+            { op: 'choose', choice: 'square', piece: 'target', prompt: 'Select an empty square to teleport to.' },
+            { op: 'move', piece: 'target', to: 'square' },
+            { op: 'message', text: '{target.type} teleported!' }
+        ],
+        upgrade: {
+            description: 'Move your piece to any empty square. Does not end your turn.',
+            endsTurn: false
         }
     },
 
@@ -301,17 +345,14 @@ const CARD_DEFINITIONS = {
         rarity: 'UNCOMMON',
         targeting: TARGETING.TWO_PIECES,
         effectType: EFFECT_TYPES.MOVEMENT,
-        execute: function(game, piece1, piece2) {
-            const tempRow = piece1.row;
-            const tempCol = piece1.col;
-            game.board[piece1.row][piece1.col] = piece2;
-            game.board[piece2.row][piece2.col] = piece1;
-            piece1.row = piece2.row;
-            piece1.col = piece2.col;
-            piece2.row = tempRow;
-            piece2.col = tempCol;
-            game.showCardInstructions('Pieces swapped!');
-            game.finishCardPlay();
+        danger: { condition: 'anyPosition', penalty: -20, description: 'Positions can be swapped' },
+        effects: [
+            { op: 'swap', pieces: ['target', 'second'] },
+            { op: 'message', text: 'Pieces swapped!' }
+        ],
+        upgrade: {
+            description: 'Swap positions of any two pieces on the board. Does not end your turn.',
+            endsTurn: false
         }
     },
 
@@ -322,15 +363,20 @@ const CARD_DEFINITIONS = {
         rarity: 'UNCOMMON',
         targeting: TARGETING.OWN_PIECE,
         effectType: EFFECT_TYPES.TRANSFORMATION,
-        pieceFilter: (piece) => piece.type === 'pawn',
-        execute: function(game, target) {
-            game.cardState = {
-                type: 'selectPromotion',
-                card: 'promote',
-                piece: target,
-                options: ['knight', 'bishop']
-            };
-            game.showPromoteOverlay();
+        pieceFilter: { types: ['pawn'] },
+        danger: { condition: 'none', penalty: -15, description: 'Pawns can promote early' },
+        effects: [
+            { op: 'choose', choice: 'pieceType', piece: 'target', options: ['knight', 'bishop'] },
+            { op: 'transform', piece: 'target', into: { ref: 'choice' } },
+            { op: 'message', text: 'Pawn promoted to {choice}!' }
+        ],
+        upgrade: {
+            description: 'Upgrade a Pawn to a Knight, Bishop or Rook.',
+            effects: [
+                { op: 'choose', choice: 'pieceType', piece: 'target', options: ['knight', 'bishop', 'rook'] },
+                { op: 'transform', piece: 'target', into: { ref: 'choice' } },
+                { op: 'message', text: 'Pawn promoted to {choice}!' }
+            ]
         }
     },
 
@@ -341,10 +387,14 @@ const CARD_DEFINITIONS = {
         rarity: 'UNCOMMON',
         targeting: TARGETING.NONE,
         effectType: EFFECT_TYPES.BUFF,
-        execute: function(game) {
-            game.rallyActive = true;
-            game.showCardInstructions('All pieces have extended movement this turn!');
-            game.finishCardPlay();
+        danger: { condition: 'inExtendedRange', penalty: -25, description: 'All pieces have extended range' },
+        effects: [
+            { op: 'set', field: 'rallyActive', value: true },
+            { op: 'message', text: 'All pieces have extended movement this turn!' }
+        ],
+        upgrade: {
+            description: 'All your pieces gain +1 movement range this turn. Does not end your turn.',
+            endsTurn: false
         }
     },
 
@@ -355,21 +405,16 @@ const CARD_DEFINITIONS = {
         rarity: 'UNCOMMON',
         targeting: TARGETING.OWN_PIECE,
         effectType: EFFECT_TYPES.MOVEMENT,
-        pieceFilter: (piece) => piece.type !== 'king',
-        execute: function(game, target) {
-            const king = game.playerPieces.find(p => p.type === 'king');
-            if (king) {
-                const tempRow = king.row;
-                const tempCol = king.col;
-                game.board[king.row][king.col] = target;
-                game.board[target.row][target.col] = king;
-                king.row = target.row;
-                king.col = target.col;
-                target.row = tempRow;
-                target.col = tempCol;
-                game.showCardInstructions('Illegal castle performed!');
-            }
-            game.finishCardPlay();
+        pieceFilter: { exclude: ['king'] },
+        danger: { condition: 'nearKing', penalty: -30, description: 'King can castle anywhere' },
+        effects: [
+            { op: 'require', piece: 'playerKing', as: 'king' },
+            { op: 'swap', pieces: ['king', 'target'] },
+            { op: 'message', text: 'Illegal castle performed!' }
+        ],
+        upgrade: {
+            description: 'Swap King with any friendly piece regardless of position. Does not end your turn.',
+            endsTurn: false
         }
     },
 
@@ -380,10 +425,19 @@ const CARD_DEFINITIONS = {
         rarity: 'UNCOMMON',
         targeting: TARGETING.OWN_PIECE,
         effectType: EFFECT_TYPES.MOVEMENT,
-        execute: function(game, target) {
-            game.ghostWalkPiece = target.id;
-            game.showCardInstructions(`${target.type} can pass through enemies! Make a move.`);
-            // Don't finish - let player make the enhanced move
+        awaitsMove: true,
+        danger: { condition: 'blocking', penalty: -35, description: 'Can pass through pieces' },
+        effects: [
+            { op: 'set', field: 'ghostWalkPiece', value: { idOf: 'target' } },
+            { op: 'message', text: '{target.type} can pass through enemies! Make a move.' }
+        ],
+        upgrade: {
+            description: 'Your piece can move through enemies this turn and is shielded while it does.',
+            effects: [
+                { op: 'set', field: 'ghostWalkPiece', value: { idOf: 'target' } },
+                { op: 'status', status: 'shielded', piece: 'target', turns: 1 },
+                { op: 'message', text: '{target.type} can pass through enemies, shielded! Make a move.' }
+            ]
         }
     },
 
@@ -394,10 +448,19 @@ const CARD_DEFINITIONS = {
         rarity: 'UNCOMMON',
         targeting: TARGETING.NONE,
         effectType: EFFECT_TYPES.BUFF,
-        execute: function(game) {
-            game.knightJumpActive = true;
-            game.showCardInstructions("Knight's Tour active! All pieces can move like Knights.");
-            game.finishCardPlay(false); // Count card but don't end turn
+        endsTurn: false,
+        danger: { condition: 'inKnightRange', penalty: -40, description: 'All pieces move like knights' },
+        effects: [
+            { op: 'set', field: 'knightJumpActive', value: true },
+            { op: 'message', text: "Knight's Tour active! All pieces can move like Knights." }
+        ],
+        upgrade: {
+            description: 'All pieces can move like Knights and gain +1 movement range this turn.',
+            effects: [
+                { op: 'set', field: 'knightJumpActive', value: true },
+                { op: 'set', field: 'rallyActive', value: true },
+                { op: 'message', text: "Knight's Tour active! All pieces can move like Knights, with extra range." }
+            ]
         }
     },
 
@@ -408,19 +471,16 @@ const CARD_DEFINITIONS = {
         rarity: 'UNCOMMON',
         targeting: TARGETING.EMPTY_SQUARE,
         effectType: EFFECT_TYPES.SUMMON,
-        execute: function(game, row, col) {
-            const decoy = {
-                type: 'pawn',
-                owner: 'player',
-                row, col,
-                id: `decoy-${Date.now()}`,
-                isDecoy: true
-            };
-            game.board[row][col] = decoy;
-            game.playerPieces.push(decoy);
-            game.decoys.add(decoy.id);
-            game.showCardInstructions('Decoy placed! Enemies will be drawn to it.');
-            game.finishCardPlay();
+        tags: [EFFECT_TYPES.SUMMON, EFFECT_TYPES.CONTROL],
+        danger: { condition: 'nearEmptySquares', penalty: -15, description: 'Fake pieces can appear' },
+        effects: [
+            { op: 'spawn', type: 'pawn', at: 'square', idPrefix: 'decoy', props: { isDecoy: true }, as: 'decoy' },
+            { op: 'mark', set: 'decoys', piece: 'decoy' },
+            { op: 'message', text: 'Decoy placed! Enemies will be drawn to it.' }
+        ],
+        upgrade: {
+            description: 'Place a fake piece that enemies will target. Does not end your turn.',
+            endsTurn: false
         }
     },
 
@@ -431,11 +491,20 @@ const CARD_DEFINITIONS = {
         rarity: 'UNCOMMON',
         targeting: TARGETING.OWN_PIECE,
         effectType: EFFECT_TYPES.BUFF,
-        pieceFilter: (piece) => ['queen', 'rook', 'bishop'].includes(piece.type),
-        execute: function(game, target) {
-            game.ricochetPiece = target.id;
-            game.showCardInstructions(`${target.type} can ricochet! Capture to trigger second attack.`);
-            game.finishCardPlay(false); // Count card but don't end turn
+        pieceFilter: { types: ['queen', 'rook', 'bishop'] },
+        endsTurn: false,
+        danger: { condition: 'inRangedLine', penalty: -30, description: 'Captures can chain' },
+        effects: [
+            { op: 'set', field: 'ricochetPiece', value: { idOf: 'target' } },
+            { op: 'message', text: '{target.type} can ricochet! Capture to trigger second attack.' }
+        ],
+        upgrade: {
+            description: 'Ranged piece captures, then can capture again if in range. It is shielded this turn.',
+            effects: [
+                { op: 'set', field: 'ricochetPiece', value: { idOf: 'target' } },
+                { op: 'status', status: 'shielded', piece: 'target', turns: 1 },
+                { op: 'message', text: '{target.type} can ricochet, shielded! Capture to trigger second attack.' }
+            ]
         }
     },
 
@@ -446,10 +515,14 @@ const CARD_DEFINITIONS = {
         rarity: 'UNCOMMON',
         targeting: TARGETING.NONE,
         effectType: EFFECT_TYPES.DEBUFF,
-        execute: function(game) {
-            game.loadedDiceActive = true;
-            game.showCardInstructions('Loaded Dice active! Next enemy move may fail.');
-            game.finishCardPlay();
+        danger: { condition: 'anyMove', penalty: -20, description: 'Move may fail' },
+        effects: [
+            { op: 'set', field: 'loadedDiceActive', value: true },
+            { op: 'message', text: 'Loaded Dice active! Next enemy move may fail.' }
+        ],
+        upgrade: {
+            description: 'Next enemy move has 50% chance to fail. Does not end your turn.',
+            endsTurn: false
         }
     },
 
@@ -460,10 +533,14 @@ const CARD_DEFINITIONS = {
         rarity: 'UNCOMMON',
         targeting: TARGETING.NONE,
         effectType: EFFECT_TYPES.VISION,
-        execute: function(game) {
-            game.showAllEnemyMoves = true;
-            game.showCardInstructions('All enemy moves revealed!');
-            game.finishCardPlay();
+        danger: { condition: 'none', penalty: 0, description: 'Moves revealed (no danger)' },
+        effects: [
+            { op: 'set', field: 'showAllEnemyMoves', value: true },
+            { op: 'message', text: 'All enemy moves revealed!' }
+        ],
+        upgrade: {
+            description: 'Reveal all enemy piece move ranges for 1 turn. Does not end your turn.',
+            endsTurn: false
         }
     },
 
@@ -478,14 +555,20 @@ const CARD_DEFINITIONS = {
         rarity: 'RARE',
         targeting: TARGETING.OWN_PIECE,
         effectType: EFFECT_TYPES.SUMMON,
-        pieceFilter: (piece) => piece.type !== 'king',
-        execute: function(game, target) {
-            game.cardState = {
-                type: 'selectEmpty',
-                card: 'clone',
-                piece: target
-            };
-            game.showCardInstructions('Select an empty square adjacent to the piece to place the clone.');
+        pieceFilter: { exclude: ['king'] },
+        danger: { condition: 'nearHighValueTarget', penalty: -35, description: 'Pieces can be duplicated' },
+        effects: [
+            { op: 'choose', choice: 'square', piece: 'target', adjacent: true, prompt: 'Select an empty square adjacent to the piece to place the clone.' },
+            { op: 'spawn', copyOf: 'target', at: 'square', idPrefix: 'clone', props: { isClone: true } },
+            { op: 'message', text: '{target.type} cloned!' }
+        ],
+        upgrade: {
+            description: 'Create a copy of one of your pieces (not King) on any empty square.',
+            effects: [
+                { op: 'choose', choice: 'square', piece: 'target', prompt: 'Select an empty square to place the clone.' },
+                { op: 'spawn', copyOf: 'target', at: 'square', idPrefix: 'clone', props: { isClone: true } },
+                { op: 'message', text: '{target.type} cloned!' }
+            ]
         }
     },
 
@@ -496,14 +579,16 @@ const CARD_DEFINITIONS = {
         rarity: 'RARE',
         targeting: TARGETING.ENEMY_PIECE,
         effectType: EFFECT_TYPES.CONTROL,
-        pieceFilter: (piece) => piece.type !== 'king',
-        execute: function(game, target) {
-            game.cardState = {
-                type: 'selectEmpty',
-                card: 'kidnap',
-                piece: target
-            };
-            game.showCardInstructions('Select where to move the enemy piece.');
+        pieceFilter: { exclude: ['king'] },
+        danger: { condition: 'anyPiece', penalty: -40, description: 'Can be teleported away' },
+        effects: [
+            { op: 'choose', choice: 'square', piece: 'target', prompt: 'Select where to move the enemy piece.' },
+            { op: 'move', piece: 'target', to: 'square' },
+            { op: 'message', text: '{target.type} kidnapped!' }
+        ],
+        upgrade: {
+            description: 'Move an enemy piece to any empty square. Does not end your turn.',
+            endsTurn: false
         }
     },
 
@@ -514,17 +599,17 @@ const CARD_DEFINITIONS = {
         rarity: 'RARE',
         targeting: TARGETING.CUSTOM,
         effectType: EFFECT_TYPES.SUMMON,
-        execute: function(game) {
-            if (game.capturedPlayerPieces.length === 0) {
-                game.showCardInstructions('No pieces to resurrect!');
-                game.finishCardPlay();
-                return;
-            }
-            game.cardState = {
-                type: 'selectCaptured',
-                card: 'resurrect'
-            };
-            game.showResurrectOverlay();
+        danger: { condition: 'none', penalty: -30, description: 'Captured pieces return' },
+        effects: [
+            { op: 'require', check: 'hasCaptured', fail: 'No pieces to resurrect!' },
+            { op: 'choose', choice: 'captured' },
+            { op: 'choose', choice: 'square', prompt: 'Select an empty square to place the {captured.type}.' },
+            { op: 'spawn', piece: 'captured', at: 'square', idPrefix: 'resurrected' },
+            { op: 'message', text: '{captured.type} resurrected!' }
+        ],
+        upgrade: {
+            description: 'Bring back a captured piece to an empty square. Does not end your turn.',
+            endsTurn: false
         }
     },
 
@@ -536,16 +621,21 @@ const CARD_DEFINITIONS = {
         targeting: TARGETING.TWO_PIECES,
         effectType: EFFECT_TYPES.BUFF,
         requiresFriendly: true,
-        execute: function(game, sacrifice, recipient) {
-            if (sacrifice.type === 'king') {
-                game.showCardInstructions("Cannot sacrifice the King!");
-                return;
-            }
-            game.board[sacrifice.row][sacrifice.col] = null;
-            game.playerPieces = game.playerPieces.filter(p => p !== sacrifice);
-            game.extraMoves = { piece: recipient.id, count: 2 };
-            game.showCardInstructions(`${sacrifice.type} sacrificed! ${recipient.type} has 2 extra moves!`);
-            game.finishCardPlay();
+        danger: { condition: 'nearHighValueTarget', penalty: -35, description: 'Sacrifice enables multi-move' },
+        effects: [
+            { op: 'require', check: 'notKing', piece: 'target', fail: 'Cannot sacrifice the King!', onFail: 'stop' },
+            { op: 'remove', piece: 'target' },
+            { op: 'set', field: 'extraMoves', value: { piece: { idOf: 'second' }, count: 2 } },
+            { op: 'message', text: '{target.type} sacrificed! {second.type} has 2 extra moves!' }
+        ],
+        upgrade: {
+            description: 'Sacrifice a piece to give another piece 3 extra moves.',
+            effects: [
+                { op: 'require', check: 'notKing', piece: 'target', fail: 'Cannot sacrifice the King!', onFail: 'stop' },
+                { op: 'remove', piece: 'target' },
+                { op: 'set', field: 'extraMoves', value: { piece: { idOf: 'second' }, count: 3 } },
+                { op: 'message', text: '{target.type} sacrificed! {second.type} has 3 extra moves!' }
+            ]
         }
     },
 
@@ -556,15 +646,17 @@ const CARD_DEFINITIONS = {
         rarity: 'RARE',
         targeting: TARGETING.ENEMY_PIECE,
         effectType: EFFECT_TYPES.DEBUFF,
-        execute: function(game, target) {
-            const pieceType = target.type;
-            for (const enemy of game.enemyPieces) {
-                if (enemy.type === pieceType) {
-                    game.frozenPieces.set(enemy.id, 2);
-                }
-            }
-            game.showCardInstructions(`All enemy ${pieceType}s frozen!`);
-            game.finishCardPlay();
+        danger: { condition: 'nearSamePiece', penalty: -45, description: 'All same-type pieces freeze' },
+        effects: [
+            { op: 'status', status: 'frozen', piece: 'sameTypeEnemies', turns: 2 },
+            { op: 'message', text: 'All enemy {target.type}s frozen!' }
+        ],
+        upgrade: {
+            description: 'Disable an enemy piece type for 2 turns (all pieces of that type freeze).',
+            effects: [
+                { op: 'status', status: 'frozen', piece: 'sameTypeEnemies', turns: 3 },
+                { op: 'message', text: 'All enemy {target.type}s frozen for 2 turns!' }
+            ]
         }
     },
 
@@ -575,10 +667,14 @@ const CARD_DEFINITIONS = {
         rarity: 'RARE',
         targeting: TARGETING.NONE,
         effectType: EFFECT_TYPES.CONTROL,
-        execute: function(game) {
-            game.zugzwangActive = true;
-            game.showCardInstructions('Zugzwang! Enemy King must move next turn.');
-            game.finishCardPlay();
+        danger: { condition: 'kingExposed', penalty: -50, description: 'King must move' },
+        effects: [
+            { op: 'set', field: 'zugzwangActive', value: true },
+            { op: 'message', text: 'Zugzwang! Enemy King must move next turn.' }
+        ],
+        upgrade: {
+            description: 'Enemy must move their King next turn. Does not end your turn.',
+            endsTurn: false
         }
     },
 
@@ -589,20 +685,19 @@ const CARD_DEFINITIONS = {
         rarity: 'RARE',
         targeting: TARGETING.EMPTY_SQUARE,
         effectType: EFFECT_TYPES.SUMMON,
-        execute: function(game, row, col) {
-            const phantom = {
-                type: 'queen',
-                owner: 'player',
-                row, col,
-                id: `phantom-queen-${Date.now()}`,
-                isPhantom: true,
-                turnsRemaining: 3
-            };
-            game.board[row][col] = phantom;
-            game.playerPieces.push(phantom);
-            game.phantomPieces.set(phantom.id, 3);
-            game.showCardInstructions('Phantom Queen summoned! She vanishes in 3 turns.');
-            game.finishCardPlay();
+        danger: { condition: 'anyPosition', penalty: -40, description: 'Temporary queen appears' },
+        effects: [
+            { op: 'spawn', type: 'queen', at: 'square', idPrefix: 'phantom-queen', props: { isPhantom: true, turnsRemaining: 3 }, as: 'phantom' },
+            { op: 'status', status: 'phantom', piece: 'phantom', turns: 3 },
+            { op: 'message', text: 'Phantom Queen summoned! She vanishes in 3 turns.' }
+        ],
+        upgrade: {
+            description: 'Summon a Queen that lasts 5 turns then vanishes.',
+            effects: [
+                { op: 'spawn', type: 'queen', at: 'square', idPrefix: 'phantom-queen', props: { isPhantom: true, turnsRemaining: 5 }, as: 'phantom' },
+                { op: 'status', status: 'phantom', piece: 'phantom', turns: 5 },
+                { op: 'message', text: 'Phantom Queen summoned! She vanishes in 5 turns.' }
+            ]
         }
     },
 
@@ -613,16 +708,19 @@ const CARD_DEFINITIONS = {
         rarity: 'RARE',
         targeting: TARGETING.ENEMY_PIECE,
         effectType: EFFECT_TYPES.CONTROL,
-        pieceFilter: (piece) => piece.type === 'pawn',
-        execute: function(game, target) {
-            // Remove from enemy
-            game.enemyPieces = game.enemyPieces.filter(p => p !== target);
-            // Add to player
-            target.owner = 'player';
-            target.id = `converted-${Date.now()}`;
-            game.playerPieces.push(target);
-            game.showCardInstructions('Enemy pawn converted to your side!');
-            game.finishCardPlay();
+        pieceFilter: { types: ['pawn'] },
+        danger: { condition: 'pawnNearby', penalty: -30, description: 'Pawns can be converted' },
+        effects: [
+            { op: 'convert', piece: 'target' },
+            { op: 'message', text: 'Enemy pawn converted to your side!' }
+        ],
+        upgrade: {
+            description: 'Convert an enemy Pawn, Knight or Bishop to your side.',
+            pieceFilter: { types: ['pawn', 'knight', 'bishop'] },
+            effects: [
+                { op: 'convert', piece: 'target' },
+                { op: 'message', text: 'Enemy {target.type} converted to your side!' }
+            ]
         }
     },
 
@@ -633,10 +731,20 @@ const CARD_DEFINITIONS = {
         rarity: 'RARE',
         targeting: TARGETING.NONE,
         effectType: EFFECT_TYPES.BUFF,
-        execute: function(game) {
-            game.chainReactionActive = true;
-            game.showCardInstructions('Chain Reaction active! Your next capture explodes!');
-            game.finishCardPlay(false); // Count card but don't end turn
+        tags: [EFFECT_TYPES.BUFF, EFFECT_TYPES.DAMAGE],
+        endsTurn: false,
+        danger: { condition: 'clustered', penalty: -45, description: 'Captures explode' },
+        effects: [
+            { op: 'set', field: 'chainReactionActive', value: true },
+            { op: 'message', text: 'Chain Reaction active! Your next capture explodes!' }
+        ],
+        upgrade: {
+            description: 'Capture triggers explosion - adjacent enemies take damage. Ranged pieces can also shoot through one obstacle.',
+            effects: [
+                { op: 'set', field: 'chainReactionActive', value: true },
+                { op: 'set', field: 'snipeActive', value: true },
+                { op: 'message', text: 'Chain Reaction active! Your next capture explodes, and can go through a piece!' }
+            ]
         }
     },
 
@@ -647,10 +755,15 @@ const CARD_DEFINITIONS = {
         rarity: 'RARE',
         targeting: TARGETING.ENEMY_PIECE,
         effectType: EFFECT_TYPES.DEBUFF,
-        execute: function(game, target) {
-            game.traitorMarked.add(target.id);
-            game.showCardInstructions(`${target.type} marked! If it captures, it betrays.`);
-            game.finishCardPlay();
+        tags: [EFFECT_TYPES.DEBUFF, EFFECT_TYPES.CONTROL],
+        danger: { condition: 'anyPiece', penalty: -35, description: 'Capturing causes betrayal' },
+        effects: [
+            { op: 'mark', set: 'traitorMarked', piece: 'target' },
+            { op: 'message', text: '{target.type} marked! If it captures, it betrays.' }
+        ],
+        upgrade: {
+            description: 'Mark an enemy - if it captures, it joins your side. Does not end your turn.',
+            endsTurn: false
         }
     },
 
@@ -661,23 +774,15 @@ const CARD_DEFINITIONS = {
         rarity: 'RARE',
         targeting: TARGETING.ENEMY_PIECE,
         effectType: EFFECT_TYPES.DAMAGE,
-        execute: function(game, target) {
-            // Check if multiple pieces can reach the target
-            let attackers = 0;
-            for (const piece of game.playerPieces) {
-                const moves = game.getValidMoves(piece);
-                if (moves.some(m => m.row === target.row && m.col === target.col)) {
-                    attackers++;
-                }
-            }
-            if (attackers >= 2) {
-                game.board[target.row][target.col] = null;
-                game.capturePiece(target);
-                game.showCardInstructions(`Union Strike! ${target.type} captured by ${attackers} pieces!`);
-            } else {
-                game.showCardInstructions('Need 2+ pieces that can reach the target!');
-            }
-            game.finishCardPlay();
+        danger: { condition: 'multipleThreats', penalty: -40, description: 'Multi-piece attack' },
+        effects: [
+            { op: 'require', check: 'attackersAtLeast', min: 2, fail: 'Need 2+ pieces that can reach the target!' },
+            { op: 'capture', piece: 'target' },
+            { op: 'message', text: 'Union Strike! {target.type} captured by {attackers} pieces!' }
+        ],
+        upgrade: {
+            description: 'All your pieces attack the same square simultaneously. Does not end your turn.',
+            endsTurn: false
         }
     },
 
@@ -692,14 +797,18 @@ const CARD_DEFINITIONS = {
         rarity: 'LEGENDARY',
         targeting: TARGETING.ENEMY_PIECE,
         effectType: EFFECT_TYPES.CONTROL,
-        pieceFilter: (piece) => piece.type !== 'king',
-        execute: function(game, target) {
-            game.controlledEnemies.set(target.id, { originalOwner: 'enemy', turnsLeft: 1 });
-            target.owner = 'player';
-            game.enemyPieces = game.enemyPieces.filter(p => p !== target);
-            game.playerPieces.push(target);
-            game.showCardInstructions(`${target.type} is under your control!`);
-            game.finishCardPlay();
+        pieceFilter: { exclude: ['king'] },
+        danger: { condition: 'anyPiece', penalty: -60, description: 'Can be controlled by enemy' },
+        effects: [
+            { op: 'convert', piece: 'target', turns: 1 },
+            { op: 'message', text: '{target.type} is under your control!' }
+        ],
+        upgrade: {
+            description: 'Take control of an enemy piece for 2 turns.',
+            effects: [
+                { op: 'convert', piece: 'target', turns: 2 },
+                { op: 'message', text: '{target.type} is under your control for 2 turns!' }
+            ]
         }
     },
 
@@ -711,10 +820,14 @@ const CARD_DEFINITIONS = {
         targeting: TARGETING.NONE,
         effectType: EFFECT_TYPES.PROTECTION,
         isBurn: true, // Consumed after use
-        execute: function(game) {
-            game.checkmateDeniedActive = true;
-            game.showCardInstructions('Checkmate Denied! Your King survives one lethal hit.');
-            game.finishCardPlay();
+        danger: { condition: 'nearKing', penalty: -30, description: 'King survives one hit' },
+        effects: [
+            { op: 'set', field: 'checkmateDeniedActive', value: true },
+            { op: 'message', text: 'Checkmate Denied! Your King survives one lethal hit.' }
+        ],
+        upgrade: {
+            description: 'If your King would be captured this turn, survive with 1 HP. No longer burns.',
+            isBurn: false
         }
     },
 
@@ -725,11 +838,19 @@ const CARD_DEFINITIONS = {
         rarity: 'LEGENDARY',
         targeting: TARGETING.ENEMY_PIECE,
         effectType: EFFECT_TYPES.TRANSFORMATION,
-        pieceFilter: (piece) => piece.type === 'queen',
-        execute: function(game, target) {
-            target.type = 'pawn';
-            game.showCardInstructions('Enemy Queen demoted to Pawn!');
-            game.finishCardPlay();
+        pieceFilter: { types: ['queen'] },
+        danger: { condition: 'isQueen', penalty: -70, description: 'Queen becomes pawn' },
+        effects: [
+            { op: 'transform', piece: 'target', into: 'pawn' },
+            { op: 'message', text: 'Enemy Queen demoted to Pawn!' }
+        ],
+        upgrade: {
+            description: 'Demote any enemy piece (not King) to a Pawn.',
+            pieceFilter: { exclude: ['king'] },
+            effects: [
+                { op: 'transform', piece: 'target', into: 'pawn' },
+                { op: 'message', text: 'Enemy piece demoted to Pawn!' }
+            ]
         }
     },
 
@@ -740,10 +861,17 @@ const CARD_DEFINITIONS = {
         rarity: 'LEGENDARY',
         targeting: TARGETING.NONE,
         effectType: EFFECT_TYPES.BUFF,
-        execute: function(game) {
-            game.kingQueenMoves = 3;
-            game.showCardInstructions('Your King now moves like a Queen for 3 turns!');
-            game.finishCardPlay();
+        danger: { condition: 'nearKing', penalty: -50, description: 'King moves like queen' },
+        effects: [
+            { op: 'set', field: 'kingQueenMoves', value: 3 },
+            { op: 'message', text: 'Your King now moves like a Queen for 3 turns!' }
+        ],
+        upgrade: {
+            description: 'Your King moves like a Queen for 5 turns.',
+            effects: [
+                { op: 'set', field: 'kingQueenMoves', value: 5 },
+                { op: 'message', text: 'Your King now moves like a Queen for 5 turns!' }
+            ]
         }
     },
 
@@ -755,17 +883,15 @@ const CARD_DEFINITIONS = {
         targeting: TARGETING.NONE,
         effectType: EFFECT_TYPES.TIME_MANIPULATION,
         isBurn: true,
-        execute: function(game) {
-            if (game.boardHistory.length >= 3) {
-                // Pop current and 2 previous states
-                game.boardHistory.pop();
-                game.boardHistory.pop();
-                game.restoreBoardState();
-                game.showCardInstructions('Time rewound! 2 turns undone.');
-            } else {
-                game.showCardInstructions('Not enough history to rewind!');
-            }
-            game.finishCardPlay();
+        danger: { condition: 'none', penalty: -40, description: 'Turns can be undone' },
+        effects: [
+            { op: 'require', check: 'historyAtLeast', min: 3, fail: 'Not enough history to rewind!' },
+            { op: 'rewind', turns: 2 },
+            { op: 'message', text: 'Time rewound! 2 turns undone.' }
+        ],
+        upgrade: {
+            description: 'Undo the last 2 complete turns. No longer burns.',
+            isBurn: false
         }
     },
 
@@ -776,11 +902,21 @@ const CARD_DEFINITIONS = {
         rarity: 'LEGENDARY',
         targeting: TARGETING.NONE,
         effectType: EFFECT_TYPES.BUFF,
-        execute: function(game) {
-            game.parallelPlayActive = true;
-            game.movesThisTurn = 0;
-            game.showCardInstructions('Parallel Play! Move two pieces this turn.');
-            game.finishCardPlay(false); // Don't end turn
+        endsTurn: false,
+        danger: { condition: 'anyPosition', penalty: -55, description: 'Two moves in one turn' },
+        effects: [
+            { op: 'set', field: 'parallelPlayActive', value: true },
+            { op: 'set', field: 'movesThisTurn', value: 0 },
+            { op: 'message', text: 'Parallel Play! Move two pieces this turn.' }
+        ],
+        upgrade: {
+            description: 'Move two pieces this turn, both with +1 movement range.',
+            effects: [
+                { op: 'set', field: 'parallelPlayActive', value: true },
+                { op: 'set', field: 'movesThisTurn', value: 0 },
+                { op: 'set', field: 'rallyActive', value: true },
+                { op: 'message', text: 'Parallel Play! Move two pieces this turn, with extra range.' }
+            ]
         }
     },
 
@@ -791,13 +927,16 @@ const CARD_DEFINITIONS = {
         rarity: 'LEGENDARY',
         targeting: TARGETING.ENEMY_PIECE,
         effectType: EFFECT_TYPES.DAMAGE,
-        pieceFilter: (piece) => piece.type !== 'king',
+        pieceFilter: { exclude: ['king'] },
         isBurn: true,
-        execute: function(game, target) {
-            game.board[target.row][target.col] = null;
-            game.enemyPieces = game.enemyPieces.filter(p => p !== target);
-            game.showCardInstructions(`${target.type} exiled from the game!`);
-            game.finishCardPlay();
+        danger: { condition: 'anyPiece', penalty: -70, description: 'Permanent removal' },
+        effects: [
+            { op: 'remove', piece: 'target' },
+            { op: 'message', text: '{target.type} exiled from the game!' }
+        ],
+        upgrade: {
+            description: 'Remove an enemy piece from the game permanently (not King). No longer burns.',
+            isBurn: false
         }
     },
 
@@ -808,27 +947,16 @@ const CARD_DEFINITIONS = {
         rarity: 'LEGENDARY',
         targeting: TARGETING.NONE,
         effectType: EFFECT_TYPES.TRANSFORMATION,
-        execute: function(game) {
-            const pieceValues = { queen: 9, rook: 5, bishop: 3, knight: 3, pawn: 1 };
-            let strongest = null;
-            let highestValue = 0;
-
-            for (const piece of game.playerPieces) {
-                if (piece.type !== 'king' && pieceValues[piece.type] > highestValue) {
-                    highestValue = pieceValues[piece.type];
-                    strongest = piece;
-                }
-            }
-
-            if (strongest) {
-                const king = game.playerPieces.find(p => p.type === 'king');
-                if (king) {
-                    king.type = 'pawn';
-                }
-                strongest.type = 'king';
-                game.showCardInstructions(`${strongest.type} is now the King! Old King demoted.`);
-            }
-            game.finishCardPlay();
+        danger: { condition: 'none', penalty: -30, description: 'King role changes' },
+        effects: [
+            { op: 'require', piece: 'strongestOwn', as: 'heir' },
+            { op: 'transform', piece: 'playerKing', into: 'pawn' },
+            { op: 'transform', piece: 'heir', into: 'king' },
+            { op: 'message', text: '{heir.type} is now the King! Old King demoted.' }
+        ],
+        upgrade: {
+            description: 'Your strongest piece becomes a King. Original King demotes. Does not end your turn.',
+            endsTurn: false
         }
     },
 
@@ -839,27 +967,33 @@ const CARD_DEFINITIONS = {
         rarity: 'LEGENDARY',
         targeting: TARGETING.OWN_PIECE,
         effectType: EFFECT_TYPES.MOVEMENT,
-        pieceFilter: (piece) => piece.type !== 'king',
-        execute: function(game, target) {
-            game.board[target.row][target.col] = null;
-            game.pocketedPiece = { ...target };
-            game.playerPieces = game.playerPieces.filter(p => p !== target);
-            game.showCardInstructions(`${target.type} stored in pocket dimension!`);
-            game.finishCardPlay();
+        pieceFilter: { exclude: ['king'] },
+        danger: { condition: 'none', penalty: -25, description: 'Pieces can be stored' },
+        effects: [
+            { op: 'pocket', piece: 'target' },
+            { op: 'message', text: '{target.type} stored in pocket dimension!' }
+        ],
+        upgrade: {
+            description: 'Store a piece safely. Redeploy it anywhere next turn. Does not end your turn.',
+            endsTurn: false
         }
     },
 
     theBluff: {
         id: 'theBluff',
         name: 'The Bluff',
-        description: 'Enemy sees fake intent - real move is hidden.',
+        description: 'Your next move is hidden: the enemy plays the intent it showed.',
         rarity: 'LEGENDARY',
         targeting: TARGETING.NONE,
         effectType: EFFECT_TYPES.VISION,
-        execute: function(game) {
-            game.bluffActive = true;
-            game.showCardInstructions('The Bluff active! Enemy sees false intent.');
-            game.finishCardPlay();
+        danger: { condition: 'none', penalty: -20, description: 'Intent is hidden' },
+        effects: [
+            { op: 'set', field: 'bluffActive', value: true },
+            { op: 'message', text: 'The Bluff active! The enemy is locked into its shown intent.' }
+        ],
+        upgrade: {
+            description: 'Your next move is hidden: the enemy plays the intent it showed. Does not end your turn.',
+            endsTurn: false
         }
     },
 
@@ -871,25 +1005,16 @@ const CARD_DEFINITIONS = {
         targeting: TARGETING.NONE,
         effectType: EFFECT_TYPES.MOVEMENT,
         isBurn: true,
-        execute: function(game) {
-            const playerKing = game.playerPieces.find(p => p.type === 'king');
-            const enemyKing = game.enemyPieces.find(p => p.type === 'king');
-
-            if (playerKing && enemyKing) {
-                const tempRow = playerKing.row;
-                const tempCol = playerKing.col;
-
-                game.board[playerKing.row][playerKing.col] = enemyKing;
-                game.board[enemyKing.row][enemyKing.col] = playerKing;
-
-                playerKing.row = enemyKing.row;
-                playerKing.col = enemyKing.col;
-                enemyKing.row = tempRow;
-                enemyKing.col = tempCol;
-
-                game.showCardInstructions('Kings swapped positions!');
-            }
-            game.finishCardPlay();
+        danger: { condition: 'kingExposed', penalty: -80, description: 'Kings can swap' },
+        effects: [
+            { op: 'require', piece: 'playerKing', as: 'king' },
+            { op: 'require', piece: 'enemyKing', as: 'rival' },
+            { op: 'swap', pieces: ['king', 'rival'] },
+            { op: 'message', text: 'Kings swapped positions!' }
+        ],
+        upgrade: {
+            description: 'Swap your King with enemy King positions. No longer burns.',
+            isBurn: false
         }
     },
 
@@ -904,10 +1029,17 @@ const CARD_DEFINITIONS = {
         rarity: 'RARE',
         targeting: TARGETING.OWN_PIECE,
         effectType: EFFECT_TYPES.PROTECTION,
-        execute: function(game, target) {
-            game.invulnerablePieces.set(target.id, 2);
-            game.showCardInstructions(`${target.type} enters Diamond Form!`);
-            game.finishCardPlay();
+        danger: { condition: 'nearHighValueTarget', penalty: -40, description: 'Target becomes invulnerable' },
+        effects: [
+            { op: 'status', status: 'invulnerable', piece: 'target', turns: 2 },
+            { op: 'message', text: '{target.type} enters Diamond Form!' }
+        ],
+        upgrade: {
+            description: 'Target piece becomes Invulnerable but Cannot Move for 2 rounds.',
+            effects: [
+                { op: 'status', status: 'invulnerable', piece: 'target', turns: 3 },
+                { op: 'message', text: '{target.type} enters Diamond Form for 2 rounds!' }
+            ]
         }
     },
 
@@ -918,10 +1050,19 @@ const CARD_DEFINITIONS = {
         rarity: 'RARE',
         targeting: TARGETING.NONE,
         effectType: EFFECT_TYPES.BUFF,
-        execute: function(game) {
-            game.snipeActive = true;
-            game.showCardInstructions('Snipe active! Ranged pieces can shoot through obstacles.');
-            game.finishCardPlay(false); // Count card but don't end turn
+        endsTurn: false,
+        danger: { condition: 'behindObstacle', penalty: -45, description: 'Can shoot through pieces' },
+        effects: [
+            { op: 'set', field: 'snipeActive', value: true },
+            { op: 'message', text: 'Snipe active! Ranged pieces can shoot through obstacles.' }
+        ],
+        upgrade: {
+            description: 'Ranged pieces can capture through one obstacle (not King) and gain +1 movement range.',
+            effects: [
+                { op: 'set', field: 'snipeActive', value: true },
+                { op: 'set', field: 'rallyActive', value: true },
+                { op: 'message', text: 'Snipe active! Ranged pieces can shoot through obstacles, with extra range.' }
+            ]
         }
     },
 
@@ -932,11 +1073,16 @@ const CARD_DEFINITIONS = {
         rarity: 'UNCOMMON',
         targeting: TARGETING.EMPTY_SQUARE,
         effectType: EFFECT_TYPES.DAMAGE,
-        execute: function(game, row, col) {
-            game.traps.set(`${row},${col}`, true);
-            game.showCardInstructions(`Caltrops placed at ${game.toChessNotation(row, col)}!`);
-            game.calculateEnemyIntent();
-            game.finishCardPlay();
+        tags: [EFFECT_TYPES.DAMAGE, EFFECT_TYPES.CONTROL],
+        danger: { condition: 'nearEmptySquares', penalty: -25, description: 'Traps can be placed' },
+        effects: [
+            { op: 'trap', at: 'square' },
+            { op: 'message', text: 'Caltrops placed at {square.name}!' },
+            { op: 'refreshIntent' }
+        ],
+        upgrade: {
+            description: 'Place a lethal trap on an empty square. Does not end your turn.',
+            endsTurn: false
         }
     },
 
@@ -947,68 +1093,257 @@ const CARD_DEFINITIONS = {
         rarity: 'RARE',
         targeting: TARGETING.ADJACENT_ENEMY,
         effectType: EFFECT_TYPES.DAMAGE,
-        execute: function(game, target) {
-            // Find pusher piece
-            let pusher = null;
-            for (const piece of game.playerPieces) {
-                const dist = Math.max(Math.abs(piece.row - target.row), Math.abs(piece.col - target.col));
-                if (dist === 1) {
-                    pusher = piece;
-                    break;
-                }
-            }
-
-            if (!pusher) {
-                game.showCardInstructions('No adjacent piece to push from!');
-                return;
-            }
-
-            const pushDir = {
-                row: Math.sign(target.row - pusher.row),
-                col: Math.sign(target.col - pusher.col)
-            };
-
-            const newRow = target.row + pushDir.row;
-            const newCol = target.col + pushDir.col;
-
-            const isWall = newRow < 0 || newRow >= game.board.length || newCol < 0 || newCol >= 8;
-            const isBlocked = !isWall && game.board[newRow][newCol] !== null;
-
-            game.board[target.row][target.col] = null;
-
-            if (isWall || isBlocked) {
-                game.capturePiece(target);
-                game.showCardInstructions(`${target.type} crushed!`);
-            } else {
-                target.row = newRow;
-                target.col = newCol;
-                game.board[newRow][newCol] = target;
-
-                // Check for trap
-                const trapKey = `${newRow},${newCol}`;
-                if (game.traps.has(trapKey)) {
-                    game.traps.delete(trapKey);
-                    game.board[newRow][newCol] = null;
-                    game.capturePiece(target);
-                    game.showCardInstructions(`${target.type} pushed into trap!`);
-                } else {
-                    game.showCardInstructions(`${target.type} pushed back!`);
-                }
-            }
-
-            game.finishCardPlay();
+        tags: [EFFECT_TYPES.DAMAGE, EFFECT_TYPES.MOVEMENT],
+        danger: { condition: 'adjacentToPlayer', penalty: -35, description: 'Can be pushed into walls' },
+        effects: [
+            { op: 'require', piece: 'adjacentOwn', as: 'pusher', fail: 'No adjacent piece to push from!', onFail: 'stop' },
+            { op: 'push', piece: 'target', from: 'pusher' },
+            { op: 'message', text: '{target.type} {outcome}!' }
+        ],
+        upgrade: {
+            description: 'Push an adjacent enemy 1 tile back. Kills if they hit a wall. Does not end your turn.',
+            endsTurn: false
+        }
+    },
+
+    secondWind: {
+        id: 'secondWind',
+        name: 'Second Wind',
+        description: 'Costs nothing. Gain 2 energy.',
+        rarity: 'COMMON',
+        targeting: TARGETING.NONE,
+        effectType: EFFECT_TYPES.BUFF,
+        cost: 0,
+        danger: { condition: 'none', penalty: 0, description: 'No direct danger' },
+        effects: [
+            { op: 'energy', amount: 2 },
+            { op: 'message', text: 'Second Wind! +2 energy.' }
+        ],
+        upgrade: {
+            description: 'Costs nothing. Gain 3 energy.',
+            effects: [
+                { op: 'energy', amount: 3 },
+                { op: 'message', text: 'Second Wind! +3 energy.' }
+            ]
+        }
+    },
+
+    quickStudy: {
+        id: 'quickStudy',
+        name: 'Quick Study',
+        description: 'Draw 2 cards. Does not end your turn.',
+        rarity: 'COMMON',
+        targeting: TARGETING.NONE,
+        effectType: EFFECT_TYPES.BUFF,
+        endsTurn: false,
+        danger: { condition: 'none', penalty: 0, description: 'No direct danger' },
+        effects: [
+            { op: 'draw', count: 2 },
+            { op: 'message', text: 'Drew {drawn} card(s).' }
+        ],
+        upgrade: {
+            description: 'Draw 2 cards. Stays in your hand. Does not end your turn.',
+            retain: true
+        }
+    },
+
+    mulligan: {
+        id: 'mulligan',
+        name: 'Mulligan',
+        description: 'Discard the rest of your hand, then draw that many cards. Does not end your turn.',
+        rarity: 'UNCOMMON',
+        targeting: TARGETING.NONE,
+        effectType: EFFECT_TYPES.BUFF,
+        endsTurn: false,
+        danger: { condition: 'none', penalty: 0, description: 'No direct danger' },
+        effects: [
+            { op: 'discard' },
+            { op: 'draw', count: { ref: 'discarded' } },
+            { op: 'message', text: 'Mulligan! Discarded {discarded}, drew {drawn}.' }
+        ],
+        upgrade: {
+            description: 'Costs nothing. Discard the rest of your hand, then draw that many cards. Does not end your turn.',
+            cost: 0
         }
+    },
+
+    // ============================================
+    // CURSES (added by elite and boss formations)
+    // ============================================
+    // Unplayable. A curse in the deck is always in the battle hand, taking a
+    // slot; its `onDraw` steps run once the board is set up, and `revealsHand`
+    // lets the enemy AI play fully around the rest of the hand.
+
+    deadWeight: {
+        id: 'deadWeight',
+        name: 'Dead Weight',
+        description: 'Unplayable. Takes up a slot in your hand.',
+        rarity: 'CURSE',
+        curse: true,
+        targeting: TARGETING.NONE,
+        tags: []
+    },
+
+    frostbite: {
+        id: 'frostbite',
+        name: 'Frostbite',
+        description: 'Unplayable. When drawn, your strongest piece is frozen for 2 turns.',
+        rarity: 'CURSE',
+        curse: true,
+        targeting: TARGETING.NONE,
+        tags: [],
+        onDraw: [
+            { op: 'require', piece: 'strongestOwn', as: 'victim' },
+            { op: 'status', status: 'frozen', piece: 'victim', turns: 3 },
+            { op: 'message', text: 'Frostbite! Your {victim.type} is frozen for 2 turns.' }
+        ]
+    },
+
+    exposed: {
+        id: 'exposed',
+        name: 'Exposed',
+        description: 'Unplayable. While in your hand, the enemy knows your other cards and plays around them.',
+        rarity: 'CURSE',
+        curse: true,
+        targeting: TARGETING.NONE,
+        tags: [],
+        revealsHand: true
     }
 };
 
+// ============================================
+// CARD UPGRADES (Card+ variants)
+// ============================================
+// Each `upgrade` block is laid over its card and registered as '<id>+', so
+// decks, hands and the AI treat an upgraded card like any other. Unless the
+// block sets its own `danger`, the AI fears the upgrade half again as much.
+const UPGRADE_SUFFIX = '+';
+const UPGRADE_DANGER_SCALE = 1.5;
+
+for (const card of Object.values(CARD_DEFINITIONS)) {
+    if (!card.upgrade) continue;
+    const { upgrade, ...base } = card;
+    const upgraded = {
+        ...base,
+        danger: {
+            ...base.danger,
+            penalty: Math.round(base.danger.penalty * UPGRADE_DANGER_SCALE),
+            description: `${base.danger.description} (upgraded)`
+        },
+        ...upgrade,
+        id: card.id + UPGRADE_SUFFIX,
+        name: card.name + UPGRADE_SUFFIX,
+        baseId: card.id,
+        upgraded: true
+    };
+    CARD_DEFINITIONS[upgraded.id] = upgraded;
+}
+
 // ============================================
 // CARD POOLS BY RARITY
 // ============================================
+// Only base cards are offered; upgrades are earned on the reward screen
 const CARD_POOLS = {
-    COMMON: Object.values(CARD_DEFINITIONS).filter(c => c.rarity === 'COMMON').map(c => c.id),
-    UNCOMMON: Object.values(CARD_DEFINITIONS).filter(c => c.rarity === 'UNCOMMON').map(c => c.id),
-    RARE: Object.values(CARD_DEFINITIONS).filter(c => c.rarity === 'RARE').map(c => c.id),
-    LEGENDARY: Object.values(CARD_DEFINITIONS).filter(c => c.rarity === 'LEGENDARY').map(c => c.id)
+    COMMON: Object.values(CARD_DEFINITIONS).filter(c => c.rarity === 'COMMON' && !c.upgraded).map(c => c.id),
+    UNCOMMON: Object.values(CARD_DEFINITIONS).filter(c => c.rarity === 'UNCOMMON' && !c.upgraded).map(c => c.id),
+    RARE: Object.values(CARD_DEFINITIONS).filter(c => c.rarity === 'RARE' && !c.upgraded).map(c => c.id),
+    LEGENDARY: Object.values(CARD_DEFINITIONS).filter(c => c.rarity === 'LEGENDARY' && !c.upgraded).map(c => c.id)
+};
+
+// ============================================
+// CARD COMBOS
+// ============================================
+// Cards played back to back in the same turn whose tags match a combo's
+// `sequence` trigger its bonus `effects` (same ops as cards, no targets).
+// The finishing card is free: it still has to be affordable to be played,
+// but its energy (and its MAX_CARDS_PER_BATTLE slot, if that cap is on) is
+// given back. A card counts toward one combo at most, so the next combo
+// starts fresh.
+const CARD_COMBOS = {
+    killingField: {
+        id: 'killingField',
+        name: 'Killing Field',
+        sequence: [EFFECT_TYPES.CONTROL, EFFECT_TYPES.DAMAGE],
+        description: 'Control, then Damage: your strongest piece is shielded this turn.',
+        effects: [
+            { op: 'require', piece: 'strongestOwn', as: 'strongest' },
+            { op: 'status', status: 'shielded', piece: 'strongest', turns: 1 },
+            { op: 'message', text: 'Combo: Killing Field! Your {strongest.type} is shielded this turn.' }
+        ]
+    },
+
+    domino: {
+        id: 'domino',
+        name: 'Domino',
+        sequence: [EFFECT_TYPES.DAMAGE, EFFECT_TYPES.MOVEMENT],
+        description: "Damage, then Movement: the enemy's next move has a 50% chance to fail.",
+        effects: [
+            { op: 'set', field: 'loadedDiceActive', value: true },
+            { op: 'message', text: "Combo: Domino! The enemy's next move may fail." }
+        ]
+    },
+
+    honeyTrap: {
+        id: 'honeyTrap',
+        name: 'Honey Trap',
+        sequence: [EFFECT_TYPES.SUMMON, EFFECT_TYPES.DEBUFF],
+        description: 'Summon, then Debuff: the enemy King is frozen for a turn.',
+        effects: [
+            { op: 'require', piece: 'enemyKing', as: 'king' },
+            { op: 'status', status: 'frozen', piece: 'king', turns: 2 },
+            { op: 'message', text: 'Combo: Honey Trap! The enemy King is frozen for a turn.' }
+        ]
+    }
+};
+
+// ============================================
+// ENEMY CARDS
+// ============================================
+// Small decks carried by late formations (formation.enemyCards). They run the
+// same effect ops as player cards, but the AI picks the targets: `aim` names
+// an ENEMY_CARD_AIMS entry (js/card-effects.js) that fills the context and
+// rates the play, and `minWorth` is the least material a play must be worth.
+// Each copy is played at most once per battle.
+// The Mirror boss also plays the player's own cards this way (MIRRORED CARDS
+// in js/card-effects.js); look enemy cards up with getEnemyCard().
+const ENEMY_CARD_DEFINITIONS = {
+    freeze: {
+        id: 'freeze',
+        name: 'Freeze',
+        description: 'Freezes the player piece threatening the most valuable enemy for 2 turns.',
+        aim: 'strongestAttacker',
+        minWorth: 300,
+        effects: [
+            { op: 'status', status: 'frozen', piece: 'target', turns: 3 },
+            { op: 'message', text: 'Enemy played Freeze! Your {target.type} is frozen for 2 turns.' }
+        ]
+    },
+
+    swap: {
+        id: 'swap',
+        name: 'Swap',
+        description: 'Swaps a threatened enemy piece with a cheaper, safe one.',
+        aim: 'rescueSwap',
+        minWorth: 200,
+        effects: [
+            { op: 'swap', pieces: ['target', 'second'] },
+            { op: 'message', text: 'Enemy played Swap! Their {target.type} traded places with a {second.type}.' }
+        ]
+    },
+
+    phantomQueen: {
+        id: 'phantomQueen',
+        name: 'Phantom Queen',
+        description: 'When behind on material, summons a Queen that vanishes after 3 turns.',
+        aim: 'reinforce',
+        minWorth: 300,
+        effects: [
+            { op: 'spawn', type: 'queen', owner: 'enemy', at: 'square', idPrefix: 'enemy-phantom-queen', props: { isPhantom: true }, as: 'phantom' },
+            // Ticks once at the end of this enemy turn, leaving 3 moves
+            { op: 'status', status: 'phantom', piece: 'phantom', turns: 4 },
+            { op: 'message', text: 'Enemy played Phantom Queen! She vanishes in 3 turns.' }
+        ]
+    }
 };
 
 // ============================================
@@ -1024,7 +1359,46 @@ function getCardById(cardId) {
     return CARD_DEFINITIONS[cardId] || null;
 }
 
-function getRandomCards(count, rarity = null) {
+// The Card+ id for a base card, or null if it has none (or is already upgraded)
+function getUpgradedCardId(cardId) {
+    const card = CARD_DEFINITIONS[cardId];
+    if (!card || card.upgraded) return null;
+    return CARD_DEFINITIONS[cardId + UPGRADE_SUFFIX] ? cardId + UPGRADE_SUFFIX : null;
+}
+
+function getBaseCardId(cardId) {
+    return CARD_DEFINITIONS[cardId]?.baseId || cardId;
+}
+
+// Energy a play costs: the card's own `cost`, else its rarity's
+function getCardCost(card) {
+    return card?.cost ?? CARD_RARITIES[card?.rarity]?.energyCost ?? 0;
+}
+
+function getCardTags(card) {
+    return card?.tags || [card?.effectType];
+}
+
+// The combo the last cards played this turn complete, if any
+function findCardCombo(playedIds) {
+    return Object.values(CARD_COMBOS).find(combo => {
+        const played = playedIds.slice(-combo.sequence.length);
+        return played.length === combo.sequence.length &&
+            combo.sequence.every((tag, i) => getCardTags(CARD_DEFINITIONS[played[i]]).includes(tag));
+    }) || null;
+}
+
+// Combos `cardId` can open or finish with some other card in `poolIds`
+function getAvailableCombos(cardId, poolIds) {
+    const tags = getCardTags(CARD_DEFINITIONS[cardId]);
+    const inPool = (tag) => poolIds.some(id => getCardTags(CARD_DEFINITIONS[id]).includes(tag));
+    return Object.values(CARD_COMBOS).filter(combo => {
+        const [first, second] = combo.sequence;
+        return (tags.includes(first) && inPool(second)) || (tags.includes(second) && inPool(first));
+    });
+}
+
+function getRandomCards(count, rarity = null, rng = new SeededRNG()) {
     let pool;
     if (rarity) {
         pool = CARD_POOLS[rarity] || [];
@@ -1041,23 +1415,23 @@ function getRandomCards(count, rarity = null) {
     const available = [...pool];
 
     for (let i = 0; i < count && available.length > 0; i++) {
-        const index = Math.floor(Math.random() * available.length);
+        const index = rng.int(available.length);
         result.push(available.splice(index, 1)[0]);
     }
 
     return result;
 }
 
-function getCardRewards(battleDifficulty) {
+function getCardRewards(battleDifficulty, rng = new SeededRNG()) {
     // Higher difficulty = better card pool
     if (battleDifficulty >= 8) {
-        return getRandomCards(3, 'LEGENDARY');
+        return getRandomCards(3, 'LEGENDARY', rng);
     } else if (battleDifficulty >= 6) {
-        return getRandomCards(3, 'RARE');
+        return getRandomCards(3, 'RARE', rng);
     } else if (battleDifficulty >= 4) {
-        return getRandomCards(3, 'UNCOMMON');
+        return getRandomCards(3, 'UNCOMMON', rng);
     } else {
-        return getRandomCards(3, 'COMMON');
+        return getRandomCards(3, 'COMMON', rng);
     }
 }
 
@@ -1066,11 +1440,21 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         CARD_DEFINITIONS,
         CARD_POOLS,
+        CARD_COMBOS,
+        ENEMY_CARD_DEFINITIONS,
         CARD_RARITIES,
         TARGETING,
         EFFECT_TYPES,
+        ALL_DIRECTIONS,
         STARTER_DECK,
+        UPGRADE_SUFFIX,
         getCardById,
+        getUpgradedCardId,
+        getBaseCardId,
+        getCardCost,
+        getCardTags,
+        findCardCombo,
+        getAvailableCombos,
         getRandomCards,
         getCardRewards
     };
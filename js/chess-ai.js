@@ -55,7 +55,11 @@ class FENConverter {
         return this.row0IsTop;
     }
 
-    boardToFEN(board, enemyToMove = true) {
+    /**
+     * @param {string} castling - FEN castling field from the rules engine ('-' if none)
+     * @param {Object|null} enPassant - { row, col, owner } square a pawn just skipped
+     */
+    boardToFEN(board, enemyToMove = true, castling = '-', enPassant = null) {
         let fen = '';
 
         // Auto-detect orientation if not done
@@ -81,12 +85,22 @@ class FENConverter {
         // Side to move: enemy = black = 'b'
         fen += enemyToMove ? ' b' : ' w';
 
-        // Castling, en passant, halfmove, fullmove
-        fen += ' - - 0 1';
+        // Castling and en passant exactly as the game allows them
+        fen += ` ${castling || '-'}`;
+        const canTakeEnPassant = enPassant && enPassant.owner === (enemyToMove ? 'player' : 'enemy');
+        fen += canTakeEnPassant ? ` ${this.squareToAlgebraic(enPassant.row, enPassant.col)}` : ' -';
+
+        // Halfmove, fullmove
+        fen += ' 0 1';
 
         return fen;
     }
 
+    squareToAlgebraic(row, col) {
+        const rank = this.row0IsTop ? 8 - row : row + 1;
+        return 'abcdefgh'[col] + rank;
+    }
+
     rowToFEN(board, row) {
         let rowFen = '';
         let emptyCount = 0;
@@ -129,7 +143,10 @@ class FENConverter {
         const fromRank = parseInt(uci[1]); // 1-8
         const toCol = files.indexOf(uci[2]);
         const toRank = parseInt(uci[3]); // 1-8
-        const promotion = uci.length > 4 ? uci[4] : null;
+        // Promotion letter -> piece type ('q' -> 'queen')
+        const promotion = uci.length > 4
+            ? Object.keys(this.pieceToChar).find(type => this.pieceToChar[type] === uci[4]) || null
+            : null;
 
         let fromRow, toRow;
 
@@ -302,8 +319,8 @@ class ComplexityAnalyzer {
 
     getAllPieces(board) {
         const pieces = [];
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
+        for (let row = 0; row < board.length; row++) {
+            for (let col = 0; col < board[row].length; col++) {
                 const piece = board[row]?.[col];
                 if (piece) {
                     pieces.push({ ...piece, position: { row, col } });
@@ -430,8 +447,8 @@ class SelfPreservation {
 
     getAllPieces(board, side) {
         const pieces = [];
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
+        for (let row = 0; row < board.length; row++) {
+            for (let col = 0; col < board[row].length; col++) {
                 const piece = board[row]?.[col];
                 if (piece && piece.owner === side) {
                     pieces.push({ ...piece, position: { row, col } });
@@ -498,7 +515,7 @@ class SelfPreservation {
                 break;
         }
 
-        return threatened.filter(sq => sq.row >= 0 && sq.row < 8 && sq.col >= 0 && sq.col < 8);
+        return threatened.filter(sq => board[sq.row]?.[sq.col] !== undefined);
     }
 
     getSlidingThreats(from, board, directions) {
@@ -507,7 +524,7 @@ class SelfPreservation {
         for (const [dr, dc] of directions) {
             let pos = { row: from.row + dr, col: from.col + dc };
 
-            while (pos.row >= 0 && pos.row < 8 && pos.col >= 0 && pos.col < 8) {
+            while (board[pos.row]?.[pos.col] !== undefined) {
                 threatened.push({ ...pos });
                 if (board[pos.row]?.[pos.col]) break;
                 pos = { row: pos.row + dr, col: pos.col + dc };
@@ -1006,9 +1023,10 @@ class ChessAI {
         const complexity = this.complexityAnalyzer.analyze(board);
         this.debugLog('Complexity:', complexity.complexityScore, complexity.category);
 
-        // If too complex or Stockfish not available, use fallback
-        if (complexity.complexityScore > this.config.maxComplexityForStockfish || !this.stockfish.useStockfish) {
-            this.debugLog('Using fallback AI (complexity or Stockfish unavailable)');
+        // If too complex, not a standard 8x8 board, or Stockfish not available, use fallback
+        const standardBoard = board.length === BOARD_ROWS && board[0]?.length === BOARD_COLS;
+        if (complexity.complexityScore > this.config.maxComplexityForStockfish || !standardBoard || !this.stockfish.useStockfish) {
+            this.debugLog('Using fallback AI (complexity, board size or Stockfish unavailable)');
             return this.useFallbackAI(gameState, playerCards, difficulty);
         }
 
@@ -1030,7 +1048,7 @@ class ChessAI {
         this.debugLog('Using Stockfish with depth', depth, 'time limit', timeLimit);
 
         // Convert board to FEN
-        const fen = this.fenConverter.boardToFEN(board, true);
+        const fen = this.fenConverter.boardToFEN(board, true, gameState.castlingRights, gameState.enPassantSquare);
 
         // DEBUG: Show board and FEN
         this.debugBoard(board, fen);
@@ -1077,6 +1095,7 @@ class ChessAI {
                 piece: piece,
                 from: move.from,
                 to: move.to,
+                promotion: move.promotion,
                 score: m.score,
                 depth: m.depth,
                 uci: m.uci,
@@ -1104,9 +1123,9 @@ class ChessAI {
         validMoves.sort((a, b) => (b.score || 0) - (a.score || 0));
 
         // Random mistake chance
-        if (Math.random() < settings.mistakeChance && validMoves.length > 1) {
-            const randomIndex = Math.floor(Math.random() * validMoves.length);
-            const selected = validMoves[randomIndex];
+        const rng = gameState.rng || new SeededRNG();
+        if (rng.chance(settings.mistakeChance) && validMoves.length > 1) {
+            const selected = rng.pick(validMoves);
             this.debugLog('Making intentional mistake, choosing random move');
             this.logThinking(difficulty, settings, validMoves, null, selected, gameState, true);
             return selected;
@@ -1115,7 +1134,7 @@ class ChessAI {
         // Select from top N moves
         const topN = Math.min(settings.topMoves, validMoves.length);
         const candidates = validMoves.slice(0, topN);
-        const selected = candidates[Math.floor(Math.random() * candidates.length)];
+        const selected = rng.pick(candidates);
 
         this.debugLog('Selected move:', selected.uci, 'Score:', selected.score);
 
@@ -1133,8 +1152,8 @@ class ChessAI {
         const board = gameState.board;
         const enemyPieces = [];
 
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
+        for (let row = 0; row < board.length; row++) {
+            for (let col = 0; col < board[row].length; col++) {
                 const piece = board[row]?.[col];
                 if (piece && piece.owner === 'enemy') {
                     enemyPieces.push({ piece, row, col });
@@ -12,7 +12,21 @@
 // - difficulty: 1-10 scale
 // - archetype: AI behavior type
 // - pieces: Array of {type, row, col} for enemy pieces
-// - specialRules: Optional special conditions
+// - size: Optional { rows, cols } board dimensions (8x8 unless set, at most 16x16).
+//   The player's King starts mid back rank; castling needs the standard 8 files.
+// - specialRules: Optional [{ id, ...params }] FORMATION_RULES the battle runs under
+// - enemyCards: Optional ENEMY_CARD_DEFINITIONS ids the AI may play instead of a move
+// - bluffChance: Optional chance (0-1) each turn that the shown intent is a decoy
+// - curses: Optional curse card ids shuffled into the player's deck when this battle comes up
+// - phases: Optional boss phases [{ name, when: { hp } or { pieces }, archetype, pieces, specialRules }]
+//   (see BOSS PHASES in rules-engine.js)
+// - waves: Optional reinforcement waves [{ name, pieces: [types], at, turn | every | below }]
+//   (see REINFORCEMENT WAVES in rules-engine.js); at: 'portals' uses `portals`, and an
+//   at: [{ row, col }] list gives each piece its own square
+// - portals: Optional [{ row, col }] squares waves can arrive on
+// - chessRules: Optional { castling, enPassant } switches (both on unless set to false)
+//   and draw rules { repetition, moveLimit, insufficientMaterial } (3, 50 and on by default)
+// Generated formations (see FORMATION GENERATOR) have the same shape plus generated: true
 
 const FORMATIONS = {
     // ============================================
@@ -130,6 +144,23 @@ const FORMATIONS = {
         ]
     },
 
+    skirmish: {
+        id: 'skirmish',
+        name: 'Skirmish',
+        description: 'A cramped 6x6 field. Nowhere to hide.',
+        difficulty: 3,
+        archetype: 'HUNTER',
+        size: { rows: 6, cols: 6 },
+        pieces: [
+            { type: 'king', row: 0, col: 3 },
+            { type: 'knight', row: 0, col: 1 },
+            { type: 'bishop', row: 0, col: 4 },
+            { type: 'pawn', row: 1, col: 2 },
+            { type: 'pawn', row: 1, col: 3 },
+            { type: 'pawn', row: 1, col: 4 }
+        ]
+    },
+
     rookTower: {
         id: 'rookTower',
         name: 'The Tower',
@@ -153,6 +184,8 @@ const FORMATIONS = {
         description: 'Many pawns push forward relentlessly.',
         difficulty: 4,
         archetype: 'SWARM',
+        specialRules: [{ id: 'pawnSurge' }],
+        chessRules: { enPassant: false },
         pieces: [
             { type: 'king', row: 0, col: 4 },
             { type: 'pawn', row: 1, col: 0 },
@@ -283,6 +316,11 @@ const FORMATIONS = {
         description: 'Queen and Knights coordinate attacks.',
         difficulty: 7,
         archetype: 'HUNTER',
+        specialRules: [{
+            id: 'reinforcements',
+            turn: 5,
+            pieces: [{ type: 'knight', row: 0, col: 1 }, { type: 'knight', row: 0, col: 6 }]
+        }],
         pieces: [
             { type: 'king', row: 0, col: 4 },
             { type: 'queen', row: 1, col: 3 },
@@ -294,12 +332,48 @@ const FORMATIONS = {
         ]
     },
 
+    horde: {
+        id: 'horde',
+        name: 'The Horde',
+        description: 'Twenty-two pieces spill across a 10-file board.',
+        difficulty: 7,
+        archetype: 'SWARM',
+        size: { rows: 8, cols: 10 },
+        waves: [{ name: 'The Horde Swells', every: 4, times: 3, pieces: ['pawn', 'pawn'] }],
+        pieces: [
+            { type: 'king', row: 0, col: 5 },
+            { type: 'queen', row: 0, col: 4 },
+            { type: 'rook', row: 0, col: 0 },
+            { type: 'rook', row: 0, col: 9 },
+            { type: 'knight', row: 0, col: 1 },
+            { type: 'knight', row: 0, col: 8 },
+            { type: 'bishop', row: 0, col: 2 },
+            { type: 'bishop', row: 0, col: 7 },
+            { type: 'pawn', row: 1, col: 0 },
+            { type: 'pawn', row: 1, col: 1 },
+            { type: 'pawn', row: 1, col: 2 },
+            { type: 'pawn', row: 1, col: 3 },
+            { type: 'pawn', row: 1, col: 4 },
+            { type: 'pawn', row: 1, col: 5 },
+            { type: 'pawn', row: 1, col: 6 },
+            { type: 'pawn', row: 1, col: 7 },
+            { type: 'pawn', row: 1, col: 8 },
+            { type: 'pawn', row: 1, col: 9 },
+            { type: 'pawn', row: 2, col: 2 },
+            { type: 'pawn', row: 2, col: 4 },
+            { type: 'pawn', row: 2, col: 5 },
+            { type: 'pawn', row: 2, col: 7 }
+        ]
+    },
+
     fortress: {
         id: 'fortress',
         name: 'The Fortress',
         description: 'Heavy defensive position with Rooks.',
         difficulty: 7,
         archetype: 'WALL',
+        chessRules: { castling: false },
+        specialRules: [{ id: 'rookGuard' }],
         pieces: [
             { type: 'king', row: 0, col: 4 },
             { type: 'rook', row: 0, col: 0 },
@@ -320,6 +394,10 @@ const FORMATIONS = {
         description: 'Fast-moving pieces positioned for quick strikes.',
         difficulty: 8,
         archetype: 'AGGRESSOR',
+        enemyCards: ['freeze'],
+        curses: ['deadWeight'],
+        portals: [{ row: 0, col: 1 }, { row: 0, col: 6 }],
+        waves: [{ name: 'Second Strike', below: 6, at: 'portals', pieces: ['knight', 'knight'] }],
         pieces: [
             { type: 'king', row: 0, col: 4 },
             { type: 'queen', row: 2, col: 4 },
@@ -338,6 +416,10 @@ const FORMATIONS = {
         description: 'Positioned for forks, pins, and skewers.',
         difficulty: 8,
         archetype: 'TACTICIAN',
+        enemyCards: ['swap'],
+        bluffChance: 0.25,
+        curses: ['exposed'],
+        specialRules: [{ id: 'cardTax', multiplier: 2 }],
         pieces: [
             { type: 'king', row: 0, col: 4 },
             { type: 'queen', row: 1, col: 3 },
@@ -361,6 +443,8 @@ const FORMATIONS = {
         description: 'The complete enemy army. Good luck.',
         difficulty: 9,
         archetype: 'TACTICIAN',
+        enemyCards: ['swap'],
+        curses: ['deadWeight'],
         pieces: [
             { type: 'king', row: 0, col: 4 },
             { type: 'queen', row: 0, col: 3 },
@@ -387,6 +471,8 @@ const FORMATIONS = {
         description: 'Multiple Queens dominate the board.',
         difficulty: 9,
         archetype: 'AGGRESSOR',
+        enemyCards: ['freeze'],
+        curses: ['frostbite'],
         pieces: [
             { type: 'king', row: 0, col: 4 },
             { type: 'queen', row: 0, col: 3 },
@@ -407,6 +493,16 @@ const FORMATIONS = {
         description: 'Five Knights will haunt your dreams.',
         difficulty: 9,
         archetype: 'HUNTER',
+        enemyCards: ['phantomQueen'],
+        curses: ['frostbite'],
+        phases: [
+            {
+                name: 'The Stampede',
+                when: { hp: 0.6 },
+                pieces: [{ type: 'knight', row: 0, col: 1 }, { type: 'knight', row: 0, col: 6 }]
+            },
+            { name: 'Last Ride', when: { pieces: 4 }, archetype: 'AGGRESSOR' }
+        ],
         pieces: [
             { type: 'king', row: 0, col: 4 },
             { type: 'knight', row: 1, col: 0 },
@@ -426,6 +522,12 @@ const FORMATIONS = {
         description: 'Two rows of defenders. Impenetrable.',
         difficulty: 10,
         archetype: 'WALL',
+        enemyCards: ['swap', 'freeze'],
+        curses: ['deadWeight'],
+        phases: [
+            { name: 'Hold the Line', when: { hp: 0.7 }, specialRules: [{ id: 'rookGuard' }] },
+            { name: 'The Wall Breaks', when: { hp: 0.35 }, archetype: 'AGGRESSOR' }
+        ],
         pieces: [
             { type: 'king', row: 0, col: 4 },
             { type: 'queen', row: 0, col: 3 },
@@ -454,6 +556,18 @@ const FORMATIONS = {
         description: 'Perfect positioning. Maximum difficulty.',
         difficulty: 10,
         archetype: 'TACTICIAN',
+        enemyCards: ['freeze', 'swap', 'phantomQueen'],
+        bluffChance: 0.4,
+        curses: ['exposed'],
+        phases: [
+            { name: 'Gambit Declined', when: { hp: 0.6 }, specialRules: [{ id: 'cardTax', multiplier: 2 }] },
+            {
+                name: 'Endgame Mastery',
+                when: { hp: 0.3 },
+                archetype: 'AGGRESSOR',
+                pieces: [{ type: 'queen', row: 0, col: 3 }]
+            }
+        ],
         pieces: [
             { type: 'king', row: 0, col: 6 },
             { type: 'queen', row: 1, col: 3 },
@@ -478,6 +592,17 @@ const FORMATIONS = {
         description: 'An army of Queens and Rooks. No mercy.',
         difficulty: 10,
         archetype: 'AGGRESSOR',
+        enemyCards: ['freeze', 'phantomQueen'],
+        curses: ['frostbite'],
+        phases: [
+            {
+                name: 'No Mercy',
+                when: { hp: 0.5 },
+                archetype: 'HUNTER',
+                pieces: [{ type: 'queen', row: 0, col: 3 }],
+                specialRules: [{ id: 'rookGuard' }]
+            }
+        ],
         pieces: [
             { type: 'king', row: 0, col: 4 },
             { type: 'queen', row: 1, col: 3 },
@@ -501,11 +626,11 @@ const FORMATIONS = {
 // ============================================
 const FORMATION_POOLS = {
     TUTORIAL: ['pawnWall', 'lonePawns'],
-    EASY: ['knightIntro', 'bishopIntro', 'twinKnights', 'bishopPair'],
+    EASY: ['knightIntro', 'bishopIntro', 'twinKnights', 'bishopPair', 'skirmish'],
     MEDIUM: ['rookTower', 'pawnSwarm', 'queensGuard', 'castleDefense', 'knightSquad'],
-    HARD: ['tacticalSetup', 'aggressiveStance', 'royalCourt', 'huntingPack', 'fortress'],
+    HARD: ['tacticalSetup', 'aggressiveStance', 'royalCourt', 'huntingPack', 'horde', 'fortress'],
     EXPERT: ['blitzkrieg', 'masterTactician', 'fullArmy', 'queenArmada'],
-    BOSS: ['knightmareSquad', 'theWall', 'grandmaster', 'deathSquad']
+    BOSS: ['knightmareSquad', 'theWall', 'grandmaster', 'deathSquad', 'mirror']
 };
 
 // ============================================
@@ -532,23 +657,40 @@ function getFormationById(formationId) {
     return FORMATIONS[formationId] || null;
 }
 
-function getRandomFormation(pool = 'MEDIUM') {
+/**
+ * @param {Object} context - The run as it stands ({ playerLoadout, deck }),
+ *   for ids in FORMATION_BUILDERS
+ */
+function getRandomFormation(pool = 'MEDIUM', rng = new SeededRNG(), context = {}) {
     const formationIds = FORMATION_POOLS[pool] || FORMATION_POOLS.MEDIUM;
-    const randomId = formationIds[Math.floor(Math.random() * formationIds.length)];
-    return FORMATIONS[randomId];
+    const randomId = rng.pick(formationIds);
+    return FORMATION_BUILDERS[randomId] ? FORMATION_BUILDERS[randomId](context) : FORMATIONS[randomId];
 }
 
-function getFormationForBattle(battleNumber) {
+// Handcrafted, or (for pools in GENERATOR_POOLS) sometimes generated. Both
+// come from the run RNG, so a seed always meets the same formations.
+function getFormationForBattle(battleNumber, rng = new SeededRNG(), context = {}) {
     const progression = BATTLE_PROGRESSION.find(p => p.battle === battleNumber)
         || BATTLE_PROGRESSION[BATTLE_PROGRESSION.length - 1];
 
-    const formation = getRandomFormation(progression.pool);
+    const generator = GENERATOR_POOLS[progression.pool];
+    const formation = generator && rng.chance(GENERATED_FORMATION_CHANCE)
+        ? generatePoolFormation(progression.pool, new SeededRNG(rng.int(0x100000000)))
+        : getRandomFormation(progression.pool, rng, context);
     return {
         formation,
         difficulty: progression.difficulty
     };
 }
 
+// AI difficulty a formation is played at outside the run order (editor
+// playtests): that of the battle matching its 1-10 difficulty rating
+function getFormationAiDifficulty(formation) {
+    const progression = BATTLE_PROGRESSION.find(p => p.battle === formation.difficulty)
+        || BATTLE_PROGRESSION[BATTLE_PROGRESSION.length - 1];
+    return progression.difficulty;
+}
+
 function getAllFormationsByDifficulty(minDifficulty, maxDifficulty) {
     return Object.values(FORMATIONS).filter(f =>
         f.difficulty >= minDifficulty && f.difficulty <= maxDifficulty
@@ -561,7 +703,7 @@ function setupFormation(game, formation) {
 
     // Clear enemy positions on board
     for (let row = 0; row < game.board.length; row++) {
-        for (let col = 0; col < 8; col++) {
+        for (let col = 0; col < game.board[row].length; col++) {
             const piece = game.board[row][col];
             if (piece && piece.owner === 'enemy') {
                 game.board[row][col] = null;
@@ -576,7 +718,7 @@ function setupFormation(game, formation) {
             owner: 'enemy',
             row: pieceData.row,
             col: pieceData.col,
-            id: `enemy-${pieceData.type}-${Date.now()}-${Math.random()}`
+            id: `enemy-${pieceData.type}-${game.rng.id()}`
         };
         game.board[pieceData.row][pieceData.col] = piece;
         game.enemyPieces.push(piece);
@@ -590,6 +732,432 @@ function setupFormation(game, formation) {
     return formation;
 }
 
+// ============================================
+// RUNTIME FORMATIONS
+// ============================================
+// Formations built when their battle comes up, from the run so far. Pools
+// list them by id like any other; getRandomFormation() calls the builder
+// with { playerLoadout, deck }.
+
+const FORMATION_BUILDERS = {
+    mirror: buildMirrorFormation
+};
+
+const MIRROR_COPIES = 3;
+
+// The player's deck as the Mirror's hand: each card that has a mirror (see
+// MIRRORED CARDS in js/card-effects.js), played back with the sides swapped
+function getMirrorEnemyCards(deck = []) {
+    return deck.map(id => MIRROR_CARD_PREFIX + id).filter(id => getMirrorCard(id));
+}
+
+// The player's loadout seen from across the board, repeated outward from the
+// King MIRROR_COPIES times, with the player's deck for enemy cards
+function buildMirrorFormation({ playerLoadout = ['queen', 'rook', 'knight'], deck = [] } = {}) {
+    const kingCol = Math.floor(BOARD_COLS / 2);
+    const pieces = [{ type: PIECES.KING, row: 0, col: kingCol }];
+
+    for (let copy = 0; copy < MIRROR_COPIES; copy++) {
+        const frontOffset = Math.ceil(copy / 2) * 2 * (copy % 2 ? -1 : 1); // 0, -2, +2, ...
+        pieces.push(
+            { type: playerLoadout[0], row: 0, col: kingCol - 1 - copy },
+            { type: playerLoadout[1], row: 0, col: kingCol + 1 + copy },
+            { type: playerLoadout[2], row: 1, col: kingCol + frontOffset }
+        );
+    }
+
+    return {
+        id: 'mirror',
+        name: 'The Mirror',
+        description: `Your ${playerLoadout.join(', ')} x${MIRROR_COPIES}, playing your own cards back at you.`,
+        difficulty: 10,
+        archetype: 'TACTICIAN',
+        enemyCards: getMirrorEnemyCards(deck),
+        phases: [
+            { name: 'Shattered Glass', when: { hp: 0.4 }, archetype: 'AGGRESSOR' }
+        ],
+        pieces: pieces.filter(p => p.col >= 0 && p.col < BOARD_COLS)
+    };
+}
+
+// ============================================
+// FORMATION SPECIAL RULES
+// ============================================
+// A formation lists its rules as specialRules: [{ id, ...params }]. The
+// RulesEngine calls each rule's handlers with (rules, params, details) on:
+// - battleStart: once the board is set up
+// - turnStart: as each player turn begins (state.turnNumber already counts it)
+// - capture: { piece, capturer } after a piece leaves the board
+// - move: { piece, from, to, captured } after a move lands
+// cardCost(cost, params) reprices the player's cards instead.
+
+const FORMATION_RULES = {
+    pawnSurge: {
+        name: 'Pawn Surge',
+        describe: () => 'Enemy pawns advance two squares whenever they step forward.',
+        move(rules, params, { piece, from, to, captured }) {
+            if (piece.owner !== 'enemy' || piece.type !== PIECES.PAWN || captured) return;
+            if (to.col !== from.col || to.row - from.row !== 1) return;
+
+            const state = rules.state;
+            const row = to.row + 1;
+            if (!rules.isOnBoard(row, to.col) || state.board[row][to.col] || state.traps.has(`${row},${to.col}`)) return;
+
+            state.board[to.row][to.col] = null;
+            piece.row = row;
+            state.board[row][to.col] = piece;
+            state.enPassantSquare = null;
+            if (rules.isPromotionMove(piece, row)) piece.type = PIECES.QUEEN;
+            rules.logEvent('PAWN_SURGE', { pieceId: piece.id, to: rules.toChessNotation(row, to.col) });
+        }
+    },
+    rookGuard: {
+        name: 'Rook Guard',
+        describe: () => 'The enemy King cannot be captured while an enemy Rook stands.',
+        battleStart: guardKingWhileRooksStand,
+        turnStart: guardKingWhileRooksStand,
+        capture(rules, params, { piece }) {
+            if (piece.owner === 'enemy' && piece.type === PIECES.ROOK) guardKingWhileRooksStand(rules);
+        }
+    },
+    reinforcements: {
+        name: 'Reinforcements',
+        describe: ({ turn, pieces = [] }) =>
+            `${pieces.length} more enemy piece${pieces.length === 1 ? '' : 's'} arrive on turn ${turn}.`,
+        // Comes in as a wave (see REINFORCEMENT WAVES in rules-engine.js), so the
+        // intent panel warns of it; a square the battle has filled keeps that piece out
+        battleStart(rules, { turn, pieces = [] }) {
+            rules.state.waves.push({
+                name: 'Enemy reinforcements',
+                turn,
+                pieces: pieces.map(p => p.type),
+                at: pieces.map(({ row, col }) => ({ row, col }))
+            });
+            rules.state.wavesSpawned.push(0);
+        }
+    },
+    cardTax: {
+        name: 'Card Tax',
+        describe: ({ multiplier = 2 }) => `Your cards cost ${multiplier === 2 ? 'double' : `${multiplier}x`} energy.`,
+        cardCost: (cost, { multiplier = 2 }) => cost * multiplier
+    }
+};
+
+// Shield the King (re-applied each turn, so it never ticks out) until no Rook is left
+function guardKingWhileRooksStand(rules) {
+    const state = rules.state;
+    const king = state.enemyPieces.find(p => p.type === PIECES.KING);
+    if (!king) return;
+
+    if (state.enemyPieces.some(p => p.type === PIECES.ROOK)) {
+        state.shieldedPieces.set(king.id, 2);
+    } else if (state.shieldedPieces.delete(king.id)) {
+        rules.notify('The last Rook has fallen. The enemy King is exposed!');
+    }
+}
+
+// When a wave lands and what it brings, for the pre-battle screen
+function describeWave(wave) {
+    const when = wave.turn !== undefined ? `Turn ${wave.turn}`
+        : wave.every !== undefined ? `Every ${wave.every} turns${wave.times ? ` (${wave.times}x)` : ''}`
+            : `Below ${wave.below} pieces`;
+    const where = wave.at === 'portals' ? 'at the portals'
+        : Array.isArray(wave.at) ? 'on marked squares' : 'on the back ranks';
+    return `${when}: ${wave.pieces.join(', ')} ${where}`;
+}
+
+// One "Name: what it does" line per rule, for the pre-battle screen
+function describeFormationRules(formation) {
+    return (formation?.specialRules || [])
+        .filter(params => FORMATION_RULES[params.id])
+        .map(params => `${FORMATION_RULES[params.id].name}: ${FORMATION_RULES[params.id].describe(params)}`);
+}
+
+// ============================================
+// FORMATION GENERATOR
+// ============================================
+// Builds a formation by spending a material budget (PIECE_VALUES, King free)
+// on pieces the archetype favours, in the enemy's half of the board. A start
+// is only kept if neither side can win material on move one, whatever the
+// player's loadout (see isFairStart); otherwise it tries again.
+
+const GENERATED_FORMATION_CHANCE = 0.4;
+
+// Material budget by target difficulty (1-10), in line with the handcrafted sets
+const GENERATOR_BUDGETS = [0, 800, 1000, 1100, 1300, 1600, 1800, 2400, 3000, 3800, 4600];
+
+// Pools that can be generated: difficulty range, plus the extras elites carry.
+// Bosses stay handcrafted.
+const GENERATOR_POOLS = {
+    TUTORIAL: { difficulty: [1, 1] },
+    EASY: { difficulty: [2, 3] },
+    MEDIUM: { difficulty: [4, 5] },
+    HARD: { difficulty: [6, 7] },
+    EXPERT: { difficulty: [8, 9], enemyCards: 1, curses: 1 }
+};
+
+// Relative odds of each piece per archetype
+const GENERATOR_PIECE_WEIGHTS = {
+    PASSIVE: { pawn: 5, knight: 2, bishop: 2, rook: 2, queen: 0.5 },
+    SWARM: { pawn: 8, knight: 2, bishop: 1, rook: 0.5, queen: 0.3 },
+    HUNTER: { pawn: 2, knight: 4, bishop: 3, rook: 1, queen: 1 },
+    WALL: { pawn: 4, knight: 1, bishop: 1, rook: 4, queen: 0.5 },
+    TACTICIAN: { pawn: 2, knight: 3, bishop: 4, rook: 2, queen: 1 },
+    AGGRESSOR: { pawn: 1, knight: 2, bishop: 2, rook: 3, queen: 3 }
+};
+
+const GENERATOR_SYMMETRY_CHANCE = 0.6;
+const GENERATOR_MAX_ATTEMPTS = 20;
+
+const GENERATOR_NAMES = {
+    PASSIVE: 'Patient',
+    SWARM: 'Teeming',
+    HUNTER: 'Prowling',
+    WALL: 'Iron',
+    TACTICIAN: 'Cunning',
+    AGGRESSOR: 'Reckless'
+};
+const GENERATOR_NOUNS = ['Vanguard', 'Host', 'Column', 'Battalion', 'Cohort', 'Legion'];
+
+function generatePoolFormation(pool, rng = new SeededRNG()) {
+    const config = GENERATOR_POOLS[pool];
+    const [min, max] = config.difficulty;
+    const formation = generateFormation({
+        difficulty: min + rng.int(max - min + 1),
+        fallbackIds: FORMATION_POOLS[pool]
+    }, rng);
+
+    // Elites bring what their handcrafted peers do
+    if (config.enemyCards) {
+        formation.enemyCards = rng.shuffle(Object.keys(ENEMY_CARD_DEFINITIONS)).slice(0, config.enemyCards);
+    }
+    if (config.curses) {
+        const curses = Object.values(CARD_DEFINITIONS).filter(card => card.curse).map(card => card.id);
+        formation.curses = rng.shuffle(curses).slice(0, config.curses);
+    }
+    return formation;
+}
+
+/**
+ * @param {Object} options - difficulty (1-10), archetype, symmetric and size
+ *   { rows, cols }; anything left out is rolled. fallbackIds limits the
+ *   handcrafted fallback to those formations (default: within 1 difficulty)
+ * @param {SeededRNG} rng
+ * @returns {Object} A new formation object, a copy of a handcrafted one if no
+ *   fair start turned up
+ */
+function generateFormation(options = {}, rng = new SeededRNG()) {
+    const difficulty = Math.max(1, Math.min(10, options.difficulty ?? 5));
+    const archetype = options.archetype || rng.pick(Object.keys(GENERATOR_PIECE_WEIGHTS));
+    const symmetric = options.symmetric ?? rng.chance(GENERATOR_SYMMETRY_CHANCE);
+    const rows = options.size?.rows ?? BOARD_ROWS;
+    const cols = options.size?.cols ?? BOARD_COLS;
+
+    for (let attempt = 0; attempt < GENERATOR_MAX_ATTEMPTS; attempt++) {
+        const formation = {
+            id: `generated-${rng.int(0x100000000).toString(36)}`,
+            name: `The ${GENERATOR_NAMES[archetype]} ${rng.pick(GENERATOR_NOUNS)}`,
+            description: `A generated ${AI_ARCHETYPE_EXTENSIONS[archetype].name.toLowerCase()} formation.`,
+            difficulty,
+            archetype,
+            generated: true,
+            pieces: placeGeneratedPieces(GENERATOR_BUDGETS[difficulty], archetype, symmetric, rows, cols, rng)
+        };
+        if (rows !== BOARD_ROWS || cols !== BOARD_COLS) formation.size = { rows, cols };
+        if (isFairStart(formation)) return formation;
+    }
+
+    console.warn(`[Formation] No fair generated start at difficulty ${difficulty}; using a handcrafted one`);
+    const fallbacks = options.fallbackIds
+        ? options.fallbackIds.map(id => FORMATIONS[id]).filter(Boolean)
+        : getAllFormationsByDifficulty(difficulty - 1, difficulty + 1);
+    // A copy, so callers can decorate it without touching FORMATIONS
+    return { ...(fallbacks.length > 0 ? rng.pick(fallbacks) : FORMATIONS.pawnWall) };
+}
+
+// King on the back rank, then pieces (mirrored in pairs when symmetric) until
+// the budget runs out. Pawns go in front, heavy pieces behind.
+function placeGeneratedPieces(budget, archetype, symmetric, rows, cols, rng) {
+    const zoneRows = Math.max(2, Math.floor(rows / 2) - 1);
+    const pieces = [{ type: PIECES.KING, row: 0, col: Math.floor(cols / 2) }];
+    const taken = new Set([`0,${Math.floor(cols / 2)}`]);
+    const weights = GENERATOR_PIECE_WEIGHTS[archetype];
+    let remaining = budget;
+
+    const squaresFor = (type) => {
+        const [first, last] = type === PIECES.PAWN ? [1, zoneRows] : [0, zoneRows - 1];
+        const squares = [];
+        for (let row = first; row <= last; row++) {
+            for (let col = 0; col < cols; col++) {
+                if (!taken.has(`${row},${col}`)) squares.push({ row, col });
+            }
+        }
+        return squares;
+    };
+
+    while (remaining >= PIECE_VALUES.pawn) {
+        const affordable = Object.keys(weights).filter(type => PIECE_VALUES[type] <= remaining);
+        let roll = rng.next() * affordable.reduce((sum, type) => sum + weights[type], 0);
+        const type = affordable.find(t => (roll -= weights[t]) < 0) || affordable[affordable.length - 1];
+
+        const squares = squaresFor(type);
+        if (squares.length === 0) break;
+        const square = rng.pick(squares);
+        const mirror = { row: square.row, col: cols - 1 - square.col };
+        const paired = symmetric && mirror.col !== square.col && !taken.has(`${mirror.row},${mirror.col}`) &&
+            PIECE_VALUES[type] * 2 <= remaining;
+
+        for (const sq of paired ? [square, mirror] : [square]) {
+            pieces.push({ type, row: sq.row, col: sq.col });
+            taken.add(`${sq.row},${sq.col}`);
+            remaining -= PIECE_VALUES[type];
+        }
+    }
+    return pieces;
+}
+
+// Checked against the strongest slider and knight loadouts (a real loadout
+// reaches less): the enemy can't capture on its first move, the player can't
+// check the King or take an undefended piece, and the enemy has a move
+function isFairStart(formation) {
+    if (typeof RulesEngine === 'undefined') return true;
+
+    return [['queen', 'queen', 'queen'], ['knight', 'knight', 'knight']].every(loadout => {
+        const rules = new RulesEngine(new GameState(new SeededRNG('fair-start')), {}, FORMATION_RULES);
+        rules.setupBattle(loadout, formation);
+        const { playerPieces, enemyPieces } = rules.state;
+
+        return playerPieces.every(p => !rules.isSquareAttackedBy(p.row, p.col, 'enemy')) &&
+            enemyPieces.every(p => !rules.isSquareAttackedBy(p.row, p.col, 'player') ||
+                (p.type !== PIECES.KING && rules.isSquareAttackedBy(p.row, p.col, 'enemy'))) &&
+            enemyPieces.some(p => rules.getValidMoves(p).length > 0);
+    });
+}
+
+// ============================================
+// FORMATION JSON (editor import/export)
+// ============================================
+// The editor's format is a formation object as above plus `pools`, the
+// FORMATION_POOLS it belongs to. parseFormationJSON() checks everything the
+// board setup relies on, so a loaded formation can go straight to setupBattle.
+
+// Every formation made in the editor or imported has an id starting with this
+const CUSTOM_FORMATION_PREFIX = 'custom-';
+
+function getFormationPools(formationId) {
+    return Object.keys(FORMATION_POOLS).filter(pool => FORMATION_POOLS[pool].includes(formationId));
+}
+
+function formationToJSON(formation) {
+    const { pools = getFormationPools(formation.id), ...rest } = formation;
+    return JSON.stringify({ ...rest, pools }, null, 2);
+}
+
+/**
+ * @param {string} text - Formation JSON
+ * @returns {Object} The formation, with `pools` listing where it's offered
+ * @throws {Error} Naming the first problem found
+ */
+function parseFormationJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Not valid JSON: ${err.message}`);
+    }
+    if (!data || typeof data !== 'object') throw new Error('Formation must be a JSON object');
+    if (!data.name || typeof data.name !== 'string') throw new Error('Formation needs a name');
+
+    const rows = data.size?.rows ?? BOARD_ROWS;
+    const cols = data.size?.cols ?? BOARD_COLS;
+    if (!Number.isInteger(rows) || rows < 4 || rows > MAX_BOARD_SIZE ||
+        !Number.isInteger(cols) || cols < 3 || cols > MAX_BOARD_SIZE) {
+        throw new Error(`Board size must be 4-${MAX_BOARD_SIZE} rows by 3-${MAX_BOARD_SIZE} columns`);
+    }
+
+    if (!Number.isInteger(data.difficulty) || data.difficulty < 1 || data.difficulty > 10) {
+        throw new Error('Difficulty must be a whole number from 1 to 10');
+    }
+    if (!AI_ARCHETYPE_EXTENSIONS[data.archetype]) {
+        throw new Error(`Unknown archetype "${data.archetype}"`);
+    }
+
+    // Squares setupPlayerPieces fills
+    const kingCol = Math.floor(cols / 2);
+    const playerSquares = new Set([
+        `${rows - 1},${kingCol}`, `${rows - 1},${kingCol - 1}`, `${rows - 1},${kingCol + 1}`, `${rows - 2},${kingCol}`
+    ]);
+
+    if (!Array.isArray(data.pieces)) throw new Error('Formation needs a pieces list');
+    const taken = new Set();
+    for (const piece of data.pieces) {
+        const square = `${piece.row},${piece.col}`;
+        if (!Object.values(PIECES).includes(piece.type)) throw new Error(`Unknown piece type "${piece.type}"`);
+        if (!Number.isInteger(piece.row) || !Number.isInteger(piece.col) ||
+            piece.row < 0 || piece.row >= rows || piece.col < 0 || piece.col >= cols) {
+            throw new Error(`${piece.type} at ${square} is off the board`);
+        }
+        if (playerSquares.has(square)) throw new Error(`${piece.type} at ${square} is on a player starting square`);
+        if (taken.has(square)) throw new Error(`Two pieces on ${square}`);
+        taken.add(square);
+    }
+    if (data.pieces.filter(p => p.type === PIECES.KING).length !== 1) {
+        throw new Error('Formation needs exactly one king');
+    }
+
+    const pools = data.pools || [];
+    const unknownPool = pools.find(pool => !FORMATION_POOLS[pool]);
+    if (unknownPool) throw new Error(`Unknown pool "${unknownPool}"`);
+    const unknownCard = (data.enemyCards || []).find(id => !ENEMY_CARD_DEFINITIONS[id]);
+    if (unknownCard) throw new Error(`Unknown enemy card "${unknownCard}"`);
+    const unknownRule = (data.specialRules || []).find(rule => !FORMATION_RULES[rule?.id]);
+    if (unknownRule) throw new Error(`Unknown special rule "${unknownRule?.id}"`);
+    const offBoard = ({ row, col }) => !Number.isInteger(row) || !Number.isInteger(col) ||
+        row < 0 || row >= rows || col < 0 || col >= cols;
+    if ((data.portals || []).some(offBoard)) throw new Error('Portals must be squares on the board');
+    for (const wave of data.waves || []) {
+        if (!Array.isArray(wave?.pieces) || wave.pieces.some(type => !Object.values(PIECES).includes(type) || type === PIECES.KING)) {
+            throw new Error('Each wave needs a pieces list of non-King piece types');
+        }
+        if ([wave.turn, wave.every, wave.below].every(n => !Number.isInteger(n) || n < 1)) {
+            throw new Error('Each wave needs a turn, every or below count');
+        }
+        if (wave.at === 'portals' && !data.portals?.length) throw new Error('A wave arrives at portals but there are none');
+        if (Array.isArray(wave.at) && (wave.at.length !== wave.pieces.length || wave.at.some(offBoard))) {
+            throw new Error('A wave\'s squares must be on the board, one per piece');
+        }
+    }
+    for (const phase of data.phases || []) {
+        if (!phase?.name) throw new Error('Each boss phase needs a name');
+        if (phase.when?.hp === undefined && phase.when?.pieces === undefined) {
+            throw new Error(`Phase "${phase.name}" needs when: { hp } or { pieces }`);
+        }
+        if (phase.archetype && !AI_ARCHETYPE_EXTENSIONS[phase.archetype]) {
+            throw new Error(`Unknown archetype "${phase.archetype}" in phase "${phase.name}"`);
+        }
+        const unknownPhaseRule = (phase.specialRules || []).find(rule => !FORMATION_RULES[rule?.id]);
+        if (unknownPhaseRule) throw new Error(`Unknown special rule "${unknownPhaseRule?.id}" in phase "${phase.name}"`);
+    }
+
+    // Imported ids stay in their own namespace, so a file can never replace a
+    // built-in formation in FORMATIONS and the pools
+    const id = typeof data.id === 'string' && data.id.startsWith(CUSTOM_FORMATION_PREFIX)
+        ? data.id
+        : `${CUSTOM_FORMATION_PREFIX}${data.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+    return { description: '', ...data, id, pools };
+}
+
+// Make a formation available to runs: listed in FORMATIONS and in exactly its `pools`
+function registerFormation(formation) {
+    FORMATIONS[formation.id] = formation;
+    for (const [pool, ids] of Object.entries(FORMATION_POOLS)) {
+        const listed = ids.includes(formation.id);
+        const wanted = (formation.pools || []).includes(pool);
+        if (wanted && !listed) ids.push(formation.id);
+        if (!wanted && listed) ids.splice(ids.indexOf(formation.id), 1);
+    }
+}
+
 // ============================================
 // AI ARCHETYPE EXTENSIONS
 // ============================================
@@ -661,7 +1229,23 @@ if (typeof module !== 'undefined' && module.exports) {
         getFormationById,
         getRandomFormation,
         getFormationForBattle,
+        getFormationAiDifficulty,
         getAllFormationsByDifficulty,
-        setupFormation
+        setupFormation,
+        FORMATION_BUILDERS,
+        buildMirrorFormation,
+        getMirrorEnemyCards,
+        FORMATION_RULES,
+        describeFormationRules,
+        describeWave,
+        GENERATOR_BUDGETS,
+        generateFormation,
+        generatePoolFormation,
+        isFairStart,
+        CUSTOM_FORMATION_PREFIX,
+        getFormationPools,
+        formationToJSON,
+        parseFormationJSON,
+        registerFormation
     };
 }
@@ -0,0 +1,191 @@
+// ============================================
+// REPLAY SYSTEM - Chess Roguelike
+// Battle recording for the replay viewer
+// ============================================
+//
+// A replay is the full action log of one battle (seed, loadout, chosen cards,
+// every move and every card play with its targets) plus a GameState frame
+// after each action, so the viewer can step both ways without re-running
+// cards or the AI.
+//
+// Stored replays share localStorage with the run save, so they are packed:
+// the first frame stays whole and every later one is a patch against the
+// frame before it (packReplay / unpackReplay).
+
+const REPLAY_VERSION = 1;
+
+// Frames leave these out: they only grow, and the viewer never reads them
+const REPLAY_FRAME_SKIP = ['moveLog', 'boardHistory'];
+
+class ReplayRecorder {
+    constructor() {
+        this.replay = null;
+    }
+
+    /**
+     * Begin recording a battle.
+     * @param {Object} info - { seed, battle, loadout, cards, formation, difficulty }
+     * @param {GameState} state - State right after setup (frame 0)
+     */
+    start(info, state) {
+        this.replay = {
+            version: REPLAY_VERSION,
+            recordedAt: Date.now(),
+            seed: info.seed,
+            battle: info.battle,
+            loadout: [...info.loadout],
+            cards: [...info.cards],
+            formation: { id: info.formation?.id, name: info.formation?.name },
+            difficulty: info.difficulty,
+            result: null,
+            actions: [],
+            frames: [ReplayRecorder.snapshot(state)]
+        };
+        return this.replay;
+    }
+
+    record(action, state) {
+        if (!this.replay) return;
+
+        this.replay.actions.push({ turn: state.turnNumber, ...action });
+        this.replay.frames.push(ReplayRecorder.snapshot(state));
+    }
+
+    // Replace the newest frame (for state that changes after the action was logged)
+    updateLastFrame(state) {
+        if (!this.replay) return;
+        this.replay.frames[this.replay.frames.length - 1] = ReplayRecorder.snapshot(state);
+    }
+
+    finish(result) {
+        if (this.replay) this.replay.result = result;
+        return this.replay;
+    }
+
+    static snapshot(state) {
+        const frame = state.toJSON();
+        REPLAY_FRAME_SKIP.forEach(key => delete frame[key]);
+        return frame;
+    }
+}
+
+// ============================================
+// PACKING
+// ============================================
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Patch that turns one JSON frame into the next, or undefined if they match.
+ * { $v } replaces a value; { $p, $d } patches an object's keys and deletes
+ * others; { $a, $p } resizes an array and patches its entries.
+ */
+function diffFrame(prev, next) {
+    if (prev === next) return undefined;
+
+    const arrays = Array.isArray(prev) && Array.isArray(next);
+    if (!arrays && !(isPlainObject(prev) && isPlainObject(next))) return { $v: next };
+
+    const changes = {};
+    const keys = arrays ? next.map((_, i) => i) : Object.keys(next);
+    keys.forEach(key => {
+        const patch = diffFrame(prev[key], next[key]);
+        if (patch) changes[key] = patch;
+    });
+
+    if (arrays) {
+        if (Object.keys(changes).length === 0 && prev.length === next.length) return undefined;
+        return { $a: next.length, $p: changes };
+    }
+
+    const removed = Object.keys(prev).filter(key => !(key in next));
+    if (Object.keys(changes).length === 0 && removed.length === 0) return undefined;
+    return removed.length > 0 ? { $p: changes, $d: removed } : { $p: changes };
+}
+
+// Inverse of diffFrame; unchanged branches are shared with prev
+function patchFrame(prev, patch) {
+    if (!patch) return prev;
+    if ('$v' in patch) return patch.$v;
+
+    const result = '$a' in patch ? prev.slice(0, patch.$a) : { ...prev };
+    for (const [key, change] of Object.entries(patch.$p)) {
+        result[key] = patchFrame(prev[key], change);
+    }
+    (patch.$d || []).forEach(key => delete result[key]);
+    return result;
+}
+
+// Storage form: `frames` become `deltas` (frame 0, then one patch per action)
+function packReplay(replay) {
+    if (!replay.frames) return replay;
+
+    // Through JSON first, so an undefined field can't become an empty patch
+    const { frames: rawFrames, ...rest } = replay;
+    const frames = rawFrames.map(frame => JSON.parse(JSON.stringify(frame)));
+    const deltas = frames.map((frame, i) => (i === 0 ? frame : diffFrame(frames[i - 1], frame) || null));
+    return { ...rest, deltas };
+}
+
+function unpackReplay(replay) {
+    if (!replay.deltas) return replay;
+
+    const { deltas, ...rest } = replay;
+    const frames = [];
+    deltas.forEach((delta, i) => frames.push(i === 0 ? delta : patchFrame(frames[i - 1], delta)));
+    return { ...rest, frames };
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+// One-line caption for the viewer (frame i is the state after action i - 1).
+// rows is the battle's board height, so ranks read as they did in the game.
+function describeReplayAction(action, rows = BOARD_ROWS) {
+    if (!action) return 'Battle start';
+
+    const squareName = (square) => String.fromCharCode(97 + square.col) + (rows - square.row);
+
+    const turn = `T${action.turn}`;
+    switch (action.type) {
+        case 'move':
+            return `${turn} ${action.owner === 'player' ? 'You' : 'Enemy'}: ${action.piece} ${squareName(action.from)}→${squareName(action.to)}${action.captured ? ' x' + action.captured : ''}${action.promotion ? ' =' + action.promotion : ''}`;
+        case 'card': {
+            const name = (typeof CARD_DEFINITIONS !== 'undefined' && CARD_DEFINITIONS[action.card]?.name) || action.card;
+            const targets = action.targets.map(t => t.choice !== undefined ? t.choice : squareName(t)).join(', ');
+            const combo = action.combo && typeof CARD_COMBOS !== 'undefined' ? ` (combo: ${CARD_COMBOS[action.combo]?.name || action.combo})` : '';
+            return `${turn} Card: ${name}${targets ? ' → ' + targets : ''}${combo}`;
+        }
+        case 'enemyCard': {
+            const name = (typeof getEnemyCard !== 'undefined' && getEnemyCard(action.card)?.name) || action.card;
+            const targets = action.targets.map(squareName).join(', ');
+            return `${turn} Enemy card: ${name}${targets ? ' → ' + targets : ''}`;
+        }
+        case 'deployPocket':
+            return `${turn} Pocket piece deployed at ${squareName(action.to)}`;
+        case 'enemySkip':
+            return `${turn} Enemy turn skipped`;
+        case 'checkmate':
+            return `${turn} Enemy is checkmated`;
+        case 'bossPhase':
+            return `${turn} Boss phase ${action.phase}: ${action.name}${action.archetype ? ` (${action.archetype})` : ''}`;
+        default:
+            return `${turn} ${action.type}`;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REPLAY_VERSION,
+        ReplayRecorder,
+        diffFrame,
+        patchFrame,
+        packReplay,
+        unpackReplay,
+        describeReplayAction
+    };
+}
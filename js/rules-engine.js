@@ -0,0 +1,1772 @@
+// ============================================
+// RULES ENGINE - Chess Roguelike
+// Headless battle state + rules (no DOM access)
+// ============================================
+//
+// The browser view (game.js) owns a GameState and a RulesEngine and forwards
+// UI feedback through hooks. Under Node the same module can be required to
+// simulate battles or run the AI against the rules the player sees:
+//
+//   const { SeededRNG, GameState, RulesEngine } = require('./js/rules-engine.js');
+//   const { FORMATIONS, FORMATION_RULES } = require('./js/formations.js');
+//   const rules = new RulesEngine(new GameState(new SeededRNG(1234)), {}, FORMATION_RULES);
+//   rules.setupBattle(['queen', 'rook', 'knight'], FORMATIONS.pawnWall);
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Default board size; a formation can declare its own with size: { rows, cols }
+const BOARD_ROWS = 8;
+const BOARD_COLS = 8;
+// Files are lettered a-p, so FEN and notation stop at 16 columns
+const MAX_BOARD_SIZE = 16;
+
+const PIECES = {
+    KING: 'king',
+    QUEEN: 'queen',
+    ROOK: 'rook',
+    BISHOP: 'bishop',
+    KNIGHT: 'knight',
+    PAWN: 'pawn'
+};
+
+// What a pawn may become on the last rank
+const PROMOTION_PIECES = [PIECES.QUEEN, PIECES.ROOK, PIECES.BISHOP, PIECES.KNIGHT];
+
+const PIECE_VALUES = {
+    king: 10000,
+    queen: 900,
+    rook: 500,
+    bishop: 330,
+    knight: 320,
+    pawn: 100
+};
+
+// FEN letters; player = white (uppercase), enemy = black (lowercase)
+const FEN_PIECE_CHARS = {
+    king: 'k',
+    queen: 'q',
+    rook: 'r',
+    bishop: 'b',
+    knight: 'n',
+    pawn: 'p'
+};
+
+// Castling by FEN right: player = white (uppercase). The king starts on the e-file.
+// Only an 8-file board has these squares, so other widths never castle.
+const CASTLING_KING_COL = 4;
+const CASTLING_SIDES = {
+    K: { owner: 'player', rookCol: 7, kingTo: 6, rookTo: 5 },
+    Q: { owner: 'player', rookCol: 0, kingTo: 2, rookTo: 3 },
+    k: { owner: 'enemy', rookCol: 7, kingTo: 6, rookTo: 5 },
+    q: { owner: 'enemy', rookCol: 0, kingTo: 2, rookTo: 3 }
+};
+
+const KING_DIRECTIONS = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+
+// ============================================
+// SEEDED RNG
+// ============================================
+
+/**
+ * Deterministic PRNG (mulberry32). Every gameplay roll goes through one of
+ * these so a run can be reproduced from its seed.
+ */
+class SeededRNG {
+    /**
+     * @param {number|string} seed - Number, or any text (hashed to 32 bits)
+     */
+    constructor(seed = SeededRNG.randomSeed()) {
+        this.seed = SeededRNG.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    // The only gameplay use of Math.random: picking a seed for a fresh run
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+
+        const text = String(seed ?? '').trim();
+        if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+        // FNV-1a hash for word seeds
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+
+    // Fisher-Yates on a copy
+    shuffle(array) {
+        const result = [...array];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = this.int(i + 1);
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    // Short random suffix for piece ids
+    id() {
+        return this.int(0x100000000).toString(36);
+    }
+
+    // Copy at the current position (previews roll the same dice without consuming them)
+    clone() {
+        const copy = new SeededRNG(this.seed);
+        copy.state = this.state;
+        return copy;
+    }
+}
+
+// ============================================
+// SERIALIZATION
+// ============================================
+
+// Maps, Sets and the RNG don't survive JSON.stringify, so they are tagged
+function encodeValue(value) {
+    if (value instanceof Map) return { $map: [...value].map(([k, v]) => [k, encodeValue(v)]) };
+    if (value instanceof Set) return { $set: [...value] };
+    if (value instanceof SeededRNG) return { $rng: { seed: value.seed, state: value.state } };
+    if (Array.isArray(value)) return value.map(encodeValue);
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const [key, v] of Object.entries(value)) result[key] = encodeValue(v);
+        return result;
+    }
+    return value;
+}
+
+function decodeValue(value) {
+    if (Array.isArray(value)) return value.map(decodeValue);
+    if (!value || typeof value !== 'object') return value;
+    if (value.$map) return new Map(value.$map.map(([k, v]) => [k, decodeValue(v)]));
+    if (value.$set) return new Set(value.$set);
+    if (value.$rng) {
+        const rng = new SeededRNG(value.$rng.seed);
+        rng.state = value.$rng.state;
+        return rng;
+    }
+    const result = {};
+    for (const [key, v] of Object.entries(value)) result[key] = decodeValue(v);
+    return result;
+}
+
+// ============================================
+// GAME STATE
+// ============================================
+
+/**
+ * Everything the rules need to resolve a battle. Plain data only, so it can
+ * be inspected, copied or serialized without touching the view.
+ */
+class GameState {
+    constructor(rng = new SeededRNG()) {
+        // Board state (rows/cols survive resetBattle; createBoard sets them)
+        this.board = [];
+        this.rows = BOARD_ROWS;
+        this.cols = BOARD_COLS;
+        this.playerPieces = [];
+        this.enemyPieces = [];
+
+        // Run-wide randomness (survives resetBattle)
+        this.rng = rng;
+
+        this.resetBattle();
+    }
+
+    /**
+     * Clear everything tied to a single battle (the board itself is rebuilt by setupBattle)
+     */
+    resetBattle() {
+        this.isPlayerTurn = true;
+        this.gameOver = false;
+        this.result = null;
+        this.drawReason = null; // 'stalemate', 'repetition', 'moveLimit' or 'insufficientMaterial'
+
+        // Status effects
+        this.frozenPieces = new Map();
+        this.traitorPieces = new Map();
+        this.invulnerablePieces = new Map();
+        this.shieldedPieces = new Map();
+        this.bracedPieces = new Map();
+        this.phantomPieces = new Map();
+        this.controlledEnemies = new Map();
+        this.traps = new Map();
+        this.decoys = new Set();
+        this.traitorMarked = new Set();
+
+        // Turn modifiers
+        this.knightJumpActive = false;
+        this.snipeActive = false;
+        this.rallyActive = false;
+        this.chainReactionActive = false;
+        this.loadedDiceActive = false;
+        this.checkmateDeniedActive = false;
+        this.zugzwangActive = false;
+        this.bluffActive = false;
+        this.parallelPlayActive = false;
+        this.showAllEnemyMoves = false;
+        this.skipEnemyTurn = false;
+
+        // Castling / en passant (formation.chessRules can switch either off),
+        // classical mode: no moving into check, checkmate and stalemate end the battle,
+        // and the draw rules: repetition count, move limit (full moves without a capture
+        // or pawn move) and insufficient material. 0/false switches a draw rule off.
+        this.chessRules = {
+            castling: true,
+            enPassant: true,
+            classical: false,
+            repetition: 3,
+            moveLimit: 50,
+            insufficientMaterial: true
+        };
+        this.castlingRights = '-';
+        this.enPassantSquare = null; // { row, col, owner } of the square a pawn just skipped
+
+        // Card state
+        this.dashPiece = null;
+        this.ghostWalkPiece = null;
+        this.ricochetPiece = null;
+        this.ricochetActive = false;
+        this.ricochetPieceForSecond = null;
+        this.extraMoves = null;
+        this.kingQueenMoves = 0;
+        this.extendedIntentTurns = 0;
+        this.forecastAtTurnStart = false; // Scout's forecast was up when this player turn began
+        this.pocketedPiece = null;
+        this.lastPlayerMove = null;
+        this.movesThisTurn = 0;
+        this.enemyHand = []; // Enemy card ids still to play (formation.enemyCards)
+        this.energy = 0; // Spent on card plays; the view refills it each player turn
+        this.specialRules = []; // formation.specialRules: FORMATION_RULES ids with their params
+        this.bossPhases = []; // formation.phases (see BOSS PHASES)
+        this.bossPhase = 0; // How many of them have begun
+        this.bossMaxHp = 0; // Enemy material at battle start, King excluded
+        this.waves = []; // formation.waves (see REINFORCEMENT WAVES)
+        this.wavesSpawned = []; // Times each wave has landed
+        this.portals = []; // formation.portals: squares waves can arrive on
+
+        // Tracking
+        this.capturedPlayerPieces = [];
+        this.capturedEnemyPieces = [];
+        this.boardHistory = [];
+        this.positionCounts = new Map(); // positionKey() -> times seen at the start of a player turn
+        this.halfmoveClock = 0; // Moves by either side since the last capture or pawn move
+        this.startFEN = null;
+
+        // Debug move log
+        this.moveLog = [];
+        this.turnNumber = 0;
+    }
+
+    toJSON() {
+        const data = {};
+        for (const [key, value] of Object.entries(this)) {
+            data[key] = encodeValue(value);
+        }
+        return data;
+    }
+
+    static fromJSON(data) {
+        const state = new GameState();
+        for (const [key, value] of Object.entries(data)) {
+            state[key] = decodeValue(value);
+        }
+        state.relinkPieces();
+        return state;
+    }
+
+    // JSON duplicates shared objects; point board cells and card references
+    // back at the pieces in playerPieces/enemyPieces
+    relinkPieces() {
+        const byId = new Map([...this.playerPieces, ...this.enemyPieces].map(p => [p.id, p]));
+        const link = (piece) => (piece && byId.get(piece.id)) || piece;
+
+        this.board = this.board.map(row => row.map(link));
+        this.dashPiece = link(this.dashPiece);
+        this.ricochetPieceForSecond = link(this.ricochetPieceForSecond);
+        if (this.lastPlayerMove) this.lastPlayerMove.piece = link(this.lastPlayerMove.piece);
+    }
+}
+
+// ============================================
+// RULES ENGINE
+// ============================================
+
+class RulesEngine {
+    /**
+     * @param {GameState} state - Battle state the rules operate on
+     * @param {Object} hooks - Optional callbacks for the view:
+     *   onMessage(text), onCapture(piece, capturer), onGameEnd(result),
+     *   onBossPhase(phase, number)
+     * @param {Object} formationRules - Handlers for formation specialRules by id
+     *   (FORMATION_RULES in js/formations.js, the default once that is loaded).
+     *   Setting up a battle with specialRules throws without it.
+     */
+    constructor(state = new GameState(), hooks = {}, formationRules = typeof FORMATION_RULES !== 'undefined' ? FORMATION_RULES : null) {
+        this.state = state;
+        this.hooks = hooks;
+        this.formationRules = formationRules;
+    }
+
+    notify(text) {
+        if (this.hooks.onMessage) this.hooks.onMessage(text);
+    }
+
+    // ============================================
+    // SETUP
+    // ============================================
+
+    /**
+     * @param {Object} ruleOptions - Run-wide rule switches, e.g. { classical: true }
+     */
+    setupBattle(playerLoadout, formation, ruleOptions = {}) {
+        this.createBoard(formation?.size?.rows, formation?.size?.cols);
+        this.setupPlayerPieces(playerLoadout);
+        this.setupEnemyFormation(formation);
+        this.state.resetBattle();
+        this.state.chessRules = { ...this.state.chessRules, ...formation?.chessRules, ...ruleOptions };
+        this.state.enemyHand = [...(formation?.enemyCards || [])];
+        this.state.specialRules = [...(formation?.specialRules || [])];
+        this.state.bossPhases = [...(formation?.phases || [])];
+        this.checkFormationRules([...this.state.specialRules, ...this.state.bossPhases.flatMap(p => p.specialRules || [])]);
+        // Before the rules start: Reinforcements adds a wave of its own
+        this.state.waves = [...(formation?.waves || [])];
+        this.state.wavesSpawned = this.state.waves.map(() => 0);
+        this.state.portals = [...(formation?.portals || [])];
+        this.triggerFormationRules('battleStart');
+        this.state.bossMaxHp = this.getEnemyMaterial();
+        this.state.castlingRights = this.detectCastlingRights();
+        this.state.startFEN = this.toFEN();
+        this.saveBoardState();
+        this.recordPosition();
+    }
+
+    createBoard(rows = BOARD_ROWS, cols = BOARD_COLS) {
+        this.state.rows = rows;
+        this.state.cols = cols;
+        this.state.board = [];
+        for (let row = 0; row < rows; row++) {
+            this.state.board[row] = [];
+            for (let col = 0; col < cols; col++) {
+                this.state.board[row][col] = null;
+            }
+        }
+    }
+
+    setupPlayerPieces(playerLoadout) {
+        this.state.playerPieces = [];
+
+        // King in the middle of the back rank (e1 on a standard board)
+        const backRow = this.state.rows - 1;
+        const kingCol = Math.floor(this.state.cols / 2);
+        this.placePiece(backRow, kingCol, PIECES.KING, 'player');
+
+        // 3 chosen pieces
+        this.placePiece(backRow, kingCol - 1, playerLoadout[0], 'player');
+        this.placePiece(backRow, kingCol + 1, playerLoadout[1], 'player');
+        this.placePiece(backRow - 1, kingCol, playerLoadout[2], 'player');
+    }
+
+    setupEnemyFormation(formation) {
+        this.state.enemyPieces = [];
+
+        if (!formation) return;
+
+        for (const pieceData of formation.pieces) {
+            this.placePiece(pieceData.row, pieceData.col, pieceData.type, 'enemy');
+        }
+    }
+
+    placePiece(row, col, type, owner) {
+        const piece = {
+            type,
+            owner,
+            row,
+            col,
+            id: `${owner}-${type}-${this.state.rng.id()}`
+        };
+        this.state.board[row][col] = piece;
+        if (owner === 'player') {
+            this.state.playerPieces.push(piece);
+        } else {
+            this.state.enemyPieces.push(piece);
+        }
+        return piece;
+    }
+
+    // ============================================
+    // DEBUG LOGGING
+    // ============================================
+
+    logMove(piece, fromRow, fromCol, toRow, toCol, captured, extra = {}) {
+        const entry = {
+            turn: this.state.turnNumber,
+            owner: piece.owner,
+            piece: piece.type,
+            pieceId: piece.id,
+            from: this.toChessNotation(fromRow, fromCol),
+            to: this.toChessNotation(toRow, toCol),
+            captured: captured ? { type: captured.type, owner: captured.owner } : null,
+            timestamp: Date.now(),
+            playerPieces: this.state.playerPieces.length,
+            enemyPieces: this.state.enemyPieces.length,
+            ...extra
+        };
+        this.state.moveLog.push(entry);
+        console.log(`%c[Turn ${entry.turn}] ${entry.owner.toUpperCase()} ${entry.piece} ${entry.from}→${entry.to}${captured ? ' captures ' + captured.type : ''}${entry.promotion ? ' promotes to ' + entry.promotion : ''}`,
+            entry.owner === 'player' ? 'color: #4CAF50' : 'color: #f44336');
+    }
+
+    logEvent(eventType, details = {}) {
+        const entry = {
+            turn: this.state.turnNumber,
+            event: eventType,
+            timestamp: Date.now(),
+            playerPieces: this.state.playerPieces.length,
+            enemyPieces: this.state.enemyPieces.length,
+            ...details
+        };
+        this.state.moveLog.push(entry);
+        console.log(`%c[Turn ${entry.turn}] EVENT: ${eventType}`, 'color: #FF9800', details);
+    }
+
+    toChessNotation(row, col) {
+        return String.fromCharCode(97 + col) + (this.state.rows - row);
+    }
+
+    isOnBoard(row, col) {
+        return row >= 0 && row < this.state.rows && col >= 0 && col < this.state.cols;
+    }
+
+    // ============================================
+    // FEN / PGN
+    // ============================================
+
+    /**
+     * Current position as FEN (row 0 = top rank, player = white)
+     */
+    toFEN() {
+        const state = this.state;
+        const ranks = state.board.map(row => {
+            let rank = '';
+            let empty = 0;
+            for (const piece of row) {
+                if (!piece) {
+                    empty++;
+                    continue;
+                }
+                if (empty > 0) {
+                    rank += empty;
+                    empty = 0;
+                }
+                const char = FEN_PIECE_CHARS[piece.type];
+                rank += piece.owner === 'player' ? char.toUpperCase() : char;
+            }
+            return empty > 0 ? rank + empty : rank;
+        });
+
+        // En passant only counts for the side to move
+        const toMove = state.isPlayerTurn ? 'player' : 'enemy';
+        const enPassant = this.getEnPassantSquare();
+        const enPassantField = enPassant && enPassant.owner !== toMove
+            ? this.toChessNotation(enPassant.row, enPassant.col)
+            : '-';
+
+        return `${ranks.join('/')} ${state.isPlayerTurn ? 'w' : 'b'} ${this.getCastlingRights()} ${enPassantField} ${state.halfmoveClock} ${state.turnNumber + 1}`;
+    }
+
+    /**
+     * Replace the board with a FEN position and start a fresh battle on it.
+     * Only the placement field is required; the other fields are optional.
+     * Throws (leaving the current battle untouched) if the FEN can't be used.
+     * @param {Object} ruleOptions - Same switches as setupBattle
+     */
+    loadFEN(fen, ruleOptions = {}) {
+        const fields = String(fen).trim().split(/\s+/);
+        const ranks = fields[0].split('/');
+        if (ranks.length < 2 || ranks.length > MAX_BOARD_SIZE) {
+            throw new Error(`FEN must have 2-${MAX_BOARD_SIZE} ranks, got ${ranks.length}`);
+        }
+
+        // The board is as wide as the top rank; every other rank has to match it
+        const placements = [];
+        let cols = null;
+        ranks.forEach((rank, row) => {
+            let col = 0;
+            for (const token of rank.match(/\d+|\D/g) || []) {
+                if (/\d/.test(token)) {
+                    col += parseInt(token);
+                    continue;
+                }
+                const type = Object.keys(FEN_PIECE_CHARS).find(t => FEN_PIECE_CHARS[t] === token.toLowerCase());
+                if (!type) throw new Error(`Invalid FEN character: ${token}`);
+                placements.push({ row, col, type, owner: token === token.toUpperCase() ? 'player' : 'enemy' });
+                col++;
+            }
+            cols = cols ?? col;
+            if (col !== cols) throw new Error(`Rank ${ranks.length - row} has ${col} squares, expected ${cols}`);
+        });
+        if (cols < 2 || cols > MAX_BOARD_SIZE) {
+            throw new Error(`FEN ranks must have 2-${MAX_BOARD_SIZE} squares, got ${cols}`);
+        }
+        const rows = ranks.length;
+
+        if (fields[1] && fields[1] !== 'w' && fields[1] !== 'b') {
+            throw new Error(`Side to move must be 'w' or 'b', got '${fields[1]}'`);
+        }
+        if (fields[2] && !/^(-|[KQkq]{1,4})$/.test(fields[2])) {
+            throw new Error(`Invalid castling field: ${fields[2]}`);
+        }
+        // A skipped square is on rank 3 (white pawn) or two ranks below the top (black pawn)
+        const enPassantRank = fields[3] && fields[3] !== '-' ? parseInt(fields[3].slice(1)) : null;
+        if (fields[3] && fields[3] !== '-' && (!/^[a-p]\d+$/.test(fields[3]) ||
+            fields[3].charCodeAt(0) - 97 >= cols || (enPassantRank !== 3 && enPassantRank !== rows - 2))) {
+            throw new Error(`Invalid en passant square: ${fields[3]}`);
+        }
+        for (const owner of ['player', 'enemy']) {
+            const kings = placements.filter(p => p.owner === owner && p.type === PIECES.KING).length;
+            if (kings !== 1) throw new Error(`FEN needs exactly one ${owner === 'player' ? 'white' : 'black'} king, found ${kings}`);
+        }
+
+        const state = this.state;
+        this.createBoard(rows, cols);
+        state.playerPieces = [];
+        state.enemyPieces = [];
+        placements.forEach(p => this.placePiece(p.row, p.col, p.type, p.owner));
+
+        state.resetBattle();
+        state.chessRules = { ...state.chessRules, ...ruleOptions };
+        state.isPlayerTurn = fields[1] !== 'b';
+        state.castlingRights = fields[2] || '-';
+        if (enPassantRank) {
+            // Rank 3 was skipped by a white (player) pawn, rank 6 (on 8 ranks) by a black one
+            state.enPassantSquare = {
+                row: rows - enPassantRank,
+                col: fields[3].charCodeAt(0) - 97,
+                owner: enPassantRank === 3 ? 'player' : 'enemy'
+            };
+        }
+        state.halfmoveClock = parseInt(fields[4]) || 0;
+        const fullmove = parseInt(fields[5]);
+        state.turnNumber = fullmove > 0 ? fullmove - 1 : 0;
+        state.startFEN = this.toFEN();
+        this.saveBoardState();
+        this.recordPosition();
+        this.logEvent('FEN_LOADED', { fen: state.startFEN });
+        return state;
+    }
+
+    /**
+     * The battle so far as PGN. Card plays become {comments}; moves use short
+     * algebraic notation without check or disambiguation suffixes.
+     * @param {Object} tags - Extra PGN tags (Seed, Battle, Formation...)
+     */
+    toPGN(tags = {}) {
+        const state = this.state;
+        const result = { victory: '1-0', defeat: '0-1', draw: '1/2-1/2' }[state.result] || '*';
+        const allTags = { Event: 'Chess Roguelike', White: 'Player', Black: 'Enemy', ...tags, Result: result };
+        if (state.startFEN) {
+            allTags.SetUp = '1';
+            allTags.FEN = state.startFEN;
+        }
+
+        const tokens = [];
+        let openTurn = null; // turn whose white move is waiting for a black reply
+        for (const entry of state.moveLog) {
+            if (entry.event === 'CARD_PLAYED') {
+                tokens.push(`{Card: ${String(entry.name || entry.card).replace(/[{}]/g, '')}}`);
+                openTurn = null;
+                continue;
+            }
+            if (entry.event) continue;
+
+            const letter = entry.piece === PIECES.PAWN
+                ? (entry.captured ? entry.from[0] : '')
+                : FEN_PIECE_CHARS[entry.piece].toUpperCase();
+            let san = `${letter}${entry.captured ? 'x' : ''}${entry.to}`;
+            if (entry.promotion) san += `=${FEN_PIECE_CHARS[entry.promotion].toUpperCase()}`;
+            if (entry.castling) san = entry.castling.toLowerCase() === 'k' ? 'O-O' : 'O-O-O';
+            const number = entry.turn + 1;
+
+            if (entry.owner === 'player') {
+                tokens.push(`${number}. ${san}`);
+                openTurn = entry.turn;
+            } else {
+                tokens.push(openTurn === entry.turn ? san : `${number}... ${san}`);
+                openTurn = null;
+            }
+        }
+        tokens.push(result);
+
+        // Wrap movetext at 80 columns like most PGN writers
+        const lines = [''];
+        for (const token of tokens) {
+            const line = lines[lines.length - 1];
+            if (line && line.length + token.length + 1 > 80) {
+                lines.push(token);
+            } else {
+                lines[lines.length - 1] = line ? `${line} ${token}` : token;
+            }
+        }
+
+        const header = Object.entries(allTags)
+            .map(([key, value]) => `[${key} "${String(value).replace(/["\\]/g, '\\$&')}"]`)
+            .join('\n');
+        return `${header}\n\n${lines.join('\n')}\n`;
+    }
+
+    // ============================================
+    // MOVEMENT
+    // ============================================
+
+    getValidMoves(piece, forAI = false) {
+        const state = this.state;
+        if (state.frozenPieces.has(piece.id) || state.invulnerablePieces.has(piece.id)) {
+            return [];
+        }
+
+        const moves = [];
+
+        // Calculate extra range from Dash and Rally
+        let extraRange = 0;
+        if (piece.owner === 'player') {
+            if (state.dashPiece && state.dashPiece.id === piece.id) extraRange += 2;
+            if (state.rallyActive) extraRange += 1;
+        }
+
+        // Check for Ghost Walk
+        const canGhostWalk = piece.owner === 'player' && state.ghostWalkPiece === piece.id;
+
+        // Army of One: King moves like Queen
+        if (piece.type === PIECES.KING && piece.owner === 'player' && state.kingQueenMoves > 0) {
+            this.addQueenMoves(piece, moves, forAI, extraRange, canGhostWalk);
+        } else {
+            switch (piece.type) {
+                case PIECES.KING: this.addKingMoves(piece, moves, forAI); break;
+                case PIECES.QUEEN: this.addQueenMoves(piece, moves, forAI, extraRange, canGhostWalk); break;
+                case PIECES.ROOK: this.addRookMoves(piece, moves, forAI, extraRange, canGhostWalk); break;
+                case PIECES.BISHOP: this.addBishopMoves(piece, moves, forAI, extraRange, canGhostWalk); break;
+                case PIECES.KNIGHT: this.addKnightMoves(piece, moves, forAI); break;
+                case PIECES.PAWN: this.addPawnMoves(piece, moves, forAI); break;
+            }
+        }
+
+        if (state.knightJumpActive && piece.owner === 'player' && piece.type !== PIECES.KNIGHT) {
+            this.addKnightMoves(piece, moves, forAI);
+        }
+
+        if (state.snipeActive && piece.owner === 'player' && ['rook', 'bishop', 'queen'].includes(piece.type)) {
+            this.addPiercingMoves(piece, moves);
+        }
+
+        if (state.chessRules.classical) {
+            return moves.filter(move => !this.leavesKingInCheck(piece, move));
+        }
+        return moves;
+    }
+
+    addKingMoves(piece, moves, forAI) {
+        for (const [dr, dc] of KING_DIRECTIONS) {
+            this.addMoveIfValid(piece, piece.row + dr, piece.col + dc, moves, forAI);
+        }
+        this.addCastlingMoves(piece, moves);
+    }
+
+    // King steps two files toward a rook that still has its right; the squares between
+    // must be empty and the king may not start, pass or land in check
+    addCastlingMoves(piece, moves) {
+        const board = this.state.board;
+        const opponent = piece.owner === 'player' ? 'enemy' : 'player';
+
+        for (const right of this.getCastlingRights()) {
+            const side = CASTLING_SIDES[right];
+            if (!side || side.owner !== piece.owner) continue;
+
+            const step = side.rookCol > piece.col ? 1 : -1;
+            let pathClear = true;
+            for (let col = piece.col + step; col !== side.rookCol; col += step) {
+                if (board[piece.row][col]) pathClear = false;
+            }
+            if (!pathClear) continue;
+
+            const kingPath = [piece.col, piece.col + step, side.kingTo];
+            if (kingPath.some(col => this.isSquareAttackedBy(piece.row, col, opponent))) continue;
+
+            moves.push({ row: piece.row, col: side.kingTo, castling: right });
+        }
+    }
+
+    addQueenMoves(piece, moves, forAI, extraRange = 0, canGhostWalk = false) {
+        this.addRookMoves(piece, moves, forAI, extraRange, canGhostWalk);
+        this.addBishopMoves(piece, moves, forAI, extraRange, canGhostWalk);
+    }
+
+    addRookMoves(piece, moves, forAI, extraRange = 0, canGhostWalk = false) {
+        this.addSlidingMoves(piece, [[-1, 0], [1, 0], [0, -1], [0, 1]], moves, extraRange, canGhostWalk);
+    }
+
+    addBishopMoves(piece, moves, forAI, extraRange = 0, canGhostWalk = false) {
+        this.addSlidingMoves(piece, [[-1, -1], [-1, 1], [1, -1], [1, 1]], moves, extraRange, canGhostWalk);
+    }
+
+    addSlidingMoves(piece, directions, moves, extraRange = 0, canGhostWalk = false) {
+        const board = this.state.board;
+        const maxRange = Math.max(this.state.rows, this.state.cols) - 1 + extraRange;
+        for (const [dr, dc] of directions) {
+            for (let i = 1; i <= maxRange; i++) {
+                const row = piece.row + dr * i;
+                const col = piece.col + dc * i;
+                if (!this.isOnBoard(row, col)) break;
+
+                const target = board[row]?.[col];
+                if (!target) {
+                    moves.push({ row, col });
+                } else if (target.owner !== piece.owner) {
+                    // Can capture enemy
+                    moves.push({ row, col });
+                    if (!canGhostWalk) break; // Stop unless ghost walking
+                } else {
+                    // Own piece blocks
+                    break;
+                }
+            }
+        }
+    }
+
+    addKnightMoves(piece, moves, forAI) {
+        for (const [dr, dc] of [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]]) {
+            this.addMoveIfValid(piece, piece.row + dr, piece.col + dc, moves, forAI);
+        }
+    }
+
+    // Check if a piece is protected (Shield or Brace)
+    isProtected(piece) {
+        if (this.state.shieldedPieces.has(piece.id)) return true;
+        if (this.state.bracedPieces.has(piece.id)) return true;
+        return false;
+    }
+
+    addPawnMoves(piece, moves, forAI) {
+        const board = this.state.board;
+        const dir = piece.owner === 'player' ? -1 : 1;
+        const startRow = piece.owner === 'player' ? this.state.rows - 2 : 1;
+        const newRow = piece.row + dir;
+
+        if (newRow >= 0 && newRow < this.state.rows && !board[newRow][piece.col]) {
+            moves.push({ row: newRow, col: piece.col });
+            const doubleRow = piece.row + dir * 2;
+            if (piece.row === startRow && !board[doubleRow]?.[piece.col]) {
+                moves.push({ row: doubleRow, col: piece.col });
+            }
+        }
+
+        for (const dc of [-1, 1]) {
+            const captureCol = piece.col + dc;
+            if (captureCol >= 0 && captureCol < this.state.cols) {
+                const target = board[newRow]?.[captureCol];
+                if (target && target.owner !== piece.owner) {
+                    moves.push({ row: newRow, col: captureCol });
+                }
+            }
+        }
+
+        const enPassant = this.getEnPassantSquare();
+        if (enPassant && enPassant.owner !== piece.owner &&
+            enPassant.row === newRow && Math.abs(enPassant.col - piece.col) === 1) {
+            moves.push({ row: newRow, col: enPassant.col, enPassant: true });
+        }
+    }
+
+    addPiercingMoves(piece, moves) {
+        const board = this.state.board;
+        const dirs = piece.type === 'rook' ? [[-1, 0], [1, 0], [0, -1], [0, 1]] :
+            piece.type === 'bishop' ? [[-1, -1], [-1, 1], [1, -1], [1, 1]] :
+                KING_DIRECTIONS;
+
+        for (const [dr, dc] of dirs) {
+            let obstacles = 0;
+            for (let i = 1; i < Math.max(this.state.rows, this.state.cols); i++) {
+                const row = piece.row + dr * i;
+                const col = piece.col + dc * i;
+                if (!this.isOnBoard(row, col)) break;
+
+                const target = board[row][col];
+                if (target) {
+                    obstacles++;
+                    if (obstacles === 2 && target.owner !== piece.owner && target.type !== 'king') {
+                        if (!moves.some(m => m.row === row && m.col === col)) {
+                            moves.push({ row, col, piercing: true });
+                        }
+                        break;
+                    }
+                    if (obstacles >= 2) break;
+                }
+            }
+        }
+    }
+
+    addMoveIfValid(piece, row, col, moves, forAI) {
+        if (!this.isOnBoard(row, col)) return false;
+
+        const target = this.state.board[row][col];
+        if (!target) {
+            moves.push({ row, col });
+            return true;
+        }
+        if (target.owner !== piece.owner) {
+            moves.push({ row, col });
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * @param {string|null} promotion - Piece a pawn becomes on the last rank (queen if not given)
+     */
+    movePiece(piece, toRow, toCol, isPiercing = false, promotion = null) {
+        const state = this.state;
+
+        // Enforce Freeze: If frozen, cannot move
+        if (state.frozenPieces.has(piece.id)) {
+            this.notify(`${piece.type} is frozen and cannot move!`);
+            return;
+        }
+
+        const trapKey = `${toRow},${toCol}`;
+        const fromRow = piece.row;
+        const fromCol = piece.col;
+        const movedType = piece.type;
+        const castling = this.getCastlingMove(piece, toRow, toCol);
+        const enPassant = this.isEnPassantCapture(piece, toRow, toCol);
+
+        if (state.traps.has(trapKey)) {
+            state.traps.delete(trapKey);
+            state.board[piece.row][piece.col] = null;
+            this.capturePiece(piece, null); // No capturer for trap
+            this.checkGameEnd();
+            return;
+        }
+
+        // En passant takes the pawn beside the mover, not one on the target square
+        const captured = enPassant ? state.board[fromRow][toCol] : state.board[toRow][toCol];
+        let captureOccurred = false;
+
+        if (captured) {
+            // Check Protections: Invulnerable, Shielded, Braced
+            // If the pieces are protected, the attack fails and the turn is lost
+            if (state.invulnerablePieces.has(captured.id) ||
+                state.shieldedPieces.has(captured.id) ||
+                state.bracedPieces.has(captured.id)) {
+                this.notify(`Attack failed! ${captured.type} is protected.`);
+                return;
+            }
+
+            // Check for Checkmate Denied
+            if (captured.type === PIECES.KING && captured.owner === 'player' && state.checkmateDeniedActive) {
+                state.checkmateDeniedActive = false;
+                this.notify('Checkmate Denied! Your King survives!');
+                // King survives - don't capture, just move attacker nearby
+                // Find adjacent empty square for attacker
+                for (const [dr, dc] of KING_DIRECTIONS) {
+                    const r = toRow + dr;
+                    const c = toCol + dc;
+                    if (this.isOnBoard(r, c) && !state.board[r][c]) {
+                        state.board[piece.row][piece.col] = null;
+                        piece.row = r;
+                        piece.col = c;
+                        state.board[r][c] = piece;
+                        return;
+                    }
+                }
+                // No adjacent square, attacker stays in place
+                return;
+            }
+
+            captureOccurred = true;
+            this.capturePiece(captured, piece);
+            if (enPassant) state.board[fromRow][toCol] = null;
+        }
+
+        // Move-limit clock (capturePiece resets it, so card captures count too)
+        if (movedType === PIECES.PAWN) state.halfmoveClock = 0;
+        else if (!captureOccurred) state.halfmoveClock++;
+
+        // Track last player move for "I Didn't See That"
+        if (piece.owner === 'player') {
+            state.lastPlayerMove = {
+                piece,
+                from: { row: fromRow, col: fromCol },
+                to: { row: toRow, col: toCol },
+                wasCapture: captureOccurred,
+                wasCastling: !!castling,
+                turn: state.turnNumber
+            };
+        }
+
+        state.board[piece.row][piece.col] = null;
+        piece.row = toRow;
+        piece.col = toCol;
+        state.board[toRow][toCol] = piece;
+
+        if (castling) {
+            const rook = state.board[toRow][castling.rookCol];
+            state.board[toRow][castling.rookCol] = null;
+            rook.col = castling.rookTo;
+            state.board[toRow][castling.rookTo] = rook;
+        }
+        this.updateCastlingAndEnPassant(piece, fromRow, fromCol, toRow, toCol);
+
+        // Pawn promotion
+        let promotedTo = null;
+        if (this.isPromotionMove(piece, toRow)) {
+            promotedTo = PROMOTION_PIECES.includes(promotion) ? promotion : PIECES.QUEEN;
+            piece.type = promotedTo;
+        }
+
+        // Handle Ricochet - allow second capture
+        if (captureOccurred && piece.owner === 'player' && state.ricochetPiece === piece.id) {
+            state.ricochetPiece = null;
+            state.ricochetActive = true;
+            state.ricochetPieceForSecond = piece;
+            this.notify('Ricochet! Make another capture if possible.');
+        }
+
+        // Log the move
+        this.logMove(piece, fromRow, fromCol, toRow, toCol, captured, {
+            piece: movedType,
+            promotion: promotedTo,
+            isPiercing,
+            castling: castling?.right || null,
+            enPassant
+        });
+
+        this.triggerFormationRules('move', {
+            piece,
+            from: { row: fromRow, col: fromCol },
+            to: { row: toRow, col: toCol },
+            captured: captureOccurred ? captured : null
+        });
+
+        this.checkGameEnd();
+    }
+
+    isPromotionMove(piece, toRow) {
+        return piece.type === PIECES.PAWN && toRow === (piece.owner === 'player' ? 0 : this.state.rows - 1);
+    }
+
+    // ============================================
+    // CASTLING & EN PASSANT
+    // ============================================
+
+    homeRow(owner) {
+        return owner === 'player' ? this.state.rows - 1 : 0;
+    }
+
+    // Rights a side would have from piece placement alone (used when a battle is set up)
+    detectCastlingRights() {
+        const rights = Object.keys(CASTLING_SIDES).filter(right => this.hasCastlingPieces(right));
+        return rights.length > 0 ? rights.join('') : '-';
+    }
+
+    hasCastlingPieces(right) {
+        const side = CASTLING_SIDES[right];
+        if (!side || this.state.cols !== BOARD_COLS) return false;
+        const row = this.homeRow(side.owner);
+        const king = this.state.board[row]?.[CASTLING_KING_COL];
+        const rook = this.state.board[row]?.[side.rookCol];
+        return king?.type === PIECES.KING && king.owner === side.owner &&
+            rook?.type === PIECES.ROOK && rook.owner === side.owner;
+    }
+
+    /**
+     * Castling rights still usable, as a FEN field ('KQkq', 'k', '-').
+     * Cards can move or remove pieces outside movePiece, so the board is re-checked.
+     */
+    getCastlingRights() {
+        const state = this.state;
+        if (!state.chessRules.castling) return '-';
+
+        const rights = [...state.castlingRights].filter(right => this.hasCastlingPieces(right));
+        return rights.length > 0 ? rights.join('') : '-';
+    }
+
+    getEnPassantSquare() {
+        const state = this.state;
+        const square = state.enPassantSquare;
+        if (!state.chessRules.enPassant || !square) return null;
+
+        // The pawn that skipped the square must still be standing just past it
+        const pawnRow = square.row + (square.owner === 'player' ? -1 : 1);
+        const pawn = state.board[pawnRow]?.[square.col];
+        if (pawn?.type !== PIECES.PAWN || pawn.owner !== square.owner) return null;
+        return square;
+    }
+
+    // The castling side a king move uses, or null for an ordinary king move
+    getCastlingMove(piece, toRow, toCol) {
+        if (piece.type !== PIECES.KING || piece.row !== toRow || Math.abs(toCol - piece.col) !== 2) return null;
+        // Army of One lets the king slide two files without castling
+        if (piece.owner === 'player' && this.state.kingQueenMoves > 0) return null;
+
+        for (const right of this.getCastlingRights()) {
+            const side = CASTLING_SIDES[right];
+            if (side && side.owner === piece.owner && side.kingTo === toCol) return { right, ...side };
+        }
+        return null;
+    }
+
+    isEnPassantCapture(piece, toRow, toCol) {
+        if (piece.type !== PIECES.PAWN || toCol === piece.col || this.state.board[toRow][toCol]) return false;
+
+        const square = this.getEnPassantSquare();
+        return !!square && square.owner !== piece.owner && square.row === toRow && square.col === toCol;
+    }
+
+    // Moving a king or rook off (or capturing onto) a home square loses that right;
+    // a pawn's double step opens en passant for the next move only
+    updateCastlingAndEnPassant(piece, fromRow, fromCol, toRow, toCol) {
+        const state = this.state;
+        const touched = (row, col) => (fromRow === row && fromCol === col) || (toRow === row && toCol === col);
+
+        state.castlingRights = [...state.castlingRights].filter(right => {
+            const side = CASTLING_SIDES[right];
+            if (!side) return false;
+            const row = this.homeRow(side.owner);
+            return !touched(row, CASTLING_KING_COL) && !touched(row, side.rookCol);
+        }).join('') || '-';
+
+        state.enPassantSquare = piece.type === PIECES.PAWN && Math.abs(toRow - fromRow) === 2
+            ? { row: (fromRow + toRow) / 2, col: fromCol, owner: piece.owner }
+            : null;
+    }
+
+    capturePiece(piece, capturer = null) {
+        const state = this.state;
+        state.halfmoveClock = 0;
+        if (this.hooks.onCapture) this.hooks.onCapture(piece, capturer);
+
+        // Handle Traitor's Mark - if marked enemy captures, it converts
+        if (capturer && capturer.owner === 'enemy' && state.traitorMarked.has(capturer.id)) {
+            state.traitorMarked.delete(capturer.id);
+            // Convert enemy to player's side
+            state.enemyPieces = state.enemyPieces.filter(p => p !== capturer);
+            capturer.owner = 'player';
+            capturer.id = `traitor-${state.rng.id()}`;
+            state.playerPieces.push(capturer);
+            this.notify(`Traitor! ${capturer.type} joins your side!`);
+        }
+
+        if (piece.owner === 'player') {
+            state.playerPieces = state.playerPieces.filter(p => p !== piece);
+            state.capturedPlayerPieces.push({ ...piece });
+        } else {
+            state.enemyPieces = state.enemyPieces.filter(p => p !== piece);
+            state.capturedEnemyPieces.push({ ...piece });
+        }
+
+        // Clean up status effects
+        [state.frozenPieces, state.invulnerablePieces, state.shieldedPieces, state.bracedPieces, state.phantomPieces].forEach(m => m.delete(piece.id));
+
+        this.triggerFormationRules('capture', { piece, capturer });
+        if (piece.owner === 'enemy' && piece.type !== PIECES.KING) this.checkBossPhases();
+
+        if (state.chainReactionActive && piece.owner === 'enemy') {
+            state.chainReactionActive = false;
+            this.triggerChainReaction(piece.row, piece.col);
+        }
+    }
+
+    triggerChainReaction(row, col) {
+        let damaged = 0;
+        for (const [dr, dc] of KING_DIRECTIONS) {
+            const r = row + dr, c = col + dc;
+            if (this.isOnBoard(r, c)) {
+                const adj = this.state.board[r][c];
+                if (adj?.owner === 'enemy' && adj.type !== 'king') {
+                    this.state.board[r][c] = null;
+                    this.capturePiece(adj);
+                    damaged++;
+                }
+            }
+        }
+        if (damaged) this.notify(`Chain Reaction! ${damaged} enemies destroyed!`);
+    }
+
+    // ============================================
+    // TURN MANAGEMENT
+    // ============================================
+
+    endPlayerTurn() {
+        this.state.isPlayerTurn = false;
+        this.state.knightJumpActive = false;
+        this.state.snipeActive = false;
+    }
+
+    /**
+     * Resolve card effects that act before the enemy picks a move.
+     * @returns {Object} { skipped } if the enemy loses its turn,
+     *   { forcedMove } if a card dictates the move, or {} to let the AI choose
+     */
+    resolveEnemyTurnModifiers() {
+        const state = this.state;
+
+        if (state.skipEnemyTurn) {
+            state.skipEnemyTurn = false;
+            return { skipped: true };
+        }
+
+        // Handle Loaded Dice - 50% chance enemy move fails
+        if (state.loadedDiceActive) {
+            state.loadedDiceActive = false;
+            if (state.rng.chance(0.5)) {
+                this.notify('Loaded Dice! Enemy move failed!');
+                this.updateStatusEffects();
+                return { skipped: true };
+            }
+        }
+
+        // Handle Zugzwang - force enemy to move their King
+        if (state.zugzwangActive) {
+            state.zugzwangActive = false;
+            const enemyKing = state.enemyPieces.find(p => p.type === PIECES.KING);
+            if (enemyKing && !state.frozenPieces.has(enemyKing.id)) {
+                const kingMoves = this.getValidMoves(enemyKing, true);
+                if (kingMoves.length > 0) {
+                    const move = state.rng.pick(kingMoves);
+                    this.notify('Zugzwang! Enemy King must move!');
+                    return {
+                        forcedMove: {
+                            piece: enemyKing,
+                            from: { row: enemyKing.row, col: enemyKing.col },
+                            to: move
+                        }
+                    };
+                }
+            }
+        }
+
+        return {};
+    }
+
+    startPlayerTurn() {
+        this.state.isPlayerTurn = true;
+        this.state.turnNumber++;
+        this.triggerFormationRules('turnStart');
+        this.spawnDueWaves();
+        this.checkBossPhases();
+        this.saveBoardState();
+        this.recordPosition();
+        this.state.forecastAtTurnStart = this.state.extendedIntentTurns > 0;
+
+        // Status effects have ticked, so this is the position the player really faces
+        if (this.state.chessRules.classical) this.checkClassicalEnd('player');
+        if (!this.state.gameOver) this.checkDraw();
+    }
+
+    updateStatusEffects() {
+        const state = this.state;
+        const decrement = (map) => {
+            for (const [id, turns] of map) {
+                if (turns <= 1) map.delete(id);
+                else map.set(id, turns - 1);
+            }
+        };
+
+        decrement(state.frozenPieces);
+        decrement(state.invulnerablePieces);
+        decrement(state.shieldedPieces);
+        decrement(state.bracedPieces);
+
+        // Phantom pieces (either side: the enemy can summon them too)
+        for (const [id, turns] of state.phantomPieces) {
+            if (turns <= 1) {
+                state.phantomPieces.delete(id);
+                const phantom = [...state.playerPieces, ...state.enemyPieces].find(p => p.id === id);
+                if (phantom) {
+                    const list = phantom.owner === 'player' ? 'playerPieces' : 'enemyPieces';
+                    state.board[phantom.row][phantom.col] = null;
+                    state[list] = state[list].filter(p => p.id !== id);
+                }
+            } else {
+                state.phantomPieces.set(id, turns - 1);
+            }
+        }
+
+        // Controlled enemies
+        for (const [id, data] of state.controlledEnemies) {
+            if (data.turnsLeft <= 1) {
+                state.controlledEnemies.delete(id);
+                const piece = state.playerPieces.find(p => p.id === id);
+                if (piece) {
+                    piece.owner = 'enemy';
+                    state.playerPieces = state.playerPieces.filter(p => p.id !== id);
+                    state.enemyPieces.push(piece);
+                }
+            } else {
+                data.turnsLeft--;
+            }
+        }
+
+        if (state.kingQueenMoves > 0) state.kingQueenMoves--;
+        // Scout counts the turns its forecast was up for; the enemy reply to the
+        // turn it was played on is free
+        if (state.forecastAtTurnStart && state.extendedIntentTurns > 0) state.extendedIntentTurns--;
+
+        state.rallyActive = false;
+        state.showAllEnemyMoves = false;
+        state.loadedDiceActive = false;
+        state.zugzwangActive = false;
+    }
+
+    // ============================================
+    // FORMATION RULES
+    // ============================================
+
+    // A rule the engine can't run would quietly make the battle easier; boss
+    // phase rules are checked up front too, not when the phase begins
+    checkFormationRules(specialRules) {
+        for (const params of specialRules) {
+            if (!this.formationRules) throw new Error(`Special rule "${params.id}" needs the FORMATION_RULES table`);
+            if (!this.formationRules[params.id]) throw new Error(`Unknown special rule "${params.id}"`);
+        }
+    }
+
+    /**
+     * Run the handlers the battle's specialRules have for an event
+     * @param {string} event - 'battleStart', 'turnStart', 'capture' or 'move'
+     * @param {Object} details - Passed on to each handler (see FORMATION_RULES)
+     * @param {Array} specialRules - The rules to run, if not all of the battle's
+     */
+    triggerFormationRules(event, details = {}, specialRules = this.state.specialRules) {
+        for (const params of specialRules) {
+            const handler = this.formationRules[params.id][event];
+            if (handler) handler(this, params, details);
+        }
+    }
+
+    // A value as the battle's specialRules adjust it, e.g. ('cardCost', 2)
+    applyFormationRules(modifier, value) {
+        return this.state.specialRules.reduce((result, params) => {
+            const modify = this.formationRules[params.id][modifier];
+            return modify ? modify(result, params) : result;
+        }, value);
+    }
+
+    // ============================================
+    // BOSS PHASES
+    // ============================================
+    // A boss formation lists phases: [{ name, when, archetype, pieces, specialRules }].
+    // `when` is { hp } (share of starting material left, 0-1) or { pieces }
+    // (enemy pieces left, King included). Phase 1 is the opening formation, so
+    // phases[0] is phase 2. Entering a phase places `pieces`, adds
+    // `specialRules` and tells the view, which switches to `archetype`.
+
+    getEnemyMaterial() {
+        return this.state.enemyPieces
+            .filter(p => p.type !== PIECES.KING)
+            .reduce((sum, p) => sum + PIECE_VALUES[p.type], 0);
+    }
+
+    // 0-1 for the health bar (phase reinforcements can't push it past full)
+    getBossHealth() {
+        const maxHp = this.state.bossMaxHp;
+        return maxHp > 0 ? Math.min(1, this.getEnemyMaterial() / maxHp) : 0;
+    }
+
+    isBossPhaseReached({ when = {} }) {
+        return (when.hp !== undefined && this.getBossHealth() <= when.hp) ||
+            (when.pieces !== undefined && this.state.enemyPieces.length <= when.pieces);
+    }
+
+    // One capture can cross several thresholds; each phase still starts in order
+    checkBossPhases() {
+        const state = this.state;
+        while (!state.gameOver && state.bossPhase < state.bossPhases.length &&
+            this.isBossPhaseReached(state.bossPhases[state.bossPhase])) {
+            this.enterBossPhase(state.bossPhases[state.bossPhase]);
+        }
+    }
+
+    enterBossPhase(phase) {
+        const state = this.state;
+        state.bossPhase++;
+        const number = state.bossPhase + 1; // Phase 1 is the formation as it started
+
+        const arrived = (phase.pieces || [])
+            .filter(p => this.isOnBoard(p.row, p.col) && !state.board[p.row][p.col])
+            .map(p => this.placePiece(p.row, p.col, p.type, 'enemy'));
+
+        const rules = phase.specialRules || [];
+        state.specialRules = [...state.specialRules, ...rules];
+        this.triggerFormationRules('battleStart', {}, rules);
+
+        this.logEvent('BOSS_PHASE', {
+            phase: number,
+            name: phase.name,
+            archetype: phase.archetype || null,
+            pieces: arrived.map(p => `${p.type} ${this.toChessNotation(p.row, p.col)}`),
+            rules: rules.map(rule => rule.id)
+        });
+        if (this.hooks.onBossPhase) this.hooks.onBossPhase(phase, number);
+    }
+
+    // ============================================
+    // REINFORCEMENT WAVES
+    // ============================================
+    // A formation's waves land as a player turn starts: `turn` once on that
+    // turn, `every` each N turns (from turn `from`, at most `times`), `below`
+    // once the enemy is down to fewer pieces than that (`times` allows more).
+    // They come in on formation.portals with at: 'portals', on their own
+    // squares with an `at` list (pieces[i] on at[i]), else on the enemy's two
+    // back ranks, middle files first. Pieces with no free square are lost.
+
+    isWaveDue(index, turn) {
+        const state = this.state;
+        const wave = state.waves[index];
+        const spawned = state.wavesSpawned[index] || 0;
+
+        if (wave.turn !== undefined) return spawned === 0 && turn === wave.turn;
+        if (wave.every !== undefined) {
+            const from = wave.from ?? wave.every;
+            return spawned < (wave.times ?? Infinity) && turn >= from && (turn - from) % wave.every === 0;
+        }
+        if (wave.below !== undefined) return spawned < (wave.times ?? 1) && state.enemyPieces.length < wave.below;
+        return false;
+    }
+
+    // Waves landing at the start of `turn` (by default the next one, for the intent warning)
+    getDueWaves(turn = this.state.turnNumber + 1) {
+        return this.state.waves.filter((wave, index) => this.isWaveDue(index, turn));
+    }
+
+    // Where each piece of `wave` lands: [{ type, row, col }] for those that fit
+    getWaveArrivals(wave) {
+        const state = this.state;
+        const free = ({ row, col }) => this.isOnBoard(row, col) && !state.board[row][col];
+        if (Array.isArray(wave.at)) {
+            return wave.pieces
+                .map((type, i) => ({ type, ...wave.at[i] }))
+                .filter(arrival => arrival.row !== undefined && free(arrival));
+        }
+
+        let squares;
+        if (wave.at === 'portals') {
+            squares = state.portals.filter(free);
+        } else {
+            const center = (state.cols - 1) / 2;
+            const cols = [...Array(state.cols).keys()].sort((a, b) => Math.abs(a - center) - Math.abs(b - center));
+            squares = [0, 1].flatMap(row => cols.map(col => ({ row, col }))).filter(free);
+        }
+        return wave.pieces.slice(0, squares.length).map((type, i) => ({ type, ...squares[i] }));
+    }
+
+    spawnDueWaves() {
+        const state = this.state;
+        state.waves.forEach((wave, index) => {
+            if (!this.isWaveDue(index, state.turnNumber)) return;
+            state.wavesSpawned[index]++;
+
+            const arrived = this.getWaveArrivals(wave).map(({ type, row, col }) => this.placePiece(row, col, type, 'enemy'));
+
+            this.logEvent('WAVE_ARRIVED', {
+                wave: wave.name || index + 1,
+                pieces: arrived.map(p => `${p.type} ${this.toChessNotation(p.row, p.col)}`),
+                lost: wave.pieces.length - arrived.length
+            });
+            if (arrived.length > 0) {
+                this.notify(`${wave.name || 'Reinforcements'}! ${arrived.length} enemy piece${arrived.length === 1 ? '' : 's'} arrived.`);
+            }
+        });
+    }
+
+    // ============================================
+    // AI SNAPSHOT
+    // ============================================
+
+    getGameState() {
+        return {
+            board: this.state.board,
+            playerPieces: this.state.playerPieces,
+            enemyPieces: this.state.enemyPieces,
+            frozenPieces: this.state.frozenPieces,
+            invulnerablePieces: this.state.invulnerablePieces,
+            traps: this.state.traps,
+            classical: this.state.chessRules.classical,
+            castlingRights: this.getCastlingRights(),
+            enPassantSquare: this.getEnPassantSquare(),
+            rng: this.state.rng
+        };
+    }
+
+    // ============================================
+    // WIN/LOSE
+    // ============================================
+
+    /**
+     * @returns {string|null} 'victory', 'defeat' or null while the battle continues
+     */
+    checkGameEnd() {
+        const state = this.state;
+        const playerKing = state.playerPieces.find(p => p.type === PIECES.KING);
+        if (!playerKing) {
+            this.logEvent('KING_CAPTURED', { owner: 'player' });
+            return this.endBattle('defeat');
+        }
+
+        const enemyKing = state.enemyPieces.find(p => p.type === PIECES.KING);
+        if (!enemyKing || state.enemyPieces.length === 0) {
+            this.logEvent('ENEMY_KING_CAPTURED');
+            return this.endBattle('victory');
+        }
+
+        // Classical: the side about to move may be mated or stalemated (the player's
+        // own position is judged in startPlayerTurn, once status effects have ticked)
+        if (state.chessRules.classical) {
+            return state.isPlayerTurn ? this.checkClassicalEnd('enemy') : null;
+        }
+
+        // Check for checkmate (enemy king in check with no escape)
+        if (this.isCheckmate('enemy')) {
+            this.logEvent('CHECKMATE_DETECTED');
+            return this.endBattle('victory');
+        }
+
+        return null;
+    }
+
+    /**
+     * Classical mode: end the battle if `owner` (the side to move) is mated or stalemated.
+     * Checkmate Denied turns the player's first checkmate into a one-turn Shield on the King.
+     * @returns {string|null} 'victory', 'defeat', 'draw' or null
+     */
+    checkClassicalEnd(owner) {
+        const state = this.state;
+        if (state.gameOver || this.hasLegalMove(owner)) return null;
+
+        if (!this.isKingInCheck(owner)) {
+            this.logEvent('STALEMATE', { owner });
+            state.drawReason = 'stalemate';
+            return this.endBattle('draw');
+        }
+
+        if (owner === 'player' && state.checkmateDeniedActive) {
+            const king = state.playerPieces.find(p => p.type === PIECES.KING);
+            state.checkmateDeniedActive = false;
+            state.shieldedPieces.set(king.id, 1);
+            this.logEvent('CHECKMATE_DENIED');
+            this.notify('Checkmate Denied! Your King is shielded for one turn.');
+            return null;
+        }
+
+        this.logEvent('CHECKMATE_DETECTED', { owner });
+        return this.endBattle(owner === 'player' ? 'defeat' : 'victory');
+    }
+
+    /**
+     * Draw rules (each switchable in chessRules): insufficient material, repeating
+     * a position and going moveLimit full moves without a capture or pawn move.
+     * Judged at the start of the player's turn, once the position has been recorded.
+     * @returns {string|null} 'draw' or null
+     */
+    checkDraw() {
+        const state = this.state;
+        const rules = state.chessRules;
+        let reason = null;
+
+        if (rules.insufficientMaterial && this.hasInsufficientMaterial()) {
+            reason = 'insufficientMaterial';
+        } else if (rules.repetition && (state.positionCounts.get(this.positionKey()) || 0) >= rules.repetition) {
+            reason = 'repetition';
+        } else if (rules.moveLimit && state.halfmoveClock >= rules.moveLimit * 2) {
+            reason = 'moveLimit';
+        }
+        if (!reason) return null;
+
+        state.drawReason = reason;
+        this.logEvent('DRAW', { reason, halfmoveClock: state.halfmoveClock });
+        return this.endBattle('draw');
+    }
+
+    // Kings plus at most lone minor pieces that can't force mate: K v K, K+N v K,
+    // K+B v K, and any number of bishops that all stand on one square colour
+    hasInsufficientMaterial() {
+        const pieces = [...this.state.playerPieces, ...this.state.enemyPieces].filter(p => p.type !== PIECES.KING);
+        if (pieces.length <= 1) {
+            return pieces.every(p => p.type === PIECES.KNIGHT || p.type === PIECES.BISHOP);
+        }
+        return pieces.every(p => p.type === PIECES.BISHOP) &&
+            new Set(pieces.map(p => (p.row + p.col) % 2)).size === 1;
+    }
+
+    endBattle(result) {
+        this.state.gameOver = true;
+        this.state.result = result;
+        if (this.hooks.onGameEnd) this.hooks.onGameEnd(result);
+        return result;
+    }
+
+    // Check if a square is attacked by pieces of a given owner
+    isSquareAttackedBy(row, col, attackerOwner) {
+        const pieces = attackerOwner === 'player' ? this.state.playerPieces : this.state.enemyPieces;
+
+        for (const piece of pieces) {
+            if (this.state.frozenPieces.has(piece.id)) continue;
+
+            const validMoves = this.getBasicAttacks(piece);
+            if (validMoves.some(m => m.row === row && m.col === col)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Get basic attack squares for a piece (without card modifiers)
+    getBasicAttacks(piece) {
+        const attacks = [];
+
+        switch (piece.type) {
+            case PIECES.PAWN: {
+                const dir = piece.owner === 'enemy' ? 1 : -1;
+                // Pawns attack diagonally
+                const leftAttack = { row: piece.row + dir, col: piece.col - 1 };
+                const rightAttack = { row: piece.row + dir, col: piece.col + 1 };
+                if (this.isOnBoard(leftAttack.row, leftAttack.col)) {
+                    attacks.push(leftAttack);
+                }
+                if (this.isOnBoard(rightAttack.row, rightAttack.col)) {
+                    attacks.push(rightAttack);
+                }
+                break;
+            }
+            case PIECES.KNIGHT: {
+                const offsets = [[-2,-1],[-2,1],[-1,-2],[-1,2],[1,-2],[1,2],[2,-1],[2,1]];
+                for (const [dr, dc] of offsets) {
+                    const r = piece.row + dr, c = piece.col + dc;
+                    if (this.isOnBoard(r, c)) {
+                        attacks.push({ row: r, col: c });
+                    }
+                }
+                break;
+            }
+            case PIECES.KING: {
+                for (const [dr, dc] of KING_DIRECTIONS) {
+                    const r = piece.row + dr, c = piece.col + dc;
+                    if (this.isOnBoard(r, c)) {
+                        attacks.push({ row: r, col: c });
+                    }
+                }
+                break;
+            }
+            case PIECES.ROOK: {
+                this.addSlidingAttacks(piece, attacks, [[0,1],[0,-1],[1,0],[-1,0]]);
+                break;
+            }
+            case PIECES.BISHOP: {
+                this.addSlidingAttacks(piece, attacks, [[1,1],[1,-1],[-1,1],[-1,-1]]);
+                break;
+            }
+            case PIECES.QUEEN: {
+                this.addSlidingAttacks(piece, attacks, [[0,1],[0,-1],[1,0],[-1,0],[1,1],[1,-1],[-1,1],[-1,-1]]);
+                break;
+            }
+        }
+
+        return attacks;
+    }
+
+    addSlidingAttacks(piece, attacks, directions) {
+        for (const [dr, dc] of directions) {
+            for (let i = 1; i < Math.max(this.state.rows, this.state.cols); i++) {
+                const r = piece.row + dr * i;
+                const c = piece.col + dc * i;
+                if (!this.isOnBoard(r, c)) break;
+
+                attacks.push({ row: r, col: c });
+
+                // Stop if there's a piece (can attack it but not beyond)
+                if (this.state.board[r]?.[c]) break;
+            }
+        }
+    }
+
+    // Check if a king is in check. A king that can't be captured right now
+    // (Diamond Form, Shield, Brace) is not in check.
+    isKingInCheck(kingOwner) {
+        const state = this.state;
+        const king = kingOwner === 'player'
+            ? state.playerPieces.find(p => p.type === PIECES.KING)
+            : state.enemyPieces.find(p => p.type === PIECES.KING);
+
+        if (!king) return false;
+        if (state.invulnerablePieces.has(king.id) || this.isProtected(king)) return false;
+
+        const attackerOwner = kingOwner === 'player' ? 'enemy' : 'player';
+        return this.isSquareAttackedBy(king.row, king.col, attackerOwner);
+    }
+
+    // Try a move on the live board, see whether the mover's king is attacked, then undo it
+    leavesKingInCheck(piece, move) {
+        const state = this.state;
+        const board = state.board;
+        const fromRow = piece.row;
+        const fromCol = piece.col;
+        const captureRow = move.enPassant ? fromRow : move.row;
+        const captured = board[captureRow][move.col];
+        const opponentKey = piece.owner === 'player' ? 'enemyPieces' : 'playerPieces';
+        const opponents = state[opponentKey];
+
+        board[fromRow][fromCol] = null;
+        board[captureRow][move.col] = null;
+        board[move.row][move.col] = piece;
+        piece.row = move.row;
+        piece.col = move.col;
+        if (captured) state[opponentKey] = opponents.filter(p => p !== captured);
+
+        const inCheck = this.isKingInCheck(piece.owner);
+
+        state[opponentKey] = opponents;
+        piece.row = fromRow;
+        piece.col = fromCol;
+        board[move.row][move.col] = null;
+        board[captureRow][move.col] = captured;
+        board[fromRow][fromCol] = piece;
+
+        return inCheck;
+    }
+
+    // Pieces of a side that may move this turn (frozen pieces and enemies turned traitor sit out)
+    getMovablePieces(owner) {
+        const state = this.state;
+        const pieces = owner === 'player' ? state.playerPieces : state.enemyPieces;
+        return pieces.filter(p => !state.frozenPieces.has(p.id) && !(owner === 'enemy' && state.traitorPieces.has(p.id)));
+    }
+
+    hasLegalMove(owner) {
+        return this.getMovablePieces(owner).some(piece =>
+            this.getValidMoves(piece, true).some(move => !this.leavesKingInCheck(piece, move)));
+    }
+
+    isLegalMove(piece, to) {
+        const move = this.getValidMoves(piece, true).find(m => m.row === to.row && m.col === to.col);
+        return !!move && !this.leavesKingInCheck(piece, move);
+    }
+
+    // Check if it's checkmate (king in check + no legal moves escape check)
+    isCheckmate(kingOwner) {
+        return this.isKingInCheck(kingOwner) && !this.hasLegalMove(kingOwner);
+    }
+
+    isStalemate(owner) {
+        return !this.isKingInCheck(owner) && !this.hasLegalMove(owner);
+    }
+
+    // ============================================
+    // BOARD HISTORY
+    // ============================================
+
+    saveBoardState() {
+        const state = this.state;
+        const snapshot = {
+            board: state.board.map(row => row.map(cell => cell ? { ...cell } : null)),
+            playerPieces: state.playerPieces.map(p => ({ ...p })),
+            enemyPieces: state.enemyPieces.map(p => ({ ...p })),
+            frozenPieces: new Map(state.frozenPieces),
+            invulnerablePieces: new Map(state.invulnerablePieces),
+            traps: new Map(state.traps),
+            castlingRights: state.castlingRights,
+            enPassantSquare: state.enPassantSquare
+        };
+        state.boardHistory.push(snapshot);
+        if (state.boardHistory.length > 5) state.boardHistory.shift();
+    }
+
+    // The FEN without its move counters: placement, side to move, castling, en passant
+    positionKey() {
+        return this.toFEN().split(' ').slice(0, 4).join(' ');
+    }
+
+    /**
+     * Count the current position towards the repetition draw.
+     * @returns {number} How many times it has now been seen
+     */
+    recordPosition() {
+        const state = this.state;
+        const key = this.positionKey();
+        const count = (state.positionCounts.get(key) || 0) + 1;
+        state.positionCounts.set(key, count);
+        return count;
+    }
+
+    restoreBoardState() {
+        const state = this.state;
+        if (state.boardHistory.length < 2) return false;
+
+        state.boardHistory.pop();
+        const snapshot = state.boardHistory.pop();
+
+        state.board = snapshot.board.map(row => row.map(cell => cell ? { ...cell } : null));
+        state.playerPieces = [];
+        state.enemyPieces = [];
+
+        for (let row = 0; row < state.rows; row++) {
+            for (let col = 0; col < state.cols; col++) {
+                const piece = state.board[row][col];
+                if (piece) {
+                    (piece.owner === 'player' ? state.playerPieces : state.enemyPieces).push(piece);
+                }
+            }
+        }
+
+        state.frozenPieces = new Map(snapshot.frozenPieces);
+        state.invulnerablePieces = new Map(snapshot.invulnerablePieces);
+        state.traps = new Map(snapshot.traps);
+        state.castlingRights = snapshot.castlingRights;
+        state.enPassantSquare = snapshot.enPassantSquare;
+
+        this.saveBoardState();
+        return true;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BOARD_ROWS,
+        BOARD_COLS,
+        MAX_BOARD_SIZE,
+        PIECES,
+        PIECE_VALUES,
+        PROMOTION_PIECES,
+        SeededRNG,
+        GameState,
+        RulesEngine
+    };
+}
@@ -0,0 +1,585 @@
+// ============================================
+// CARD TESTS
+// Cards played through the game, on positions loaded from FEN
+// ============================================
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame } = require('./helpers/browser.js');
+
+const { game, get, runTimers } = loadGame();
+const CARD_DEFINITIONS = get('CARD_DEFINITIONS');
+const CARD_EFFECT_OPS = get('CARD_EFFECT_OPS');
+const MAX_ENERGY = get('MAX_ENERGY');
+
+// Battle 1 of a fresh run, on `fen`, with `cards` in hand and a full energy bar
+function startBattle(fen, cards) {
+    document.getElementById('seed-input').value = '1234';
+    game.startNewRun();
+    game.showCardSelectScreen();
+    game.selectedBattleCards = game.deck.slice(0, game.maxBattleCards);
+    game.confirmCardSelection();
+    game.loadFEN(fen);
+    game.hand = [...cards];
+    game.energy = MAX_ENERGY;
+}
+
+// Click a card, then each target square in turn
+function playCard(cardId, ...squares) {
+    game.handleCardClick(cardId);
+    squares.forEach(([row, col]) => game.handleCardAction(row, col));
+}
+
+describe('card definitions', () => {
+    it('use only effect ops the interpreter knows', () => {
+        for (const card of Object.values(CARD_DEFINITIONS)) {
+            for (const step of card.effects || []) {
+                assert.ok(CARD_EFFECT_OPS[step.op], `${card.id} uses unknown op ${step.op}`);
+            }
+        }
+    });
+});
+
+describe('playing cards', () => {
+    beforeEach(async () => {
+        await runTimers();
+    });
+
+    it('freezes the chosen enemy and ends the turn (Stall)', () => {
+        startBattle('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', ['stall']);
+        const king = game.board[0][4];
+        playCard('stall', [0, 4]);
+
+        assert.ok(game.frozenPieces.has(king.id));
+        assert.equal(game.cardsPlayedThisBattle, 1);
+        assert.equal(game.isPlayerTurn, false);
+        assert.equal(game.selectedCard, null);
+    });
+
+    it('waits for a direction before moving the piece (Nudge)', () => {
+        startBattle('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', ['nudge']);
+        const rook = game.board[7][0];
+        playCard('nudge', [7, 0]);
+        assert.equal(game.cardState.type, 'selectDirection');
+        assert.equal(game.cardsPlayedThisBattle, 0);
+
+        game.handleCardAction(6, 0);
+        assert.equal(game.board[6][0], rook);
+        assert.equal(game.cardsPlayedThisBattle, 1);
+    });
+
+    it('keeps a card unspent when its target is rejected', () => {
+        startBattle('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', ['shield']);
+        playCard('shield', [0, 4]);
+        assert.equal(game.selectedCard, 'shield');
+        assert.equal(game.cardsPlayedThisBattle, 0);
+
+        // Clicking the card again puts it back
+        game.handleCardClick('shield');
+        assert.equal(game.selectedCard, null);
+        assert.equal(game.cardState, null);
+    });
+
+    it('shields an own piece (Shield)', () => {
+        startBattle('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', ['shield']);
+        const rook = game.board[7][0];
+        playCard('shield', [7, 0]);
+        assert.equal(game.shieldedPieces.get(rook.id), 1);
+    });
+
+    it('records the play and its targets in the replay', () => {
+        startBattle('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', ['stall']);
+        playCard('stall', [0, 4]);
+        const action = game.replayRecorder.replay.actions.at(-1);
+        assert.deepEqual([action.type, action.card, action.turn], ['card', 'stall', game.turnNumber]);
+        assert.deepEqual(action.targets, [{ row: 0, col: 4 }]);
+    });
+
+    it('hands the turn back after the enemy replies', async () => {
+        startBattle('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', ['stall']);
+        playCard('stall', [0, 4]);
+        await runTimers();
+        assert.equal(game.isPlayerTurn, true);
+        assert.ok(game.replayRecorder.replay.actions.length >= 2);
+    });
+});
+
+describe('card upgrades', () => {
+    const getUpgradedCardId = get('getUpgradedCardId');
+    const getBaseCardId = get('getBaseCardId');
+    const CARD_POOLS = get('CARD_POOLS');
+
+    it('registers a Card+ for every card with an upgrade block', () => {
+        const stall = CARD_DEFINITIONS['stall+'];
+        assert.equal(stall.name, 'Stall+');
+        assert.equal(stall.baseId, 'stall');
+        assert.equal(stall.rarity, CARD_DEFINITIONS.stall.rarity);
+        assert.equal(getUpgradedCardId('stall'), 'stall+');
+        assert.equal(getUpgradedCardId('stall+'), null);
+        assert.equal(getBaseCardId('stall+'), 'stall');
+    });
+
+    it('keeps upgrades out of the reward pools', () => {
+        for (const ids of Object.values(CARD_POOLS)) {
+            assert.ok(ids.every(id => !CARD_DEFINITIONS[id].upgraded));
+        }
+    });
+
+    it('plays the upgraded effects (Stall+ freezes for 2 turns)', () => {
+        startBattle('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', ['stall+']);
+        const king = game.board[0][4];
+        playCard('stall+', [0, 4]);
+        assert.equal(game.frozenPieces.get(king.id), 3);
+    });
+
+    it('keeps the turn going when the upgrade says so (Nudge+)', () => {
+        startBattle('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', ['nudge+']);
+        playCard('nudge+', [7, 0], [6, 0]);
+        assert.equal(game.cardsPlayedThisBattle, 1);
+        assert.equal(game.isPlayerTurn, true);
+    });
+
+    it('swaps the deck card for its upgrade on the reward screen', () => {
+        startBattle('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', []);
+        const cardId = game.getUpgradableCards()[0];
+        const count = game.deck.length;
+        game.selectCardUpgrade(cardId);
+        assert.ok(game.deck.includes(getUpgradedCardId(cardId)));
+        assert.equal(game.deck.length, count);
+    });
+});
+
+describe('enemy cards', () => {
+    const planEnemyCard = get('planEnemyCard');
+
+    beforeEach(async () => {
+        await runTimers();
+    });
+
+    it('freezes the player piece threatening the most valuable enemy', () => {
+        // The rook eyes the enemy queen, the knight only a pawn
+        startBattle('3qk3/8/8/p7/8/1N6/8/3RK3 w - - 0 1', []);
+        game.enemyHand = ['freeze'];
+        const rook = game.board[7][3];
+
+        const plan = planEnemyCard(game);
+        assert.equal(plan.card, 'freeze');
+        assert.equal(plan.ctx.target, rook);
+
+        game.playEnemyCard(plan);
+        assert.ok(game.frozenPieces.has(rook.id));
+        assert.deepEqual(game.enemyHand, []);
+        assert.equal(game.replayRecorder.replay.actions.at(-1).type, 'enemyCard');
+    });
+
+    it('is not played below its minWorth or when the move takes more', () => {
+        // Only a pawn is threatened: below Freeze's minWorth
+        startBattle('4k3/8/8/p7/8/1N6/8/4K3 w - - 0 1', []);
+        game.enemyHand = ['freeze'];
+        assert.equal(planEnemyCard(game), null);
+
+        // The queen is threatened, but the planned move captures a queen too
+        startBattle('3qk3/8/8/8/8/8/8/3QK3 w - - 0 1', []);
+        game.enemyHand = ['freeze'];
+        assert.ok(planEnemyCard(game));
+        const takeQueen = { piece: game.board[0][3], to: { row: 7, col: 3 } };
+        assert.equal(planEnemyCard(game, takeQueen), null);
+    });
+
+    it('summons a Phantom Queen only when behind on material', () => {
+        startBattle('4k3/8/8/8/8/8/8/Q3K3 w - - 0 1', []);
+        game.enemyHand = ['phantomQueen'];
+        const plan = planEnemyCard(game);
+        assert.equal(plan.card, 'phantomQueen');
+
+        game.playEnemyCard(plan);
+        const phantom = game.board[plan.ctx.square.row][plan.ctx.square.col];
+        assert.equal(phantom.type, 'queen');
+        assert.equal(phantom.owner, 'enemy');
+        assert.ok(game.phantomPieces.has(phantom.id));
+
+        game.enemyHand = ['phantomQueen'];
+        assert.equal(planEnemyCard(game), null);
+    });
+
+    it('swaps a threatened piece with a cheaper safe one', () => {
+        startBattle('r3k3/8/8/8/8/8/7p/R3K3 w - - 0 1', []);
+        game.enemyHand = ['swap'];
+        const rook = game.board[0][0];
+        const plan = planEnemyCard(game);
+        assert.equal(plan.ctx.target, rook);
+
+        game.playEnemyCard(plan);
+        assert.equal(game.board[6][7], rook);
+        assert.equal(game.board[0][0].type, 'pawn');
+    });
+});
+
+describe('mirrored cards', () => {
+    const planEnemyCard = get('planEnemyCard');
+
+    beforeEach(async () => {
+        await runTimers();
+    });
+
+    function planMirrored(fen, cardId) {
+        startBattle(fen, []);
+        game.enemyHand = [`mirror:${cardId}`];
+        return planEnemyCard(game);
+    }
+
+    it('freezes the player piece threatening the most valuable enemy (Stall)', () => {
+        const plan = planMirrored('3qk3/8/8/8/8/8/8/3RK3 w - - 0 1', 'stall');
+        const rook = game.board[7][3];
+        assert.equal(plan.ctx.target, rook);
+
+        game.playEnemyCard(plan);
+        assert.equal(game.isPlayerTurn, true);
+        assert.deepEqual(game.getValidMoves(rook), []);
+        assert.deepEqual(game.enemyHand, []);
+        assert.equal(game.replayRecorder.replay.actions.at(-1).card, 'mirror:stall');
+    });
+
+    it('shields the threatened enemy piece through the player\'s turn (Shield)', () => {
+        const plan = planMirrored('3qk3/8/8/8/8/8/8/3RK3 w - - 0 1', 'shield');
+        const queen = game.board[0][3];
+        assert.equal(plan.ctx.target, queen);
+
+        game.playEnemyCard(plan);
+        assert.ok(game.shieldedPieces.has(queen.id));
+        game.movePiece(game.board[7][3], 0, 3);
+        assert.equal(game.board[0][3], queen);
+    });
+
+    it('steps back toward the enemy\'s own rank (Backstep)', () => {
+        const plan = planMirrored('4k3/8/8/3n4/8/8/8/3RK3 w - - 0 1', 'backstep');
+        const knight = game.board[3][3];
+        assert.equal(plan.ctx.target, knight);
+
+        game.playEnemyCard(plan);
+        assert.equal(game.board[2][3], knight);
+    });
+
+    it('summons its Phantom Queen for the enemy', () => {
+        const plan = planMirrored('4k3/8/8/8/8/8/8/Q3K3 w - - 0 1', 'phantomQueen');
+        game.playEnemyCard(plan);
+
+        const phantom = game.board[plan.ctx.square.row][plan.ctx.square.col];
+        assert.equal(phantom.owner, 'enemy');
+        assert.ok(game.enemyPieces.includes(phantom));
+        assert.ok(game.phantomPieces.has(phantom.id));
+    });
+
+    it('is only played once the card\'s own requirements hold (Union Strike)', () => {
+        assert.equal(planMirrored('3qk3/8/8/8/3R4/8/8/4K3 w - - 0 1', 'unionStrike'), null);
+
+        const plan = planMirrored('3qk3/8/8/8/r2R4/8/8/4K3 w - - 0 1', 'unionStrike');
+        const rook = game.board[4][3];
+        assert.equal(plan.ctx.target, rook);
+        game.playEnemyCard(plan);
+        assert.equal(game.board[4][3], null);
+        assert.ok(!game.playerPieces.includes(rook));
+    });
+
+    it('deals the Mirror the player\'s deck when its battle is set up', () => {
+        startBattle('4k3/8/8/8/8/8/8/4K3 w - - 0 1', []);
+        game.deck = ['stall', 'nudge', 'shield'];
+        game.currentFormation = { id: 'mirror' };
+        game.setupBattle();
+
+        assert.equal(game.currentFormation.name, 'The Mirror');
+        assert.deepEqual(game.enemyHand, ['mirror:stall', 'mirror:shield']);
+        assert.equal(game.aiArchetype, 'TACTICIAN');
+    });
+});
+
+describe('The Bluff', () => {
+    beforeEach(async () => {
+        await runTimers();
+    });
+
+    // Click a piece, then the square to move it to
+    function move(from, to) {
+        game.handleCellClick(...from);
+        game.handleCellClick(...to);
+    }
+
+    it('makes the enemy play the intent it showed before the player moved', async () => {
+        startBattle('4k3/8/8/8/8/8/P7/4K2R w - - 0 1', ['theBluff+']);
+        const king = game.board[0][4];
+        game.enemyIntent = { piece: king, from: { row: 0, col: 4 }, to: { row: 0, col: 3 } };
+        playCard('theBluff+');
+        assert.ok(game.bluffActive);
+
+        move([6, 0], [5, 0]);
+        await runTimers();
+        assert.equal(game.board[0][3], king);
+        assert.equal(game.bluffActive, false);
+        assert.ok(game.moveLog.some(e => e.event === 'BLUFF' && e.by === 'player' && e.committed));
+    });
+
+    it('lets the enemy think again when the shown move is gone', () => {
+        startBattle('4k3/8/8/8/8/8/8/4K3 w - - 0 1', []);
+        const king = game.board[0][4];
+        game.enemyIntent = { piece: king, from: { row: 0, col: 4 }, to: { row: 0, col: 3 } };
+        assert.equal(game.getBluffedMove().to.col, 3);
+
+        // The King's own piece now stands on d8
+        game.rules.placePiece(0, 3, 'knight', 'enemy');
+        assert.equal(game.getBluffedMove(), null);
+    });
+});
+
+describe('Scout', () => {
+    beforeEach(async () => {
+        await runTimers();
+    });
+
+    it('still forecasts two enemy moves on the turn after it is played', async () => {
+        startBattle('r3k3/8/8/8/8/8/8/4K2R w - - 0 1', ['scout']);
+        playCard('scout');
+        assert.equal(game.isPlayerTurn, false);
+
+        await runTimers();
+        assert.equal(game.isPlayerTurn, true);
+        assert.equal(game.extendedIntentTurns, 2);
+        assert.equal(game.enemyForecast?.length, 2);
+    });
+});
+
+describe('combos', () => {
+    const findCardCombo = get('findCardCombo');
+    const getAvailableCombos = get('getAvailableCombos');
+
+    beforeEach(async () => {
+        await runTimers();
+    });
+
+    it('match the tags of the last cards played, in order', () => {
+        assert.equal(findCardCombo(['zugzwang', 'exile']).id, 'killingField');
+        assert.equal(findCardCombo(['nudge', 'zugzwang', 'exile']).id, 'killingField');
+        assert.equal(findCardCombo(['exile', 'zugzwang']), null);
+        assert.equal(findCardCombo(['exile']), null);
+    });
+
+    it('are listed for cards that can open or finish one', () => {
+        assert.deepEqual(getAvailableCombos('exile', ['zugzwang', 'nudge']).map(c => c.id).sort(), ['domino', 'killingField']);
+        assert.deepEqual(getAvailableCombos('exile', ['scout']), []);
+    });
+
+    it('fire their bonus and give the finishing card its slot back', () => {
+        startBattle('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', ['chainReaction', 'nudge']);
+        playCard('chainReaction');
+        assert.equal(game.cardsPlayedThisBattle, 1);
+
+        playCard('nudge', [7, 0], [6, 0]);
+        assert.equal(game.loadedDiceActive, true);
+        assert.equal(game.cardsPlayedThisBattle, 1);
+        assert.ok(game.moveLog.some(e => e.event === 'COMBO' && e.combo === 'domino'));
+        assert.equal(game.replayRecorder.replay.actions.at(-1).combo, 'domino');
+        assert.deepEqual(game.cardsPlayedThisTurn, []);
+    });
+
+    it('only count cards played in the same turn', async () => {
+        startBattle('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', ['chainReaction', 'nudge']);
+        playCard('chainReaction');
+        game.endPlayerTurn();
+        await runTimers();
+
+        playCard('nudge', [7, 0], [6, 0]);
+        assert.equal(game.cardsPlayedThisBattle, 2);
+        assert.ok(!game.moveLog.some(e => e.event === 'COMBO'));
+    });
+});
+
+describe('energy', () => {
+    const getCardCost = get('getCardCost');
+    const STARTING_ENERGY = get('STARTING_ENERGY');
+    const ENERGY_PER_TURN = get('ENERGY_PER_TURN');
+
+    beforeEach(async () => {
+        await runTimers();
+    });
+
+    it('costs a card its own cost, else its rarity\'s', () => {
+        assert.equal(getCardCost(CARD_DEFINITIONS.stall), 1);
+        assert.equal(getCardCost(CARD_DEFINITIONS.chainReaction), 3);
+        assert.equal(getCardCost(CARD_DEFINITIONS.secondWind), 0);
+    });
+
+    it('starts each battle at STARTING_ENERGY', () => {
+        startBattle('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', []);
+        game.setupBattle();
+        assert.equal(game.energy, STARTING_ENERGY);
+    });
+
+    it('is paid when the card resolves, not when it is picked', () => {
+        startBattle('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', ['nudge']);
+        playCard('nudge', [7, 0]);
+        assert.equal(game.energy, MAX_ENERGY);
+
+        game.handleCardAction(6, 0);
+        assert.equal(game.energy, MAX_ENERGY - 1);
+    });
+
+    it('refuses a card the player cannot afford', () => {
+        startBattle('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', ['chainReaction']);
+        game.energy = 2;
+        playCard('chainReaction');
+        assert.equal(game.selectedCard, null);
+        assert.equal(game.energy, 2);
+        assert.equal(game.canPlayCard('chainReaction'), false);
+    });
+
+    it('refills each player turn, up to MAX_ENERGY', async () => {
+        startBattle('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', ['stall']);
+        game.energy = 3;
+        playCard('stall', [0, 4]);
+        await runTimers();
+        assert.equal(game.isPlayerTurn, true);
+        assert.equal(game.energy, 2 + ENERGY_PER_TURN);
+
+        game.gainEnergy(100);
+        assert.equal(game.energy, MAX_ENERGY);
+    });
+
+    it('follows the formation\'s repricing, capped at MAX_ENERGY (Card Tax)', () => {
+        startBattle('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', ['stall', 'exile']);
+        game.state.specialRules = [{ id: 'cardTax', multiplier: 2 }];
+        assert.equal(game.getPlayCost('stall'), 2);
+        assert.equal(game.getPlayCost('exile'), MAX_ENERGY);
+
+        playCard('stall', [0, 4]);
+        assert.equal(game.energy, MAX_ENERGY - 2);
+    });
+
+    it('is granted by Second Wind, which costs nothing', () => {
+        startBattle('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', ['secondWind']);
+        game.energy = 1;
+        playCard('secondWind');
+        assert.equal(game.energy, 3);
+        assert.equal(game.cardsPlayedThisBattle, 1);
+    });
+});
+
+describe('boss phases', () => {
+    beforeEach(async () => {
+        await runTimers();
+    });
+
+    // Two Rooks on the enemy Rook; its capture leaves the King alone and starts `phase`
+    function startBossBattle(phase) {
+        startBattle('4k3/8/8/8/r6R/8/8/R3K3 w - - 0 1', ['unionStrike']);
+        game.state.bossPhases = [{ when: { pieces: 1 }, ...phase }];
+        game.state.bossPhase = 0;
+    }
+
+    it('switches the AI archetype and records the phase', () => {
+        startBossBattle({ name: 'Last Stand', archetype: 'AGGRESSOR' });
+        playCard('unionStrike', [4, 0]);
+
+        assert.equal(game.aiArchetype, 'AGGRESSOR');
+        assert.deepEqual(game.runStats.bossPhases.map(p => [p.battle, p.phase, p.name]), [[1, 2, 'Last Stand']]);
+        const actions = game.replayRecorder.replay.actions;
+        assert.equal(actions.at(-2).type, 'card');
+        assert.deepEqual({ ...actions.at(-1), turn: undefined },
+            { turn: undefined, type: 'bossPhase', phase: 2, name: 'Last Stand', archetype: 'AGGRESSOR' });
+    });
+
+    it('charges the cost the card had when it was picked', () => {
+        startBossBattle({ name: 'Taxman', specialRules: [{ id: 'cardTax' }] });
+        playCard('unionStrike', [4, 0]);
+
+        assert.equal(game.state.bossPhase, 1);
+        assert.equal(game.getPlayCost('unionStrike'), MAX_ENERGY);
+        assert.equal(game.energy, MAX_ENERGY - 3);
+    });
+
+    it('gives a retried battle its formation\'s archetype back', () => {
+        startBattle('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', []);
+        game.aiArchetype = 'AGGRESSOR';
+        game.setupBattle();
+        assert.equal(game.aiArchetype, game.currentFormation.archetype);
+    });
+});
+
+describe('piles', () => {
+    const MAX_HAND_SIZE = get('MAX_HAND_SIZE');
+
+    beforeEach(async () => {
+        await runTimers();
+    });
+
+    it('deal the rest of the deck into the draw pile', () => {
+        document.getElementById('seed-input').value = '1234';
+        game.startNewRun();
+        game.showCardSelectScreen();
+        game.selectedBattleCards = game.deck.slice(0, game.maxBattleCards);
+        game.confirmCardSelection();
+        assert.deepEqual([...game.hand, ...game.drawPile].sort(), [...game.deck].sort());
+        assert.deepEqual([game.discardPile, game.exhaustPile], [[], []]);
+    });
+
+    it('draw a card as each player turn starts', async () => {
+        startBattle('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', ['stall']);
+        game.drawPile = ['nudge', 'shield'];
+        playCard('stall', [0, 4]);
+        assert.deepEqual(game.discardPile, ['stall']);
+
+        await runTimers();
+        assert.equal(game.isPlayerTurn, true);
+        assert.deepEqual(game.hand, ['shield']);
+        assert.deepEqual(game.drawPile, ['nudge']);
+    });
+
+    it('reshuffle the discard pile when the draw pile runs out', () => {
+        startBattle('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', []);
+        game.drawPile = ['nudge'];
+        game.discardPile = ['stall', 'shield'];
+        assert.equal(game.drawCards(3).length, 3);
+        assert.deepEqual([...game.hand].sort(), ['nudge', 'shield', 'stall']);
+        assert.deepEqual(game.discardPile, []);
+        assert.ok(game.moveLog.some(e => e.event === 'DISCARD_RESHUFFLED'));
+
+        // Nothing left anywhere
+        assert.deepEqual(game.drawCards(1), []);
+    });
+
+    it('stop drawing at MAX_HAND_SIZE', () => {
+        startBattle('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', Array(MAX_HAND_SIZE - 1).fill('stall'));
+        game.drawPile = ['nudge', 'shield'];
+        game.drawCards(2);
+        assert.equal(game.hand.length, MAX_HAND_SIZE);
+        assert.deepEqual(game.drawPile, ['nudge']);
+    });
+
+    it('exhaust BURN cards and keep retained ones in hand', () => {
+        startBattle('4k3/8/8/3n4/8/8/8/R3K3 w - - 0 1', ['exile', 'quickStudy+']);
+        game.drawPile = [];
+        playCard('exile', [3, 3]);
+        assert.deepEqual(game.exhaustPile, ['exile']);
+        assert.ok(!game.deck.includes('exile'));
+
+        startBattle('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', ['quickStudy+']);
+        game.drawPile = ['nudge', 'shield'];
+        playCard('quickStudy+');
+        assert.deepEqual(game.hand, ['quickStudy+', 'shield', 'nudge']);
+        assert.deepEqual(game.discardPile, []);
+    });
+
+    it('swap the hand for as many new cards (Mulligan)', () => {
+        startBattle('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', ['stall', 'mulligan', 'shield']);
+        game.drawPile = ['scout', 'nudge'];
+        playCard('mulligan');
+        assert.deepEqual(game.hand, ['nudge', 'scout']);
+        assert.deepEqual(game.discardPile, ['stall', 'shield', 'mulligan']);
+    });
+
+    it('run a curse\'s draw effects when it is drawn mid-battle (Frostbite)', () => {
+        startBattle('4k3/8/8/8/8/8/8/Q3K3 w - - 0 1', []);
+        const queen = game.board[7][0];
+        game.drawPile = ['frostbite'];
+        game.drawCards(1);
+        assert.ok(game.frozenPieces.has(queen.id));
+    });
+});
@@ -0,0 +1,467 @@
+// ============================================
+// FORMATION TESTS
+// Run with `npm test` (node:test, no browser needed)
+// ============================================
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The browser shares these files' constants as globals; do the same here
+Object.assign(globalThis, require('../js/rules-engine.js'), require('../js/cards.js'));
+Object.assign(globalThis, require('../js/card-effects.js'));
+const formations = require('../js/formations.js');
+const { FORMATIONS, FORMATION_POOLS, FORMATION_RULES } = formations;
+const { SeededRNG, GameState, RulesEngine } = globalThis;
+
+const LOADOUT = ['queen', 'rook', 'knight'];
+
+function setupFormation(formation) {
+    const rules = new RulesEngine(new GameState(new SeededRNG(1234)), {}, FORMATION_RULES);
+    rules.setupBattle(LOADOUT, formation);
+    return rules;
+}
+
+describe('formations', () => {
+    it('lists only known formations in the pools', () => {
+        const { FORMATION_BUILDERS } = formations;
+        for (const [pool, ids] of Object.entries(FORMATION_POOLS)) {
+            for (const id of ids) assert.ok(FORMATIONS[id] || FORMATION_BUILDERS[id], `${pool} lists unknown formation ${id}`);
+        }
+    });
+
+    it('sets up every formation with one King a side and every piece on the board', () => {
+        for (const formation of Object.values(FORMATIONS)) {
+            const state = setupFormation(formation).state;
+            assert.equal(state.enemyPieces.filter(p => p.type === 'king').length, 1, formation.id);
+            assert.equal(state.playerPieces.filter(p => p.type === 'king').length, 1, formation.id);
+            assert.equal(state.enemyPieces.length, formation.pieces.length, formation.id);
+            assert.ok([...state.playerPieces, ...state.enemyPieces].every(p => state.board[p.row][p.col] === p), formation.id);
+        }
+    });
+
+    it('gives sized formations their own board', () => {
+        assert.equal(setupFormation(FORMATIONS.skirmish).state.cols, 6);
+        const horde = setupFormation(FORMATIONS.horde).state;
+        assert.deepEqual([horde.rows, horde.cols], [8, 10]);
+        assert.equal(horde.board[7][5].type, 'king');
+    });
+});
+
+describe('formation special rules', () => {
+    const { describeFormationRules } = formations;
+
+    // A small formation running `specialRules`
+    function withRules(specialRules, hooks = {}) {
+        const rules = new RulesEngine(new GameState(new SeededRNG(1234)), hooks, FORMATION_RULES);
+        rules.setupBattle(LOADOUT, {
+            id: 'ruled',
+            name: 'Ruled',
+            difficulty: 5,
+            archetype: 'WALL',
+            specialRules,
+            pieces: [{ type: 'king', row: 0, col: 4 }, { type: 'rook', row: 0, col: 0 }, { type: 'pawn', row: 1, col: 2 }]
+        });
+        return rules;
+    }
+
+    it('refuses to run rules the engine has no table for', () => {
+        const rules = new RulesEngine(new GameState(), {}, null);
+        assert.throws(() => rules.setupBattle(LOADOUT, { ...FORMATIONS.pawnWall, specialRules: [{ id: 'rookGuard' }] }), /FORMATION_RULES/);
+        assert.throws(() => withRules([{ id: 'noSuchRule' }]), /Unknown special rule "noSuchRule"/);
+
+        // Formations without rules don't need it
+        rules.setupBattle(LOADOUT, FORMATIONS.pawnWall);
+    });
+
+    it('keeps the enemy King shielded until the last Rook falls (Rook Guard)', () => {
+        const messages = [];
+        const rules = withRules([{ id: 'rookGuard' }], { onMessage: (text) => messages.push(text) });
+        const { enemyPieces, shieldedPieces } = rules.state;
+        const king = enemyPieces.find(p => p.type === 'king');
+        assert.ok(shieldedPieces.has(king.id));
+
+        rules.capturePiece(enemyPieces.find(p => p.type === 'rook'));
+        assert.ok(!shieldedPieces.has(king.id));
+        assert.match(messages.at(-1), /King is exposed/);
+    });
+
+    it('pushes enemy pawns a second square (Pawn Surge)', () => {
+        const rules = withRules([{ id: 'pawnSurge' }]);
+        const pawn = rules.state.board[1][2];
+        rules.movePiece(pawn, 2, 2);
+        assert.deepEqual([pawn.row, pawn.col], [3, 2]);
+        assert.equal(rules.state.board[2][2], null);
+    });
+
+    it('brings reinforcements in on their turn, skipping filled squares', () => {
+        const rules = withRules([{
+            id: 'reinforcements',
+            turn: 2,
+            pieces: [{ type: 'knight', row: 0, col: 1 }, { type: 'bishop', row: 0, col: 0 }]
+        }]);
+        const count = rules.state.enemyPieces.length;
+        while (rules.state.turnNumber < 2) rules.startPlayerTurn();
+
+        assert.equal(rules.state.board[0][1].type, 'knight');
+        assert.equal(rules.state.board[0][0].type, 'rook');
+        assert.equal(rules.state.enemyPieces.length, count + 1);
+    });
+
+    it('reprice cards and describe themselves (Card Tax)', () => {
+        const rules = withRules([{ id: 'cardTax', multiplier: 3 }]);
+        assert.equal(rules.applyFormationRules('cardCost', 2), 6);
+        assert.deepEqual(describeFormationRules({ specialRules: [{ id: 'cardTax' }] }), ['Card Tax: Your cards cost double energy.']);
+    });
+});
+
+describe('boss phases', () => {
+    // Queen, two Rooks and a Pawn (2000 points) behind the King
+    function withPhases(phases, hooks = {}) {
+        const rules = new RulesEngine(new GameState(new SeededRNG(1234)), hooks, FORMATION_RULES);
+        rules.setupBattle(LOADOUT, {
+            id: 'boss',
+            name: 'Boss',
+            difficulty: 9,
+            archetype: 'WALL',
+            phases,
+            pieces: [
+                { type: 'king', row: 0, col: 4 }, { type: 'queen', row: 0, col: 3 },
+                { type: 'rook', row: 0, col: 0 }, { type: 'rook', row: 0, col: 7 }, { type: 'pawn', row: 1, col: 4 }
+            ]
+        });
+        return rules;
+    }
+
+    const enemy = (rules, type) => rules.state.enemyPieces.find(p => p.type === type);
+
+    it('reads the health bar from enemy material, King excluded', () => {
+        const rules = withPhases([]);
+        assert.equal(rules.state.bossMaxHp, 2000);
+        assert.equal(rules.getBossHealth(), 1);
+        rules.capturePiece(enemy(rules, 'queen'));
+        assert.equal(rules.getBossHealth(), 0.55);
+    });
+
+    it('starts a phase once health or the piece count falls to its threshold', () => {
+        const started = [];
+        const rules = withPhases([
+            { name: 'Wounded', when: { hp: 0.75 } },
+            { name: 'Cornered', when: { pieces: 2 } }
+        ], { onBossPhase: (phase, number) => started.push([phase.name, number]) });
+
+        rules.capturePiece(enemy(rules, 'pawn'));
+        assert.equal(rules.state.bossPhase, 0);
+        rules.capturePiece(enemy(rules, 'rook'));
+        assert.deepEqual(started, [['Wounded', 2]]);
+
+        rules.capturePiece(enemy(rules, 'rook'));
+        assert.deepEqual(started, [['Wounded', 2], ['Cornered', 3]]);
+        assert.equal(rules.state.bossPhase, 2);
+    });
+
+    it('starts every phase one capture crosses, in order', () => {
+        const started = [];
+        const rules = withPhases([
+            { name: 'First', when: { hp: 0.9 } },
+            { name: 'Second', when: { hp: 0.6 } }
+        ], { onBossPhase: (phase) => started.push(phase.name) });
+
+        rules.capturePiece(enemy(rules, 'queen'));
+        assert.deepEqual(started, ['First', 'Second']);
+    });
+
+    it('places phase pieces on empty squares without refilling the health bar', () => {
+        const rules = withPhases([{
+            name: 'Call to Arms',
+            when: { pieces: 4 },
+            pieces: [{ type: 'knight', row: 0, col: 1 }, { type: 'bishop', row: 0, col: 0 }]
+        }]);
+        rules.capturePiece(enemy(rules, 'pawn'));
+
+        assert.equal(rules.state.board[0][1].type, 'knight');
+        assert.equal(rules.state.board[0][0].type, 'rook');
+        assert.equal(rules.getBossHealth(), 1);
+        const logged = rules.state.moveLog.at(-1);
+        assert.equal(logged.event, 'BOSS_PHASE');
+        assert.deepEqual(logged.pieces, ['knight b8']);
+    });
+
+    it('adds phase rules from when the phase begins', () => {
+        const rules = withPhases([{ name: 'Taxman', when: { pieces: 4 }, specialRules: [{ id: 'cardTax' }] }]);
+        assert.equal(rules.applyFormationRules('cardCost', 2), 2);
+        rules.capturePiece(enemy(rules, 'pawn'));
+        assert.equal(rules.applyFormationRules('cardCost', 2), 4);
+    });
+
+    it('refuses unknown phase rules at setup, not when the phase begins', () => {
+        assert.throws(() => withPhases([{ name: 'Broken', when: { pieces: 1 }, specialRules: [{ id: 'noSuchRule' }] }]),
+            /Unknown special rule "noSuchRule"/);
+    });
+});
+
+describe('reinforcement waves', () => {
+    const { describeWave } = formations;
+
+    // King, Rook and two Pawns, with `waves` and `portals`
+    function withWaves(waves, portals = []) {
+        const rules = new RulesEngine(new GameState(new SeededRNG(1234)), {}, FORMATION_RULES);
+        rules.setupBattle(LOADOUT, {
+            id: 'waves',
+            name: 'Waves',
+            difficulty: 5,
+            archetype: 'SWARM',
+            waves,
+            portals,
+            pieces: [
+                { type: 'king', row: 0, col: 4 }, { type: 'rook', row: 0, col: 0 },
+                { type: 'pawn', row: 1, col: 3 }, { type: 'pawn', row: 1, col: 5 }
+            ]
+        });
+        return rules;
+    }
+
+    const playUntil = (rules, turn) => {
+        while (rules.state.turnNumber < turn) rules.startPlayerTurn();
+    };
+
+    it('lands a turn wave on the back ranks, middle files first, and warns a turn ahead', () => {
+        const rules = withWaves([{ name: 'Van', turn: 3, pieces: ['knight', 'bishop'] }]);
+        playUntil(rules, 2);
+        assert.deepEqual(rules.getDueWaves().map(wave => wave.name), ['Van']);
+
+        playUntil(rules, 3);
+        const { board, enemyPieces } = rules.state;
+        assert.equal(board[0][3].type, 'knight');
+        assert.equal(board[0][2].type, 'bishop');
+        assert.equal(enemyPieces.length, 6);
+        assert.deepEqual(rules.getDueWaves(), []);
+    });
+
+    it('repeats an every wave from its first turn, up to `times`', () => {
+        const rules = withWaves([{ every: 2, from: 3, times: 2, pieces: ['pawn'] }]);
+        const landed = [];
+        for (let turn = 1; turn <= 9; turn++) {
+            const before = rules.state.enemyPieces.length;
+            playUntil(rules, turn);
+            if (rules.state.enemyPieces.length > before) landed.push(turn);
+        }
+        assert.deepEqual(landed, [3, 5]);
+    });
+
+    it('sends a below wave once the enemy is down to fewer pieces', () => {
+        const rules = withWaves([{ name: 'Last Ditch', below: 3, at: 'portals', pieces: ['queen', 'rook'] }],
+            [{ row: 0, col: 7 }, { row: 1, col: 0 }]);
+        const pawns = rules.state.enemyPieces.filter(p => p.type === 'pawn');
+
+        rules.capturePiece(pawns[0]);
+        assert.deepEqual(rules.getDueWaves(), []);
+        rules.capturePiece(pawns[1]);
+        assert.equal(rules.getDueWaves().length, 1);
+
+        rules.startPlayerTurn();
+        assert.equal(rules.state.board[0][7].type, 'queen');
+        assert.equal(rules.state.board[1][0].type, 'rook');
+
+        rules.capturePiece(rules.state.board[0][7]);
+        rules.capturePiece(rules.state.board[1][0]);
+        rules.startPlayerTurn();
+        assert.equal(rules.state.enemyPieces.length, 2);
+    });
+
+    it('loses the pieces whose squares are taken', () => {
+        const rules = withWaves([{ turn: 1, at: 'portals', pieces: ['knight', 'knight'] }], [{ row: 0, col: 0 }, { row: 0, col: 6 }]);
+        playUntil(rules, 1);
+        assert.equal(rules.state.board[0][6].type, 'knight');
+        assert.equal(rules.state.board[0][0].type, 'rook');
+        assert.equal(rules.state.moveLog.find(e => e.event === 'WAVE_ARRIVED').lost, 1);
+    });
+
+    it('warns of Reinforcements, which come in as a wave', () => {
+        const rules = setupFormation(FORMATIONS.huntingPack);
+        playUntil(rules, 4);
+        assert.deepEqual(rules.getDueWaves().flatMap(wave => wave.pieces), ['knight', 'knight']);
+        playUntil(rules, 5);
+        assert.equal(rules.state.board[0][1].type, 'knight');
+        assert.equal(rules.state.board[0][6].type, 'knight');
+    });
+
+    it('describes when and where each wave lands', () => {
+        assert.equal(describeWave({ turn: 4, pieces: ['rook'] }), 'Turn 4: rook on the back ranks');
+        assert.equal(describeWave({ every: 3, times: 2, at: 'portals', pieces: ['pawn', 'pawn'] }), 'Every 3 turns (2x): pawn, pawn at the portals');
+        assert.equal(describeWave({ below: 4, at: [{ row: 0, col: 0 }], pieces: ['queen'] }), 'Below 4 pieces: queen on marked squares');
+    });
+});
+
+describe('The Mirror', () => {
+    const { buildMirrorFormation, getRandomFormation } = formations;
+    const { getMirrorCard, MIRROR_CARD_PREFIX } = globalThis;
+
+    it('copies the loadout from across the board, three times over', () => {
+        const formation = buildMirrorFormation({ playerLoadout: ['bishop', 'rook', 'knight'] });
+        const count = (type) => formation.pieces.filter(p => p.type === type).length;
+        assert.deepEqual([count('king'), count('bishop'), count('rook'), count('knight')], [1, 3, 3, 3]);
+        assert.ok(formation.pieces.every(p => p.row <= 1));
+
+        const state = setupFormation(formation).state;
+        assert.equal(state.enemyPieces.length, formation.pieces.length);
+    });
+
+    it('holds the player\'s deck, minus cards with no mirror', () => {
+        const formation = buildMirrorFormation({ deck: ['stall', 'shield+', 'nudge', 'quickStudy', 'frostbite'] });
+        assert.deepEqual(formation.enemyCards, ['mirror:stall', 'mirror:shield+']);
+    });
+
+    it('is built from the run when its pool comes up', () => {
+        const pickMirror = { pick: () => 'mirror' };
+        const formation = getRandomFormation('BOSS', pickMirror, { playerLoadout: ['queen', 'rook', 'knight'], deck: ['stall'] });
+        assert.equal(formation.id, 'mirror');
+        assert.deepEqual(formation.enemyCards, ['mirror:stall']);
+    });
+
+    it('swaps the sides in a mirrored card\'s steps', () => {
+        assert.equal(MIRROR_CARD_PREFIX, 'mirror:');
+        const brace = getMirrorCard('mirror:brace');
+        assert.equal(brace.mirrorOf, 'brace');
+        assert.deepEqual(brace.effects.slice(0, 2), [
+            { op: 'require', piece: 'enemyKing', as: 'king' },
+            { op: 'status', status: 'braced', piece: 'king', turns: 3 }
+        ]);
+
+        assert.deepEqual(getMirrorCard('mirror:backstep').effects[0], { op: 'move', piece: 'target', offset: [-1, 0] });
+        const spawn = getMirrorCard('mirror:phantomQueen').effects[0];
+        assert.equal(spawn.owner, 'enemy');
+        assert.equal(getMirrorCard('mirror:unionStrike').effects[0].check, 'enemyAttackersAtLeast');
+        assert.equal(getMirrorCard('mirror:usurper').effects[0].piece, 'strongestEnemy');
+    });
+
+    it('has no mirror for cards that need the player or the player\'s turn', () => {
+        for (const id of ['nudge', 'scout', 'dash', 'quickStudy', 'rewind', 'traitorsMark', 'frostbite']) {
+            assert.equal(getMirrorCard(MIRROR_CARD_PREFIX + id), null, id);
+        }
+        assert.equal(getMirrorCard('stall'), null);
+    });
+});
+
+describe('formation generator', () => {
+    const { GENERATOR_BUDGETS, generateFormation, generatePoolFormation, getFormationForBattle, isFairStart } = formations;
+    const material = (formation) => formation.pieces
+        .filter(p => p.type !== 'king')
+        .reduce((total, p) => total + globalThis.PIECE_VALUES[p.type], 0);
+
+    it('makes the same formation from the same seed', () => {
+        const first = generateFormation({ difficulty: 5 }, new SeededRNG(42));
+        const second = generateFormation({ difficulty: 5 }, new SeededRNG(42));
+        assert.deepEqual(first, second);
+        assert.ok(first.generated);
+    });
+
+    it('spends no more than the budget on a fair start with one King', () => {
+        for (let difficulty = 1; difficulty <= 10; difficulty++) {
+            const formation = generateFormation({ difficulty }, new SeededRNG(difficulty));
+            if (!formation.generated) continue;
+            assert.ok(material(formation) <= GENERATOR_BUDGETS[difficulty], `difficulty ${difficulty}`);
+            assert.ok(isFairStart(formation), `difficulty ${difficulty}`);
+            assert.equal(formation.pieces.filter(p => p.type === 'king').length, 1);
+            setupFormation(formation);
+        }
+    });
+
+    it('mirrors symmetric formations', () => {
+        const formation = generateFormation({ difficulty: 4, symmetric: true }, new SeededRNG(7));
+        const squares = new Set(formation.pieces.map(p => `${p.type},${p.row},${p.col}`));
+        const unmatched = formation.pieces.filter(p => !squares.has(`${p.type},${p.row},${7 - p.col}`));
+        // Only the King, and a leftover piece the budget couldn't pair
+        assert.ok(unmatched.length <= 2);
+    });
+
+    it('gives generated elites enemy cards and a curse', () => {
+        const formation = generatePoolFormation('EXPERT', new SeededRNG(3));
+        assert.equal(formation.enemyCards.length, 1);
+        assert.equal(formation.curses.length, 1);
+    });
+
+    it('follows the run seed through BATTLE_PROGRESSION', () => {
+        const first = getFormationForBattle(5, new SeededRNG(99));
+        const second = getFormationForBattle(5, new SeededRNG(99));
+        assert.deepEqual(first, second);
+        assert.equal(getFormationForBattle(10, new SeededRNG(99)).formation.generated, undefined);
+    });
+
+    it('falls back to a copy of a listed formation when no fair start turns up', () => {
+        // Nothing this strong fits fairly on a 4x3 board
+        const fallback = generateFormation(
+            { difficulty: 9, size: { rows: 4, cols: 3 }, fallbackIds: FORMATION_POOLS.EXPERT }, new SeededRNG(5));
+        assert.ok(FORMATION_POOLS.EXPERT.includes(fallback.id));
+        assert.notEqual(fallback, FORMATIONS[fallback.id]);
+    });
+});
+
+describe('formation JSON', () => {
+    const { formationToJSON, parseFormationJSON, registerFormation, CUSTOM_FORMATION_PREFIX } = formations;
+
+    // A formation from the editor, as JSON, with `changes` on top
+    function editorJSON(changes = {}) {
+        return JSON.stringify({
+            name: 'Test Wall',
+            difficulty: 3,
+            archetype: 'WALL',
+            pieces: [{ type: 'king', row: 0, col: 4 }, { type: 'rook', row: 1, col: 0 }],
+            pools: ['EASY'],
+            ...changes
+        });
+    }
+
+    it('round-trips a built-in formation with its pools', () => {
+        const parsed = parseFormationJSON(formationToJSON(FORMATIONS.pawnWall));
+        assert.deepEqual(parsed.pieces, FORMATIONS.pawnWall.pieces);
+        assert.deepEqual(parsed.pools, formations.getFormationPools('pawnWall'));
+        setupFormation(parsed);
+    });
+
+    it('names the first problem in a bad formation', () => {
+        assert.throws(() => parseFormationJSON('{'), /Not valid JSON/);
+        assert.throws(() => parseFormationJSON(editorJSON({ name: '' })), /needs a name/);
+        assert.throws(() => parseFormationJSON(editorJSON({ difficulty: 11 })), /Difficulty/);
+        assert.throws(() => parseFormationJSON(editorJSON({ archetype: 'NINJA' })), /Unknown archetype/);
+        assert.throws(() => parseFormationJSON(editorJSON({ size: { rows: 2, cols: 8 } })), /Board size/);
+        assert.throws(() => parseFormationJSON(editorJSON({ pieces: [{ type: 'rook', row: 0, col: 0 }] })), /exactly one king/);
+        assert.throws(() => parseFormationJSON(editorJSON({ pieces: [{ type: 'king', row: 9, col: 0 }] })), /off the board/);
+        assert.throws(() => parseFormationJSON(editorJSON({ pieces: [{ type: 'king', row: 7, col: 4 }] })), /player starting square/);
+        assert.throws(() => parseFormationJSON(editorJSON({ pools: ['NOWHERE'] })), /Unknown pool/);
+        assert.throws(() => parseFormationJSON(editorJSON({ enemyCards: ['nuke'] })), /Unknown enemy card/);
+        assert.throws(() => parseFormationJSON(editorJSON({ waves: [{ turn: 3, pieces: ['king'] }] })), /non-King/);
+        assert.throws(() => parseFormationJSON(editorJSON({ waves: [{ pieces: ['pawn'] }] })), /turn, every or below/);
+        assert.throws(() => parseFormationJSON(editorJSON({ waves: [{ turn: 3, at: 'portals', pieces: ['pawn'] }] })), /no portals|there are none/);
+        assert.throws(() => parseFormationJSON(editorJSON({ waves: [{ turn: 3, at: [], pieces: ['pawn'] }] })), /one per piece/);
+    });
+
+    it('registers a formation in exactly its pools', () => {
+        const formation = parseFormationJSON(editorJSON());
+        assert.equal(formation.id, `${CUSTOM_FORMATION_PREFIX}test-wall`);
+        registerFormation(formation);
+        assert.equal(FORMATIONS[formation.id], formation);
+        assert.ok(FORMATION_POOLS.EASY.includes(formation.id));
+
+        registerFormation({ ...formation, pools: ['HARD'] });
+        assert.ok(!FORMATION_POOLS.EASY.includes(formation.id));
+        assert.ok(FORMATION_POOLS.HARD.includes(formation.id));
+    });
+
+    it('keeps imported formations from replacing built-in ones', () => {
+        const grandmaster = FORMATIONS.grandmaster;
+        const imported = parseFormationJSON(formationToJSON({ ...FORMATIONS.pawnWall, id: 'grandmaster', pools: ['BOSS'] }));
+        assert.ok(imported.id.startsWith(CUSTOM_FORMATION_PREFIX));
+
+        registerFormation(imported);
+        assert.equal(FORMATIONS.grandmaster, grandmaster);
+        assert.ok(FORMATION_POOLS.BOSS.includes('grandmaster'));
+
+        const reimported = parseFormationJSON(formationToJSON(imported));
+        assert.equal(reimported.id, imported.id);
+    });
+
+    it('plays a formation at the difficulty of the battle matching its rating', () => {
+        const progression = formations.BATTLE_PROGRESSION;
+        assert.equal(formations.getFormationAiDifficulty({ difficulty: 9 }), progression.find(p => p.battle === 9).difficulty);
+    });
+});
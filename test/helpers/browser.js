@@ -0,0 +1,130 @@
+// ============================================
+// BROWSER HARNESS
+// Loads the game's scripts the way index.html does, against a stub DOM
+// ============================================
+//
+// The scripts share globals like they do in a browser, so each test file
+// loads them once (node --test runs every file in its own process):
+//
+//   const { game, get, storage } = loadGame();
+//   game.startNewRun();
+//
+// Timers only run when a test asks (await runTimers()), so the enemy's turn
+// never fires in the middle of an assertion.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Values the game reads back from elements; anything else is another stub
+const ELEMENT_DEFAULTS = { checked: false, disabled: false, value: '', textContent: '', innerHTML: '', className: '', id: '' };
+
+/**
+ * An element that accepts any property, call or method chain
+ */
+function createElement() {
+    const stored = {};
+    return new Proxy(function () {}, {
+        get(target, key) {
+            if (key in stored) return stored[key];
+            if (key === Symbol.toPrimitive) return () => '';
+            if (key === Symbol.iterator) return function* () {};
+            if (key === 'then') return undefined;
+            if (key === 'length') return 0;
+            if (key in ELEMENT_DEFAULTS) return ELEMENT_DEFAULTS[key];
+            if (typeof key === 'symbol') return undefined;
+            return (stored[key] = createElement());
+        },
+        set(target, key, value) {
+            stored[key] = key === 'value' ? String(value) : value;
+            return true;
+        },
+        apply() {
+            return createElement();
+        }
+    });
+}
+
+/**
+ * localStorage backed by a Map. Set `quota` (characters) to make writes fail
+ * the way a full browser store does.
+ */
+function createStorage() {
+    const items = new Map();
+    const storage = {
+        quota: Infinity,
+        items,
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem(key, value) {
+            value = String(value);
+            let used = value.length;
+            items.forEach((v, k) => { if (k !== key) used += v.length; });
+            if (used > storage.quota) {
+                const err = new Error('The quota has been exceeded.');
+                err.name = 'QuotaExceededError';
+                throw err;
+            }
+            items.set(key, value);
+        },
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear()
+    };
+    return storage;
+}
+
+// Script files in the order index.html loads them
+function scriptOrder() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    return [...html.matchAll(/<script src="([^"?]+)(\?[^"]*)?"><\/script>/g)].map(match => match[1]);
+}
+
+/**
+ * Load every script into this process and start the game.
+ * @returns {{ game: ChessRoguelike, get: Function, storage: Object, warnings: Array, runTimers: Function }}
+ */
+function loadGame() {
+    const elements = new Map();
+    const storage = createStorage();
+    const warnings = [];
+    const timers = [];
+
+    global.document = {
+        readyState: 'complete',
+        body: createElement(),
+        getElementById(id) {
+            if (!elements.has(id)) elements.set(id, createElement());
+            return elements.get(id);
+        },
+        querySelector: () => createElement(),
+        querySelectorAll: () => [],
+        createElement: () => createElement(),
+        addEventListener() {}
+    };
+    global.localStorage = storage;
+    global.window = global;
+    global.navigator = { clipboard: { writeText: () => Promise.resolve() } };
+    global.requestAnimationFrame = () => 0;
+    global.setTimeout = (callback) => timers.push(callback);
+    global.clearTimeout = () => {};
+
+    // Startup chatter (and the missing Stockfish worker) stays out of the test output
+    console.log = () => {};
+    console.warn = (...args) => warnings.push(args.join(' '));
+
+    scriptOrder().forEach(file => {
+        vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+    });
+
+    // Top-level const/let/class names live in the script scope, not on global
+    const get = (name) => vm.runInThisContext(name);
+
+    // Run queued timers (and any they queue) until none are left
+    async function runTimers(limit = 100) {
+        for (let i = 0; i < limit && timers.length > 0; i++) await timers.shift()();
+    }
+    return { game: get('game'), get, storage, warnings, runTimers };
+}
+
+module.exports = { loadGame };
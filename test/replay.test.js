@@ -0,0 +1,87 @@
+// ============================================
+// REPLAY TESTS
+// Recording, and the packed form replays are stored in
+// ============================================
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SeededRNG, GameState, RulesEngine } = require('../js/rules-engine.js');
+const { ReplayRecorder, diffFrame, patchFrame, packReplay, unpackReplay } = require('../js/replay.js');
+
+// A short recorded battle: the rook walks up the board, then takes a pawn
+function recordBattle() {
+    const rules = new RulesEngine(new GameState(new SeededRNG(3)));
+    rules.setupBattle(['queen', 'rook', 'knight'], {
+        pieces: [{ type: 'king', row: 0, col: 4 }, { type: 'pawn', row: 2, col: 5 }]
+    });
+    const recorder = new ReplayRecorder();
+    recorder.start({ seed: 3, battle: 1, loadout: ['queen', 'rook', 'knight'], cards: [], formation: { id: 'test' } }, rules.state);
+
+    const rook = rules.state.board[7][5];
+    [[5, 5], [3, 5], [2, 5]].forEach(([row, col]) => {
+        const from = { row: rook.row, col: rook.col };
+        rules.movePiece(rook, row, col);
+        rules.state.turnNumber++;
+        recorder.record({ type: 'move', owner: 'player', piece: 'rook', from, to: { row, col } }, rules.state);
+    });
+    return recorder.finish('victory');
+}
+
+describe('ReplayRecorder', () => {
+    it('records one action and one frame per step after the setup frame', () => {
+        const replay = recordBattle();
+        assert.equal(replay.actions.length, 3);
+        assert.equal(replay.frames.length, 4);
+        assert.deepEqual(replay.actions.map(a => a.turn), [1, 2, 3]);
+        assert.equal(replay.result, 'victory');
+
+        const last = GameState.fromJSON(replay.frames[3]);
+        assert.equal(last.board[2][5].type, 'rook');
+        assert.equal(last.enemyPieces.length, 1);
+        assert.equal(replay.frames[3].moveLog, undefined);
+    });
+});
+
+describe('frame patches', () => {
+    it('rebuilds the next frame from the previous one', () => {
+        const prev = { a: 1, list: [1, 2, 3], nested: { keep: true, gone: 'x' }, grid: [[null, { id: 'p' }]] };
+        const next = { a: 2, list: [1, 5], nested: { keep: true }, grid: [[{ id: 'p' }, null]], added: [4] };
+        assert.deepEqual(patchFrame(prev, diffFrame(prev, next)), next);
+        assert.deepEqual(patchFrame(next, diffFrame(next, prev)), prev);
+    });
+
+    it('is empty for identical frames', () => {
+        assert.equal(diffFrame({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] }), undefined);
+    });
+
+    it('leaves the previous frame untouched', () => {
+        const prev = { list: [1, 2], nested: { a: 1 } };
+        patchFrame(prev, diffFrame(prev, { list: [3], nested: { a: 2 } }));
+        assert.deepEqual(prev, { list: [1, 2], nested: { a: 1 } });
+    });
+});
+
+describe('packed replays', () => {
+    it('unpack to the recorded frames', () => {
+        const replay = recordBattle();
+        const stored = JSON.parse(JSON.stringify(packReplay(replay)));
+
+        assert.equal(stored.frames, undefined);
+        assert.equal(stored.deltas.length, replay.frames.length);
+        assert.deepEqual(unpackReplay(stored), JSON.parse(JSON.stringify(replay)));
+    });
+
+    it('store only what changed after the first frame', () => {
+        const replay = recordBattle();
+        const full = JSON.stringify(replay.frames.slice(1)).length;
+        const packed = JSON.stringify(packReplay(replay).deltas.slice(1)).length;
+        assert.ok(packed * 5 < full, `deltas ${packed} chars vs frames ${full}`);
+    });
+
+    it('pass through when already in the other form', () => {
+        const packed = packReplay(recordBattle());
+        assert.equal(packReplay(packed), packed);
+        const unpacked = unpackReplay(packed);
+        assert.equal(unpackReplay(unpacked), unpacked);
+    });
+});
@@ -0,0 +1,551 @@
+// ============================================
+// RULES ENGINE TESTS
+// Run with `npm test` (node:test, no browser needed)
+// ============================================
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SeededRNG, GameState, RulesEngine } = require('../js/rules-engine.js');
+
+/**
+ * An engine whose board holds exactly these pieces
+ * @param {Array} pieces - [type, row, col, owner] for each piece
+ */
+function engineWith(pieces, hooks = {}) {
+    const rules = new RulesEngine(new GameState(), hooks);
+    rules.createBoard();
+    rules.state.playerPieces = [];
+    rules.state.enemyPieces = [];
+    pieces.forEach(([type, row, col, owner]) => rules.placePiece(row, col, type, owner));
+    return rules;
+}
+
+// Squares as 'row,col' strings, sorted, for order-free comparison
+function squares(moves) {
+    return moves.map(m => `${m.row},${m.col}`).sort();
+}
+
+// ============================================
+// SEEDED RNG
+// ============================================
+
+describe('SeededRNG', () => {
+    it('repeats the same rolls for the same seed', () => {
+        const a = new SeededRNG(1234);
+        const b = new SeededRNG(1234);
+        const rolls = Array.from({ length: 5 }, () => a.next());
+        assert.deepEqual(Array.from({ length: 5 }, () => b.next()), rolls);
+        assert.ok(rolls.every(n => n >= 0 && n < 1));
+        assert.notDeepEqual(Array.from({ length: 5 }, () => new SeededRNG(1235).next()), rolls);
+    });
+
+    it('reads digit strings as numbers and hashes word seeds', () => {
+        assert.equal(new SeededRNG('1234').seed, 1234);
+        assert.equal(new SeededRNG(' 1234 ').seed, 1234);
+        assert.equal(new SeededRNG('knight').seed, new SeededRNG('knight').seed);
+        assert.notEqual(new SeededRNG('knight').seed, new SeededRNG('bishop').seed);
+    });
+
+    it('shuffles a copy and keeps every element', () => {
+        const cards = ['a', 'b', 'c', 'd', 'e', 'f'];
+        const shuffled = new SeededRNG(7).shuffle(cards);
+        assert.deepEqual(cards, ['a', 'b', 'c', 'd', 'e', 'f']);
+        assert.deepEqual([...shuffled].sort(), cards);
+    });
+
+    it('clones at the current position without consuming rolls', () => {
+        const rng = new SeededRNG(99);
+        rng.next();
+        const preview = rng.clone();
+        assert.equal(preview.next(), rng.next());
+        assert.equal(preview.int(1000), rng.int(1000));
+    });
+
+    it('gives the same piece ids to battles from the same seed', () => {
+        const ids = () => {
+            const rules = new RulesEngine(new GameState(new SeededRNG(42)));
+            rules.setupBattle(['queen', 'rook', 'knight'], { pieces: [{ type: 'king', row: 0, col: 4 }] });
+            return [...rules.state.playerPieces, ...rules.state.enemyPieces].map(p => p.id);
+        };
+        assert.deepEqual(ids(), ids());
+    });
+});
+
+// ============================================
+// SETUP
+// ============================================
+
+describe('battle setup', () => {
+    it('places the King, the loadout and the formation', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.setupBattle(['queen', 'rook', 'knight'], {
+            pieces: [{ type: 'king', row: 0, col: 4 }, { type: 'pawn', row: 1, col: 4 }]
+        });
+        const { board, playerPieces, enemyPieces } = rules.state;
+
+        assert.equal(board[7][4].type, 'king');
+        assert.equal(board[7][3].type, 'queen');
+        assert.equal(board[7][5].type, 'rook');
+        assert.equal(board[6][4].type, 'knight');
+        assert.equal(playerPieces.length, 4);
+        assert.deepEqual(enemyPieces.map(p => p.type), ['king', 'pawn']);
+        assert.ok(enemyPieces.every(p => board[p.row][p.col] === p));
+    });
+});
+
+// ============================================
+// MOVE GENERATION
+// ============================================
+
+describe('move generation', () => {
+    it('gives a knight its L-shaped jumps, clipped to the board', () => {
+        const rules = engineWith([['knight', 7, 1, 'player'], ['pawn', 5, 2, 'player']]);
+        assert.deepEqual(squares(rules.getValidMoves(rules.state.board[7][1])), ['5,0', '6,3']);
+    });
+
+    it('moves a pawn one or two squares from its start and captures diagonally', () => {
+        const rules = engineWith([['pawn', 6, 4, 'player'], ['rook', 5, 5, 'enemy'], ['pawn', 5, 3, 'player']]);
+        assert.deepEqual(squares(rules.getValidMoves(rules.state.board[6][4])), ['4,4', '5,4', '5,5']);
+
+        const blocked = engineWith([['pawn', 1, 4, 'enemy'], ['pawn', 2, 4, 'player']]);
+        assert.deepEqual(blocked.getValidMoves(blocked.state.board[1][4]), []);
+    });
+
+    it('stops a sliding piece at the first blocker, capturing only enemies', () => {
+        const rules = engineWith([['rook', 7, 0, 'player'], ['pawn', 4, 0, 'enemy'], ['king', 7, 3, 'player']]);
+        assert.deepEqual(squares(rules.getValidMoves(rules.state.board[7][0])), ['4,0', '5,0', '6,0', '7,1', '7,2']);
+    });
+
+    it('gives frozen pieces no moves and refuses to move them', () => {
+        const messages = [];
+        const rules = engineWith([['queen', 4, 4, 'player']], { onMessage: (text) => messages.push(text) });
+        const queen = rules.state.board[4][4];
+        rules.state.frozenPieces.set(queen.id, 2);
+
+        assert.deepEqual(rules.getValidMoves(queen), []);
+        rules.movePiece(queen, 0, 4);
+        assert.equal(rules.state.board[4][4], queen);
+        assert.equal(messages.length, 1);
+    });
+
+    it('captures by moving onto an enemy piece', () => {
+        const captured = [];
+        const rules = engineWith([
+            ['king', 7, 4, 'player'], ['rook', 7, 0, 'player'],
+            ['king', 0, 4, 'enemy'], ['knight', 3, 0, 'enemy']
+        ], { onCapture: (piece) => captured.push(piece.type) });
+
+        rules.movePiece(rules.state.board[7][0], 3, 0);
+        assert.equal(rules.state.board[3][0].type, 'rook');
+        assert.equal(rules.state.enemyPieces.length, 1);
+        assert.deepEqual(captured, ['knight']);
+    });
+});
+
+// ============================================
+// CHECK AND MATE
+// ============================================
+
+describe('check and mate', () => {
+    it('sees check along a file and ignores blocked lines', () => {
+        const rules = engineWith([['king', 7, 4, 'player'], ['rook', 0, 4, 'enemy'], ['king', 0, 0, 'enemy']]);
+        assert.ok(rules.isKingInCheck('player'));
+        assert.ok(!rules.isKingInCheck('enemy'));
+
+        rules.placePiece(4, 4, 'pawn', 'player');
+        assert.ok(!rules.isKingInCheck('player'));
+    });
+
+    it('wins the battle on a back-rank mate', () => {
+        const rules = engineWith([
+            ['king', 7, 4, 'player'], ['rook', 7, 0, 'player'],
+            ['king', 0, 6, 'enemy'], ['pawn', 1, 5, 'enemy'], ['pawn', 1, 6, 'enemy'], ['pawn', 1, 7, 'enemy']
+        ]);
+        rules.movePiece(rules.state.board[7][0], 0, 0);
+        assert.ok(rules.isCheckmate('enemy'));
+        assert.equal(rules.state.result, 'victory');
+    });
+
+    it('is only check when the King can step out', () => {
+        const rules = engineWith([
+            ['king', 7, 4, 'player'], ['rook', 0, 0, 'player'],
+            ['king', 0, 6, 'enemy'], ['pawn', 1, 5, 'enemy'], ['pawn', 1, 7, 'enemy']
+        ]);
+        assert.ok(rules.isKingInCheck('enemy'));
+        assert.ok(!rules.isCheckmate('enemy'));
+        assert.equal(rules.checkGameEnd(), null);
+    });
+
+    it('loses the battle when the player King is taken', () => {
+        const rules = engineWith([['king', 7, 4, 'player'], ['queen', 6, 4, 'enemy'], ['king', 0, 4, 'enemy']]);
+        rules.movePiece(rules.state.board[6][4], 7, 4);
+        assert.equal(rules.state.result, 'defeat');
+        assert.ok(rules.state.gameOver);
+    });
+});
+
+// ============================================
+// SAVE / LOAD
+// ============================================
+
+describe('GameState serialization', () => {
+    it('round-trips Maps, Sets and the RNG through JSON', () => {
+        const rules = new RulesEngine(new GameState(new SeededRNG(5)));
+        rules.setupBattle(['queen', 'rook', 'knight'], { pieces: [{ type: 'king', row: 0, col: 4 }] });
+        const queen = rules.state.board[7][3];
+        rules.state.frozenPieces.set(queen.id, 2);
+        rules.state.rng.next();
+
+        const copy = GameState.fromJSON(JSON.parse(JSON.stringify(rules.state)));
+        assert.ok(copy.frozenPieces instanceof Map);
+        assert.equal(copy.frozenPieces.get(queen.id), 2);
+        assert.ok(copy.rng instanceof SeededRNG);
+        assert.equal(copy.rng.next(), rules.state.rng.next());
+    });
+
+    it('relinks board cells to the pieces in the piece lists', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.setupBattle(['queen', 'rook', 'knight'], { pieces: [{ type: 'king', row: 0, col: 4 }] });
+
+        const copy = GameState.fromJSON(JSON.parse(JSON.stringify(rules.state)));
+        assert.ok([...copy.playerPieces, ...copy.enemyPieces].every(p => copy.board[p.row][p.col] === p));
+
+        // A restored battle keeps playing: moving a piece updates the list entry too
+        const restored = new RulesEngine(copy);
+        restored.movePiece(copy.board[7][3], 4, 3);
+        assert.equal(copy.playerPieces.find(p => p.type === 'queen').row, 4);
+    });
+});
+
+// ============================================
+// FEN / PGN
+// ============================================
+
+describe('FEN and PGN', () => {
+    const START = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w - - 0 1';
+
+    it('loads a FEN position and writes it back unchanged', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.loadFEN(START);
+        assert.equal(rules.toFEN(), START);
+        assert.equal(rules.state.playerPieces.length, 16);
+        assert.equal(rules.state.board[0][4].type, 'king');
+        assert.equal(rules.state.board[0][4].owner, 'enemy');
+    });
+
+    it('reads the side to move and the move number', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.loadFEN('4k3/8/8/8/8/8/8/4K3 b - - 0 12');
+        assert.equal(rules.state.isPlayerTurn, false);
+        assert.equal(rules.state.turnNumber, 11);
+        assert.equal(rules.toFEN(), '4k3/8/8/8/8/8/8/4K3 b - - 0 12');
+    });
+
+    it('rejects unusable FEN and keeps the current battle', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.loadFEN(START);
+        assert.throws(() => rules.loadFEN('8/8/8/8/8/8/8/4K3 w'), /one black king/);
+        assert.throws(() => rules.loadFEN('4k3/8/8/8/8/8/8/4K3 x'), /Side to move/);
+        assert.throws(() => rules.loadFEN('4k3/8/8/8/8/8/8/4K2 w'), /Rank 1 has 7 squares/);
+        assert.throws(() => rules.loadFEN('4k3 w'), /2-16 ranks/);
+        assert.throws(() => rules.loadFEN('4k3/8/8/8/8/8/8/4X3 w'), /Invalid FEN character/);
+        assert.equal(rules.toFEN(), START);
+    });
+
+    it('writes the battle as PGN from its starting FEN', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.loadFEN('4k3/8/8/3p4/8/8/8/R3K3 w - - 0 1');
+        rules.movePiece(rules.state.board[7][0], 3, 0);
+        rules.state.turnNumber++;
+        rules.movePiece(rules.state.board[3][3], 4, 3);
+
+        const pgn = rules.toPGN({ Seed: '42' });
+        assert.match(pgn, /\[Seed "42"\]/);
+        assert.match(pgn, /\[FEN "4k3\/8\/8\/3p4\/8\/8\/8\/R3K3 w - - 0 1"\]/);
+        assert.match(pgn, /1\. Ra5 2\.\.\. d4 \*\n$/);
+    });
+});
+
+// ============================================
+// CASTLING AND EN PASSANT
+// ============================================
+
+describe('castling', () => {
+    it('castles on either side and moves the rook', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.loadFEN('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+        const king = rules.state.board[7][4];
+        const moves = rules.getValidMoves(king).filter(m => m.castling);
+        assert.deepEqual(moves.map(m => m.castling).sort(), ['K', 'Q']);
+
+        rules.movePiece(king, 7, 6);
+        assert.equal(rules.state.board[7][5].type, 'rook');
+        assert.equal(rules.state.board[7][7], null);
+        assert.equal(rules.getCastlingRights(), 'kq');
+    });
+
+    it('is not allowed through an attacked square or after the rook moved', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.loadFEN('4kr2/8/8/8/8/8/8/R3K2R w KQ - 0 1');
+        const king = rules.state.board[7][4];
+        assert.deepEqual(rules.getValidMoves(king).filter(m => m.castling).map(m => m.castling), ['Q']);
+
+        rules.movePiece(rules.state.board[7][0], 6, 0);
+        assert.equal(rules.getCastlingRights(), 'K');
+    });
+
+    it('can be switched off by a formation', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.setupBattle(['queen', 'rook', 'knight'], {
+            chessRules: { castling: false },
+            pieces: [{ type: 'king', row: 0, col: 4 }, { type: 'rook', row: 0, col: 7 }]
+        });
+        assert.equal(rules.getCastlingRights(), '-');
+    });
+});
+
+describe('en passant', () => {
+    it('takes a pawn that just stepped two squares past', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.loadFEN('4k3/3p4/8/4P3/8/8/8/4K3 b - - 0 1');
+        rules.movePiece(rules.state.board[1][3], 3, 3);
+        rules.state.isPlayerTurn = true;
+        assert.match(rules.toFEN(), / w - d6 /);
+
+        const pawn = rules.state.board[3][4];
+        assert.ok(rules.getValidMoves(pawn).some(m => m.enPassant && m.row === 2 && m.col === 3));
+        rules.movePiece(pawn, 2, 3);
+        assert.equal(rules.state.board[3][3], null);
+        assert.equal(rules.state.enemyPieces.length, 1);
+    });
+
+    it('reads the en passant square from FEN', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.loadFEN('4k3/8/8/3pP3/8/8/8/4K3 w - d6 0 1');
+        assert.ok(rules.getValidMoves(rules.state.board[3][4]).some(m => m.enPassant));
+        assert.throws(() => rules.loadFEN('4k3/8/8/8/8/8/8/4K3 w - e5 0 1'), /en passant/);
+    });
+});
+
+// ============================================
+// PROMOTION
+// ============================================
+
+describe('promotion', () => {
+    it('promotes to the chosen piece, or a queen by default', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.loadFEN('4k3/P6P/8/8/8/8/8/4K3 w - - 0 1');
+
+        rules.movePiece(rules.state.board[1][0], 0, 0, false, 'knight');
+        assert.equal(rules.state.board[0][0].type, 'knight');
+        rules.movePiece(rules.state.board[1][7], 0, 7);
+        assert.equal(rules.state.board[0][7].type, 'queen');
+    });
+
+    it('ignores pieces a pawn may not become', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.loadFEN('4k3/8/8/8/8/8/p7/4K3 b - - 0 1');
+        rules.movePiece(rules.state.board[6][0], 7, 0, false, 'king');
+        assert.equal(rules.state.board[7][0].type, 'queen');
+        assert.equal(rules.state.board[7][0].owner, 'enemy');
+    });
+
+    it('writes the promotion into the PGN', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.loadFEN('4k3/1P6/8/8/8/8/8/4K3 w - - 0 1');
+        rules.movePiece(rules.state.board[1][1], 0, 1, false, 'rook');
+        assert.match(rules.toPGN(), /1\. b8=R/);
+    });
+});
+
+// ============================================
+// CLASSICAL RULES
+// ============================================
+
+describe('classical rules', () => {
+    it('forbids moves that leave the King in check', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.loadFEN('4k3/8/8/8/4r3/8/4B3/4K3 w - - 0 1', { classical: true });
+        assert.deepEqual(rules.getValidMoves(rules.state.board[6][4]), []);
+
+        const loose = new RulesEngine(new GameState());
+        loose.loadFEN('4k3/8/8/8/4r3/8/4B3/4K3 w - - 0 1');
+        assert.ok(loose.getValidMoves(loose.state.board[6][4]).length > 0);
+    });
+
+    it('wins by checkmate once the enemy has no legal move', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.loadFEN('6k1/5ppp/8/8/8/8/8/R3K3 w - - 0 1', { classical: true });
+        rules.movePiece(rules.state.board[7][0], 0, 0);
+        assert.equal(rules.state.result, 'victory');
+        assert.ok(rules.state.moveLog.some(e => e.event === 'CHECKMATE_DETECTED'));
+    });
+
+    it('draws on stalemate', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.loadFEN('7k/8/5Q2/8/8/8/8/4K3 w - - 0 1', { classical: true });
+        rules.movePiece(rules.state.board[2][5], 1, 5);
+        assert.ok(!rules.isKingInCheck('enemy'));
+        assert.equal(rules.state.result, 'draw');
+        assert.match(rules.toPGN(), /1\/2-1\/2/);
+    });
+
+    it('lets Checkmate Denied shield the King once', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.loadFEN('r3k3/8/8/8/8/8/5PPP/6K1 b - - 0 1', { classical: true });
+        rules.state.checkmateDeniedActive = true;
+        rules.movePiece(rules.state.board[0][0], 7, 0);
+
+        assert.equal(rules.checkClassicalEnd('player'), null);
+        assert.ok(rules.state.shieldedPieces.has(rules.state.board[7][6].id));
+        assert.equal(rules.checkClassicalEnd('player'), null);
+
+        rules.state.shieldedPieces.clear();
+        assert.equal(rules.checkClassicalEnd('player'), 'defeat');
+    });
+});
+
+// ============================================
+// DRAWS
+// ============================================
+
+describe('draw rules', () => {
+    // Play whole turns: the player's move, the enemy's reply, then the next player turn
+    function playTurn(rules, playerMove, enemyMove) {
+        rules.movePiece(rules.state.board[playerMove[0]][playerMove[1]], playerMove[2], playerMove[3]);
+        rules.state.isPlayerTurn = false;
+        rules.movePiece(rules.state.board[enemyMove[0]][enemyMove[1]], enemyMove[2], enemyMove[3]);
+        rules.startPlayerTurn();
+    }
+
+    it('draws when the same position comes round a third time', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.loadFEN('k7/7r/8/8/8/8/R7/7K w - - 0 1');
+        playTurn(rules, [6, 0, 5, 0], [1, 7, 2, 7]);
+        playTurn(rules, [5, 0, 6, 0], [2, 7, 1, 7]);
+        assert.equal(rules.state.result, null);
+        playTurn(rules, [6, 0, 5, 0], [1, 7, 2, 7]);
+        playTurn(rules, [5, 0, 6, 0], [2, 7, 1, 7]);
+        assert.equal(rules.state.result, 'draw');
+        assert.equal(rules.state.drawReason, 'repetition');
+    });
+
+    it('draws after the move limit without a capture or pawn move', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.loadFEN('k7/7r/8/8/8/8/R7/7K w - - 98 40');
+        assert.equal(rules.state.halfmoveClock, 98);
+        playTurn(rules, [6, 0, 5, 0], [1, 7, 2, 7]);
+        assert.equal(rules.state.result, 'draw');
+        assert.equal(rules.state.drawReason, 'moveLimit');
+    });
+
+    it('resets the move limit clock on a pawn move', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.loadFEN('k7/7r/8/8/8/8/P7/7K w - - 98 40');
+        playTurn(rules, [6, 0, 5, 0], [1, 7, 2, 7]);
+        assert.equal(rules.state.result, null);
+        assert.equal(rules.state.halfmoveClock, 1);
+    });
+
+    it('draws on insufficient material', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.loadFEN('k7/8/8/8/8/8/1B6/7K w - - 0 1');
+        rules.startPlayerTurn();
+        assert.equal(rules.state.drawReason, 'insufficientMaterial');
+
+        const bishops = new RulesEngine(new GameState());
+        bishops.loadFEN('k7/8/8/8/8/8/1B1B4/7K w - - 0 1');
+        assert.ok(bishops.hasInsufficientMaterial());
+        bishops.loadFEN('k7/8/8/8/8/8/1BB5/7K w - - 0 1');
+        assert.ok(!bishops.hasInsufficientMaterial());
+    });
+
+    it('lets a formation switch a draw rule off', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.loadFEN('k7/7r/8/8/8/8/R7/7K w - - 98 40', { moveLimit: 0 });
+        playTurn(rules, [6, 0, 5, 0], [1, 7, 2, 7]);
+        assert.equal(rules.state.result, null);
+    });
+});
+
+// ============================================
+// BOARD SIZES
+// ============================================
+
+describe('board sizes', () => {
+    it('reads any board from 2x2 to 16x16 from FEN', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.loadFEN('4k5/10/10/10/10/4K5 w - - 0 1');
+        assert.equal(rules.state.rows, 6);
+        assert.equal(rules.state.cols, 10);
+        assert.equal(rules.toFEN(), '4k5/10/10/10/10/4K5 w - - 0 1');
+        assert.equal(rules.toChessNotation(5, 9), 'j1');
+
+        assert.throws(() => rules.loadFEN('k16/17/17/K16 w'), /2-16 squares/);
+        assert.throws(() => rules.loadFEN('4k3/8/8/4K2 w'), /Rank 1 has 7 squares, expected 8/);
+    });
+
+    it('keeps pieces on the board', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.loadFEN('k5/6/6/6/6/Q4K w - - 0 1');
+        const moves = rules.getValidMoves(rules.state.board[5][0]);
+        assert.ok(moves.every(m => rules.isOnBoard(m.row, m.col)));
+        assert.ok(moves.some(m => m.row === 0 && m.col === 0));
+    });
+
+    it('sets up a sized formation with the King mid back rank', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.setupBattle(['queen', 'rook', 'knight'], {
+            size: { rows: 6, cols: 6 },
+            pieces: [{ type: 'king', row: 0, col: 3 }]
+        });
+        assert.equal(rules.state.board.length, 6);
+        assert.equal(rules.state.board[5][3].type, 'king');
+        assert.equal(rules.state.board[5][2].type, 'queen');
+        assert.equal(rules.state.board[4][3].type, 'knight');
+        assert.equal(rules.getCastlingRights(), '-');
+    });
+
+    it('promotes on the last rank of a short board', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.loadFEN('k5/6/P5/6/6/5K w - - 0 1');
+        rules.movePiece(rules.state.board[2][0], 1, 0);
+        rules.movePiece(rules.state.board[1][0], 0, 0);
+        assert.equal(rules.state.board[0][0].type, 'queen');
+    });
+});
+
+// ============================================
+// STATUS EFFECTS
+// ============================================
+
+describe('status effects', () => {
+    it('counts Scout turns only once the forecast was up at a turn start', () => {
+        const rules = new RulesEngine(new GameState());
+        rules.loadFEN('4k3/8/8/8/8/8/8/4K3 w - - 0 1');
+
+        // Played mid-turn: the enemy reply to this turn is free
+        rules.state.extendedIntentTurns = 2;
+        rules.updateStatusEffects();
+        assert.equal(rules.state.extendedIntentTurns, 2);
+
+        rules.startPlayerTurn();
+        rules.updateStatusEffects();
+        assert.equal(rules.state.extendedIntentTurns, 1);
+        rules.startPlayerTurn();
+        rules.updateStatusEffects();
+        assert.equal(rules.state.extendedIntentTurns, 0);
+        rules.startPlayerTurn();
+        assert.equal(rules.state.forecastAtTurnStart, false);
+    });
+
+    it('thaws frozen pieces a turn at a time', () => {
+        const rules = engineWith([['king', 7, 4, 'player'], ['king', 0, 4, 'enemy']]);
+        const king = rules.state.board[0][4];
+        rules.state.frozenPieces.set(king.id, 2);
+        rules.updateStatusEffects();
+        assert.equal(rules.state.frozenPieces.get(king.id), 1);
+        rules.updateStatusEffects();
+        assert.ok(!rules.state.frozenPieces.has(king.id));
+    });
+});
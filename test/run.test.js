@@ -0,0 +1,293 @@
+// ============================================
+// RUN TESTS
+// Between-battle systems: XP, the shop, card rewards, curses and the
+// formation editor
+// ============================================
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame } = require('./helpers/browser.js');
+
+const { game, get, storage, runTimers } = loadGame();
+const XP_REWARDS = get('XP_REWARDS');
+const SHOP_REMOVE_COST = get('SHOP_REMOVE_COST');
+const REWARD_REROLL_COST = get('REWARD_REROLL_COST');
+const SHOP_CURSE_REMOVE_COST = get('SHOP_CURSE_REMOVE_COST');
+const FORMATIONS = get('FORMATIONS');
+
+// Battle 1 of a fresh run, on `fen`
+function startBattle(fen) {
+    document.getElementById('seed-input').value = '1234';
+    game.startNewRun();
+    game.showCardSelectScreen();
+    game.selectedBattleCards = game.deck.slice(0, game.maxBattleCards);
+    game.confirmCardSelection();
+    if (fen) game.rules.loadFEN(fen);
+}
+
+describe('XP', () => {
+    beforeEach(async () => {
+        await runTimers();
+    });
+
+    it('pays for the win, pieces kept, captures and speed', () => {
+        startBattle('4k3/8/8/8/8/8/8/R3K3 w - - 0 1');
+        game.capturedEnemyPieces.push({ type: 'pawn' }, { type: 'knight' });
+        game.turnNumber = 10;
+
+        const award = game.awardBattleXp();
+        assert.equal(award.victory, XP_REWARDS.VICTORY);
+        assert.equal(award.kept, 2 * XP_REWARDS.PER_PIECE_KEPT);
+        assert.equal(award.captures, 2 * XP_REWARDS.PER_CAPTURE);
+        assert.equal(award.speed, (XP_REWARDS.PAR_TURNS - 10) * XP_REWARDS.PER_TURN_SAVED);
+        assert.equal(game.runStats.xp, award.total);
+        assert.equal(game.runStats.xpEarned, award.total);
+    });
+
+    it('never pays for turns over par', () => {
+        startBattle();
+        game.turnNumber = XP_REWARDS.PAR_TURNS + 5;
+        assert.equal(game.awardBattleXp().speed, 0);
+    });
+
+    it('only spends what the run has', () => {
+        startBattle();
+        game.runStats.xp = 10;
+        assert.equal(game.spendXp(11), false);
+        assert.equal(game.spendXp(10), true);
+        assert.deepEqual([game.runStats.xp, game.runStats.xpSpent], [0, 10]);
+    });
+});
+
+describe('card shop', () => {
+    beforeEach(async () => {
+        await runTimers();
+        startBattle();
+    });
+
+    it('sells offered cards at their rarity price', () => {
+        const cardId = game.shopOffer[0];
+        const price = game.getCardPrice(cardId);
+        game.runStats.xp = price;
+
+        game.buyCard(cardId);
+        assert.ok(game.deck.includes(cardId));
+        assert.ok(!game.shopOffer.includes(cardId));
+        assert.equal(game.runStats.xp, 0);
+    });
+
+    it('refuses cards the run cannot afford or that are not on offer', () => {
+        const deck = [...game.deck];
+        game.runStats.xp = game.getCardPrice(game.shopOffer[0]) - 1;
+        game.buyCard(game.shopOffer[0]);
+        game.runStats.xp = 1000;
+        game.buyCard(Object.keys(get('CARD_DEFINITIONS')).find(id => !game.shopOffer.includes(id)));
+        assert.deepEqual(game.deck, deck);
+    });
+
+    it('removes deck cards, but never the last one', () => {
+        game.runStats.xp = SHOP_REMOVE_COST * 2;
+        const count = game.deck.length;
+        game.removeDeckCard(0);
+        assert.equal(game.deck.length, count - 1);
+        assert.equal(game.runStats.xp, SHOP_REMOVE_COST);
+
+        game.deck = [game.deck[0]];
+        game.removeDeckCard(0);
+        assert.equal(game.deck.length, 1);
+        assert.equal(game.runStats.xp, SHOP_REMOVE_COST);
+    });
+});
+
+describe('card rewards', () => {
+    beforeEach(async () => {
+        await runTimers();
+        startBattle();
+    });
+
+    it('rerolls the offer for XP', () => {
+        game.showCardReward();
+        game.runStats.xp = REWARD_REROLL_COST;
+        game.rerollCardReward();
+        assert.equal(game.runStats.xp, 0);
+        assert.equal(game.rewardOptions.length > 0, true);
+
+        // Nothing left to pay with
+        const offer = game.rewardOptions;
+        game.rerollCardReward();
+        assert.equal(game.rewardOptions, offer);
+    });
+});
+
+describe('curses', () => {
+    beforeEach(async () => {
+        await runTimers();
+    });
+
+    // A fresh run whose first battle is `formationId`, at the card select screen
+    function startCursedRun(formationId) {
+        document.getElementById('seed-input').value = '1234';
+        game.getBattleInfo = () => ({ formation: FORMATIONS[formationId], difficulty: 'HARD' });
+        try {
+            game.startNewRun();
+        } finally {
+            delete game.getBattleInfo;
+        }
+        game.showCardSelectScreen();
+    }
+
+    // Fill the rest of the battle hand from the deck and start the battle
+    function confirmHand() {
+        game.deck.filter(id => !get('CARD_DEFINITIONS')[id].curse)
+            .forEach(id => game.selectCardForBattle(id));
+        game.confirmCardSelection();
+    }
+
+    it('are added to the deck when the formation comes up, and logged once the battle starts', () => {
+        startCursedRun('blitzkrieg');
+        assert.ok(game.deck.includes('deadWeight'));
+        assert.deepEqual(game.runStats.curses, [{ battle: 1, formation: 'blitzkrieg', curses: ['deadWeight'] }]);
+
+        confirmHand();
+        assert.ok(game.moveLog.some(e => e.event === 'CURSED' && e.formation === 'blitzkrieg'));
+    });
+
+    it('are forced into the battle hand and cannot be played', () => {
+        startCursedRun('blitzkrieg');
+        assert.deepEqual(game.selectedBattleCards, ['deadWeight']);
+        game.deselectCardForBattle('deadWeight');
+        assert.deepEqual(game.selectedBattleCards, ['deadWeight']);
+
+        confirmHand();
+        assert.ok(game.hand.includes('deadWeight'));
+        assert.equal(game.canPlayCard('deadWeight'), false);
+        game.handleCardClick('deadWeight');
+        assert.equal(game.selectedCard, null);
+    });
+
+    it('run their draw effects once the board is set up (Frostbite)', () => {
+        startCursedRun('queenArmada');
+        confirmHand();
+        const queen = game.playerPieces.find(p => p.type === 'queen');
+        assert.ok(game.frozenPieces.has(queen.id));
+        assert.ok(game.moveLog.some(e => e.event === 'CURSE_TRIGGERED' && e.card === 'frostbite'));
+    });
+
+    it('show the enemy AI the hand (Exposed)', () => {
+        startCursedRun('masterTactician');
+        confirmHand();
+        assert.equal(game.getGameState().handRevealed, true);
+        game.hand = game.hand.filter(id => id !== 'exposed');
+        assert.equal(game.getGameState().handRevealed, false);
+    });
+
+    it('cost more to remove in the shop', () => {
+        startCursedRun('blitzkrieg');
+        game.runStats.xp = SHOP_CURSE_REMOVE_COST - 1;
+        game.removeDeckCard(game.deck.indexOf('deadWeight'));
+        assert.ok(game.deck.includes('deadWeight'));
+
+        game.runStats.xp = SHOP_CURSE_REMOVE_COST;
+        game.removeDeckCard(game.deck.indexOf('deadWeight'));
+        assert.ok(!game.deck.includes('deadWeight'));
+        assert.equal(game.runStats.xp, 0);
+    });
+
+    it('are never what a draw costs', () => {
+        startCursedRun('blitzkrieg');
+        confirmHand();
+        const cards = game.deck.filter(id => id !== 'deadWeight');
+        game.drawReason = 'repetition';
+        game.onBattleDraw();
+        assert.ok(game.deck.includes('deadWeight'));
+        assert.equal(game.deck.length, cards.length);
+
+        // With one card left to pay with, the draw is a defeat instead
+        startCursedRun('blitzkrieg');
+        confirmHand();
+        game.deck = [cards[0], 'deadWeight'];
+        game.drawReason = 'repetition';
+        game.onBattleDraw();
+        assert.deepEqual(game.deck, [cards[0], 'deadWeight']);
+        assert.equal(game.currentBattle, 1);
+    });
+});
+
+describe('formation editor', () => {
+    const CUSTOM_FORMATIONS_KEY = get('CUSTOM_FORMATIONS_KEY');
+    const getFormationAiDifficulty = get('getFormationAiDifficulty');
+
+    beforeEach(async () => {
+        await runTimers();
+        storage.clear();
+        game.editorFormation = {
+            name: 'Cursed Wall',
+            description: '',
+            difficulty: 9,
+            archetype: 'WALL',
+            size: { rows: 8, cols: 8 },
+            pieces: [{ type: 'king', row: 0, col: 4 }, { type: 'rook', row: 1, col: 0 }],
+            curses: ['deadWeight'],
+            pools: ['HARD']
+        };
+    });
+
+    it('paints, replaces and erases pieces, keeping one King', () => {
+        game.editorBrush = 'knight';
+        game.handleEditorCellClick(2, 2);
+        game.handleEditorCellClick(1, 0);
+        assert.deepEqual(game.editorFormation.pieces.map(p => p.type).sort(), ['king', 'knight', 'knight']);
+
+        game.editorBrush = 'king';
+        game.handleEditorCellClick(0, 0);
+        assert.deepEqual(game.editorFormation.pieces.filter(p => p.type === 'king'), [{ type: 'king', row: 0, col: 0 }]);
+
+        game.editorBrush = 'erase';
+        game.handleEditorCellClick(2, 2);
+        assert.equal(game.editorFormation.pieces.length, 2);
+    });
+
+    it('playtests the formation at its own difficulty, with its curses', () => {
+        document.getElementById('seed-input').value = '1234';
+        let shown = 0;
+        game.showPreBattleScreen = function () {
+            shown++;
+            return Object.getPrototypeOf(this).showPreBattleScreen.call(this);
+        };
+        try {
+            game.playtestEditorFormation();
+        } finally {
+            delete game.showPreBattleScreen;
+        }
+
+        assert.equal(shown, 1);
+        assert.equal(game.currentBattle, 1);
+        assert.equal(game.currentFormation.name, 'Cursed Wall');
+        assert.equal(game.aiDifficulty, getFormationAiDifficulty(game.currentFormation));
+        assert.equal(game.aiArchetype, 'WALL');
+        assert.ok(game.deck.includes('deadWeight'));
+    });
+
+    it('saves formations into their pools and reloads them at startup', () => {
+        game.saveEditorFormation();
+        const saved = JSON.parse(storage.getItem(CUSTOM_FORMATIONS_KEY));
+        const id = Object.keys(saved)[0];
+        assert.ok(get('FORMATION_POOLS').HARD.includes(id));
+
+        delete get('FORMATIONS')[id];
+        game.loadCustomFormations();
+        assert.equal(get('FORMATIONS')[id].name, 'Cursed Wall');
+    });
+
+    it('drops old replays to make room for a saved formation', () => {
+        storage.setItem(get('REPLAY_KEY'), JSON.stringify([{ version: get('REPLAY_VERSION'), deltas: 'x'.repeat(2000) }]));
+        storage.quota = [...storage.items.values()].reduce((total, v) => total + v.length, 0) + 100;
+        try {
+            game.saveEditorFormation();
+        } finally {
+            storage.quota = Infinity;
+        }
+        assert.ok(storage.getItem(CUSTOM_FORMATIONS_KEY));
+        assert.deepEqual(JSON.parse(storage.getItem(get('REPLAY_KEY'))), []);
+    });
+});
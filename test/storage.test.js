@@ -0,0 +1,83 @@
+// ============================================
+// STORAGE TESTS
+// The run save and stored replays sharing the localStorage quota
+// ============================================
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame } = require('./helpers/browser.js');
+
+const { game, get, storage } = loadGame();
+const SAVE_KEY = get('SAVE_KEY');
+const REPLAY_KEY = get('REPLAY_KEY');
+
+// Start a run and play into battle 1 with the first cards in the deck
+function startBattle() {
+    document.getElementById('seed-input').value = '1234';
+    game.startNewRun();
+    game.showCardSelectScreen();
+    game.selectedBattleCards = game.deck.slice(0, game.maxBattleCards);
+    game.confirmCardSelection();
+}
+
+function storedReplays() {
+    return JSON.parse(storage.getItem(REPLAY_KEY) || '[]');
+}
+
+describe('run save and replays', () => {
+    beforeEach(() => {
+        storage.clear();
+        storage.quota = Infinity;
+    });
+
+    it('saves the run and restores it', () => {
+        startBattle();
+        const save = game.loadSave();
+        assert.equal(save.screen, 'battle');
+        assert.equal(save.run.runSeed, game.runSeed);
+        assert.deepEqual(save.run.hand, game.hand);
+    });
+
+    it('stores replays packed and opens them whole', () => {
+        startBattle();
+        game.storeReplay(game.replayRecorder.finish('defeat'));
+
+        const [stored] = storedReplays();
+        assert.ok(stored.deltas && !stored.frames);
+        const viewed = game.loadReplays()[0];
+        game.openReplay(viewed);
+        assert.equal(game.replayView.replay.frames.length, stored.deltas.length);
+        game.closeReplay();
+    });
+
+    it('drops the oldest replays before losing the run save', () => {
+        startBattle();
+        const replay = game.replayRecorder.finish('defeat');
+        for (let i = 0; i < 4; i++) game.storeReplay({ ...replay, recordedAt: i });
+        assert.equal(storedReplays().length, 4);
+
+        // The store is full, and the next save is bigger than the last
+        storage.quota = storage.getItem(SAVE_KEY).length + storage.getItem(REPLAY_KEY).length;
+        const replaySize = storage.getItem(REPLAY_KEY).length / 4;
+        while (JSON.stringify(game.deck).length < replaySize * 1.5) game.deck.push(game.deck[0]);
+        game.saveRun('battle');
+
+        assert.deepEqual(game.loadSave().run.deck, game.deck);
+        const kept = storedReplays();
+        assert.ok(kept.length >= 1 && kept.length < 4);
+        assert.deepEqual(kept.map(r => r.recordedAt), [0, 1, 2, 3].reverse().slice(0, kept.length));
+    });
+
+    it('keeps the newest replay when the list no longer fits', () => {
+        startBattle();
+        const replay = game.replayRecorder.finish('defeat');
+        for (let i = 0; i < 3; i++) game.storeReplay({ ...replay, recordedAt: i });
+
+        storage.quota = storage.getItem(SAVE_KEY).length + storage.getItem(REPLAY_KEY).length;
+        game.storeReplay({ ...replay, recordedAt: 10 });
+
+        const kept = storedReplays();
+        assert.equal(kept[0].recordedAt, 10);
+        assert.ok(kept.length < 4);
+    });
+});